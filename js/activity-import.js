@@ -0,0 +1,445 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * ACTIVITY IMPORT
+ *
+ * Imports activities and courses recorded by sports watches and bike computers from TCX
+ * files and binary FIT files. Tracks become paths with elevation and the same per-point
+ * timestamps, heart rate, cadence, temperature and power arrays as GPX tracks (see
+ * POINT_DATA_FIELDS), so they show up in the elevation profile and are written back on GPX
+ * export. Course points become markers.
+ *
+ * Specifications:
+ * - TCX: https://www8.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd
+ * - FIT: https://developer.garmin.com/fit/protocol/
+ */
+
+/**
+ * Builds a path feature from recorded points. Point data arrays without any value are
+ * left out, like readGpxPointData() does.
+ * @param {string} name - Name of the path
+ * @param {Array<object>} points - Points with lat, lng and optional alt, time, hr, cad,
+ *   atemp and power
+ * @param {object} [properties] - Further properties
+ * @returns {object|null} GeoJSON LineString feature, or null for fewer than 2 points
+ */
+function createActivityPathFeature(name, points, properties = {}) {
+  if (points.length < 2) return null;
+  const feature = {
+    type: "Feature",
+    geometry: {
+      type: "LineString",
+      coordinates: points.map((point) =>
+        typeof point.alt === "number" ? [point.lng, point.lat, point.alt] : [point.lng, point.lat],
+      ),
+    },
+    properties: { ...properties, name },
+  };
+  Object.entries(POINT_DATA_FIELDS).forEach(([property, field]) => {
+    const values = points.map((point) => point[field] ?? null);
+    if (values.some((value) => value !== null)) feature.properties[property] = values;
+  });
+  return feature;
+}
+
+/**
+ * Formats a timestamp like GPX files do, without milliseconds.
+ * @param {Date} date - The timestamp
+ * @returns {string} ISO 8601 timestamp
+ */
+function formatActivityTime(date) {
+  return date.toISOString().replace(/\.000Z$/, "Z");
+}
+
+/**
+ * Adds imported activity features to the map and zooms to them.
+ * @param {Array<object>} features - GeoJSON features
+ * @param {string} fileType - The file type ('tcx' or 'fit')
+ * @param {string} fileName - Name of the imported file
+ */
+function addImportedActivityFeatures(features, fileType, fileName) {
+  if (features.length === 0) {
+    Swal.fire({
+      title: "No Tracks Found",
+      text: `The ${fileType.toUpperCase()} file contains no recorded positions.`,
+    });
+    return;
+  }
+
+  const newLayer = importGeoJsonToMap(
+    { type: "FeatureCollection", features },
+    fileType,
+    createImportSource(fileName),
+  );
+  if (newLayer && newLayer.getBounds().isValid()) {
+    map.fitBounds(newLayer.getBounds());
+  }
+}
+
+// --- TCX ---
+
+/**
+ * Parses a TCX file. Each activity and each course becomes one path, course points become
+ * markers.
+ * @param {string} text - The TCX file content
+ * @param {string} defaultName - Name for activities, which have no name of their own
+ * @returns {Array<object>} GeoJSON features
+ */
+function parseTcx(text, defaultName) {
+  const dom = new DOMParser().parseFromString(text, "text/xml");
+  if (dom.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("The file is not valid XML");
+  }
+  const findChild = (node, localName) =>
+    node && Array.from(node.children).find((child) => child.localName === localName);
+  const findAll = (node, localName) => Array.from(node.getElementsByTagNameNS("*", localName));
+  const childText = (node, localName) => findChild(node, localName)?.textContent.trim() || "";
+  const childNumber = (node, ...path) => {
+    const value = parseFloat(path.reduce(findChild, node)?.textContent);
+    return isNaN(value) ? null : value;
+  };
+  const readPosition = (node) => {
+    const position = findChild(node, "Position");
+    const lat = childNumber(position, "LatitudeDegrees");
+    const lng = childNumber(position, "LongitudeDegrees");
+    return lat === null || lng === null
+      ? null
+      : { lat, lng, alt: childNumber(node, "AltitudeMeters") };
+  };
+
+  const readTrackpoints = (parent) =>
+    findAll(parent, "Trackpoint")
+      .map((trackpoint) => {
+        const point = readPosition(trackpoint);
+        if (!point) return null; // Points recorded without a GPS fix
+        const extensions = findChild(trackpoint, "Extensions");
+        const extensionNumber = (localName) => {
+          const value = parseFloat(extensions && findAll(extensions, localName)[0]?.textContent);
+          return isNaN(value) ? null : value;
+        };
+        point.time = childText(trackpoint, "Time") || null;
+        point.hr = childNumber(trackpoint, "HeartRateBpm", "Value");
+        point.cad = childNumber(trackpoint, "Cadence") ?? extensionNumber("RunCadence");
+        point.power = extensionNumber("Watts");
+        return point;
+      })
+      .filter(Boolean);
+
+  const features = [];
+  const activities = findAll(dom, "Activity");
+  activities.forEach((activity, i) => {
+    const sport = activity.getAttribute("Sport");
+    const name = activities.length > 1 ? `${defaultName} ${i + 1}` : defaultName;
+    const feature = createActivityPathFeature(name, readTrackpoints(activity), {
+      ...(childText(activity, "Notes") && { description: childText(activity, "Notes") }),
+      ...(sport && sport !== "Other" && { type: sport }),
+    });
+    if (feature) features.push(feature);
+  });
+
+  findAll(dom, "Course").forEach((course, i) => {
+    const name = childText(course, "Name") || `${defaultName} ${i + 1}`;
+    const feature = createActivityPathFeature(name, readTrackpoints(course), {
+      ...(childText(course, "Notes") && { description: childText(course, "Notes") }),
+    });
+    if (feature) features.push(feature);
+
+    findAll(course, "CoursePoint").forEach((coursePoint) => {
+      const point = readPosition(coursePoint);
+      if (!point) return;
+      features.push({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [point.lng, point.lat] },
+        properties: {
+          name: childText(coursePoint, "Name") || childText(coursePoint, "PointType"),
+          ...(childText(coursePoint, "Notes") && { description: childText(coursePoint, "Notes") }),
+          ...(childText(coursePoint, "PointType") && { type: childText(coursePoint, "PointType") }),
+        },
+      });
+    });
+  });
+  return features;
+}
+
+/**
+ * Imports a TCX file.
+ * @param {File} file - The TCX file
+ */
+async function importTcxFile(file) {
+  try {
+    const features = parseTcx(await file.text(), file.name.replace(/\.tcx$/i, ""));
+    addImportedActivityFeatures(features, "tcx", file.name);
+  } catch (error) {
+    console.error("Error parsing TCX file:", error);
+    Swal.fire({
+      title: "TCX Parse Error",
+      text: `Could not parse the file: ${error.message}`,
+    });
+  }
+}
+
+// --- FIT ---
+
+const FIT_EPOCH_OFFSET = 631065600; // Seconds from 1970-01-01 to the FIT epoch 1989-12-31
+const FIT_SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+const FIT_TIMESTAMP_FIELD = 253;
+
+// Global message numbers of the messages read here
+const FIT_MESSAGES = {
+  record: 20,
+  session: 18,
+  course: 31,
+  coursePoint: 32,
+};
+// Field numbers of record messages
+const FIT_RECORD_FIELDS = {
+  lat: 0,
+  lng: 1,
+  altitude: 2,
+  hr: 3,
+  cad: 4,
+  power: 7,
+  atemp: 13,
+  enhancedAltitude: 78,
+};
+const FIT_SPORTS = [
+  "Generic",
+  "Running",
+  "Cycling",
+  "Transition",
+  "Fitness Equipment",
+  "Swimming",
+  "Basketball",
+  "Soccer",
+  "Tennis",
+  "American Football",
+  "Training",
+  "Walking",
+  "Cross Country Skiing",
+  "Alpine Skiing",
+  "Snowboarding",
+  "Rowing",
+  "Mountaineering",
+  "Hiking",
+  "Multisport",
+  "Paddling",
+];
+const FIT_COURSE_POINT_TYPES = [
+  "Generic",
+  "Summit",
+  "Valley",
+  "Water",
+  "Food",
+  "Danger",
+  "Left",
+  "Right",
+  "Straight",
+  "First Aid",
+];
+
+/**
+ * Reads a single value of a FIT field. Arrays (fields larger than their base type) are
+ * skipped, since none of the fields used here are arrays.
+ * @param {DataView} view - The file
+ * @param {number} offset - Position of the value
+ * @param {number} baseType - FIT base type number
+ * @param {number} size - Size of the field in bytes
+ * @param {boolean} littleEndian - Byte order of the message
+ * @returns {number|string|null} The value, or null if it's invalid
+ */
+function readFitValue(view, offset, baseType, size, littleEndian) {
+  const type = baseType & 0x1f;
+  if (type === 0x07) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size);
+    const end = bytes.indexOf(0);
+    return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end)) || null;
+  }
+
+  // Size, reader and invalid value of each base type
+  const types = {
+    0x00: [1, () => view.getUint8(offset), 0xff], // enum
+    0x01: [1, () => view.getInt8(offset), 0x7f],
+    0x02: [1, () => view.getUint8(offset), 0xff],
+    0x03: [2, () => view.getInt16(offset, littleEndian), 0x7fff],
+    0x04: [2, () => view.getUint16(offset, littleEndian), 0xffff],
+    0x05: [4, () => view.getInt32(offset, littleEndian), 0x7fffffff],
+    0x06: [4, () => view.getUint32(offset, littleEndian), 0xffffffff],
+    0x08: [4, () => view.getFloat32(offset, littleEndian), null],
+    0x09: [8, () => view.getFloat64(offset, littleEndian), null],
+    0x0a: [1, () => view.getUint8(offset), 0], // uint8z
+    0x0b: [2, () => view.getUint16(offset, littleEndian), 0],
+    0x0c: [4, () => view.getUint32(offset, littleEndian), 0],
+  };
+  if (!types[type] || types[type][0] !== size) return null;
+  const value = types[type][1]();
+  return value === types[type][2] || Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Decodes the messages of a FIT file. Only the field values are read, without scale and
+ * offset applied; developer fields are skipped.
+ * @param {ArrayBuffer} buffer - Contents of the file
+ * @returns {Array<{number: number, fields: object}>} Messages with their global message
+ *   number and field values by field number
+ */
+function decodeFitMessages(buffer) {
+  const view = new DataView(buffer);
+  const messages = [];
+  let fileStart = 0;
+  if (buffer.byteLength < 12) throw new Error("Not a valid FIT file");
+
+  // Several FIT files can be chained in one file
+  while (fileStart + 12 <= buffer.byteLength) {
+    const headerSize = view.getUint8(fileStart);
+    const dataSize = view.getUint32(fileStart + 4, true);
+    const signature = String.fromCharCode(...new Uint8Array(buffer, fileStart + 8, 4));
+    if (signature !== ".FIT") {
+      if (fileStart === 0) throw new Error("Not a valid FIT file");
+      break;
+    }
+
+    const definitions = {};
+    let lastTimestamp = 0;
+    let offset = fileStart + headerSize;
+    const end = Math.min(offset + dataSize, buffer.byteLength);
+    while (offset < end) {
+      const header = view.getUint8(offset++);
+      let localType;
+      let timeOffset = null;
+      if (header & 0x80) {
+        // Compressed timestamp header: the low 5 bits are the seconds since the last timestamp
+        localType = (header >> 5) & 0x03;
+        timeOffset = header & 0x1f;
+      } else {
+        localType = header & 0x0f;
+      }
+
+      if (!(header & 0x80) && header & 0x40) {
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const fieldCount = view.getUint8(offset + 4);
+        const definition = {
+          number: view.getUint16(offset + 2, littleEndian),
+          littleEndian,
+          fields: [],
+          developerSize: 0,
+        };
+        offset += 5;
+        for (let i = 0; i < fieldCount; i++, offset += 3) {
+          definition.fields.push({
+            number: view.getUint8(offset),
+            size: view.getUint8(offset + 1),
+            baseType: view.getUint8(offset + 2),
+          });
+        }
+        if (header & 0x20) {
+          const developerFieldCount = view.getUint8(offset++);
+          for (let i = 0; i < developerFieldCount; i++, offset += 3) {
+            definition.developerSize += view.getUint8(offset + 1);
+          }
+        }
+        definitions[localType] = definition;
+        continue;
+      }
+
+      const definition = definitions[localType];
+      if (!definition) throw new Error("Data message without definition");
+      const fields = {};
+      definition.fields.forEach((field) => {
+        fields[field.number] = readFitValue(
+          view,
+          offset,
+          field.baseType,
+          field.size,
+          definition.littleEndian,
+        );
+        offset += field.size;
+      });
+      offset += definition.developerSize;
+
+      if (timeOffset !== null) {
+        fields[FIT_TIMESTAMP_FIELD] =
+          (lastTimestamp & ~0x1f) + timeOffset + (timeOffset < (lastTimestamp & 0x1f) ? 0x20 : 0);
+      }
+      if (fields[FIT_TIMESTAMP_FIELD] != null) lastTimestamp = fields[FIT_TIMESTAMP_FIELD];
+      messages.push({ number: definition.number, fields });
+    }
+    fileStart = end + 2; // Skip the CRC
+  }
+  return messages;
+}
+
+/**
+ * Parses a FIT activity or course file.
+ * @param {ArrayBuffer} buffer - Contents of the file
+ * @param {string} defaultName - Name for activities, which have no name of their own
+ * @returns {Array<object>} GeoJSON features
+ */
+function parseFit(buffer, defaultName) {
+  const messages = decodeFitMessages(buffer);
+  const toDate = (timestamp) => new Date((timestamp + FIT_EPOCH_OFFSET) * 1000);
+  const toDegrees = (semicircles) => semicircles * FIT_SEMICIRCLES_TO_DEGREES;
+
+  const points = [];
+  messages
+    .filter((message) => message.number === FIT_MESSAGES.record)
+    .forEach(({ fields }) => {
+      const lat = fields[FIT_RECORD_FIELDS.lat];
+      const lng = fields[FIT_RECORD_FIELDS.lng];
+      if (lat == null || lng == null) return; // Records without a GPS fix
+      const altitude =
+        fields[FIT_RECORD_FIELDS.enhancedAltitude] ?? fields[FIT_RECORD_FIELDS.altitude];
+      const timestamp = fields[FIT_TIMESTAMP_FIELD];
+      points.push({
+        lat: toDegrees(lat),
+        lng: toDegrees(lng),
+        alt: altitude == null ? null : altitude / 5 - 500, // Scale 5, offset 500
+        time: timestamp == null ? null : formatActivityTime(toDate(timestamp)),
+        hr: fields[FIT_RECORD_FIELDS.hr],
+        cad: fields[FIT_RECORD_FIELDS.cad],
+        power: fields[FIT_RECORD_FIELDS.power],
+        atemp: fields[FIT_RECORD_FIELDS.atemp],
+      });
+    });
+
+  const course = messages.find((message) => message.number === FIT_MESSAGES.course);
+  const session = messages.find((message) => message.number === FIT_MESSAGES.session);
+  // The sport is field 4 of course messages and field 5 of session messages
+  const sport = FIT_SPORTS[course ? course.fields[4] : session?.fields[5]];
+  const features = [];
+  const name = course?.fields[5] || defaultName; // Field 5 is the course name
+  const pathFeature = createActivityPathFeature(name, points, {
+    ...(sport && sport !== "Generic" && { type: sport }),
+  });
+  if (pathFeature) features.push(pathFeature);
+
+  messages
+    .filter((message) => message.number === FIT_MESSAGES.coursePoint)
+    .forEach(({ fields }) => {
+      // Fields: 2 latitude, 3 longitude, 5 type, 6 name
+      if (fields[2] == null || fields[3] == null) return;
+      const type = FIT_COURSE_POINT_TYPES[fields[5]] || "Generic";
+      features.push({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [toDegrees(fields[3]), toDegrees(fields[2])] },
+        properties: { name: fields[6] || type, type },
+      });
+    });
+  return features;
+}
+
+/**
+ * Imports a FIT file.
+ * @param {File} file - The FIT file
+ */
+async function importFitFile(file) {
+  try {
+    const features = parseFit(await file.arrayBuffer(), file.name.replace(/\.fit$/i, ""));
+    addImportedActivityFeatures(features, "fit", file.name);
+  } catch (error) {
+    console.error("Error parsing FIT file:", error);
+    Swal.fire({
+      title: "FIT Parse Error",
+      text: `Could not parse the file: ${error.message}`,
+    });
+  }
+}
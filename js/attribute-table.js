@@ -0,0 +1,386 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * ATTRIBUTE TABLE
+ *
+ * Shows the properties of all items, of one category, of one imported file or of one folder
+ * as a spreadsheet.
+ * Columns can be sorted and filtered, values edited in place, and columns added or removed.
+ * Clicking a row selects its item on the map. Properties the app manages itself (styles,
+ * folders, Strava activity ids, route points, per-point data) are not shown.
+ */
+
+const ATTRIBUTE_TABLE_HIDDEN_PROPERTIES = new Set([
+  "color",
+  "pathType",
+  "folder",
+  "importId",
+  "importFile",
+  "totalDistance",
+  "stravaId", // Used for the "View on Strava" link and the original GPX download
+  ...FEATURE_STYLE_PROPERTIES,
+  ...ROUTED_PATH_PROPERTIES,
+  ROUTE_INSTRUCTIONS_PROPERTY,
+  ...Object.keys(POINT_DATA_FIELDS),
+]);
+const ATTRIBUTE_TABLE_MAX_ROWS = 500; // More rows make the dialog slow, filters narrow them down
+const ATTRIBUTE_TABLE_CATEGORIES = {
+  "Drawn Items": (layer) => layer.pathType === "drawn" || layer.pathType === "route",
+  "Imported Files": (layer) => !["drawn", "route", "strava"].includes(layer.pathType),
+  "Strava Activities": (layer) => layer.pathType === "strava",
+};
+
+/**
+ * Gets the items of a table scope. The active route is left out, as it isn't saved.
+ * @param {string} scope - "all", "category:<title>", "import:<id>" or "folder:<name>"
+ * @returns {L.Layer[]} The items, in the order of the Contents tab
+ */
+function getAttributeTableLayers(scope) {
+  const layers = getAllExportableLayers().filter((layer) => layer !== currentRoutePath);
+  if (scope.startsWith("category:")) {
+    const isInCategory = ATTRIBUTE_TABLE_CATEGORIES[scope.slice("category:".length)];
+    return isInCategory ? layers.filter(isInCategory) : [];
+  }
+  if (scope.startsWith("import:")) {
+    const importId = scope.slice("import:".length);
+    return layers.filter((layer) => layer.feature.properties.importId === importId);
+  }
+  if (scope.startsWith("folder:")) {
+    const folderName = scope.slice("folder:".length);
+    return layers.filter((layer) => getLayerFolder(layer) === folderName);
+  }
+  return layers;
+}
+
+/**
+ * Lists the imports that still have items on the map, for the scopes of the table. Files
+ * imported more than once are numbered.
+ * @returns {Array<[string, string]>} Scope and label of each import, in the order of the items
+ */
+function getAttributeTableImportScopes() {
+  const imports = new Map(); // Import ID -> file name
+  getAllExportableLayers().forEach(({ feature }) => {
+    const { importId, importFile } = feature.properties;
+    if (importId && !imports.has(importId)) imports.set(importId, importFile || "Unnamed file");
+  });
+
+  const fileNames = [...imports.values()];
+  const seen = {};
+  return [...imports].map(([importId, fileName]) => {
+    seen[fileName] = (seen[fileName] || 0) + 1;
+    const isRepeated = fileNames.filter((name) => name === fileName).length > 1;
+    return [`import:${importId}`, `File: ${fileName}${isRepeated ? ` (${seen[fileName]})` : ""}`];
+  });
+}
+
+/**
+ * Collects the columns of the items: name and description first, then the other properties
+ * in the order they first appear.
+ * @param {L.Layer[]} layers - The items
+ * @returns {string[]} The property names
+ */
+function getAttributeTableColumns(layers) {
+  const columns = new Set(["name", "description"]);
+  layers.forEach((layer) => {
+    Object.keys(layer.feature.properties).forEach((key) => {
+      if (!ATTRIBUTE_TABLE_HIDDEN_PROPERTIES.has(key)) columns.add(key);
+    });
+  });
+  return [...columns];
+}
+
+/**
+ * Formats a property value for a table cell.
+ * @param {*} value - The value
+ * @returns {string} The text, JSON for objects and arrays
+ */
+function _formatAttributeValue(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Converts an edited cell back to a property value. Numbers and booleans stay numbers and
+ * booleans if the text still is one.
+ * @param {string} text - The cell text
+ * @param {*} previousValue - The value before editing
+ * @returns {*} The new value, or undefined to remove the property
+ */
+function _parseAttributeValue(text, previousValue) {
+  const trimmed = text.trim();
+  if (trimmed === "") return undefined;
+  if (typeof previousValue === "number" && Number.isFinite(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (typeof previousValue === "boolean" && (trimmed === "true" || trimmed === "false")) {
+    return trimmed === "true";
+  }
+  return text;
+}
+
+/**
+ * Compares two property values for sorting. Numbers sort numerically, text naturally
+ * (e.g. "Item 2" before "Item 10"), and empty values after the others.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function _compareAttributeValues(a, b) {
+  const textA = _formatAttributeValue(a);
+  const textB = _formatAttributeValue(b);
+  if (textA === "" || textB === "") return (textA === "") - (textB === "");
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return textA.localeCompare(textB, undefined, { numeric: true, sensitivity: "base" });
+}
+
+/**
+ * Applies an edited property value to an item and updates the places that show it.
+ * @param {L.Layer} layer - The item
+ * @param {string} key - The property
+ * @param {*} value - The new value, or undefined to remove the property
+ */
+function _setAttributeValue(layer, key, value) {
+  if (value === undefined) {
+    delete layer.feature.properties[key];
+  } else {
+    layer.feature.properties[key] = value;
+  }
+  if (key === "name") updateOverviewList();
+  if (layer === globallySelectedItem) showInfoPanel(layer);
+}
+
+/**
+ * Shows the attribute table.
+ * @param {string} [scope="all"] - "all", "category:<title>", "import:<id>" or "folder:<name>"
+ */
+function showAttributeTable(scope = "all") {
+  const scopes = [
+    ["all", "All items"],
+    ...Object.keys(ATTRIBUTE_TABLE_CATEGORIES).map((title) => [`category:${title}`, title]),
+    ...getAttributeTableImportScopes(),
+    ...userFolders.map((folderName) => [`folder:${folderName}`, `Folder: ${folderName}`]),
+  ];
+
+  let layers = [];
+  let columns = [];
+  let sort = null; // { key, direction: 1 or -1 }
+  let filters = {}; // Column -> lowercase text the cells must contain
+  const addedColumns = new Set(); // Columns without values yet, kept until the dialog closes
+
+  Swal.fire({
+    title: "Attribute Table",
+    html: `
+      <div class="attribute-table-dialog">
+        <div class="attribute-table-toolbar">
+          <select class="swal2-select attribute-table-scope">
+            ${scopes
+              .map(
+                ([value, label]) =>
+                  `<option value="${escapeXml(value)}" ${value === scope ? "selected" : ""}>${escapeXml(label)}</option>`,
+              )
+              .join("")}
+          </select>
+          <input class="swal2-input attribute-table-new-column" type="text" placeholder="New column" />
+          <button type="button" class="attribute-table-add-column" title="Add column">
+            <span class="material-symbols">add</span>
+          </button>
+        </div>
+        <div class="attribute-table-container"></div>
+        <div class="attribute-table-status"></div>
+      </div>`,
+    width: "90%",
+    confirmButtonText: "Close",
+    didOpen: (popup) => {
+      const container = popup.querySelector(".attribute-table-container");
+      const status = popup.querySelector(".attribute-table-status");
+      const newColumnInput = popup.querySelector(".attribute-table-new-column");
+
+      const getVisibleLayers = () => {
+        const visible = layers.filter((layer) =>
+          Object.entries(filters).every(([key, text]) =>
+            _formatAttributeValue(layer.feature.properties[key]).toLowerCase().includes(text),
+          ),
+        );
+        if (sort) {
+          visible.sort(
+            (a, b) =>
+              sort.direction *
+              _compareAttributeValues(
+                a.feature.properties[sort.key],
+                b.feature.properties[sort.key],
+              ),
+          );
+        }
+        return visible;
+      };
+
+      // Only the rows are rendered again when filtering, so the filter input keeps its focus
+      const renderRows = () => {
+        const visible = getVisibleLayers();
+        const shown = visible.slice(0, ATTRIBUTE_TABLE_MAX_ROWS);
+        container.querySelector("tbody").innerHTML = shown
+          .map(
+            (layer) => `
+            <tr data-layer-id="${L.Util.stamp(layer)}" class="${isItemSelected(layer) ? "selected" : ""}">
+              ${columns
+                .map((key) => {
+                  const value = layer.feature.properties[key];
+                  // Objects and arrays (e.g. of Strava activities) are shown, but not edited
+                  const readOnly = value !== null && typeof value === "object";
+                  return `<td><input class="attribute-table-cell" type="text" data-key="${escapeXml(key)}"
+                    value="${escapeXml(_formatAttributeValue(value))}" ${readOnly ? "readonly" : ""} /></td>`;
+                })
+                .join("")}
+            </tr>`,
+          )
+          .join("");
+
+        status.textContent =
+          visible.length > shown.length
+            ? `Showing ${shown.length} of ${visible.length} items. Filter to find the others.`
+            : `${visible.length} of ${layers.length} item${layers.length !== 1 ? "s" : ""}`;
+      };
+
+      const renderTable = () => {
+        layers = getAttributeTableLayers(scope);
+        columns = [...new Set([...getAttributeTableColumns(layers), ...addedColumns])];
+        container.innerHTML = `
+          <table class="attribute-table">
+            <thead>
+              <tr>
+                ${columns
+                  .map(
+                    (key) => `
+                    <th>
+                      <span class="attribute-table-header">
+                        <span class="attribute-table-sort" data-key="${escapeXml(key)}" title="Sort">
+                          ${escapeXml(key)}
+                          <span class="material-symbols">${
+                            sort?.key !== key
+                              ? "unfold_more"
+                              : sort.direction === 1
+                                ? "arrow_upward"
+                                : "arrow_downward"
+                          }</span>
+                        </span>
+                        ${
+                          key === "name"
+                            ? ""
+                            : `<span class="material-symbols attribute-table-remove-column" data-key="${escapeXml(key)}" title="Remove column">close</span>`
+                        }
+                      </span>
+                    </th>`,
+                  )
+                  .join("")}
+              </tr>
+              <tr>
+                ${columns
+                  .map(
+                    (key) =>
+                      `<th><input class="attribute-table-filter" type="search" data-key="${escapeXml(key)}"
+                        placeholder="Filter" value="${escapeXml(filters[key] || "")}" /></th>`,
+                  )
+                  .join("")}
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>`;
+        renderRows();
+      };
+
+      const getRowLayer = (element) => {
+        const layerId = Number(element.closest("tr").dataset.layerId);
+        return layers.find((layer) => L.Util.stamp(layer) === layerId);
+      };
+
+      container.addEventListener("click", (e) => {
+        const sortButton = e.target.closest(".attribute-table-sort");
+        if (sortButton) {
+          const key = sortButton.dataset.key;
+          sort = { key, direction: sort?.key === key ? -sort.direction : 1 };
+          renderTable();
+          return;
+        }
+
+        const removeButton = e.target.closest(".attribute-table-remove-column");
+        if (removeButton) {
+          const key = removeButton.dataset.key;
+          const layersWithKey = layers.filter((layer) => key in layer.feature.properties);
+          layersWithKey.forEach((layer) => _setAttributeValue(layer, key, undefined));
+          addedColumns.delete(key);
+          delete filters[key];
+          if (sort?.key === key) sort = null;
+          if (layersWithKey.length > 0) recordHistory("Remove Column", layersWithKey);
+          renderTable();
+          return;
+        }
+
+        // Clicking a row, including its cells, selects the item
+        const row = e.target.closest("tbody tr");
+        const layer = row && getRowLayer(row);
+        if (!layer || layer === globallySelectedItem) return;
+        selectItem(layer);
+        container.querySelectorAll("tbody tr").forEach((otherRow) => {
+          otherRow.classList.toggle("selected", otherRow === row);
+        });
+      });
+
+      container.addEventListener("input", (e) => {
+        if (!e.target.matches(".attribute-table-filter")) return;
+        const text = e.target.value.trim().toLowerCase();
+        if (text) {
+          filters[e.target.dataset.key] = text;
+        } else {
+          delete filters[e.target.dataset.key];
+        }
+        renderRows();
+      });
+
+      container.addEventListener("change", (e) => {
+        if (!e.target.matches(".attribute-table-cell")) return;
+        const layer = getRowLayer(e.target);
+        const key = e.target.dataset.key;
+        const previousValue = layer.feature.properties[key];
+        const value = _parseAttributeValue(e.target.value, previousValue);
+        // Items always keep a name
+        if (key === "name" && value === undefined) {
+          e.target.value = _formatAttributeValue(previousValue);
+          return;
+        }
+        if (value === previousValue) return;
+        _setAttributeValue(layer, key, value);
+        recordHistory("Edit Attribute", [layer]);
+      });
+
+      popup.querySelector(".attribute-table-scope").addEventListener("change", (e) => {
+        scope = e.target.value;
+        filters = {};
+        sort = null;
+        renderTable();
+      });
+
+      const addColumn = () => {
+        const key = newColumnInput.value.trim();
+        if (!key) return;
+        if (ATTRIBUTE_TABLE_HIDDEN_PROPERTIES.has(key)) {
+          status.textContent = `"${key}" is used by the app and can't be a column.`;
+          return;
+        }
+        if (columns.includes(key)) {
+          status.textContent = `There already is a column "${key}".`;
+          return;
+        }
+        addedColumns.add(key);
+        newColumnInput.value = "";
+        renderTable();
+      };
+      popup.querySelector(".attribute-table-add-column").addEventListener("click", addColumn);
+      newColumnInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") addColumn();
+      });
+
+      renderTable();
+    },
+  });
+}
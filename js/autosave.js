@@ -3,203 +3,344 @@
 /**
  * AUTOSAVE
  *
- * Periodically saves map layers to IndexedDB as GeoJSON.
- * On page load, restores saved data (unless a share URL is present).
+ * Periodically saves the active project (see projects.js) to IndexedDB as GeoJSON: the map
+ * layers with all their properties, and as foreign members the folders, view, overlays, the
+ * route being planned, the found places and the selection.
+ * On page load, restores the last active project (unless a share URL is present).
  */
 
-const AUTOSAVE_KEY = "mapAutosave";
+const AUTOSAVE_KEY = "mapAutosave"; // Single autosave of versions without projects (see loadProjects)
 const AUTOSAVE_INTERVAL_MS = 5000;
 
 let _lastAutosaveJson = "";
 let _autosaveWriteFailed = false;
+let _isLoadingProjectState = false; // The map is empty until the loaded state is added
+let autosaveViewRestored = false; // Whether the view of the restored project was applied
+let pendingRoutingState = null; // Restored route, kept until routing is initialized
 
 /**
- * Serializes all exportable layers to a GeoJSON string.
+ * Serializes a single layer to a GeoJSON Feature for autosave.
  * Reuses the same full-precision coordinate extraction as exportGeoJson().
- * @returns {string} GeoJSON FeatureCollection as JSON string, or "" if empty
+ * @param {L.Layer} layer - The layer to serialize
+ * @returns {Object|null} GeoJSON Feature, or null if the layer can't be saved
+ */
+function serializeLayerForAutosave(layer) {
+  // Skip the active (unsaved) route — it is calculated again from the saved routing state
+  if (currentRoutePath && layer === currentRoutePath) return null;
+
+  const geojson = layer.toGeoJSON();
+  if (!geojson || !geojson.geometry || !geojson.geometry.type) return null;
+
+  // Extract full precision coordinates and per-point data directly from layer
+  applyFullPrecisionCoordinates(layer, geojson);
+  applyPointDataProperties(layer, geojson);
+
+  // Keep all properties (imported attributes, KML extended data, Strava activity fields, ...)
+  const props = { ...geojson.properties };
+  props.pathType = layer.pathType || "drawn";
+
+  geojson.properties = props;
+  geojson.type = "Feature";
+  return geojson;
+}
+
+/**
+ * Serializes all exportable layers, the map view, the overlays, the route being planned, the
+ * found places and the selection to a GeoJSON string.
+ * @returns {string} GeoJSON FeatureCollection as JSON string
  */
 function _serializeLayersForAutosave() {
   const allLayers = getAllExportableLayers();
-  if (allLayers.length === 0) return "";
-
   const features = [];
+  const featureIndexes = new Map(); // Layer -> index of its feature, for the selection
 
   allLayers.forEach((layer) => {
     try {
-      // Skip the active (unsaved) route — routing state can't be restored
-      if (currentRoutePath && layer === currentRoutePath) return;
-
-      const geojson = layer.toGeoJSON();
-      if (!geojson || !geojson.geometry || !geojson.geometry.type) return;
-
-      // Extract full precision coordinates directly from layer
-      applyFullPrecisionCoordinates(layer, geojson);
-
-      // Preserve properties that matter for restoring state
-      const props = {};
-      const src = geojson.properties || {};
-      if (src.name) props.name = src.name;
-      if (src.description) props.description = src.description;
-      if (src.color) props.color = src.color;
-      if (src.stravaId) props.stravaId = src.stravaId;
-      if (src.type) props.type = src.type; // Strava activity type (Ride, Run, etc.)
-      props.pathType = layer.pathType || "drawn";
-
-      geojson.properties = props;
-      geojson.type = "Feature";
-      features.push(geojson);
+      const feature = serializeLayerForAutosave(layer);
+      if (!feature) return;
+      featureIndexes.set(layer, features.length);
+      features.push(feature);
     } catch (e) {
       console.warn("Autosave: skipping layer", e);
     }
   });
 
-  if (features.length === 0) return "";
-  return JSON.stringify({ type: "FeatureCollection", features });
+  const center = map.getCenter();
+  // Folder order, view and overlays are stored as foreign members, so empty folders survive a
+  // reload as well. The selection refers to features by index, the primary selection first.
+  return JSON.stringify({
+    type: "FeatureCollection",
+    folders: userFolders,
+    view: { lat: +center.lat.toFixed(5), lng: +center.lng.toFixed(5), zoom: map.getZoom() },
+    overlays: getShareViewState(),
+    route: window.app?.getRoutingState ? window.app.getRoutingState() : null,
+    places: poiSearchState,
+    selection: getSelectedItems()
+      .map((layer) => featureIndexes.get(layer))
+      .filter((index) => index !== undefined),
+    features,
+  });
 }
 
 /**
- * Saves current map state to IndexedDB if it changed.
+ * Saves current map state to the active project in IndexedDB if it changed.
  */
 function _autosaveTick() {
+  const project = getActiveProject();
+  if (!project || _isLoadingProjectState) return; // Projects haven't been loaded yet
+
   const json = _serializeLayersForAutosave();
   if (json === _lastAutosaveJson) return;
+  // Keep the state that is about to be overwritten, at most once an hour
+  if (_lastAutosaveJson) recordHourlySnapshot(project.id, _lastAutosaveJson);
   _lastAutosaveJson = json;
+  const itemCount = getAllExportableLayers().filter((layer) => layer !== currentRoutePath).length;
 
-  if (json === "") {
-    idbKeyval.del(AUTOSAVE_KEY).catch(() => {});
+  idbKeyval
+    .set(getProjectDataKey(project.id), json)
+    .then(() => {
+      _autosaveWriteFailed = false;
+      updateProjectEntry(project.id, { itemCount, updatedAt: Date.now() });
+    })
+    .catch((e) => {
+      if (!_autosaveWriteFailed) {
+        _autosaveWriteFailed = true;
+        console.warn("Autosave: IndexedDB write failed", e);
+        Swal.fire({
+          toast: true,
+          icon: "warning",
+          title: "Autosave failed — could not write to storage. Please export your work.",
+          position: "top",
+          showConfirmButton: false,
+          timer: 5000,
+        });
+      }
+    });
+}
+
+/**
+ * Converts GeoJSON positions to LatLngs, keeping the altitude.
+ * @param {Array<number[]>} coords - [lng, lat, alt] positions
+ * @returns {L.LatLng[]} The LatLngs
+ */
+function _coordsToLatLngs(coords) {
+  return coords.map((c) => (c.length > 2 ? L.latLng(c[1], c[0], c[2]) : L.latLng(c[1], c[0])));
+}
+
+/**
+ * Gets the LatLngs of a geometry written by serializeLayerForAutosave(): a single LatLng for a
+ * Point, the vertices of a LineString, and all rings of a Polygon (outer ring first, then the
+ * holes), without their closing points.
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {L.LatLng|L.LatLng[]|L.LatLng[][]|null} The LatLngs, or null for unsupported geometry
+ */
+function getAutosaveGeometryLatLngs(geometry) {
+  if (geometry.type === "Point") return _coordsToLatLngs([geometry.coordinates])[0];
+  if (geometry.type === "LineString") return _coordsToLatLngs(geometry.coordinates);
+  if (geometry.type === "Polygon") {
+    return geometry.coordinates.map((ring) => {
+      const latlngs = _coordsToLatLngs(ring);
+      // Remove closing duplicate if present
+      if (latlngs.length > 1 && latlngs[0].equals(latlngs[latlngs.length - 1])) latlngs.pop();
+      return latlngs;
+    });
+  }
+  return null;
+}
+
+/**
+ * Rebuilds a map layer from a feature written by serializeLayerForAutosave().
+ * The layer gets its feature data, pathType and click handler, but is not added to any group.
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {L.Layer|null} The restored layer, or null for unsupported geometry
+ */
+function createLayerFromAutosaveFeature(feature) {
+  if (!feature.geometry) return null;
+
+  const props = feature.properties || {};
+  const color = parseColor(props.color) || DEFAULT_COLOR;
+  const pathType = props.pathType || "drawn";
+  const geomType = feature.geometry.type;
+  const latlngs = getAutosaveGeometryLatLngs(feature.geometry);
+
+  let layer;
+
+  if (geomType === "Point") {
+    layer = L.marker(latlngs, {
+      icon: createFeatureMarkerIcon({ ...props, color }),
+    });
+  } else if (geomType === "Polygon") {
+    layer = L.polygon(latlngs, getPathStyle({ ...props, color }, true));
+  } else if (geomType === "LineString") {
+    layer = L.polyline(latlngs, getPathStyle({ ...props, color }));
   } else {
-    idbKeyval
-      .set(AUTOSAVE_KEY, json)
-      .then(() => {
-        _autosaveWriteFailed = false;
-      })
-      .catch((e) => {
-        if (!_autosaveWriteFailed) {
-          _autosaveWriteFailed = true;
-          console.warn("Autosave: IndexedDB write failed", e);
-          Swal.fire({
-            toast: true,
-            icon: "warning",
-            title: "Autosave failed — could not write to storage. Please export your work.",
-            position: "top",
-            showConfirmButton: false,
-            timer: 5000,
-          });
-        }
-      });
+    return null; // Unsupported geometry
   }
+
+  // Set feature data
+  layer.feature = {
+    type: "Feature",
+    properties: { ...props, color },
+    geometry: feature.geometry,
+  };
+  layer.pathType = pathType;
+  attachPointData(layer);
+
+  // Click handler
+  layer.on("click", (e) => handleLayerClick(e, layer));
+
+  return layer;
 }
 
 /**
- * Restores map state from IndexedDB.
- * Routes each feature to the correct layer group based on its saved pathType.
- * Should be called after layer groups are initialized and only if no share URL data is present.
- * @returns {Promise<boolean>} true if data was restored
+ * Applies a feature written by serializeLayerForAutosave() to an existing layer of the same
+ * geometry type, so that references to the layer stay valid (e.g. when undoing an edit).
+ * @param {L.Layer} layer - The layer to update
+ * @param {Object} feature - GeoJSON Feature
  */
-async function restoreAutosave() {
-  const json = await idbKeyval.get(AUTOSAVE_KEY);
-  if (!json) return false;
+function updateLayerFromAutosaveFeature(layer, feature) {
+  const props = feature.properties || {};
+  const color = parseColor(props.color) || DEFAULT_COLOR;
+  const latlngs = getAutosaveGeometryLatLngs(feature.geometry);
 
-  try {
-    const geojsonData = JSON.parse(json);
-    if (!geojsonData || geojsonData.type !== "FeatureCollection" || !geojsonData.features?.length) {
-      return false;
-    }
+  if (layer instanceof L.Marker) {
+    layer.setLatLng(latlngs);
+  } else {
+    layer.setLatLngs(latlngs);
+  }
 
-    let restoredCount = 0;
+  layer.feature = {
+    type: "Feature",
+    properties: { ...props, color },
+    geometry: feature.geometry,
+  };
+  layer.pathType = props.pathType || "drawn";
+  attachPointData(layer);
+  applyFeatureStyle(layer);
+}
 
-    geojsonData.features.forEach((feature) => {
-      if (!feature.geometry) return;
+/**
+ * Adds a restored layer to the layer group matching its pathType.
+ * @param {L.Layer} layer - Layer created by createLayerFromAutosaveFeature()
+ */
+function addRestoredLayerToGroup(layer) {
+  if (layer.pathType === "strava") {
+    stravaActivitiesLayer.addLayer(layer);
+  } else if (layer.pathType === "drawn" || layer.pathType === "route") {
+    drawnItems.addLayer(layer);
+    editableLayers.addLayer(layer);
+  } else {
+    // Imported types: geojson, gpx, kml, kmz
+    importedItems.addLayer(layer);
+  }
+}
 
-      const props = feature.properties || {};
-      const color = parseColor(props.color) || DEFAULT_COLOR;
-      const pathType = props.pathType || "drawn";
-      const geomType = feature.geometry.type;
+/**
+ * Adds the layers of a saved state to the map, routed to the correct layer group by their
+ * saved pathType, and takes over its folders, route, found places and selection.
+ * The map should be empty (see clearProjectLayers).
+ * @param {Object} geojsonData - FeatureCollection written by _serializeLayersForAutosave()
+ * @returns {number} The number of restored items
+ */
+function addAutosaveLayersToMap(geojsonData) {
+  if (Array.isArray(geojsonData.folders)) userFolders = [...geojsonData.folders];
 
-      let layer;
+  let restoredCount = 0;
+  const layers = []; // By feature index, for the selection
 
-      if (geomType === "Point") {
-        const coords = feature.geometry.coordinates;
-        const latlng =
-          coords.length > 2
-            ? L.latLng(coords[1], coords[0], coords[2])
-            : L.latLng(coords[1], coords[0]);
-        layer = L.marker(latlng, {
-          icon: createMarkerIcon(color, STYLE_CONFIG.marker.default.opacity),
-        });
-      } else if (geomType === "Polygon") {
-        const ring = feature.geometry.coordinates[0];
-        const latlngs = ring.map((c) =>
-          c.length > 2 ? L.latLng(c[1], c[0], c[2]) : L.latLng(c[1], c[0]),
-        );
-        // Remove closing duplicate if present
-        if (latlngs.length > 1) {
-          const first = latlngs[0],
-            last = latlngs[latlngs.length - 1];
-          if (first.equals(last)) latlngs.pop();
-        }
-        layer = L.polygon(latlngs, { ...STYLE_CONFIG.path.default, color });
-      } else if (geomType === "LineString") {
-        const latlngs = feature.geometry.coordinates.map((c) =>
-          c.length > 2 ? L.latLng(c[1], c[0], c[2]) : L.latLng(c[1], c[0]),
-        );
-        layer = L.polyline(latlngs, { ...STYLE_CONFIG.path.default, color });
-      } else {
-        return; // Unsupported geometry
-      }
+  (geojsonData.features || []).forEach((feature) => {
+    const layer = createLayerFromAutosaveFeature(feature);
+    layers.push(layer);
+    if (!layer) return;
+    addRestoredLayerToGroup(layer);
+    restoredCount++;
+  });
 
-      // Set feature data
-      layer.feature = {
-        type: "Feature",
-        properties: { ...props, color },
-        geometry: feature.geometry,
-      };
-      layer.pathType = pathType;
-
-      // Click handler
-      layer.on("click", (e) => {
-        L.DomEvent.stopPropagation(e);
-        selectItem(layer);
-      });
-
-      // Route to the correct layer group
-      if (pathType === "strava") {
-        stravaActivitiesLayer.addLayer(layer);
-      } else if (pathType === "drawn" || pathType === "route") {
-        drawnItems.addLayer(layer);
-        editableLayers.addLayer(layer);
-      } else {
-        // Imported types: geojson, gpx, kml, kmz
-        importedItems.addLayer(layer);
-      }
+  // Update UI state
+  updateElevationToggleIconColor();
+  updateDrawControlStates();
+  updateOverviewList();
 
-      restoredCount++;
-    });
+  if (geojsonData.places) restorePOIResults(geojsonData.places);
+  if (geojsonData.route) {
+    if (window.app?.restoreRoutingState) {
+      window.app.restoreRoutingState(geojsonData.route);
+    } else {
+      pendingRoutingState = geojsonData.route;
+    }
+  }
+  (geojsonData.selection || [])
+    .map((index) => layers[index])
+    .filter(Boolean)
+    .forEach((layer) => addItemToSelection(layer));
+  return restoredCount;
+}
 
-    // Update UI state
-    updateElevationToggleIconColor();
-    updateDrawControlStates();
-    updateOverviewList();
+/**
+ * Loads the saved state of a project onto the map (see addAutosaveLayersToMap) and, if
+ * requested, its view. The overlays are kept for applySharedViewState(), as the layers panel may not
+ * exist yet. Also records the session snapshot of the project (see snapshots.js).
+ * The map should be empty (see clearProjectLayers).
+ * @param {string} projectId - The project
+ * @param {boolean} [restoreView] - Whether to move the map to the saved view
+ * @returns {Promise<number>} The number of restored items
+ */
+async function loadProjectState(projectId, restoreView = false) {
+  let json;
+  _isLoadingProjectState = true;
+  try {
+    json = await idbKeyval.get(getProjectDataKey(projectId));
+  } finally {
+    _isLoadingProjectState = false;
+  }
+  _lastAutosaveJson = json || ""; // Prevent immediate re-save of what we just loaded
+  if (!json) return 0;
 
-    _lastAutosaveJson = json; // Prevent immediate re-save of what we just loaded
-    console.log("Autosave: restored", restoredCount, "features");
+  try {
+    const geojsonData = JSON.parse(json);
+    if (!geojsonData || geojsonData.type !== "FeatureCollection") return 0;
 
-    if (restoredCount > 0) {
-      Swal.fire({
-        toast: true,
-        icon: "success",
-        title: `Restored ${restoredCount} item${restoredCount !== 1 ? "s" : ""} from previous session`,
-        position: "top",
-        showConfirmButton: false,
-        timer: 3000,
-      });
+    const { view, overlays } = geojsonData;
+    if (restoreView && view && Number.isFinite(view.lat) && Number.isFinite(view.zoom)) {
+      map.setView([view.lat, view.lng], view.zoom);
+      autosaveViewRestored = true;
     }
+    if (overlays) pendingSharedViewState = overlays;
+
+    const restoredCount = addAutosaveLayersToMap(geojsonData);
+    recordSessionSnapshot(projectId, json);
 
-    return restoredCount > 0;
+    console.log("Autosave: restored", restoredCount, "features");
+    return restoredCount;
   } catch (e) {
     console.warn("Autosave: restore failed", e);
-    return false;
+    return 0;
+  }
+}
+
+/**
+ * Restores the last active project from IndexedDB.
+ * Should be called after layer groups are initialized and only if no share URL data is present.
+ * @param {object} [options]
+ * @param {boolean} [options.restoreView] - Whether to move the map to the project's saved view
+ * @returns {Promise<boolean>} true if data was restored
+ */
+async function restoreAutosave({ restoreView = false } = {}) {
+  const project = await loadProjects();
+  const restoredCount = await loadProjectState(project.id, restoreView);
+
+  if (restoredCount > 0) {
+    Swal.fire({
+      toast: true,
+      icon: "success",
+      title: `Restored ${restoredCount} item${restoredCount !== 1 ? "s" : ""} from previous session`,
+      position: "top",
+      showConfirmButton: false,
+      timer: 3000,
+    });
   }
+
+  return restoredCount > 0;
 }
 
 let _autosaveIntervalId = null;
@@ -211,3 +352,11 @@ function startAutosave() {
   if (_autosaveIntervalId) return; // Guard against double-init
   _autosaveIntervalId = setInterval(_autosaveTick, AUTOSAVE_INTERVAL_MS);
 }
+
+/**
+ * Writes the current map state immediately instead of waiting for the next interval.
+ * Used to keep the autosave in step with other persisted state (e.g. undo history).
+ */
+function flushAutosave() {
+  _autosaveTick();
+}
@@ -242,14 +242,19 @@ function parseColor(input) {
  * Falls back to DEFAULT_COLOR if input is invalid.
  *
  * @param {string} cssColor - CSS color string (e.g., "#FF0000")
+ * @param {number} [opacity] - Opacity (0-1) written as the alpha byte (default: opaque)
  * @returns {string} KML color string (e.g., "FF0000FF")
  */
-function cssToKmlColor(cssColor) {
+function cssToKmlColor(cssColor, opacity = 1) {
   const normalized = normalizeHexColor(cssColor) || normalizeHexColor(DEFAULT_COLOR);
+  const aa = Math.round(Math.min(1, Math.max(0, opacity)) * 255)
+    .toString(16)
+    .padStart(2, "0")
+    .toUpperCase();
   const rr = normalized.substring(1, 3);
   const gg = normalized.substring(3, 5);
   const bb = normalized.substring(5, 7);
-  return `FF${bb}${gg}${rr}`;
+  return `${aa}${bb}${gg}${rr}`;
 }
 
 /**
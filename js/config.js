@@ -90,7 +90,148 @@ const STYLE_CONFIG = {
 };
 
 /**
- * Simplification settings for imported paths (GPX, KML, KMZ).
+ * Per-feature style properties stored next to the color (see style-editor.js).
+ * Features without them use the defaults from STYLE_CONFIG.
+ */
+const FEATURE_STYLE_PROPERTIES = [
+  "weight",
+  "opacity",
+  "dashPattern",
+  "fillColor",
+  "fillOpacity",
+  "markerSymbol",
+  "markerSize",
+  "markerLabel",
+];
+
+// Values of the style properties for features that don't set them (fillColor follows the color)
+const FEATURE_STYLE_DEFAULTS = {
+  weight: STYLE_CONFIG.path.default.weight,
+  opacity: STYLE_CONFIG.path.default.opacity,
+  dashPattern: "solid",
+  fillOpacity: 0,
+  markerSymbol: "location_on",
+  markerSize: STYLE_CONFIG.marker.baseSize,
+  markerLabel: "",
+};
+
+// Range of marker sizes in pixels
+const MARKER_SIZE_MIN = 20;
+const MARKER_SIZE_MAX = 100;
+const MARKER_LABEL_MAX_LENGTH = 40;
+
+/**
+ * Dash patterns for paths and area outlines, in multiples of the line weight.
+ * Lines have round caps, so a dash of length 0 is drawn as a dot.
+ */
+const LINE_DASH_PATTERNS = {
+  solid: { label: "Solid", dashes: null },
+  dashed: { label: "Dashed", dashes: [2, 2.5] },
+  dotted: { label: "Dotted", dashes: [0, 2] },
+  dashdot: { label: "Dash-dot", dashes: [2, 2, 0, 2] },
+};
+
+/**
+ * Material Symbols offered as marker icons. anchorX/anchorY are the fractions of the icon
+ * size that sit on the marker's location (default: the center).
+ *
+ * gpxSymbols are the GPX <sym> names (Garmin) and kmlIcons the names of the Google Earth
+ * icons (maps.google.com/mapfiles/kml/shapes/<name>.png) that are imported as the symbol.
+ * Exports write the first of them. GPX names are matched without the part after the comma,
+ * so "Flag, Red" is imported as a flag too.
+ * @see https://fonts.google.com/icons
+ */
+const MARKER_SYMBOLS = [
+  // General
+  {
+    name: "location_on",
+    label: "Pin",
+    anchorX: 0.5,
+    anchorY: 0.9,
+    gpxSymbols: ["Waypoint", "Pin, Blue"],
+    kmlIcons: [],
+  },
+  {
+    name: "flag",
+    label: "Flag",
+    anchorX: 0.25,
+    anchorY: 0.875,
+    gpxSymbols: ["Flag, Blue"],
+    kmlIcons: ["flag"],
+  },
+  { name: "star", label: "Star", gpxSymbols: [], kmlIcons: ["star"] },
+  {
+    name: "circle",
+    label: "Dot",
+    gpxSymbols: ["Circle, Blue"],
+    kmlIcons: ["placemark_circle", "shaded_dot"],
+  },
+  { name: "info", label: "Information", gpxSymbols: ["Information"], kmlIcons: ["info-i", "info"] },
+  { name: "warning", label: "Warning", gpxSymbols: ["Danger Area"], kmlIcons: ["caution"] },
+  { name: "skull", label: "Danger", gpxSymbols: ["Skull and Crossbones"], kmlIcons: [] },
+  { name: "home", label: "Home", gpxSymbols: ["Residence"], kmlIcons: ["homegardenbusiness"] },
+  // Outdoor
+  { name: "hiking", label: "Hiking", gpxSymbols: ["Trail Head"], kmlIcons: ["hiker", "trail"] },
+  { name: "landscape", label: "Summit", gpxSymbols: ["Summit"], kmlIcons: ["mountains"] },
+  { name: "photo_camera", label: "Viewpoint", gpxSymbols: ["Scenic Area"], kmlIcons: ["camera"] },
+  { name: "park", label: "Park", gpxSymbols: ["Park"], kmlIcons: ["parks"] },
+  { name: "camping", label: "Camping", gpxSymbols: ["Campground"], kmlIcons: ["campground"] },
+  { name: "local_fire_department", label: "Fireplace", gpxSymbols: [], kmlIcons: [] },
+  { name: "water_drop", label: "Water", gpxSymbols: ["Drinking Water"], kmlIcons: ["water"] },
+  { name: "chair", label: "Bench", gpxSymbols: [], kmlIcons: [] },
+  { name: "wc", label: "Toilet", gpxSymbols: ["Restroom"], kmlIcons: ["toilets"] },
+  { name: "pool", label: "Swimming", gpxSymbols: ["Swimming Area"], kmlIcons: ["swimming"] },
+  { name: "beach_access", label: "Beach", gpxSymbols: ["Beach"], kmlIcons: [] },
+  { name: "phishing", label: "Fishing", gpxSymbols: ["Fishing Area"], kmlIcons: ["fishing"] },
+  { name: "sailing", label: "Boating", gpxSymbols: ["Boat Ramp"], kmlIcons: ["sailing"] },
+  { name: "directions_bike", label: "Cycling", gpxSymbols: ["Bike Trail"], kmlIcons: ["cycling"] },
+  // Transport & supplies
+  {
+    name: "local_parking",
+    label: "Parking",
+    gpxSymbols: ["Parking Area"],
+    kmlIcons: ["parking_lot"],
+  },
+  {
+    name: "commute",
+    label: "Public Transport",
+    gpxSymbols: ["Ground Transportation"],
+    kmlIcons: ["bus", "rail"],
+  },
+  { name: "directions_car", label: "Car", gpxSymbols: ["Car"], kmlIcons: ["cabs"] },
+  { name: "flight", label: "Airport", gpxSymbols: ["Airport"], kmlIcons: ["airports"] },
+  {
+    name: "local_gas_station",
+    label: "Gas Station",
+    gpxSymbols: ["Gas Station"],
+    kmlIcons: ["gas_stations"],
+  },
+  {
+    name: "shopping_cart",
+    label: "Shop",
+    gpxSymbols: ["Shopping Center"],
+    kmlIcons: ["grocery", "shopping", "convenience"],
+  },
+  { name: "local_atm", label: "ATM", gpxSymbols: ["Bank"], kmlIcons: ["dollar", "euro"] },
+  { name: "hotel", label: "Lodging", gpxSymbols: ["Lodging"], kmlIcons: ["lodging"] },
+  {
+    name: "local_hospital",
+    label: "Medical",
+    gpxSymbols: ["Medical Facility"],
+    kmlIcons: ["hospitals"],
+  },
+  { name: "museum", label: "Museum", gpxSymbols: ["Museum"], kmlIcons: [] },
+  { name: "church", label: "Church", gpxSymbols: ["Church"], kmlIcons: [] },
+  // Food & drink
+  { name: "restaurant", label: "Restaurant", gpxSymbols: ["Restaurant"], kmlIcons: ["dining"] },
+  { name: "local_cafe", label: "Cafe", gpxSymbols: [], kmlIcons: ["coffee"] },
+  { name: "fastfood", label: "Fast Food", gpxSymbols: ["Fast Food"], kmlIcons: ["snack_bar"] },
+  { name: "sports_bar", label: "Pub", gpxSymbols: [], kmlIcons: [] },
+  { name: "local_bar", label: "Bar", gpxSymbols: ["Bar"], kmlIcons: ["bars"] },
+];
+
+/**
+ * Simplification settings for imported paths (GPX, KML, KMZ, TCX, FIT).
  * Tolerance is in decimal degrees (~0.00005° ≈ 5.5m at equator).
  */
 const pathSimplificationConfig = {
@@ -4,6 +4,8 @@
 // This module contains all logic for our custom D3 elevation chart.
 // It uses an HTML <foreignObject> to render the summary text,
 // allowing for dynamic text wrapping and automatic margin adjustment.
+// Besides elevation, the chart can show grade and, for recorded tracks with
+// timestamps or sensor data, speed, heart rate and cadence.
 let svg, chartGroup;
 let x, y, xAxis, yAxis; // D3 scales and axes
 let width, height; // Chart dimensions (dynamically calculated)
@@ -12,8 +14,14 @@ let chartTargetDivId;
 let totalWidth, totalHeight; // Container dimensions
 let currentRealDistance = 0;
 let currentRawData = [];
+let currentTrackPoints = []; // Original path vertices (carry time, hr and cad from imports)
+let currentTrackData = [];
+let currentSeriesData = []; // Points of the drawn series, reused while hovering
+let currentTrackProperties = {}; // Feature properties, for summary times of Strava activities
+let currentSeries = localStorage.getItem("elevationChartSeries") || "elevation";
 
 let verticalLine, hoverOverlay;
+let hoveredLatLng = null; // Location of the point under the pointer
 
 // Responsive & Margin constants
 const BREAKPOINT_NARROW = 768; // 768px matches your style.css
@@ -28,6 +36,65 @@ const margin = {
   left: 55,
 };
 
+// Track statistics
+const MOVING_SPEED_THRESHOLD = 0.5; // m/s, slower segments count as stopped time
+const SPEED_SMOOTHING_MS = 5000; // Half-width of the time window used to smooth speed
+const GRADE_SMOOTHING_METERS = 50; // Half-width of the distance window used to smooth grade
+
+/**
+ * Formats an elevation in meters using the current unit setting.
+ * @param {number} meters - Elevation in meters
+ * @returns {string} Formatted elevation (e.g., '512 m' or '1680 ft')
+ */
+function formatElevationValue(meters) {
+  const feet = meters * 3.28084;
+  return useImperial ? `${Math.round(feet)} ft` : `${Math.round(meters)} m`;
+}
+
+/**
+ * Formats a speed in meters per second using the current unit setting.
+ * @param {number} metersPerSecond - Speed in m/s
+ * @returns {string} Formatted speed (e.g., '18.5 km/h' or '11.5 mph')
+ */
+function formatSpeed(metersPerSecond) {
+  return useImperial
+    ? `${(metersPerSecond * 2.23694).toFixed(1)} mph`
+    : `${(metersPerSecond * 3.6).toFixed(1)} km/h`;
+}
+
+/**
+ * Formats a pace (time per kilometer or mile) from a speed.
+ * @param {number} metersPerSecond - Speed in m/s
+ * @returns {string} Formatted pace (e.g., '5:30 /km'), or '-' if not moving
+ */
+function formatPace(metersPerSecond) {
+  if (!metersPerSecond) return "-";
+  const totalSeconds = Math.round((useImperial ? 1609.344 : 1000) / metersPerSecond);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds} ${useImperial ? "/mi" : "/km"}`;
+}
+
+/**
+ * Formats a duration in seconds to hours and minutes.
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration (e.g., '1h 5min' or '0min')
+ */
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  return minutes > 0 ? formatHikingTime(minutes) : "0min";
+}
+
+// Series that can be shown in the chart. "track" series need data recorded on the
+// original path vertices; the others are derived from the elevation data.
+const CHART_SERIES = {
+  elevation: { label: "Elevation", source: "elevation", format: formatElevationValue },
+  grade: { label: "Grade", source: "elevation", format: (v) => `${v.toFixed(1)} %` },
+  speed: { label: "Speed", source: "track", format: formatSpeed },
+  heartRate: { label: "Heart rate", source: "track", format: (v) => `${Math.round(v)} bpm` },
+  cadence: { label: "Cadence", source: "track", format: (v) => `${Math.round(v)} rpm` },
+};
+
 /**
  * Converts Leaflet data (L.latLng(lat, lng, alt)) into D3 format.
  * @param {Array<L.LatLng>} pointsWithElev - Array of Leaflet LatLng objects with altitude
@@ -61,6 +128,179 @@ function formatDataForD3(pointsWithElev) {
   return formattedData;
 }
 
+/**
+ * Converts the original path vertices into track data with cumulative distance and the
+ * recorded time, heart rate and cadence. Speed is smoothed over a short time window.
+ * @param {Array<L.LatLng>} latlngs - Path vertices, optionally with time, hr and cad fields
+ * @param {number} scaleFactor - Factor applied to distances to match the real path distance
+ * @returns {Array<{distance: number, time: number|null, speed: number|null,
+ *   heartRate: number|null, cadence: number|null, latlng: L.LatLng}>} Track data
+ */
+function formatTrackData(latlngs, scaleFactor) {
+  if (!latlngs || latlngs.length < 2) return [];
+
+  let cumulativeDistance = 0;
+  const data = latlngs.map((latlng, i) => {
+    if (i > 0) cumulativeDistance += latlngs[i - 1].distanceTo(latlng) * scaleFactor;
+    const time = latlng.time ? Date.parse(latlng.time) : NaN;
+    return {
+      distance: cumulativeDistance,
+      time: isNaN(time) ? null : time,
+      speed: null,
+      heartRate: typeof latlng.hr === "number" ? latlng.hr : null,
+      cadence: typeof latlng.cad === "number" ? latlng.cad : null,
+      latlng,
+    };
+  });
+
+  // Smooth speed over a centered time window (at least one neighbor on each side)
+  const timed = data.filter((d) => d.time !== null);
+  timed.forEach((d, i) => {
+    let j0 = i;
+    while (j0 > 0 && d.time - timed[j0].time < SPEED_SMOOTHING_MS) j0--;
+    let j1 = i;
+    while (j1 < timed.length - 1 && timed[j1].time - d.time < SPEED_SMOOTHING_MS) j1++;
+    const seconds = (timed[j1].time - timed[j0].time) / 1000;
+    if (seconds > 0) d.speed = (timed[j1].distance - timed[j0].distance) / seconds;
+  });
+
+  return data;
+}
+
+/**
+ * Calculates the grade in percent for each elevation point, smoothed over a centered
+ * distance window to reduce noise from closely spaced points.
+ * @param {Array<{distance: number, elevation: number}>} points - Elevation profile data
+ * @returns {Array<number>} Grade in percent for each point
+ */
+function calculateGrades(points) {
+  return points.map((p, i) => {
+    let j0 = i;
+    while (j0 > 0 && p.distance - points[j0].distance < GRADE_SMOOTHING_METERS) j0--;
+    let j1 = i;
+    while (j1 < points.length - 1 && points[j1].distance - p.distance < GRADE_SMOOTHING_METERS) {
+      j1++;
+    }
+    const distanceDelta = points[j1].distance - points[j0].distance;
+    return distanceDelta > 0
+      ? ((points[j1].elevation - points[j0].elevation) / distanceDelta) * 100
+      : 0;
+  });
+}
+
+/**
+ * Calculates time statistics of a recorded track. Segments slower than
+ * MOVING_SPEED_THRESHOLD count as stopped.
+ * @param {Array<{distance: number, time: number|null, speed: number|null}>} trackData
+ * @returns {{elapsed: number, moving: number, stopped: number, avgSpeed: number,
+ *   maxSpeed: number}|null} Durations in seconds and speeds in m/s, or null without timestamps
+ */
+function calculateTrackTimeStats(trackData) {
+  const timed = trackData.filter((d) => d.time !== null);
+  if (timed.length < 2) return null;
+
+  let moving = 0;
+  let movingDistance = 0;
+  for (let i = 1; i < timed.length; i++) {
+    const seconds = (timed[i].time - timed[i - 1].time) / 1000;
+    const meters = timed[i].distance - timed[i - 1].distance;
+    if (seconds > 0 && meters / seconds >= MOVING_SPEED_THRESHOLD) {
+      moving += seconds;
+      movingDistance += meters;
+    }
+  }
+
+  const elapsed = Math.max(0, (timed[timed.length - 1].time - timed[0].time) / 1000);
+  return {
+    elapsed,
+    moving,
+    stopped: Math.max(0, elapsed - moving),
+    avgSpeed: moving > 0 ? movingDistance / moving : 0,
+    maxSpeed: d3.max(timed, (d) => d.speed) || 0,
+  };
+}
+
+/**
+ * Reads the time statistics of an activity from its properties, for tracks without
+ * timestamps such as Strava activities (moving_time, elapsed_time, average_speed, max_speed).
+ * @param {Object} properties - Feature properties
+ * @returns {{elapsed: number, moving: number, stopped: number, avgSpeed: number,
+ *   maxSpeed: number}|null} Durations in seconds and speeds in m/s, or null without a moving time
+ */
+function getActivityTimeStats(properties) {
+  const { moving_time: moving, elapsed_time: elapsed, average_speed, max_speed } = properties;
+  if (!Number.isFinite(moving) || moving <= 0) return null;
+  const totalElapsed = Number.isFinite(elapsed) ? Math.max(elapsed, moving) : moving;
+  return {
+    elapsed: totalElapsed,
+    moving,
+    stopped: totalElapsed - moving,
+    avgSpeed: Number.isFinite(average_speed)
+      ? average_speed
+      : (properties.totalDistance || 0) / moving,
+    maxSpeed: Number.isFinite(max_speed) ? max_speed : 0,
+  };
+}
+
+/**
+ * Gets the series that can be shown for the current data.
+ * @returns {string[]} Keys of CHART_SERIES
+ */
+function getAvailableSeries() {
+  const available = ["elevation", "grade"];
+  if (currentTrackData.filter((d) => d.speed !== null).length >= 2) available.push("speed");
+  if (currentTrackData.some((d) => d.heartRate !== null)) available.push("heartRate");
+  if (currentTrackData.some((d) => d.cadence !== null)) available.push("cadence");
+  return available;
+}
+
+/**
+ * Gets the series shown in the chart: the selected one if available, otherwise elevation.
+ * @returns {string} Key of CHART_SERIES
+ */
+function getActiveSeries() {
+  return getAvailableSeries().includes(currentSeries) ? currentSeries : "elevation";
+}
+
+/**
+ * Builds the data points of the active series.
+ * @returns {Array<{distance: number, value: number, latlng: L.LatLng}>} Series data
+ */
+function getSeriesData() {
+  const series = getActiveSeries();
+  if (series === "elevation") {
+    return currentRawData.map((d) => ({
+      distance: d.distance,
+      value: d.elevation,
+      latlng: d.latlng,
+    }));
+  }
+  if (series === "grade") {
+    const grades = calculateGrades(currentRawData);
+    return currentRawData.map((d, i) => ({
+      distance: d.distance,
+      value: grades[i],
+      latlng: d.latlng,
+    }));
+  }
+  return currentTrackData
+    .filter((d) => d[series] !== null)
+    .map((d) => ({ distance: d.distance, value: d[series], latlng: d.latlng }));
+}
+
+/**
+ * Switches the chart to another series and remembers the choice.
+ * @param {string} series - Key of CHART_SERIES
+ */
+function setElevationChartSeries(series) {
+  if (!CHART_SERIES[series]) return;
+  currentSeries = series;
+  localStorage.setItem("elevationChartSeries", series);
+  onHoverEnd();
+  updateChartLayout();
+  redrawChartData();
+}
+
 /**
  * Calculates hiking time in minutes based on the Swiss hiking time formula.
  * Adapted from map.geo.admin.ch
@@ -192,32 +432,39 @@ function updateChartLayout() {
 }
 
 /**
- * Draws the chart area path and axes based on currentData.
+ * Draws the chart area path and axes for the active series.
  */
 function redrawChartData() {
   if (currentRawData.length < 2) {
+    currentSeriesData = [];
     drawEmptyAxes();
     return;
   }
 
+  const series = CHART_SERIES[getActiveSeries()];
+  const seriesData = getSeriesData();
+  currentSeriesData = seriesData;
   const maxDistance = currentRawData[currentRawData.length - 1].distance;
-  const [minElev, maxElev] = d3.extent(currentRawData, (d) => d.elevation);
+  let [minValue, maxValue] = d3.extent(seriesData, (d) => d.value);
+  if (minValue === maxValue) {
+    minValue -= 1;
+    maxValue += 1;
+  }
 
   x.domain([0, maxDistance]);
-  y.domain([minElev, maxElev]);
+  y.domain([minValue, maxValue]);
 
+  // Fill from zero for series with negative values (grade), otherwise from the bottom
+  const baseline = minValue < 0 && maxValue > 0 ? y(0) : height;
   const areaGenerator = d3
     .area()
     .x((d) => x(d.distance))
-    .y0(height)
-    .y1((d) => y(d.elevation));
+    .y0(baseline)
+    .y1((d) => y(d.value));
 
-  chartGroup.select(".altitude-area").datum(currentRawData).attr("d", areaGenerator);
+  chartGroup.select(".altitude-area").datum(seriesData).attr("d", areaGenerator);
   const distanceFormatter = (meters) => formatDistance(meters);
-  const elevationFormatter = (meters) => {
-    const feet = meters * 3.28084;
-    return useImperial ? `${Math.round(feet)} ft` : `${Math.round(meters)} m`;
-  };
+  const valueFormatter = series.format;
 
   const tickValues = [0, maxDistance / 2, maxDistance];
   xAxis.call(d3.axisBottom(x).tickValues(tickValues).tickFormat(distanceFormatter));
@@ -227,14 +474,14 @@ function redrawChartData() {
     return "middle";
   });
 
-  const yTickValues = [minElev, (minElev + maxElev) / 2, maxElev];
-  yAxis.call(d3.axisRight(y).tickValues(yTickValues).tickFormat(elevationFormatter));
+  const yTickValues = [minValue, (minValue + maxValue) / 2, maxValue];
+  yAxis.call(d3.axisRight(y).tickValues(yTickValues).tickFormat(valueFormatter));
   yAxis
     .selectAll(".tick text")
     .attr("dy", null)
     .style("dominant-baseline", (d) => {
-      if (d === minElev) return "baseline";
-      if (d === maxElev) return "hanging";
+      if (d === minValue) return "baseline";
+      if (d === maxValue) return "hanging";
       return "middle";
     });
 }
@@ -243,12 +490,8 @@ function redrawChartData() {
  * Draws empty axes when no data is present.
  */
 function drawEmptyAxes() {
-  const elevationFormatter = (meters) => {
-    const feet = meters * 3.28084;
-    return useImperial ? `${Math.round(feet)} ft` : `${Math.round(meters)} m`;
-  };
   xAxis.call(d3.axisBottom(x).ticks(0).tickFormat(""));
-  yAxis.call(d3.axisRight(y).ticks(4).tickFormat(elevationFormatter));
+  yAxis.call(d3.axisRight(y).ticks(4).tickFormat(formatElevationValue));
   yAxis.selectAll("text").text("");
 }
 
@@ -335,7 +578,8 @@ function createElevationChart(targetDivId, isImperial) {
     .on("mousemove", onHoverMove)
     .on("touchmove", onHoverMove)
     .on("mouseout", onHoverEnd)
-    .on("touchend", onHoverEnd);
+    .on("touchend", onHoverEnd)
+    .on("click", onChartClick);
 
   updateChartLayout();
   drawEmptyAxes();
@@ -355,8 +599,12 @@ function createElevationChart(targetDivId, isImperial) {
  * @param {Array<L.LatLng>} pointsWithElev - The raw data from fetchElevationForPath
  * @param {number} [realDistance] - The optional, true distance from the original path
  * @param {string} [source] - The source of elevation data ("file" or "api")
+ * @param {Array<L.LatLng>} [trackPoints] - The original path vertices, used for time
+ *   statistics and the speed, heart rate and cadence series
+ * @param {Object} [properties] - Feature properties of the path, whose summary times are
+ *   shown if the track points have no timestamps
  */
-function drawElevationProfile(pointsWithElev, realDistance, source) {
+function drawElevationProfile(pointsWithElev, realDistance, source, trackPoints, properties) {
   currentRawData = formatDataForD3(pointsWithElev);
   if (currentRawData.length < 2) {
     clearElevationProfile();
@@ -376,6 +624,19 @@ function drawElevationProfile(pointsWithElev, realDistance, source) {
     }
   }
 
+  // Track data uses the same distance scale as the elevation data
+  currentTrackPoints = trackPoints || [];
+  let trackDistance = 0;
+  for (let i = 1; i < currentTrackPoints.length; i++) {
+    trackDistance += currentTrackPoints[i - 1].distanceTo(currentTrackPoints[i]);
+  }
+  const trackScale =
+    currentRealDistance > 0 && trackDistance > 0 ? currentRealDistance / trackDistance : 1;
+  currentTrackData = formatTrackData(currentTrackPoints, trackScale);
+  currentTrackProperties = properties || {};
+  const timeStats =
+    calculateTrackTimeStats(currentTrackData) || getActivityTimeStats(currentTrackProperties);
+
   const [minElev, maxElev] = d3.extent(currentRawData, (d) => d.elevation);
 
   const ascent = d3.sum(currentRawData, (d, i) => {
@@ -391,20 +652,35 @@ function drawElevationProfile(pointsWithElev, realDistance, source) {
   const hikingTimeMinutes = calculateSwissHikingTime(currentRawData);
   const hikingTimeFormatted = formatHikingTime(hikingTimeMinutes);
 
-  const elevationFormatter = (meters) => {
-    const feet = meters * 3.28084;
-    return useImperial ? `${Math.round(feet)} ft` : `${Math.round(meters)} m`;
-  };
-
+  const elevationFormatter = formatElevationValue;
   const summaryDiv = svg.select("#d3-summary-html");
   if (summaryDiv) {
     const itemStyle = "display: inline-block; white-space: nowrap; margin: 0 4px;";
+
+    // Recorded tracks show their actual times instead of the estimated hiking time
+    const timeSummary = timeStats
+      ? `<span style="${itemStyle}">Moving time: ${formatDuration(timeStats.moving)}</span>` +
+        `<span style="${itemStyle}">Stopped time: ${formatDuration(timeStats.stopped)}</span>` +
+        `<span style="${itemStyle}">Avg speed: ${formatSpeed(timeStats.avgSpeed)}</span>` +
+        `<span style="${itemStyle}">Max speed: ${formatSpeed(timeStats.maxSpeed)}</span>` +
+        `<span style="${itemStyle}">Pace: ${formatPace(timeStats.avgSpeed)}</span>`
+      : `<span style="${itemStyle}">Hiking time: ${hikingTimeFormatted}</span>`;
+
+    const activeSeries = getActiveSeries();
+    const seriesOptions = getAvailableSeries()
+      .map(
+        (key) =>
+          `<option value="${key}"${key === activeSeries ? " selected" : ""}>${CHART_SERIES[key].label}</option>`,
+      )
+      .join("");
+
     summaryDiv.html(
-      `<span style="${itemStyle}">Ascent: ${elevationFormatter(ascent)}</span>` +
+      `<span style="${itemStyle}"><select class="elevation-series-select" title="Chart data">${seriesOptions}</select></span>` +
+        `<span style="${itemStyle}">Ascent: ${elevationFormatter(ascent)}</span>` +
         `<span style="${itemStyle}">Descent: ${elevationFormatter(descent)}</span>` +
         `<span style="${itemStyle}">Highest point: ${elevationFormatter(maxElev)}</span>` +
         `<span style="${itemStyle}">Lowest point: ${elevationFormatter(minElev)}</span>` +
-        `<span style="${itemStyle}">Hiking time: ${hikingTimeFormatted}</span>` +
+        timeSummary +
         // Show add/remove buttons only when "prefer file elevation" is enabled (default)
         // and the path is not an active route (unsaved routes may change anytime).
         (source &&
@@ -419,6 +695,9 @@ function drawElevationProfile(pointsWithElev, realDistance, source) {
             ? `<span style="${itemStyle}">Source: ${source}</span>`
             : ""),
     );
+    summaryDiv
+      .select(".elevation-series-select")
+      .on("change", (event) => setElevationChartSeries(event.target.value));
   }
 
   updateChartLayout();
@@ -431,6 +710,10 @@ function drawElevationProfile(pointsWithElev, realDistance, source) {
 function clearElevationProfile() {
   currentRawData = [];
   currentRealDistance = 0;
+  currentTrackPoints = [];
+  currentTrackData = [];
+  currentSeriesData = [];
+  currentTrackProperties = {};
 
   const summaryDiv = svg.select("#d3-summary-html");
   if (summaryDiv) {
@@ -457,6 +740,9 @@ function updateElevationChartUnits(isImperial) {
     drawElevationProfile(
       currentRawData.map((d) => d.latlng),
       currentRealDistance,
+      undefined,
+      currentTrackPoints,
+      currentTrackProperties,
     );
   } else {
     updateChartLayout();
@@ -475,6 +761,11 @@ function onHoverMove(event) {
 
   if (!currentRawData || currentRawData.length === 0) return;
 
+  // The hover marker follows the points of the series shown in the chart
+  const series = CHART_SERIES[getActiveSeries()];
+  const seriesData = currentSeriesData;
+  if (seriesData.length === 0) return;
+
   let pointerX;
   if (event.touches && event.touches.length > 0) {
     const touch = event.touches[0];
@@ -493,30 +784,26 @@ function onHoverMove(event) {
   const hoverDistance = x.invert(clampedPointerX);
 
   const bisector = d3.bisector((d) => d.distance).left;
-  let index = bisector(currentRawData, hoverDistance, 1);
+  let index = bisector(seriesData, hoverDistance, 1);
 
-  const d0 = currentRawData[index - 1];
-  const d1 = currentRawData[index];
+  const d0 = seriesData[index - 1];
+  const d1 = seriesData[index];
 
   if (d0 && d1) {
     index = hoverDistance - d0.distance > d1.distance - hoverDistance ? index : index - 1;
   } else if (d0) {
-    index = currentRawData.length - 1;
+    index = seriesData.length - 1;
   } else {
     index = 0;
   }
 
-  index = Math.max(0, Math.min(currentRawData.length - 1, index));
+  index = Math.max(0, Math.min(seriesData.length - 1, index));
 
-  const dataPoint = currentRawData[index];
+  const dataPoint = seriesData[index];
 
   if (dataPoint) {
     const distanceText = `Distance: ${formatDistance(dataPoint.distance)}`;
-    const elevationFormatter = (meters) => {
-      const feet = meters * 3.28084;
-      return useImperial ? `${Math.round(feet)} ft` : `${Math.round(meters)} m`;
-    };
-    const elevationText = `Elevation: ${elevationFormatter(dataPoint.elevation)}`;
+    const elevationText = `${series.label}: ${series.format(dataPoint.value)}`;
 
     const textDist = chartGroup.select("#tooltip-distance-text").text(distanceText);
     const textElev = chartGroup.select("#tooltip-elevation-text").text(elevationText);
@@ -586,6 +873,7 @@ function onHoverMove(event) {
       .attr("y2", height)
       .style("display", "block");
 
+    hoveredLatLng = dataPoint.latlng;
     if (window.mapInteractions) {
       window.mapInteractions.showElevationMarker(dataPoint.latlng);
     }
@@ -600,6 +888,7 @@ function onHoverMove(event) {
  * Hides the marker and the vertical line.
  */
 function onHoverEnd() {
+  hoveredLatLng = null;
   if (verticalLine) {
     verticalLine.style("display", "none");
   }
@@ -612,9 +901,22 @@ function onHoverEnd() {
     window.mapInteractions.hideElevationMarker();
   }
 }
+/**
+ * Handles clicks on the chart. Passes the clicked point on to the path tools,
+ * which use it as the split point while splitting a path.
+ * @param {Event} event - The click event
+ */
+function onChartClick(event) {
+  onHoverMove(event);
+  if (hoveredLatLng && window.pathTools) {
+    window.pathTools.handleElevationProfileClick(hoveredLatLng);
+  }
+}
+
 window.elevationProfile = {
   createElevationChart,
   drawElevationProfile,
   clearElevationProfile,
   updateElevationChartUnits,
+  setElevationChartSeries,
 };
@@ -78,6 +78,46 @@ function convertPath(latlngs, inSr, outSr) {
   }
 }
 
+// Label of each elevation provider in the elevation profile
+const ELEVATION_SOURCE_LABELS = {
+  google: "Google API",
+  geoadmin: "GeoAdmin API",
+  local: "Local DEM",
+};
+
+// Thresholds for adaptive path sampling
+const SIMPLE_PATH_THRESHOLD = 200; // Simple paths (≤200 points) will be upsampled to 200
+const MAX_POINTS_TO_REQUEST = 5000; // Absolute maximum to prevent errors and high costs
+
+/**
+ * Picks the points of a path to look up the elevation for. Simple paths are upsampled so
+ * the profile shows the terrain between their vertices, very complex paths are downsampled.
+ * @param {L.LatLng[]} latlngs - Path coordinates
+ * @returns {L.LatLng[]} The points to look up
+ */
+function getElevationSamplePoints(latlngs) {
+  const actualPoints = latlngs.length;
+
+  if (actualPoints > MAX_POINTS_TO_REQUEST) {
+    // CASE 1: Path is TOO complex - downsample to absolute cap
+    console.log(
+      `[Elevation] Path is too complex (${actualPoints} points). Downsampling to ${MAX_POINTS_TO_REQUEST} points.`,
+    );
+    return resamplePath(latlngs, MAX_POINTS_TO_REQUEST);
+  } else if (actualPoints > SIMPLE_PATH_THRESHOLD) {
+    // CASE 2: Path is "complex" - use exact points
+    console.log(
+      `[Elevation] Path is "complex" (${actualPoints} points). Sending all original points.`,
+    );
+    return latlngs;
+  }
+  // CASE 3: Path is "simple" - upsample to 200 points
+  console.log(
+    `[Elevation] Path is "simple" (${actualPoints} points). Upsampling to ${SIMPLE_PATH_THRESHOLD} points.`,
+  );
+  return resamplePath(latlngs, SIMPLE_PATH_THRESHOLD);
+}
+
 /**
  * Fetches elevation data from Google Maps Elevation API.
  * Implements adaptive point sampling based on path complexity.
@@ -104,32 +144,7 @@ async function fetchElevationForPathGoogle(latlngs, realDistance) {
   const BATCH_SIZE = 512;
   let allResults = [];
 
-  // Define thresholds for adaptive path sampling
-  const SIMPLE_PATH_THRESHOLD = 200; // Simple paths (≤200 points) will be upsampled to 200
-  const MAX_POINTS_TO_REQUEST = 5000; // Absolute maximum to prevent errors and high costs
-
-  const actualPoints = latlngs.length;
-  let pointsToSend;
-
-  if (actualPoints > MAX_POINTS_TO_REQUEST) {
-    // CASE 1: Path is TOO complex - downsample to absolute cap
-    console.log(
-      `[Elevation] Path is too complex (${actualPoints} points). Downsampling to ${MAX_POINTS_TO_REQUEST} points.`,
-    );
-    pointsToSend = resamplePath(latlngs, MAX_POINTS_TO_REQUEST);
-  } else if (actualPoints > SIMPLE_PATH_THRESHOLD) {
-    // CASE 2: Path is "complex" - use exact points
-    console.log(
-      `[Elevation] Path is "complex" (${actualPoints} points). Sending all original points.`,
-    );
-    pointsToSend = latlngs;
-  } else {
-    // CASE 3: Path is "simple" - upsample to 200 points
-    console.log(
-      `[Elevation] Path is "simple" (${actualPoints} points). Upsampling to ${SIMPLE_PATH_THRESHOLD} points.`,
-    );
-    pointsToSend = resamplePath(latlngs, SIMPLE_PATH_THRESHOLD);
-  }
+  const pointsToSend = getElevationSamplePoints(latlngs);
   for (let i = 0; i < pointsToSend.length; i += BATCH_SIZE) {
     const batch = pointsToSend.slice(i, i + BATCH_SIZE);
     try {
@@ -349,9 +364,57 @@ async function fetchElevationForPathGeoAdminAPI(latlngs) {
   }
 }
 
+/**
+ * Looks up elevation data in the local DEM tiles added in the settings. Points without
+ * DEM data (voids or gaps between tiles) are interpolated from their neighbors.
+ * @param {L.LatLng[]} latlngs - Path coordinates
+ * @returns {Promise<L.LatLng[]|null>} Array of coordinates with elevation or null on error
+ */
+async function fetchElevationForPathLocalDem(latlngs) {
+  console.log("Fetching elevation data from: Local DEM");
+  if (!latlngs || latlngs.length < 2) return latlngs;
+
+  const points = getElevationSamplePoints(latlngs);
+  try {
+    const elevations = await sampleLocalDemElevations(points);
+    const knownIndices = elevations.flatMap((elevation, i) => (elevation === null ? [] : [i]));
+    if (knownIndices.length === 0) {
+      throw new Error("None of the local DEM files cover this path.");
+    }
+    if (knownIndices.length < elevations.length) {
+      console.warn(
+        `[Elevation] ${elevations.length - knownIndices.length} points have no local DEM data and are interpolated.`,
+      );
+    }
+
+    let k = 0; // Index into knownIndices of the next point with data
+    return points.map((p, i) => {
+      if (elevations[i] !== null) return L.latLng(p.lat, p.lng, elevations[i]);
+      while (k < knownIndices.length && knownIndices[k] < i) k++;
+      const before = knownIndices[k - 1];
+      const after = knownIndices[k];
+      let elevation;
+      if (before === undefined) elevation = elevations[after];
+      else if (after === undefined) elevation = elevations[before];
+      else {
+        const ratio = (i - before) / (after - before);
+        elevation = elevations[before] + (elevations[after] - elevations[before]) * ratio;
+      }
+      return L.latLng(p.lat, p.lng, elevation);
+    });
+  } catch (error) {
+    console.error("Error reading elevation from local DEM:", error);
+    Swal.fire({
+      title: "Local DEM Elevation Error",
+      text: `Failed to read elevation data: ${error.message} You can add DEM files in the settings.`,
+    });
+    return null;
+  }
+}
+
 /**
  * Main dispatcher function for fetching elevation data.
- * Routes to either Google or GeoAdmin API based on user preference.
+ * Routes to the Google API, the GeoAdmin API or the local DEM files based on user preference.
  * @param {L.LatLng[]} latlngs - Path coordinates
  * @param {number} realDistance - Actual path distance in meters
  * @returns {Promise<L.LatLng[]|null>} Array of coordinates with elevation or null on error
@@ -370,6 +433,8 @@ async function fetchElevationForPath(latlngs, realDistance) {
   let pointsWithElev;
   if (elevationProvider === "geoadmin") {
     pointsWithElev = await fetchElevationForPathGeoAdminAPI(latlngs);
+  } else if (elevationProvider === "local") {
+    pointsWithElev = await fetchElevationForPathLocalDem(latlngs);
   } else {
     pointsWithElev = await fetchElevationForPathGoogle(latlngs, realDistance);
   }
@@ -454,11 +519,17 @@ async function addElevationProfileForLayer(layer) {
       }
       const provider = localStorage.getItem("elevationProvider") || "google";
       pointsWithElev = await fetchElevationForPath(latlngs, realDistance);
-      source = provider === "geoadmin" ? "GeoAdmin API" : "Google API";
+      source = ELEVATION_SOURCE_LABELS[provider] || ELEVATION_SOURCE_LABELS.google;
     }
 
     if (pointsWithElev?.length > 0) {
-      window.elevationProfile.drawElevationProfile(pointsWithElev, realDistance, source);
+      window.elevationProfile.drawElevationProfile(
+        pointsWithElev,
+        realDistance,
+        source,
+        latlngs,
+        layer.feature?.properties,
+      );
     } else {
       console.warn("No valid elevation data.");
       window.elevationProfile.clearElevationProfile();
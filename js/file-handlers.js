@@ -11,6 +11,16 @@
  * - GeoJSON/KML/KMZ: colors parsed inside importGeoJsonToMap() via helper functions
  * - All formats default to DEFAULT_COLOR if color is missing or invalid
  * - Custom colors (not in palette) are preserved
+ *
+ * Style handling (see FEATURE_STYLE_PROPERTIES):
+ * - GeoJSON: simplestyle properties (stroke-width, fill, marker-symbol, ...), marker size and label
+ * - KML/KMZ: <LineStyle>/<PolyStyle>, <IconStyle> icon and scale, dash pattern, marker symbol
+ *   and label in <ExtendedData>
+ * - GPX: <gpx_style:line>, <sym>, marker symbol, size and label in the waypoint <extensions>
+ * - Marker symbols are mapped from and to GPX <sym> names and KML icons (see MARKER_SYMBOLS)
+ *
+ * GPX round-trip: per-point timestamps and sensor values are stored on the path's LatLng
+ * objects (see POINT_DATA_FIELDS), and paths read from <rte> are written back as routes.
  */
 
 // 1. GENERAL UTILITIES
@@ -29,20 +39,18 @@ function applyFullPrecisionCoordinates(layer, geojson) {
     if (typeof ll.alt === "number") coords.push(ll.alt);
     geojson.geometry.coordinates = coords;
   } else if (layer instanceof L.Polygon) {
-    const latlngs = layer.getLatLngs()[0];
-    const coords = latlngs.map((ll) => {
-      const coord = [ll.lng, ll.lat];
-      if (typeof ll.alt === "number") coord.push(ll.alt);
-      return coord;
+    // All rings: the outer ring first, then the holes
+    geojson.geometry.coordinates = layer.getLatLngs().map((ring) => {
+      const coords = ring.map((ll) => {
+        const coord = [ll.lng, ll.lat];
+        if (typeof ll.alt === "number") coord.push(ll.alt);
+        return coord;
+      });
+      coords.push(coords[0]); // Close the ring
+      return coords;
     });
-    coords.push(coords[0]); // Close the polygon
-    geojson.geometry.coordinates = [coords];
   } else if (layer instanceof L.Polyline) {
-    let latlngs = layer.getLatLngs();
-    while (Array.isArray(latlngs[0]) && !(latlngs[0] instanceof L.LatLng)) {
-      latlngs = latlngs[0];
-    }
-    geojson.geometry.coordinates = latlngs.map((ll) => {
+    geojson.geometry.coordinates = getFlatLatLngs(layer).map((ll) => {
       const coord = [ll.lng, ll.lat];
       if (typeof ll.alt === "number") coord.push(ll.alt);
       return coord;
@@ -50,6 +58,73 @@ function applyFullPrecisionCoordinates(layer, geojson) {
   }
 }
 
+/**
+ * Per-point data kept alongside path coordinates, as GeoJSON property -> LatLng field.
+ * Property names follow toGeoJSON (coordTimes, heartRates). The values are stored on the
+ * LatLng objects, so they stay with their vertex when a path is edited.
+ */
+const POINT_DATA_FIELDS = {
+  coordTimes: "time",
+  heartRates: "hr",
+  cadences: "cad",
+  temperatures: "atemp",
+  powers: "power",
+};
+
+/**
+ * Returns the vertices of a polyline, unwrapping nested arrays.
+ * @param {L.Polyline} layer - The polyline
+ * @returns {L.LatLng[]} The flat list of vertices
+ */
+function getFlatLatLngs(layer) {
+  let latlngs = layer.getLatLngs();
+  while (Array.isArray(latlngs[0]) && !(latlngs[0] instanceof L.LatLng)) {
+    latlngs = latlngs[0];
+  }
+  return latlngs;
+}
+
+/**
+ * Copies per-point arrays (timestamps, heart rate, ...) from a path's feature properties
+ * onto its LatLng objects. Arrays that don't match the number of vertices are ignored.
+ * @param {L.Layer} layer - The layer, with feature properties already set
+ */
+function attachPointData(layer) {
+  if (!(layer instanceof L.Polyline) || layer instanceof L.Polygon) return;
+  const props = layer.feature?.properties;
+  if (!props) return;
+
+  const latlngs = getFlatLatLngs(layer);
+  Object.entries(POINT_DATA_FIELDS).forEach(([property, field]) => {
+    const values = props[property];
+    if (!Array.isArray(values) || values.length !== latlngs.length) return;
+    values.forEach((value, i) => {
+      if (value !== null && value !== undefined) latlngs[i][field] = value;
+    });
+  });
+}
+
+/**
+ * Writes the per-point data stored on a path's LatLng objects into GeoJSON properties,
+ * replacing stale arrays copied from the feature (e.g. after vertices were edited).
+ * @param {L.Layer} layer - The Leaflet layer
+ * @param {object} geojson - The GeoJSON feature whose properties will be updated
+ */
+function applyPointDataProperties(layer, geojson) {
+  if (!(layer instanceof L.Polyline) || layer instanceof L.Polygon) return;
+  geojson.properties = geojson.properties || {};
+
+  const latlngs = getFlatLatLngs(layer);
+  Object.entries(POINT_DATA_FIELDS).forEach(([property, field]) => {
+    const values = latlngs.map((ll) => ll[field] ?? null);
+    if (values.some((value) => value !== null)) {
+      geojson.properties[property] = values;
+    } else {
+      delete geojson.properties[property];
+    }
+  });
+}
+
 /**
  * Gets all layers that should be included in full exports (everything/all).
  * Includes drawn items, imported items, current route, and Strava activities.
@@ -68,7 +143,8 @@ function getAllExportableLayers() {
     allLayers.push(layer);
   });
 
-  return allLayers;
+  // Items in user folders come first, in folder order
+  return sortLayersByFolder(allLayers);
 }
 
 /**
@@ -101,6 +177,24 @@ function escapeXml(unsafe) {
  */
 const SUPPORTED_IMPORT_GEOM_TYPES = ["Point", "LineString", "Polygon"];
 
+/**
+ * Picks the per-point arrays of one part of a multi-geometry. toGeoJSON stores them as
+ * one array per part (e.g. coordTimes for each track segment).
+ * @param {object} properties - The multi-geometry's feature properties
+ * @param {number} index - Index of the part
+ * @returns {object} Per-point properties for the part
+ */
+function splitPointDataProperties(properties, index) {
+  const result = {};
+  Object.keys(POINT_DATA_FIELDS).forEach((property) => {
+    const values = properties?.[property];
+    if (Array.isArray(values) && Array.isArray(values[0])) {
+      result[property] = values[index];
+    }
+  });
+  return result;
+}
+
 /**
  * Explodes multi-geometries and GeometryCollections into separate features.
  * Converts MultiLineString, MultiPolygon, MultiPoint, and GeometryCollection
@@ -124,7 +218,7 @@ function explodeMultiGeometries(feature) {
   if (geomType === "GeometryCollection") {
     // Count occurrences of each geometry type to handle duplicates
     const typeCounts = {};
-    return feature.geometry.geometries.map((geom) => {
+    return feature.geometry.geometries.map((geom, index) => {
       const type = geom.type;
       typeCounts[type] = (typeCounts[type] || 0) + 1;
       const suffix = typeCounts[type] > 1 ? ` ${typeCounts[type]}` : "";
@@ -135,6 +229,7 @@ function explodeMultiGeometries(feature) {
         geometry: geom,
         properties: {
           ...feature.properties,
+          ...splitPointDataProperties(feature.properties, index),
           name: feature.properties?.name
             ? `${feature.properties.name} (${typeLabel}${suffix})`
             : undefined,
@@ -156,6 +251,7 @@ function explodeMultiGeometries(feature) {
         geometry: { type: singleType, coordinates: coords },
         properties: {
           ...feature.properties,
+          ...splitPointDataProperties(feature.properties, index),
           name: feature.properties?.name
             ? `${feature.properties.name} (${typeLabel}${suffix})`
             : undefined,
@@ -192,7 +288,7 @@ function parseColorFromGeoJsonStyle(properties) {
  * Parses a color from KML style properties (after toGeoJSON conversion).
  *
  * Standard KML: LineStyle colors are parsed by toGeoJSON into properties.stroke
- * Our exports: Inline IconStyle colors are handled separately by applyKmlIconColors()
+ * Our exports: Inline IconStyle colors are handled separately by applyKmlIconStyles()
  *
  * @param {object} properties - The feature properties from toGeoJSON
  * @returns {string} Hex color or DEFAULT_COLOR
@@ -225,13 +321,114 @@ function parseColorFromKmlStyle(properties) {
   return DEFAULT_COLOR;
 }
 
+// Leaflet line weights are twice the KML width; the default weight of 10 was always exported as 5
+const KML_LINE_WIDTH_SCALE = 2;
+
+/**
+ * Normalizes a GPX <sym> name for matching: "Flag, Red" and "flag" both become "flag".
+ * @param {string} sym - The symbol name
+ * @returns {string} The normalized name
+ */
+function normalizeGpxSymbol(sym) {
+  return String(sym).split(",")[0].trim().toLowerCase();
+}
+
+/**
+ * Finds the marker symbol of a GPX <sym> name.
+ * @param {string} [sym] - The symbol name, e.g. "Campground"
+ * @returns {string|undefined} Name of the matching MARKER_SYMBOLS entry
+ */
+function getMarkerSymbolForGpxSymbol(sym) {
+  if (!sym) return undefined;
+  const normalized = normalizeGpxSymbol(sym);
+  return MARKER_SYMBOLS.find((symbol) =>
+    symbol.gpxSymbols.some((name) => normalizeGpxSymbol(name) === normalized),
+  )?.name;
+}
+
+/**
+ * Finds the marker symbol of a KML icon by the file name of its href.
+ * @param {string} [href] - The icon URL, e.g. ".../kml/shapes/campground.png"
+ * @returns {string|undefined} Name of the matching MARKER_SYMBOLS entry
+ */
+function getMarkerSymbolForKmlIcon(href) {
+  const fileName = String(href || "").match(/([\w-]+)\.(?:png|gif|jpe?g)(?:\?.*)?$/i)?.[1];
+  if (!fileName) return undefined;
+  return MARKER_SYMBOLS.find((symbol) => symbol.kmlIcons.includes(fileName.toLowerCase()))?.name;
+}
+
+/**
+ * Reads the style of an imported feature into FEATURE_STYLE_PROPERTIES. Uses our own
+ * properties if present (share links, re-imported KML), otherwise the simplestyle
+ * properties, which toGeoJSON also produces for KML <LineStyle>/<PolyStyle> and GPX <gpx_style:line>.
+ * Marker symbols are also read from GPX <sym> names and KML icons.
+ * Out-of-range values are clamped, unknown dash patterns and symbols are ignored, and
+ * properties that don't apply to the geometry (e.g. a fill for markers) are removed.
+ * @see https://github.com/mapbox/simplestyle-spec
+ * @param {object} feature - The GeoJSON feature, whose properties are updated in place
+ * @param {number} [widthScale] - Factor from the file's line width to the line weight
+ */
+function applyImportedStyleProperties(feature, widthScale = 1) {
+  const { properties } = feature;
+  const readNumber = (value, min, max) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : undefined;
+  };
+  const style = {
+    weight:
+      readNumber(properties.weight, 1, 30) ??
+      readNumber(properties["stroke-width"] * widthScale, 1, 30),
+    opacity: readNumber(properties.opacity ?? properties["stroke-opacity"], 0.1, 1),
+    dashPattern: LINE_DASH_PATTERNS[properties.dashPattern] ? properties.dashPattern : undefined,
+    fillColor: parseColor(String(properties.fillColor ?? properties.fill ?? "")) || undefined,
+    fillOpacity: readNumber(properties.fillOpacity ?? properties["fill-opacity"], 0, 1),
+    markerSymbol: [
+      properties.markerSymbol,
+      properties["marker-symbol"],
+      getMarkerSymbolForGpxSymbol(properties.sym),
+      getMarkerSymbolForKmlIcon(properties.icon),
+    ].find((symbol) => MARKER_SYMBOLS.some((s) => s.name === symbol)),
+    markerSize: readNumber(properties.markerSize, MARKER_SIZE_MIN, MARKER_SIZE_MAX),
+    markerLabel:
+      properties.markerLabel != null
+        ? String(properties.markerLabel).trim().slice(0, MARKER_LABEL_MAX_LENGTH)
+        : undefined,
+  };
+
+  const keys = getFeatureStyleKeys(feature.geometry?.type);
+  FEATURE_STYLE_PROPERTIES.forEach((key) => {
+    if (!keys.includes(key)) {
+      delete properties[key];
+      return;
+    }
+    // Line weights are rounded to a tenth, so GPX widths in millimeters come back unchanged
+    const digits = key === "weight" ? 1 : key === "markerSize" ? 0 : 2;
+    const value = typeof style[key] === "number" ? +style[key].toFixed(digits) : style[key];
+    setFeatureStyleProperty(properties, key, value);
+  });
+}
+
+/**
+ * Creates the properties that tag the items of an import with their file, so they can be
+ * told apart from the items of other imports (e.g. in the attribute table).
+ * @param {string} fileName - Name of the imported file
+ * @returns {{importId: string, importFile: string}} The properties
+ */
+function createImportSource(fileName) {
+  return {
+    importId: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    importFile: fileName,
+  };
+}
+
 /**
  * Imports GeoJSON data to the map, applying appropriate styles.
  * @param {object} geoJsonData - The GeoJSON data to add
- * @param {string} fileType - The file type ('gpx', 'kml', 'kmz', 'geojson')
+ * @param {string} fileType - The file type ('gpx', 'kml', 'kmz', 'geojson', 'tcx', 'fit', 'shp', 'csv', 'fgb')
+ * @param {object} [importSource] - Properties from createImportSource() added to every item
  * @returns {L.GeoJSON} The created layer group
  */
-function importGeoJsonToMap(geoJsonData, fileType) {
+function importGeoJsonToMap(geoJsonData, fileType, importSource) {
   const targetGroup = importedItems; // All imported files go to the same group
   const isKmlBased = fileType === "kml" || fileType === "kmz";
 
@@ -250,30 +447,25 @@ function importGeoJsonToMap(geoJsonData, fileType) {
     );
   };
 
+  // Resolve the color and style of each feature before its layer is created
+  geoJsonData.features.forEach((feature) => {
+    feature.properties = Object.assign(feature.properties || {}, importSource);
+    feature.properties.color = resolveColor(feature.properties);
+    applyImportedStyleProperties(feature, isKmlBased ? KML_LINE_WIDTH_SCALE : 1);
+  });
+
   const layerGroup = L.geoJSON(geoJsonData, {
-    style: (feature) => {
-      const color = resolveColor(feature.properties);
-      return { ...STYLE_CONFIG.path.default, color: color };
-    },
+    style: (feature) => getPathStyle(feature.properties, feature.geometry.type === "Polygon"),
     onEachFeature: (feature, layer) => {
-      const color = resolveColor(feature.properties);
-
-      // Store the resolved color
-      layer.feature.properties.color = color;
-
       // All imported items use fileType as pathType
       layer.pathType = fileType;
+      attachPointData(layer);
 
-      layer.on("click", (e) => {
-        L.DomEvent.stopPropagation(e);
-        selectItem(layer);
-      });
+      layer.on("click", (e) => handleLayerClick(e, layer));
     },
     pointToLayer: (feature, latlng) => {
-      const color = resolveColor(feature.properties);
-
       const marker = L.marker(latlng, {
-        icon: createMarkerIcon(color, STYLE_CONFIG.marker.default.opacity),
+        icon: createFeatureMarkerIcon(feature.properties),
       });
       marker.feature = feature;
       return marker;
@@ -290,6 +482,7 @@ function importGeoJsonToMap(geoJsonData, fileType) {
     map.addLayer(targetGroup);
   }
   updateOverviewList();
+  recordHistory(`Import ${fileType.toUpperCase()}`, layerGroup.getLayers());
   return layerGroup;
 }
 
@@ -340,7 +533,11 @@ function importGeoJsonFile(file) {
         features: explodedFeatures,
       };
 
-      const newLayer = importGeoJsonToMap(filteredGeoJson, "geojson");
+      const newLayer = importGeoJsonToMap(
+        filteredGeoJson,
+        "geojson",
+        createImportSource(file.name),
+      );
       if (newLayer && newLayer.getBounds().isValid()) {
         map.fitBounds(newLayer.getBounds());
       }
@@ -359,35 +556,46 @@ function importGeoJsonFile(file) {
 // Specification: https://www.topografix.com/gpx/1/1/
 
 /**
- * Parses colors from GPX DOM and attaches them to GeoJSON features.
- * Must be called BEFORE explosion to ensure all segments inherit the color.
+ * Parses colors, line styles and marker symbols from GPX DOM and attaches them to GeoJSON
+ * features (see applyImportedStyleProperties).
+ * Must be called BEFORE explosion to ensure all segments inherit the style.
  * @param {Document} dom - The parsed GPX XML document
  * @param {object} geojsonData - The GeoJSON data from toGeoJSON.gpx()
  */
-function applyGpxColors(dom, geojsonData) {
+function applyGpxStyles(dom, geojsonData) {
   const tracksInDom = dom.querySelectorAll("trk");
   const routesInDom = dom.querySelectorAll("rte");
   const waypointsInDom = dom.querySelectorAll("wpt");
 
-  // Extract colors from tracks (returns hex or null)
-  const trackColors = Array.from(tracksInDom).map((node) => {
-    const colorNode = node.querySelector("gpx_style\\:color, color");
-    return colorNode ? parseColor(colorNode.textContent) : null;
-  });
-
-  // Extract colors from routes (returns hex or null)
-  const routeColors = Array.from(routesInDom).map((node) => {
-    const colorNode = node.querySelector("gpx_style\\:color, color");
-    return colorNode ? parseColor(colorNode.textContent) : null;
-  });
+  // Extract the style of a track, route or waypoint (only the values that are present).
+  // Elements are matched by local name, as gpx_style elements usually have a prefix.
+  const readStyle = (node) => {
+    const style = {};
+    const readValue = (parent, name) =>
+      parent?.getElementsByTagNameNS("*", name)[0]?.textContent.trim() || null;
+    const color = parseColor(readValue(node, "color"));
+    if (color) style.color = color;
+
+    const line = node.getElementsByTagNameNS("*", "line")[0];
+    const opacity = readValue(line, "opacity");
+    const width = readValue(line, "width");
+    const pattern = readValue(line, "pattern");
+    if (opacity) style.opacity = opacity;
+    if (width) style.weight = width / GPX_MM_PER_PIXEL;
+    if (pattern) style.dashPattern = pattern;
+
+    ["markerSymbol", "markerSize", "markerLabel"].forEach((key) => {
+      const value = readValue(node, key);
+      if (value) style[key] = value;
+    });
+    return style;
+  };
 
-  // Extract colors from waypoints (returns hex or null)
-  const waypointColors = Array.from(waypointsInDom).map((node) => {
-    const colorNode = node.querySelector("gpx_style\\:color, color");
-    return colorNode ? parseColor(colorNode.textContent) : null;
-  });
+  const trackStyles = Array.from(tracksInDom).map(readStyle);
+  const routeStyles = Array.from(routesInDom).map(readStyle);
+  const waypointStyles = Array.from(waypointsInDom).map(readStyle);
 
-  // Apply colors to features (toGeoJSON outputs: trk, then rte, then wpt)
+  // Apply styles to features (toGeoJSON outputs: trk, then rte, then wpt)
   const trackCount = tracksInDom.length;
   const routeCount = routesInDom.length;
   let trackIndex = 0;
@@ -396,32 +604,123 @@ function applyGpxColors(dom, geojsonData) {
 
   geojsonData.features.forEach((feature) => {
     const type = feature.geometry?.type;
+    let style = null;
 
     if (type === "LineString" || type === "MultiLineString") {
-      // Tracks come first in toGeoJSON output
+      // Tracks come first in toGeoJSON output, routes come after tracks
       if (trackIndex < trackCount) {
-        if (trackColors[trackIndex]) {
-          feature.properties = feature.properties || {};
-          feature.properties.color = trackColors[trackIndex];
-        }
-        trackIndex++;
-      }
-      // Routes come after tracks
-      else if (routeIndex < routeCount) {
-        if (routeColors[routeIndex]) {
-          feature.properties = feature.properties || {};
-          feature.properties.color = routeColors[routeIndex];
-        }
-        routeIndex++;
+        style = trackStyles[trackIndex++];
+      } else if (routeIndex < routeCount) {
+        style = routeStyles[routeIndex++];
       }
     } else if (type === "Point") {
       // Waypoints come last
-      if (waypointIndex < waypointColors.length && waypointColors[waypointIndex]) {
-        feature.properties = feature.properties || {};
-        feature.properties.color = waypointColors[waypointIndex];
-      }
-      waypointIndex++;
+      style = waypointStyles[waypointIndex++];
+    }
+
+    if (style) {
+      feature.properties = { ...feature.properties, ...style };
+    }
+  });
+}
+
+// Per-point sensor values read from GPX extensions (e.g. Garmin TrackPointExtension),
+// matched by element name regardless of the namespace prefix. Power is read from Garmin's
+// PowerExtension as written on export, or from the plain <power> of Strava files.
+const GPX_SENSOR_TAGS = {
+  heartRates: ["hr"],
+  cadences: ["cad"],
+  temperatures: ["atemp"],
+  powers: ["PowerInWatts", "power"],
+};
+
+/**
+ * Reads timestamps and sensor values of GPX points into arrays aligned with the points.
+ * @param {Element[]} pointNodes - <trkpt> or <rtept> elements
+ * @returns {object} Per-point properties; arrays without any value are omitted
+ */
+function readGpxPointData(pointNodes) {
+  const findChild = (node, localName) =>
+    Array.from(node.children).find((child) => child.localName === localName);
+  const findDescendant = (node, localName) =>
+    Array.from(node.getElementsByTagName("*")).find((el) => el.localName === localName);
+
+  const data = {
+    coordTimes: pointNodes.map((pt) => findChild(pt, "time")?.textContent.trim() || null),
+  };
+  Object.entries(GPX_SENSOR_TAGS).forEach(([property, tags]) => {
+    data[property] = pointNodes.map((pt) => {
+      const extensions = findChild(pt, "extensions");
+      const element =
+        extensions && tags.map((tag) => findDescendant(extensions, tag)).find(Boolean);
+      const value = element ? parseFloat(element.textContent) : NaN;
+      return isNaN(value) ? null : value;
+    });
+  });
+
+  Object.keys(data).forEach((property) => {
+    if (data[property].every((value) => value === null)) delete data[property];
+  });
+  return data;
+}
+
+/**
+ * Attaches per-point timestamps and sensor extensions (heart rate, cadence, temperature,
+ * power) from the GPX DOM to the path features, and marks features read from <rte>.
+ * toGeoJSON drops timestamps of points without <time> and ignores most extensions, so the
+ * values are re-read from the DOM. Multi-segment tracks get one array per segment, which
+ * explodeMultiGeometries() splits up.
+ * Must be called BEFORE explosion.
+ * @param {Document} dom - The parsed GPX XML document
+ * @param {object} geojsonData - The GeoJSON data from toGeoJSON.gpx()
+ */
+function applyGpxPointData(dom, geojsonData) {
+  // toGeoJSON skips segments and routes with fewer than 2 points, so do the same here
+  const validPoints = (node, tagName) => {
+    const points = Array.from(node.getElementsByTagName(tagName));
+    return points.length >= 2 ? points : null;
+  };
+  const tracks = Array.from(dom.getElementsByTagName("trk"))
+    .map((trk) =>
+      Array.from(trk.getElementsByTagName("trkseg"))
+        .map((seg) => validPoints(seg, "trkpt"))
+        .filter(Boolean),
+    )
+    .filter((segments) => segments.length > 0);
+  const routes = Array.from(dom.getElementsByTagName("rte"))
+    .map((rte) => validPoints(rte, "rtept"))
+    .filter(Boolean);
+
+  const pathFeatures = geojsonData.features.filter(
+    (f) => f.geometry?.type === "LineString" || f.geometry?.type === "MultiLineString",
+  );
+  if (pathFeatures.length !== tracks.length + routes.length) return;
+
+  pathFeatures.forEach((feature, index) => {
+    feature.properties = feature.properties || {};
+    // Drop toGeoJSON's arrays, they aren't aligned with the points if any value is missing.
+    // Its "time" property of a path is the first point's timestamp, which is in coordTimes.
+    Object.keys(POINT_DATA_FIELDS).forEach((property) => delete feature.properties[property]);
+    delete feature.properties.time;
+
+    if (index >= tracks.length) {
+      feature.properties.gpxType = "rte";
+      Object.assign(feature.properties, readGpxPointData(routes[index - tracks.length]));
+      return;
     }
+
+    const segments = tracks[index].map(readGpxPointData);
+    if (segments.length === 1) {
+      Object.assign(feature.properties, segments[0]);
+      return;
+    }
+    Object.keys(POINT_DATA_FIELDS).forEach((property) => {
+      if (segments.some((segment) => segment[property])) {
+        feature.properties[property] = segments.map(
+          (segment, i) => segment[property] || tracks[index][i].map(() => null),
+        );
+      }
+    });
   });
 }
 
@@ -438,8 +737,9 @@ function importGpxFile(file) {
       const dom = new DOMParser().parseFromString(readEvent.target.result, "text/xml");
       const geojsonData = toGeoJSON.gpx(dom);
 
-      // Extract colors from GPX DOM and attach to features BEFORE explosion
-      applyGpxColors(dom, geojsonData);
+      // Extract styles and per-point data from GPX DOM and attach to features BEFORE explosion
+      applyGpxStyles(dom, geojsonData);
+      applyGpxPointData(dom, geojsonData);
 
       // Extract stravaId from tracks
       const tracksInDom = dom.querySelectorAll("trk");
@@ -476,7 +776,7 @@ function importGpxFile(file) {
       // Explode multi-geometries and filter for supported geometry types
       geojsonData.features = geojsonData.features.flatMap((f) => explodeMultiGeometries(f));
 
-      const newLayer = importGeoJsonToMap(geojsonData, "gpx");
+      const newLayer = importGeoJsonToMap(geojsonData, "gpx", createImportSource(file.name));
       if (newLayer && newLayer.getBounds().isValid()) {
         map.fitBounds(newLayer.getBounds());
       }
@@ -495,11 +795,13 @@ function importGpxFile(file) {
 // Specification: https://developers.google.com/kml/documentation/kmlreference
 
 /**
- * Extracts inline IconStyle colors from KML DOM and attaches them to GeoJSON features.
+ * Extracts inline IconStyle colors, icons and scales from KML DOM and attaches them to
+ * GeoJSON features (the icon as markerSymbol, the scale as markerSize).
  *
  * Why this is needed:
  * - toGeoJSON parses LineStyle/PolyStyle colors but ignores IconStyle colors
- * - This handles KML files with inline <Style><IconStyle><color> elements
+ * - toGeoJSON only reads the icon of shared styles (<styleUrl>), not of inline ones
+ * - This handles KML files with inline <Style><IconStyle> elements
  * - Primary use case: Re-importing our own KML/KMZ exports which use inline styles
  *
  * Must be called AFTER toGeoJSON conversion but BEFORE explosion.
@@ -507,7 +809,7 @@ function importGpxFile(file) {
  * @param {Document} dom - The parsed KML XML document
  * @param {object} geojsonData - The GeoJSON data from toGeoJSON.kml()
  */
-function applyKmlIconColors(dom, geojsonData) {
+function applyKmlIconStyles(dom, geojsonData) {
   const placemarks = dom.querySelectorAll("Placemark");
 
   // Require 1:1 mapping between DOM placemarks and GeoJSON features
@@ -521,16 +823,27 @@ function applyKmlIconColors(dom, geojsonData) {
     }
 
     const placemark = placemarks[index];
-    const iconStyleColor = placemark.querySelector("Style IconStyle color");
+    const iconStyle = placemark.querySelector("Style IconStyle");
+    if (!iconStyle) return;
+    feature.properties = feature.properties || {};
 
+    const iconStyleColor = iconStyle.querySelector("color");
     if (iconStyleColor) {
       const kmlColor = iconStyleColor.textContent.trim();
       const cssColor = kmlToCssColor(kmlColor);
       if (cssColor) {
-        feature.properties = feature.properties || {};
         feature.properties.color = cssColor;
       }
     }
+
+    // Our own exports also keep the symbol in <ExtendedData>, which takes precedence
+    const symbol = getMarkerSymbolForKmlIcon(iconStyle.querySelector("Icon href")?.textContent);
+    if (symbol && !feature.properties.markerSymbol) feature.properties.markerSymbol = symbol;
+
+    const scale = parseFloat(iconStyle.querySelector("scale")?.textContent);
+    if (scale > 0 && feature.properties.markerSize === undefined) {
+      feature.properties.markerSize = scale * STYLE_CONFIG.marker.baseSize;
+    }
   });
 }
 
@@ -553,12 +866,23 @@ function parseKmlContent(kmlText) {
         feature.properties = feature.properties || {};
         feature.properties.stravaId = stravaIdData.textContent.trim();
       }
+
+      // Placemarks in a named <Folder> go into a user folder of the same name,
+      // except for the category folders written by our own KML export
+      const folderName = placemark
+        .closest("Folder")
+        ?.querySelector(":scope > name")
+        ?.textContent.trim();
+      if (folderName && !KML_CATEGORY_FOLDERS.includes(folderName)) {
+        feature.properties = feature.properties || {};
+        feature.properties.folder = folderName;
+      }
     });
   }
 
-  // Extract inline IconStyle colors (for re-importing our own KML/KMZ exports)
+  // Extract inline IconStyle colors, icons and scales (for re-importing our own KML/KMZ exports)
   // Must be called BEFORE explosion so colors propagate to all exploded features
-  applyKmlIconColors(dom, geojsonData);
+  applyKmlIconStyles(dom, geojsonData);
 
   // Explode multi-geometries and filter for supported geometry types
   if (geojsonData?.features) {
@@ -580,7 +904,7 @@ function importKmlFile(file) {
     try {
       const geojsonData = parseKmlContent(readEvent.target.result);
 
-      const newLayer = importGeoJsonToMap(geojsonData, "kml");
+      const newLayer = importGeoJsonToMap(geojsonData, "kml", createImportSource(file.name));
       if (newLayer && newLayer.getBounds().isValid()) {
         map.fitBounds(newLayer.getBounds());
       }
@@ -604,6 +928,7 @@ async function importKmzFile(file) {
 
   const zip = new JSZip();
   const justImportedLayers = L.featureGroup();
+  const importSource = createImportSource(file.name); // Shared by all KML files in the archive
 
   try {
     const loadedZip = await zip.loadAsync(file);
@@ -626,7 +951,7 @@ async function importKmzFile(file) {
 
         // Import features if present
         if (geojsonData?.features?.length > 0) {
-          const newLayer = importGeoJsonToMap(geojsonData, "kmz");
+          const newLayer = importGeoJsonToMap(geojsonData, "kmz", importSource);
           if (newLayer) {
             justImportedLayers.addLayer(newLayer);
           }
@@ -669,16 +994,57 @@ const GEOJSON_EXPORT_EXCLUDED_PROPERTIES = [
   "fill",
   "fill-color",
   "fill-opacity",
+  "weight", // Written as simplestyle properties instead (see getSimpleStyleProperties)
+  "opacity",
+  "fillColor",
+  "fillOpacity",
+  "markerSymbol",
+  "routeWaypoints", // Route points of paths drawn along roads (see routed-drawing.js)
+  "routeWaypointIndices",
+  "importId", // The import the item came from (see createImportSource)
+  "importFile",
 ];
 
 // GeoJSON
 // Specification: https://tools.ietf.org/html/rfc7946
 
 /**
- * Exports map items to a GeoJSON file with color preservation.
+ * Builds the simplestyle properties of a layer from its color and style.
+ * The dash pattern, marker size and marker label have no simplestyle equivalent and stay in
+ * their own properties.
+ * @see https://github.com/mapbox/simplestyle-spec
+ * @param {L.Layer} layer - The layer
+ * @returns {object} The simplestyle properties
+ */
+function getSimpleStyleProperties(layer) {
+  const properties = layer.feature?.properties || {};
+  const color = properties.color || DEFAULT_COLOR;
+
+  if (layer instanceof L.Marker) {
+    const style = { "marker-color": color };
+    if (properties.markerSymbol) style["marker-symbol"] = properties.markerSymbol;
+    return style;
+  }
+
+  const pathStyle = getPathStyle(properties, layer instanceof L.Polygon);
+  const style = {
+    stroke: color,
+    "stroke-width": pathStyle.weight,
+    "stroke-opacity": pathStyle.opacity,
+  };
+  if (layer instanceof L.Polygon) {
+    style.fill = pathStyle.fillColor;
+    style["fill-opacity"] = pathStyle.fillOpacity;
+  }
+  return style;
+}
+
+/**
+ * Exports map items to a GeoJSON file with color and style preservation.
  * @param {Object} options - Export options
  * @param {string} options.mode - Export mode: "all" (default), "single", or "strava"
- * @param {L.Layer} options.layer - Single layer to export (required when mode is "single")
+ * @param {L.Layer} options.layer - Single layer to export (mode "single")
+ * @param {L.Layer[]} options.layers - Several layers to export as one file (mode "single")
  * @param {string} options.filePrefix - Prefix for the filename (defaults based on mode)
  * @param {string} options.successTitle - Success dialog title (defaults based on mode)
  * @param {string} options.successText - Success dialog text (defaults based on mode)
@@ -687,6 +1053,7 @@ function exportGeoJson(options = {}) {
   const {
     mode = "all",
     layer = null,
+    layers = null,
     filePrefix = null,
     successTitle = "Export Successful!",
     successText = null,
@@ -697,13 +1064,13 @@ function exportGeoJson(options = {}) {
 
   // Collect layers based on mode
   if (mode === "single") {
-    if (!layer) {
+    allLayers = layers || (layer ? [layer] : []);
+    if (allLayers.length === 0) {
       return Swal.fire({
         title: "No Item Selected",
         text: "Please select an item to export.",
       });
     }
-    allLayers = [layer];
   } else if (mode === "strava") {
     stravaActivitiesLayer.eachLayer((l) => {
       allLayers.push(l);
@@ -739,9 +1106,7 @@ function exportGeoJson(options = {}) {
 
       // Extract full precision coordinates directly from layer
       applyFullPrecisionCoordinates(layer, geojson);
-
-      // Get color (stored hex or default)
-      const color = layer.feature?.properties?.color || DEFAULT_COLOR;
+      applyPointDataProperties(layer, geojson);
 
       // Filter out excluded properties
       const filteredProperties = Object.keys(geojson.properties || {}).reduce((acc, key) => {
@@ -751,20 +1116,12 @@ function exportGeoJson(options = {}) {
         return acc;
       }, {});
 
-      // Set filtered properties
+      // Set filtered properties and add standard GeoJSON styling for other tools
       geojson.properties = {
         ...filteredProperties,
+        ...getSimpleStyleProperties(layer),
       };
 
-      // Add standard GeoJSON styling for other tools
-      if (layer instanceof L.Polyline || layer instanceof L.Polygon) {
-        geojson.properties.stroke = color;
-      }
-
-      if (layer instanceof L.Marker) {
-        geojson.properties["marker-color"] = color;
-      }
-
       // Ensure type: "Feature" is present
       geojson.type = "Feature";
 
@@ -789,11 +1146,15 @@ function exportGeoJson(options = {}) {
     features: features,
   };
 
+  // A single exported item is named after the item itself
+  const singleItemName =
+    mode === "single" && allLayers.length === 1 ? allLayers[0].feature?.properties?.name : null;
+
   // Determine filename prefix
   let finalFilePrefix = filePrefix;
   if (!finalFilePrefix) {
     if (mode === "single") {
-      finalFilePrefix = layer.feature?.properties?.name || "Map_Export";
+      finalFilePrefix = singleItemName || (allLayers.length > 1 ? "Selected_Items" : "Map_Export");
     } else if (mode === "strava") {
       finalFilePrefix = "Strava_Export";
     } else {
@@ -802,10 +1163,9 @@ function exportGeoJson(options = {}) {
   }
 
   // Generate filename with timestamp (except for single items with custom names)
-  const fileName =
-    mode === "single" && layer.feature?.properties?.name
-      ? `${finalFilePrefix}.geojson`
-      : generateTimestampedFilename(finalFilePrefix, "geojson");
+  const fileName = singleItemName
+    ? `${finalFilePrefix}.geojson`
+    : generateTimestampedFilename(finalFilePrefix, "geojson");
 
   // Download file
   downloadFile(fileName, JSON.stringify(geojsonDoc, null, 2));
@@ -827,140 +1187,362 @@ function exportGeoJson(options = {}) {
 // GPX
 // Specification: https://www.topografix.com/gpx/1/1/
 
+const GPX_MM_PER_PIXEL = 25.4 / 96; // gpx_style line widths are in millimeters
+
+const GPX_HEADER = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1"
+    xmlns:gpxx="http://www.garmin.com/xmlschemas/GpxExtensions/v3"
+    xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1"
+    xmlns:pwr="http://www.garmin.com/xmlschemas/PowerExtension/v1"
+    xmlns:gpx_style="http://www.topografix.com/GPX/gpx_style/0/2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.topografix.com/GPX/1/1 https://www.topografix.com/GPX/1/1/gpx.xsd http://www.topografix.com/GPX/gpx_style/0/2 https://www.topografix.com/GPX/gpx_style/0/2/gpx_style.xsd http://www.garmin.com/xmlschemas/GpxExtensions/v3 https://www.garmin.com/xmlschemas/GpxExtensionsv3.xsd http://www.garmin.com/xmlschemas/TrackPointExtension/v1 https://www8.garmin.com/xmlschemas/TrackPointExtensionv1.xsd http://www.garmin.com/xmlschemas/PowerExtension/v1 https://www8.garmin.com/xmlschemas/PowerExtensionv1.xsd">`;
+
 /**
- * Converts a Leaflet layer to a GPX string, supporting markers and paths with colors.
+ * Converts a vertex to a GPX <trkpt> or <rtept>, including the elevation, timestamp and
+ * sensor values stored on the LatLng (see POINT_DATA_FIELDS).
+ * @param {string} tagName - "trkpt" or "rtept"
+ * @param {L.LatLng} latlng - The vertex
+ * @returns {string} The GPX point element as a string
+ */
+function convertLatLngToGpxPoint(tagName, latlng) {
+  let pt = `<${tagName} lat="${latlng.lat}" lon="${latlng.lng}">`;
+  if (typeof latlng.alt !== "undefined" && latlng.alt !== null) {
+    pt += `<ele>${latlng.alt}</ele>`;
+  }
+  if (latlng.time) {
+    pt += `<time>${escapeXml(latlng.time)}</time>`;
+  }
+
+  // Garmin TrackPointExtension requires the order atemp, hr, cad. It has no power field, so
+  // power goes into Garmin's PowerExtension.
+  const trackPointExtension = ["atemp", "hr", "cad"]
+    .filter((field) => typeof latlng[field] === "number")
+    .map((field) => `<gpxtpx:${field}>${latlng[field]}</gpxtpx:${field}>`)
+    .join("");
+  const power =
+    typeof latlng.power === "number" ? `<pwr:PowerInWatts>${latlng.power}</pwr:PowerInWatts>` : "";
+  if (trackPointExtension || power) {
+    pt +=
+      "<extensions>" +
+      (trackPointExtension
+        ? `<gpxtpx:TrackPointExtension>${trackPointExtension}</gpxtpx:TrackPointExtension>`
+        : "") +
+      `${power}</extensions>`;
+  }
+
+  pt += `</${tagName}>`;
+  return pt;
+}
+
+/**
+ * Gets the GPX <sym> of a marker from its symbol. An imported <sym> is kept while it still
+ * matches the symbol, so names like "Flag, Red" survive a round trip.
+ * @param {object} properties - The feature properties
+ * @returns {string|undefined} The symbol name, undefined for symbols without a GPX name
+ */
+function getGpxSymbol(properties) {
+  if (!properties.markerSymbol) return properties.sym;
+  if (getMarkerSymbolForGpxSymbol(properties.sym) === properties.markerSymbol) {
+    return properties.sym;
+  }
+  return MARKER_SYMBOLS.find((symbol) => symbol.name === properties.markerSymbol)?.gpxSymbols[0];
+}
+
+/**
+ * Converts a Leaflet layer to a GPX <wpt>, <rte> or <trk> element, supporting markers and
+ * paths with colors and styles. Paths imported from a GPX <rte> are written back as routes.
  * Note: GPX has no polygon support; areas export as closed tracks and import as paths.
  * @param {L.Layer} layer - The layer to convert
- * @returns {string} The GPX file content as a string
+ * @returns {string} The GPX element as a string
  */
-function convertLayerToGpx(layer) {
-  const name = layer.feature?.properties?.name || "Exported Feature";
-  const description = layer.feature?.properties?.description || "";
-  const color = layer.feature?.properties?.color || DEFAULT_COLOR;
+function convertLayerToGpxElement(layer) {
+  const properties = layer.feature?.properties || {};
+  const name = properties.name || "Exported Feature";
+  const description = properties.description || properties.desc || "";
+  const color = properties.color || DEFAULT_COLOR;
   // Remove # prefix for GPX format
   const gpxColorHex = color.substring(1).toUpperCase();
-  const stravaId = layer.feature?.properties?.stravaId;
+  const stravaId = properties.stravaId;
 
   const safeName = escapeXml(name);
   const safeDescription = escapeXml(description);
-
-  const header = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1"
-    xmlns:gpxx="http://www.garmin.com/xmlschemas/GpxExtensions/v3"
-    xmlns:gpx_style="http://www.topografix.com/GPX/gpx_style/0/2"
-    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-    xsi:schemaLocation="http://www.topografix.com/GPX/1/1 https://www.topografix.com/GPX/1/1/gpx.xsd http://www.topografix.com/GPX/gpx_style/0/2 https://www.topografix.com/GPX/gpx_style/0/2/gpx_style.xsd http://www.garmin.com/xmlschemas/GpxExtensions/v3 https://www.garmin.com/xmlschemas/GpxExtensionsv3.xsd">`;
+  const optionalElement = (tag, value, indent) =>
+    value ? `\n${indent}<${tag}>${escapeXml(value)}</${tag}>` : "";
 
   let content = "";
 
-  if (layer instanceof L.Polygon) {
-    let latlngs = layer.getLatLngs()[0];
-
-    // Close the polygon by adding the first point at the end
-    const closedLatLngs = [...latlngs, latlngs[0]];
-
-    const pathPoints = closedLatLngs
-      .map((p) => {
-        let pt = `<trkpt lat="${p.lat}" lon="${p.lng}">`;
-        if (typeof p.alt !== "undefined" && p.alt !== null) {
-          pt += `<ele>${p.alt}</ele>`;
-        }
-        pt += `</trkpt>`;
-        return pt;
-      })
-      .join("\n      ");
-
-    content = `
-  <trk>
-    <name>${safeName}</name>
-    <extensions>
-      <gpx_style:line>
-        <gpx_style:color>${gpxColorHex}</gpx_style:color>
-      </gpx_style:line>
-      <color>#FF${gpxColorHex}</color>${stravaId ? `\n      <stravaId>${stravaId}</stravaId>` : ""}
-    </extensions>
-    <trkseg>
-      ${pathPoints}
-    </trkseg>
-  </trk>`;
-  } else if (layer instanceof L.Polyline) {
-    let latlngs = layer.getLatLngs();
-    while (latlngs.length > 0 && Array.isArray(latlngs[0]) && !(latlngs[0] instanceof L.LatLng)) {
-      latlngs = latlngs[0];
+  if (layer instanceof L.Polyline) {
+    let latlngs;
+    if (layer instanceof L.Polygon) {
+      // Close the polygon by adding the first point at the end
+      const ring = layer.getLatLngs()[0];
+      latlngs = [...ring, ring[0]];
+    } else {
+      latlngs = getFlatLatLngs(layer);
     }
 
+    const isRoute = properties.gpxType === "rte" && !(layer instanceof L.Polygon);
+    const pointTag = isRoute ? "rtept" : "trkpt";
     const pathPoints = latlngs
-      .map((p) => {
-        let pt = `<trkpt lat="${p.lat}" lon="${p.lng}">`;
-        if (typeof p.alt !== "undefined" && p.alt !== null) {
-          pt += `<ele>${p.alt}</ele>`;
-        }
-        pt += `</trkpt>`;
-        return pt;
-      })
-      .join("\n      ");
+      .map((p) => convertLatLngToGpxPoint(pointTag, p))
+      .join(isRoute ? "\n    " : "\n      ");
 
-    content = `
-  <trk>
-    <name>${safeName}</name>
+    const pathStyle = getPathStyle(properties);
+    const lineWidth = +(pathStyle.weight * GPX_MM_PER_PIXEL).toFixed(2);
+    const dashPattern = pathStyle.dashArray ? properties.dashPattern : "";
+
+    const header = `
+    <name>${safeName}</name>${safeDescription ? `\n    <desc>${safeDescription}</desc>` : ""}${optionalElement("type", properties.type, "    ")}
     <extensions>
       <gpx_style:line>
         <gpx_style:color>${gpxColorHex}</gpx_style:color>
+        <gpx_style:opacity>${pathStyle.opacity}</gpx_style:opacity>
+        <gpx_style:width>${lineWidth}</gpx_style:width>${optionalElement("gpx_style:pattern", dashPattern, "        ")}
       </gpx_style:line>
       <color>#FF${gpxColorHex}</color>${stravaId ? `\n      <stravaId>${stravaId}</stravaId>` : ""}
-    </extensions>
+    </extensions>`;
+
+    content = isRoute
+      ? `
+  <rte>${header}
+    ${pathPoints}
+  </rte>`
+      : `
+  <trk>${header}
     <trkseg>
       ${pathPoints}
     </trkseg>
   </trk>`;
   } else if (layer instanceof L.Marker) {
     const latlng = layer.getLatLng();
+    const elevation = typeof latlng.alt === "number" ? `\n    <ele>${latlng.alt}</ele>` : "";
     const wptExtensions =
       `\n    <extensions>\n      <color>#FF${gpxColorHex}</color>` +
+      optionalElement("markerSymbol", properties.markerSymbol, "      ") +
+      optionalElement("markerSize", properties.markerSize, "      ") +
+      optionalElement("markerLabel", properties.markerLabel, "      ") +
       (stravaId ? `\n      <stravaId>${stravaId}</stravaId>` : "") +
       `\n    </extensions>`;
     content = `
-  <wpt lat="${latlng.lat}" lon="${latlng.lng}">
-    <name>${safeName}</name>${safeDescription ? `\n    <desc>${safeDescription}</desc>` : ""}${wptExtensions}
+  <wpt lat="${latlng.lat}" lon="${latlng.lng}">${elevation}${optionalElement("time", properties.time, "    ")}
+    <name>${safeName}</name>${optionalElement("cmt", properties.cmt, "    ")}${safeDescription ? `\n    <desc>${safeDescription}</desc>` : ""}${optionalElement("sym", getGpxSymbol(properties), "    ")}${optionalElement("type", properties.type, "    ")}${wptExtensions}
   </wpt>`;
   }
 
-  const footer = "\n</gpx>";
-  return header + content + footer;
+  return content;
+}
+
+/**
+ * Converts the turn instructions of a path to a GPX <rte> whose route points are the
+ * maneuvers, so bike computers can show them as turn cues along the path.
+ * @param {L.Layer} layer - The layer to convert
+ * @returns {string} The GPX route element, or an empty string if the layer has no instructions
+ */
+function convertRouteInstructionsToGpxRoute(layer) {
+  const instructions = getRouteInstructions(layer);
+  if (!instructions) return "";
+  const name = layer.feature.properties.name || "Exported Feature";
+  const points = instructions
+    .map(({ text, type, location: [lng, lat] }) => {
+      const typeElement = type ? `<type>${escapeXml(type)}</type>` : "";
+      return `<rtept lat="${lat}" lon="${lng}"><name>${escapeXml(text)}</name>${typeElement}</rtept>`;
+    })
+    .join("\n    ");
+  return `
+  <rte>
+    <name>${escapeXml(name)} (Directions)</name>
+    ${points}
+  </rte>`;
+}
+
+/**
+ * Converts one or more Leaflet layers to a GPX string.
+ * Waypoints are written before routes and routes before tracks, as required by the GPX schema.
+ * Paths with turn instructions get an additional route with the maneuvers.
+ * @param {L.Layer|L.Layer[]} layers - The layer or layers to convert
+ * @returns {string} The GPX file content as a string
+ */
+function convertLayerToGpx(layers) {
+  const layerList = Array.isArray(layers) ? layers : [layers];
+  const isRoute = (layer) =>
+    layer.feature?.properties?.gpxType === "rte" && !(layer instanceof L.Polygon);
+  const markers = layerList.filter((layer) => layer instanceof L.Marker);
+  const routes = layerList.filter((layer) => !(layer instanceof L.Marker) && isRoute(layer));
+  const tracks = layerList.filter((layer) => !(layer instanceof L.Marker) && !isRoute(layer));
+  const content =
+    [...markers, ...routes].map(convertLayerToGpxElement).join("") +
+    layerList.map(convertRouteInstructionsToGpxRoute).join("") +
+    tracks.map(convertLayerToGpxElement).join("");
+  return GPX_HEADER + content + "\n</gpx>";
+}
+
+// TCX
+// Specification: https://www8.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd
+
+const TCX_DEFAULT_SPEED = 5; // m/s, for course times when neither timestamps nor route times exist
+const TCX_COURSE_NAME_MAX_LENGTH = 15;
+const TCX_COURSE_POINT_NAME_MAX_LENGTH = 10;
+
+/**
+ * Gets the TCX course point type of a route instruction.
+ * @param {string} type - Leaflet Routing Machine instruction type
+ * @returns {string} "Left", "Right", "Straight" or "Generic"
+ */
+function getTcxCoursePointType(type = "") {
+  if (type.endsWith("Left")) return "Left";
+  if (type.endsWith("Right")) return "Right";
+  if (type === "Straight") return "Straight";
+  return "Generic";
+}
+
+/**
+ * Converts a path to a TCX course. The turn instructions of saved routes become course
+ * points. Courses need a time for every point: recorded timestamps are used if the whole
+ * path has them, otherwise times are spread along the path using the route's duration
+ * (or a default speed), starting now.
+ * @param {L.Polyline} layer - The path to convert
+ * @returns {string} The TCX file content as a string
+ */
+function convertLayerToTcx(layer) {
+  const name = layer.feature?.properties?.name || "Exported Course";
+  const latlngs = getFlatLatLngs(layer);
+  const instructions = getRouteInstructions(layer) || [];
+
+  const distances = [0];
+  for (let i = 1; i < latlngs.length; i++) {
+    distances.push(distances[i - 1] + latlngs[i - 1].distanceTo(latlngs[i]));
+  }
+  const totalDistance = distances[distances.length - 1];
+
+  const hasTimestamps = latlngs.every((latlng) => latlng.time && !isNaN(Date.parse(latlng.time)));
+  const routeSeconds = instructions.reduce((sum, instruction) => sum + (instruction.time || 0), 0);
+  const speed =
+    routeSeconds > 0 && totalDistance > 0 ? totalDistance / routeSeconds : TCX_DEFAULT_SPEED;
+  const startTime = Date.now();
+  const times = latlngs.map((latlng, i) =>
+    hasTimestamps
+      ? new Date(latlng.time)
+      : new Date(startTime + Math.round((distances[i] / speed) * 1000)),
+  );
+  const totalSeconds = latlngs.length > 0 ? (times[times.length - 1] - times[0]) / 1000 : 0;
+
+  const position = (latlng) =>
+    `<Position><LatitudeDegrees>${latlng.lat}</LatitudeDegrees><LongitudeDegrees>${latlng.lng}</LongitudeDegrees></Position>`;
+
+  const trackpoints = latlngs
+    .map((latlng, i) => {
+      const altitude =
+        typeof latlng.alt === "number" ? `<AltitudeMeters>${latlng.alt}</AltitudeMeters>` : "";
+      return `<Trackpoint><Time>${times[i].toISOString()}</Time>${position(latlng)}${altitude}<DistanceMeters>${distances[i].toFixed(1)}</DistanceMeters></Trackpoint>`;
+    })
+    .join("\n        ");
+
+  // Each course point takes the time of the closest vertex after the previous one
+  let searchStart = 0;
+  const coursePoints = instructions
+    .map((instruction) => {
+      const target = getInstructionLatLng(instruction);
+      let index = searchStart;
+      for (let i = searchStart; i < latlngs.length; i++) {
+        if (latlngs[i].distanceTo(target) < latlngs[index].distanceTo(target)) index = i;
+      }
+      searchStart = index;
+      return `
+      <CoursePoint>
+        <Name>${escapeXml(instruction.text.slice(0, TCX_COURSE_POINT_NAME_MAX_LENGTH))}</Name>
+        <Time>${times[index].toISOString()}</Time>
+        ${position(target)}
+        <PointType>${getTcxCoursePointType(instruction.type)}</PointType>
+        <Notes>${escapeXml(instruction.text)}</Notes>
+      </CoursePoint>`;
+    })
+    .join("");
+
+  const first = latlngs[0];
+  const last = latlngs[latlngs.length - 1];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 https://www8.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">
+  <Courses>
+    <Course>
+      <Name>${escapeXml(name.slice(0, TCX_COURSE_NAME_MAX_LENGTH))}</Name>
+      <Lap>
+        <TotalTimeSeconds>${totalSeconds.toFixed(1)}</TotalTimeSeconds>
+        <DistanceMeters>${totalDistance.toFixed(1)}</DistanceMeters>
+        <BeginPosition><LatitudeDegrees>${first.lat}</LatitudeDegrees><LongitudeDegrees>${first.lng}</LongitudeDegrees></BeginPosition>
+        <EndPosition><LatitudeDegrees>${last.lat}</LatitudeDegrees><LongitudeDegrees>${last.lng}</LongitudeDegrees></EndPosition>
+        <Intensity>Active</Intensity>
+      </Lap>
+      <Track>
+        ${trackpoints}
+      </Track>${coursePoints}
+    </Course>
+  </Courses>
+</TrainingCenterDatabase>`;
 }
 
 // KML / KMZ
 // Specification: https://developers.google.com/kml/documentation/kmlreference
 
+const KML_DEFAULT_ICON_HREF = "https://maps.google.com/mapfiles/kml/pushpin/wht-pushpin.png";
+const KML_SHAPE_ICON_URL = "https://maps.google.com/mapfiles/kml/shapes/";
+
+/**
+ * Gets the Google Earth icon of a marker's symbol (see MARKER_SYMBOLS).
+ * @param {object} properties - The feature properties
+ * @returns {string|null} The icon URL, or null for the pin and symbols without a KML icon
+ */
+function getKmlSymbolIconHref(properties) {
+  const symbol = MARKER_SYMBOLS.find((s) => s.name === properties.markerSymbol);
+  return symbol?.kmlIcons.length ? `${KML_SHAPE_ICON_URL}${symbol.kmlIcons[0]}.png` : null;
+}
+
 /**
  * Converts a Leaflet layer to a KML placemark string.
  * @param {L.Layer} layer - The layer to convert
  * @param {string} defaultName - A fallback name
  * @param {string} defaultDescription - A fallback description
+ * @param {object} [options] - KMZ options: iconHref and iconHotSpot ({x, y} fractions) of the
+ *   icon of markers whose symbol has no Google Earth icon, getMarkerIcon (returns the bundled
+ *   {href, hotSpot, scale} icon of a marker's properties, if any), transformDescription
+ *   (rewrites the description before it's escaped)
  * @returns {string|null} The KML placemark string or null
  */
-function convertLayerToKmlPlacemark(layer, defaultName, defaultDescription = "") {
+function convertLayerToKmlPlacemark(layer, defaultName, defaultDescription = "", options = {}) {
   let name = defaultName;
   let description = defaultDescription;
   if (layer.feature && layer.feature.properties) {
     name = layer.feature.properties.name || name;
     description = layer.feature.properties.description || description;
   }
+  if (description && options.transformDescription) {
+    description = options.transformDescription(description);
+  }
 
-  const color = layer.feature?.properties?.color || DEFAULT_COLOR;
+  const properties = layer.feature?.properties || {};
+  const color = properties.color || DEFAULT_COLOR;
   const kmlColor = cssToKmlColor(color);
 
   const safeName = escapeXml(name);
   const safeDescription = description ? escapeXml(description) : "";
-  const stravaId = layer.feature?.properties?.stravaId;
+
+  // KML styles have no dash patterns or marker labels and only a few marker symbols, so they
+  // are kept as extended data
+  const extendedData = ["stravaId", "dashPattern", "markerSymbol", "markerLabel"]
+    .filter((key) => properties[key])
+    .map(
+      (key) =>
+        `      <Data name="${key}">\n        <value>${escapeXml(String(properties[key]))}</value>\n      </Data>\n`,
+    )
+    .join("");
 
   const placemarkStart =
     `  <Placemark>\n` +
     `    <name>${safeName}</name>\n` +
     (safeDescription ? `    <description>${safeDescription}</description>\n` : "") +
-    (stravaId
-      ? `    <ExtendedData>\n      <Data name="stravaId">\n        <value>${stravaId}</value>\n      </Data>\n    </ExtendedData>\n`
-      : "");
+    (extendedData ? `    <ExtendedData>\n${extendedData}    </ExtendedData>\n` : "");
 
   const placemarkEnd = `  </Placemark>`;
 
@@ -990,12 +1572,19 @@ function convertLayerToKmlPlacemark(layer, defaultName, defaultDescription = "")
         ? `    <Polygon><outerBoundaryIs><LinearRing><coordinates>${coords}</coordinates></LinearRing></outerBoundaryIs></Polygon>\n`
         : `    <LineString><coordinates>${coords}</coordinates></LineString>\n`;
 
+    const pathStyle = getPathStyle(properties, geometryType === "Polygon");
     const styleTag =
       `    <Style>\n` +
       `      <LineStyle>\n` +
-      `        <color>${kmlColor}</color>\n` +
-      `        <width>5</width>\n` +
+      `        <color>${cssToKmlColor(color, pathStyle.opacity)}</color>\n` +
+      `        <width>${pathStyle.weight / KML_LINE_WIDTH_SCALE}</width>\n` +
       `      </LineStyle>\n` +
+      (geometryType === "Polygon"
+        ? `      <PolyStyle>\n` +
+          `        <color>${cssToKmlColor(pathStyle.fillColor, pathStyle.fillOpacity)}</color>\n` +
+          `        <fill>${pathStyle.fill ? 1 : 0}</fill>\n` +
+          `      </PolyStyle>\n`
+        : "") +
       `    </Style>\n`;
 
     return placemarkStart + styleTag + geometryTag + placemarkEnd;
@@ -1006,13 +1595,26 @@ function convertLayerToKmlPlacemark(layer, defaultName, defaultDescription = "")
     const alt = typeof latlng.alt === "number" ? latlng.alt : 0;
     const pointTag = `    <Point><coordinates>${latlng.lng},${latlng.lat},${alt}</coordinates></Point>\n`;
 
+    // Bundled icons are drawn in the marker's color, so they aren't tinted
+    const bundledIcon = options.getMarkerIcon?.(properties);
+    const symbolIconHref = !bundledIcon && getKmlSymbolIconHref(properties);
+    const iconHotSpot = bundledIcon?.hotSpot || (!symbolIconHref && options.iconHotSpot);
+    const iconScale =
+      ((properties.markerSize ?? STYLE_CONFIG.marker.baseSize) / STYLE_CONFIG.marker.baseSize) *
+      (bundledIcon?.scale ?? 1);
     const styleTag =
       `    <Style>\n` +
       `      <IconStyle>\n` +
-      `        <color>${kmlColor}</color>\n` +
+      `        <color>${bundledIcon ? "FFFFFFFF" : kmlColor}</color>\n` +
+      (properties.markerSize || bundledIcon
+        ? `        <scale>${+iconScale.toFixed(3)}</scale>\n`
+        : "") +
       `        <Icon>\n` +
-      `          <href>https://maps.google.com/mapfiles/kml/pushpin/wht-pushpin.png</href>\n` +
+      `          <href>${escapeXml(bundledIcon?.href || symbolIconHref || options.iconHref || KML_DEFAULT_ICON_HREF)}</href>\n` +
       `        </Icon>\n` +
+      (iconHotSpot
+        ? `        <hotSpot x="${iconHotSpot.x}" y="${iconHotSpot.y}" xunits="fraction" yunits="fraction"/>\n`
+        : "") +
       `      </IconStyle>\n` +
       `    </Style>\n`;
 
@@ -1042,6 +1644,9 @@ function buildKmlDocument(name, placemarks) {
   );
 }
 
+// Folders written by buildKmlContent() for items that aren't in a user folder
+const KML_CATEGORY_FOLDERS = ["Drawn Features", "Imported Features", "Strava Activities"];
+
 /**
  * Builds a KML Folder element containing placemarks.
  * @param {string} name - The name for the folder
@@ -1063,24 +1668,33 @@ function buildKmlFolder(name, placemarks) {
  * Uses Folder elements for maximum compatibility with Google Earth Web,
  * Google MyMaps, map.geo.admin.ch, and other KML viewers.
  * @param {string} docName - The name for the KML document
+ * @param {object} [placemarkOptions] - Options for convertLayerToKmlPlacemark() (KMZ export)
  * @returns {string|null} The KML content as a string, or null if no data
  */
-function buildKmlContent(docName) {
+function buildKmlContent(docName, placemarkOptions = {}) {
   const folders = [];
   let featureCounter = 0;
 
   const drawnFeatures = [];
   const importedFeatures = [];
   const stravaActivities = [];
+  const userFolderFeatures = new Map(); // Folder name -> placemarks, in folder order
 
   const allLayers = getAllExportableLayers();
 
   allLayers.forEach(function (layer) {
     const defaultName =
       layer instanceof L.Marker ? `Marker_${++featureCounter}` : `Path_${++featureCounter}`;
-    const kmlSnippet = convertLayerToKmlPlacemark(layer, defaultName);
+    const kmlSnippet = convertLayerToKmlPlacemark(layer, defaultName, "", placemarkOptions);
     if (!kmlSnippet) return;
 
+    const folderName = getLayerFolder(layer);
+    if (folderName) {
+      if (!userFolderFeatures.has(folderName)) userFolderFeatures.set(folderName, []);
+      userFolderFeatures.get(folderName).push(kmlSnippet);
+      return;
+    }
+
     switch (layer.pathType) {
       case "drawn":
       case "route":
@@ -1090,6 +1704,11 @@ function buildKmlContent(docName) {
       case "kml":
       case "geojson":
       case "kmz":
+      case "tcx":
+      case "fit":
+      case "shp":
+      case "csv":
+      case "fgb":
         importedFeatures.push(kmlSnippet);
         break;
       case "strava":
@@ -1098,6 +1717,10 @@ function buildKmlContent(docName) {
     }
   });
 
+  userFolderFeatures.forEach((placemarks, folderName) => {
+    folders.push(buildKmlFolder(folderName, placemarks));
+  });
+
   if (drawnFeatures.length > 0) {
     folders.push(buildKmlFolder("Drawn Features", drawnFeatures));
   }
@@ -1160,20 +1783,361 @@ function exportKml() {
   });
 }
 
+// Files bundled in KMZ exports, next to doc.kml
+const KMZ_MARKER_ICON_PATH = "files/marker.png";
+const KMZ_MARKER_ICON_SIZE = 64;
+// The map marker shape (Material "location_on"), drawn white so KML <color> can tint it
+const KMZ_MARKER_ICON_SVG_PATH =
+  "M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z";
+const KMZ_MARKER_ICON_HOT_SPOT = { x: 0.5, y: 0.08 }; // The tip of the marker
+// Marker labels have the same size relative to the symbol as on the map
+const KMZ_LABEL_FONT_SIZE = Math.round((KMZ_MARKER_ICON_SIZE * 12) / STYLE_CONFIG.marker.baseSize);
+const KMZ_ICON_HALO_WIDTH = 4;
+const KML_DESCRIPTION_IMAGE_REGEX = /(<img\b[^>]*?\bsrc\s*=\s*["'])([^"']+)(["'])/gi;
+
+/**
+ * Renders the marker icon for KMZ exports as a PNG.
+ * @returns {Promise<Blob|null>} The PNG, or null if the browser can't render it
+ */
+function renderKmzMarkerIcon() {
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = KMZ_MARKER_ICON_SIZE;
+  const ctx = canvas.getContext?.("2d");
+  if (!ctx || typeof Path2D === "undefined") return Promise.resolve(null);
+
+  const scale = KMZ_MARKER_ICON_SIZE / 24; // The path is drawn on a 24x24 grid
+  ctx.scale(scale, scale);
+  const path = new Path2D(KMZ_MARKER_ICON_SVG_PATH);
+  ctx.fillStyle = "#ffffff";
+  ctx.fill(path, "evenodd");
+  ctx.strokeStyle = "rgba(0, 0, 0, 0.6)";
+  ctx.lineWidth = 0.6;
+  ctx.stroke(path);
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+/**
+ * Gets the key of the bundled KMZ icon of a marker: its symbol, color and label. Pins without
+ * a label use the marker icon instead, which KML tints in their color.
+ * @param {object} properties - The feature properties
+ * @returns {string|null} The key, or null for pins without a label
+ */
+function getKmzSymbolIconKey(properties) {
+  const symbol = properties.markerSymbol || MARKER_SYMBOLS[0].name;
+  if (symbol === MARKER_SYMBOLS[0].name && !properties.markerLabel) return null;
+  return JSON.stringify([symbol, properties.color || DEFAULT_COLOR, properties.markerLabel || ""]);
+}
+
+/**
+ * Renders a marker symbol and its label for KMZ exports as a PNG, the way the map shows them,
+ * as Google Earth has no labels on icons and no icons for most symbols. Canvas can't set the
+ * FILL axis of the symbol font, so the symbol is drawn outlined, with a white halo. The icon is
+ * square so Google Earth doesn't stretch it; long labels make it larger.
+ * @param {string} symbol - Name of the MARKER_SYMBOLS entry
+ * @param {string} color - CSS color of the symbol
+ * @param {string} label - The label, or an empty string
+ * @returns {Promise<{blob: Blob, hotSpot: {x: number, y: number}, scale: number}|null>} The PNG,
+ *   its hot spot (fractions from the bottom left) and its size relative to the symbol, or null
+ *   if the browser can't render it
+ */
+async function renderKmzSymbolIcon(symbol, color, label) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext?.("2d");
+  if (!ctx || !document.fonts) return null;
+
+  const {
+    name,
+    anchorX = 0.5,
+    anchorY = 0.5,
+  } = MARKER_SYMBOLS.find((s) => s.name === symbol) || MARKER_SYMBOLS[0];
+  const symbolSize = KMZ_MARKER_ICON_SIZE;
+  const symbolFont = `${symbolSize}px "Material Symbols Outlined"`;
+  const labelFont = `bold ${KMZ_LABEL_FONT_SIZE}px Roboto, sans-serif`;
+  await document.fonts.load(symbolFont, name);
+
+  ctx.font = labelFont;
+  const labelWidth = label ? ctx.measureText(label).width + 2 * KMZ_ICON_HALO_WIDTH : 0;
+  const labelHeight = label ? Math.ceil(KMZ_LABEL_FONT_SIZE * 1.4) : 0;
+  const side = Math.ceil(Math.max(symbolSize + labelHeight, labelWidth));
+  canvas.width = canvas.height = side;
+
+  // Setting the size resets the context
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  ctx.lineJoin = "round";
+  ctx.lineWidth = KMZ_ICON_HALO_WIDTH;
+  ctx.strokeStyle = "#ffffff";
+  ctx.font = symbolFont;
+  ctx.strokeText(name, side / 2, 0);
+  ctx.fillStyle = color;
+  ctx.fillText(name, side / 2, 0);
+  if (label) {
+    ctx.font = labelFont;
+    ctx.strokeText(label, side / 2, symbolSize);
+    ctx.fillStyle = "#000000";
+    ctx.fillText(label, side / 2, symbolSize);
+  }
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  if (!blob) return null;
+  return {
+    blob,
+    hotSpot: {
+      x: +(((side - symbolSize) / 2 + symbolSize * anchorX) / side).toFixed(3),
+      y: +(1 - (symbolSize * anchorY) / side).toFixed(3),
+    },
+    scale: side / symbolSize,
+  };
+}
+
+/**
+ * Renders the icons of all exportable markers with a symbol or a label for KMZ exports.
+ * @returns {Promise<Map<string, {path: string, blob: Blob, hotSpot: object, scale: number}>>}
+ *   Bundled icon by getKmzSymbolIconKey()
+ */
+async function renderKmzSymbolIcons() {
+  const keys = new Set();
+  getAllExportableLayers().forEach((layer) => {
+    if (!(layer instanceof L.Marker)) return;
+    const key = getKmzSymbolIconKey(layer.feature?.properties || {});
+    if (key) keys.add(key);
+  });
+
+  const icons = new Map();
+  let index = 0;
+  for (const key of keys) {
+    const [symbol, color, label] = JSON.parse(key);
+    const icon = await renderKmzSymbolIcon(symbol, color, label);
+    if (icon) icons.set(key, { ...icon, path: `files/symbol_${++index}.png` });
+  }
+  return icons;
+}
+
+/**
+ * Downloads the images referenced by <img> tags in the descriptions of all exportable items.
+ * Images that can't be downloaded (e.g. because the server doesn't allow it) keep their
+ * original URL.
+ * @returns {Promise<Map<string, {path: string, blob: Blob}>>} Bundled file by image URL
+ */
+async function collectKmzDescriptionImages() {
+  const urls = new Set();
+  getAllExportableLayers().forEach((layer) => {
+    const description = layer.feature?.properties?.description || "";
+    for (const match of description.matchAll(KML_DESCRIPTION_IMAGE_REGEX)) urls.add(match[2]);
+  });
+
+  const images = new Map();
+  let index = 0;
+  await Promise.all(
+    [...urls].map(async (url) => {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const blob = await response.blob();
+        if (!blob.type.startsWith("image/")) throw new Error(`Not an image: ${blob.type}`);
+        const extension = blob.type.split("/")[1].replace("jpeg", "jpg").replace(/\+.*$/, "");
+        images.set(url, { path: `files/image_${++index}.${extension}`, blob });
+      } catch (error) {
+        console.warn(`Could not bundle image ${url} in KMZ:`, error);
+      }
+    }),
+  );
+  return images;
+}
+
+/**
+ * Handles the export and download of a KMZ file: doc.kml with the same folders as the KML
+ * export, plus the marker icons and the images of descriptions, so the file works offline
+ * (e.g. in Google Earth). Markers with a symbol or label get an icon showing them; the Google
+ * Earth shape icons of symbols are only used by the KML export.
+ */
+async function exportKmz() {
+  const timestamp = generateTimestamp();
+  const fileName = `Map_Export_${timestamp}.kmz`;
+  const docName = `Map Export ${timestamp}`;
+
+  if (getAllExportableLayers().length === 0) {
+    return Swal.fire({
+      title: "No Data to Export",
+      text: "There are no items on the map to export.",
+    });
+  }
+
+  Swal.fire({
+    title: "Creating KMZ...",
+    allowOutsideClick: false,
+    didOpen: () => Swal.showLoading(),
+  });
+
+  try {
+    const [markerIcon, symbolIcons, images] = await Promise.all([
+      renderKmzMarkerIcon(),
+      renderKmzSymbolIcons(),
+      collectKmzDescriptionImages(),
+    ]);
+    const kmlContent = buildKmlContent(docName, {
+      ...(markerIcon && { iconHref: KMZ_MARKER_ICON_PATH, iconHotSpot: KMZ_MARKER_ICON_HOT_SPOT }),
+      getMarkerIcon: (properties) => {
+        const icon = symbolIcons.get(getKmzSymbolIconKey(properties));
+        return icon && { href: icon.path, hotSpot: icon.hotSpot, scale: icon.scale };
+      },
+      transformDescription: (description) =>
+        description.replace(KML_DESCRIPTION_IMAGE_REGEX, (match, start, url, end) =>
+          images.has(url) ? `${start}${images.get(url).path}${end}` : match,
+        ),
+    });
+    if (!kmlContent) {
+      return Swal.fire({
+        title: "No Data to Export",
+        text: "There are no items on the map to export.",
+      });
+    }
+
+    const zip = new JSZip();
+    zip.file("doc.kml", kmlContent); // Google Earth reads the first .kml file, named doc.kml
+    if (markerIcon) zip.file(KMZ_MARKER_ICON_PATH, markerIcon);
+    symbolIcons.forEach(({ path, blob }) => zip.file(path, blob));
+    images.forEach(({ path, blob }) => zip.file(path, blob));
+    const blob = await zip.generateAsync({
+      type: "blob",
+      mimeType: "application/vnd.google-earth.kmz",
+      compression: "DEFLATE",
+    });
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+
+    Swal.fire({
+      title: "Export Successful!",
+      text: "All items have been exported to KMZ.",
+      timer: 2000,
+      showConfirmButton: false,
+    });
+  } catch (error) {
+    console.error("Error creating KMZ file:", error);
+    Swal.fire({
+      title: "KMZ Export Error",
+      text: `Could not create the file: ${error.message}`,
+    });
+  }
+}
+
 // 4. SHARING (URL-BASED)
 // --------------------------------------------------------------------
 
+// Share links longer than this may be cut off by chat tools and some browsers
+const SHARE_URL_SAFE_LENGTH = 2000;
+
+/**
+ * Detail levels offered when a share link is too long, from full detail to smallest link.
+ * precision: decimals of coordinates (5 = ~1.1m, 4 = ~11m)
+ * tolerance: path simplification tolerance in decimal degrees (0 = none)
+ */
+const SHARE_DETAIL_LEVELS = [
+  { label: "Full detail", precision: 5, tolerance: 0, elevation: true, descriptions: true },
+  {
+    label: "Simplified paths",
+    precision: 5,
+    tolerance: pathSimplificationConfig.TOLERANCE,
+    elevation: true,
+    descriptions: true,
+  },
+  {
+    label: "Simplified paths, ~10 m precision, no elevation",
+    precision: 4,
+    tolerance: pathSimplificationConfig.TOLERANCE,
+    elevation: false,
+    descriptions: true,
+  },
+  {
+    label: "Strongly simplified, no elevation or descriptions",
+    precision: 4,
+    tolerance: pathSimplificationConfig.TOLERANCE * 4,
+    elevation: false,
+    descriptions: false,
+  },
+];
+
+// Short keys of the style properties in share links (see FEATURE_STYLE_PROPERTIES)
+const SHARE_STYLE_KEYS = {
+  w: "weight",
+  o: "opacity",
+  ds: "dashPattern",
+  fc: "fillColor",
+  fo: "fillOpacity",
+  sy: "markerSymbol",
+  ms: "markerSize",
+  ml: "markerLabel",
+};
+
+// View state of a shared link or restored project, applied once the layers panel exists
+// (see applySharedViewState)
+let pendingSharedViewState = null;
+
+/**
+ * Reads the selected basemap and the overlays from the layers panel.
+ * @returns {{b?: string, o: object}} Basemap name and on/off (1/0) state by overlay name
+ */
+function getShareViewState() {
+  const panel = document.getElementById("custom-layers-panel");
+  const viewState = { o: {} };
+  if (!panel) return viewState;
+
+  const basemap = panel.querySelector('input[type="radio"][data-layer-name]:checked');
+  if (basemap) viewState.b = basemap.dataset.layerName;
+  panel.querySelectorAll('input[type="checkbox"][data-layer-name]').forEach((input) => {
+    viewState.o[input.dataset.layerName] = input.checked ? 1 : 0;
+  });
+  return viewState;
+}
+
+/**
+ * Applies the basemap and overlays of a shared link that was opened (or of a restored
+ * project), by clicking the layers panel like the user would. Layers the recipient doesn't
+ * have are ignored.
+ */
+function applySharedViewState() {
+  const viewState = pendingSharedViewState;
+  pendingSharedViewState = null;
+  const panel = document.getElementById("custom-layers-panel");
+  if (!viewState || !panel) return;
+
+  const findInput = (type, name) =>
+    Array.from(panel.querySelectorAll(`input[type="${type}"]`)).find(
+      (input) => input.dataset.layerName === name,
+    );
+  const basemap = viewState.b && findInput("radio", viewState.b);
+  if (basemap && !basemap.checked) basemap.click();
+  Object.entries(viewState.o || {}).forEach(([name, on]) => {
+    const overlay = findInput("checkbox", name);
+    if (overlay && overlay.checked !== !!on) overlay.click();
+  });
+}
+
 /**
  * Encodes the current map state to a compressed, URL-safe string.
  *
- * Uncompressed structure: { v: 1, f: [...features] }
- * Each feature: { t, c, n?, s?, e?, sid? }
+ * Uncompressed structure: { v: 2, p?, f: [...features], vw }
+ * p: coordinate precision (omitted if 5)
+ * vw: view state { b: basemap name, o: { overlay name: 1|0 } } (see getShareViewState)
+ * Each feature: { t, c, n?, d?, s?, y?, e?, sid?, fd?, h? }
  * t: "m"=marker, "p"=polyline, "a"=polygon (area)
- * c: [lng,lat] for markers (5 decimals), polyline-encoded string for paths (precision 5)
+ * c: [lng,lat] for markers, polyline-encoded string for paths (both with precision p)
  * n: name (omitted if empty)
+ * d: description (omitted if empty)
  * s: style/color hex without # (omitted if DEFAULT_COLOR)
+ * y: line weight, dash pattern, fill etc. by their SHARE_STYLE_KEYS (omitted if all default)
  * e: elevation - integer for markers, array for paths (omitted if absent or all zeros)
  * sid: Strava activity ID (omitted if not a Strava import)
+ * fd: user folder name (omitted if the item isn't in a folder)
+ * h: 1 if the item is hidden (omitted if visible)
+ *
+ * Version 1 links ({ v: 1, f }) have the same features without d, y and h, and no view state.
  *
  * Compression strategy:
  * 1. Polyline encoding for coordinate sequences (precision 5 = ~1.1m accuracy, sufficient for GPS tracks)
@@ -1182,6 +2146,8 @@ function exportKml() {
  * 4. Elevation stored as rounded integers only when all points have elevation data
  * 5. Skip elevation if all values are 0 (placeholder data with no variation)
  * 6. LZ-String compression with URI encoding (compresses the JSON structure)
+ * 7. Optionally (see SHARE_DETAIL_LEVELS) simplified paths, lower precision, and no
+ *    elevation or descriptions, for links that would be too long otherwise
  *
  * The combination of polyline encoding + LZ-String significantly reduces URL length
  * compared to raw coordinates alone. Elevation is only included when present and meaningful.
@@ -1190,10 +2156,12 @@ function exportKml() {
  * (although 2^31 is a common limit). Chrome limits URLs to a maximum length of 2MB for
  * practical reasons and to avoid causing denial-of-service problems in inter-process communication."
  * See: https://chromium.googlesource.com/chromium/src/+/HEAD/docs/security/url_display_guidelines/url_display_guidelines.md#URL-Length
+ * Chat tools and older browsers cut links off much earlier, see SHARE_URL_SAFE_LENGTH.
  *
+ * @param {object} [detail] - One of SHARE_DETAIL_LEVELS (default: full detail)
  * @returns {string|null} Compressed map state, or null if no data to share
  */
-function encodeMapStateToUrl() {
+function encodeMapStateToUrl(detail = SHARE_DETAIL_LEVELS[0]) {
   const allLayers = getAllExportableLayers();
 
   if (allLayers.length === 0) {
@@ -1202,6 +2170,29 @@ function encodeMapStateToUrl() {
 
   const features = [];
 
+  // Encodes a path's vertices, simplified if the detail level asks for it
+  const encodePath = (latlngs, feature) => {
+    let coords = latlngs.map((ll) =>
+      typeof ll.alt === "number" ? [ll.lng, ll.lat, ll.alt] : [ll.lng, ll.lat],
+    );
+    if (detail.tolerance > 0) {
+      coords = simplifyPath(coords, "LineString", {
+        TOLERANCE: detail.tolerance,
+        MIN_POINTS: 2,
+      }).coords;
+    }
+    feature.c = L.PolylineUtil.encode(
+      coords.map(([lng, lat]) => [lat, lng]),
+      detail.precision,
+    );
+    // Add elevation if all points have it and there's variation (not all zeros)
+    const elevations = coords.map((c) => c[2]).filter((e) => typeof e === "number");
+    const hasVariation = elevations.some((e) => e !== 0);
+    if (detail.elevation && elevations.length === coords.length && hasVariation) {
+      feature.e = elevations.map((e) => Math.round(e));
+    }
+  };
+
   allLayers.forEach((layer) => {
     try {
       const feature = {
@@ -1209,23 +2200,32 @@ function encodeMapStateToUrl() {
         c: null, // coordinates (encoded for paths, array for markers)
       };
 
-      // Add name, color, and stravaId only if present
+      // Add name, description, color, stravaId, folder, style and visibility only if present
       const name = layer.feature?.properties?.name;
+      const description = layer.feature?.properties?.description;
       const color = layer.feature?.properties?.color;
       const stravaId = layer.feature?.properties?.stravaId;
+      const folder = getLayerFolder(layer);
       if (name) feature.n = name;
+      if (description && detail.descriptions) feature.d = description;
       // Strip # prefix from hex color for URL efficiency (auto-restored by normalizeHexColor on import)
       if (color && color !== DEFAULT_COLOR) {
         feature.s = color.startsWith("#") ? color.slice(1) : color;
       }
       if (stravaId) feature.sid = stravaId;
+      if (folder) feature.fd = folder;
+      Object.entries(SHARE_STYLE_KEYS).forEach(([shortKey, key]) => {
+        const value = layer.feature?.properties?.[key];
+        if (value !== undefined) feature.y = { ...feature.y, [shortKey]: value };
+      });
+      if (layer.isManuallyHidden) feature.h = 1;
 
       if (layer instanceof L.Marker) {
         const ll = layer.getLatLng();
         if (ll) {
           feature.t = "m";
-          feature.c = [+ll.lng.toFixed(5), +ll.lat.toFixed(5)];
-          if (typeof ll.alt === "number" && ll.alt !== 0) {
+          feature.c = [+ll.lng.toFixed(detail.precision), +ll.lat.toFixed(detail.precision)];
+          if (detail.elevation && typeof ll.alt === "number" && ll.alt !== 0) {
             feature.e = Math.round(ll.alt);
           }
         }
@@ -1233,28 +2233,13 @@ function encodeMapStateToUrl() {
         const latlngs = layer.getLatLngs()[0];
         if (latlngs && latlngs.length > 0) {
           feature.t = "a";
-          feature.c = L.PolylineUtil.encode(latlngs, 5);
-          // Add elevation if all points have it and there's variation (not all zeros)
-          const elevations = latlngs.map((ll) => ll.alt).filter((e) => typeof e === "number");
-          const hasVariation = elevations.some((e) => e !== 0);
-          if (elevations.length === latlngs.length && hasVariation) {
-            feature.e = elevations.map((e) => Math.round(e));
-          }
+          encodePath(latlngs, feature);
         }
       } else if (layer instanceof L.Polyline) {
-        let latlngs = layer.getLatLngs();
-        while (Array.isArray(latlngs[0]) && !(latlngs[0] instanceof L.LatLng)) {
-          latlngs = latlngs[0];
-        }
+        const latlngs = getFlatLatLngs(layer);
         if (latlngs && latlngs.length > 0) {
           feature.t = "p";
-          feature.c = L.PolylineUtil.encode(latlngs, 5);
-          // Add elevation if all points have it and there's variation (not all zeros)
-          const elevations = latlngs.map((ll) => ll.alt).filter((e) => typeof e === "number");
-          const hasVariation = elevations.some((e) => e !== 0);
-          if (elevations.length === latlngs.length && hasVariation) {
-            feature.e = elevations.map((e) => Math.round(e));
-          }
+          encodePath(latlngs, feature);
         }
       }
 
@@ -1271,7 +2256,8 @@ function encodeMapStateToUrl() {
     return null;
   }
 
-  const compact = { v: 1, f: features };
+  const compact = { v: 2, f: features, vw: getShareViewState() };
+  if (detail.precision !== 5) compact.p = detail.precision;
   const compressed = LZString.compressToEncodedURIComponent(JSON.stringify(compact));
 
   return compressed;
@@ -1283,10 +2269,11 @@ function encodeMapStateToUrl() {
  * The data parameter contains all markers, polylines, and polygons compressed using
  * Polyline encoding and LZ-String compression.
  *
+ * @param {object} [detail] - One of SHARE_DETAIL_LEVELS (default: full detail)
  * @returns {string|null} Full shareable URL with hash parameters, or null if no features exist
  */
-function buildShareableUrl() {
-  const mapState = encodeMapStateToUrl();
+function buildShareableUrl(detail) {
+  const mapState = encodeMapStateToUrl(detail);
   if (!mapState) {
     return null;
   }
@@ -1301,6 +2288,78 @@ function buildShareableUrl() {
   return baseUrl + hashParams;
 }
 
+/**
+ * Copies a share link for everything on the map. Links longer than SHARE_URL_SAFE_LENGTH
+ * open a dialog to pick a smaller, less detailed link or to download a GeoJSON file to
+ * share instead.
+ */
+async function shareMapLink() {
+  const shareUrl = buildShareableUrl();
+  if (!shareUrl) {
+    Swal.fire({
+      toast: true,
+      icon: "info",
+      title: "Nothing to share",
+      position: "top",
+      showConfirmButton: false,
+      timer: 2000,
+    });
+    return;
+  }
+
+  let selectedUrl = shareUrl;
+  if (shareUrl.length > SHARE_URL_SAFE_LENGTH) {
+    const urls = SHARE_DETAIL_LEVELS.map((detail, i) =>
+      i === 0 ? shareUrl : buildShareableUrl(detail),
+    );
+    const firstSafe = urls.findIndex((url) => url.length <= SHARE_URL_SAFE_LENGTH);
+    const checkedIndex = firstSafe === -1 ? urls.length - 1 : firstSafe;
+    const options = SHARE_DETAIL_LEVELS.map(
+      (detail, i) => `
+        <label class="share-detail-option">
+          <input type="radio" name="share-detail" value="${i}" ${i === checkedIndex ? "checked" : ""}>
+          <span>${detail.label}</span>
+          <span class="share-detail-length ${urls[i].length > SHARE_URL_SAFE_LENGTH ? "share-detail-too-long" : ""}">${urls[i].length.toLocaleString()} characters</span>
+        </label>`,
+    ).join("");
+
+    const result = await Swal.fire({
+      title: "Share Link Too Long",
+      html: `
+        <p class="share-detail-intro">
+          The full link is <strong>${shareUrl.length.toLocaleString()}</strong> characters. Links
+          over ${SHARE_URL_SAFE_LENGTH.toLocaleString()} characters may not work in all browsers
+          or messaging apps. Pick a smaller link, or share everything as a file.
+        </p>
+        <div class="share-detail-options">${options}</div>
+      `,
+      showDenyButton: true,
+      showCancelButton: true,
+      confirmButtonText: "Copy Link",
+      denyButtonText: "Download File",
+      customClass: { confirmButton: "swal-confirm-button" },
+      preConfirm: () =>
+        Number(Swal.getPopup().querySelector('input[name="share-detail"]:checked').value),
+    });
+    if (result.isDenied) {
+      exportGeoJson();
+      return;
+    }
+    if (!result.isConfirmed) return;
+    selectedUrl = urls[result.value];
+  }
+
+  await copyToClipboard(selectedUrl);
+  Swal.fire({
+    toast: true,
+    icon: "success",
+    title: `Share Link Copied!<br>(${selectedUrl.length} characters)`,
+    position: "top",
+    showConfirmButton: false,
+    timer: 2000,
+  });
+}
+
 /**
  * Imports and decompresses map state from a shareable URL parameter.
  * Decompresses the LZ-String encoded data, decodes Polyline-encoded coordinates,
@@ -1308,13 +2367,14 @@ function buildShareableUrl() {
  *
  * Process:
  * 1. Decompresses the LZ-String encoded URI component
- * 2. Parses the JSON structure (v=version, f=features array)
+ * 2. Parses the JSON structure (v=version, f=features array, p=precision, vw=view state)
  * 3. For each feature, decodes based on type:
  * - "m" (marker): Uses coordinates as-is [lng, lat] or [lng, lat, elevation]
- * - "p" (polyline): Decodes Polyline-encoded path using precision 5, adds elevation if present
- * - "a" (polygon/area): Decodes Polyline-encoded path using precision 5, adds elevation if present
+ * - "p" (polyline): Decodes Polyline-encoded path using the precision, adds elevation if present
+ * - "a" (polygon/area): Decodes Polyline-encoded path using the precision, adds elevation if present
  * 4. Reconstructs full GeoJSON Feature objects with properties and elevation
- * 5. Adds the FeatureCollection to the map
+ * 5. Adds the FeatureCollection to the map and hides the items that were hidden
+ * 6. Keeps the view state for applySharedViewState()
  *
  * @param {string} compressed - LZ-String compressed and URI-encoded map state
  * @returns {boolean} True if import was successful, false if decompression/parsing failed
@@ -1326,12 +2386,14 @@ function importMapStateFromUrl(compressed) {
 
     const data = JSON.parse(jsonString);
     if (!data.v) throw new Error("Invalid data format: missing version");
-    if (data.v !== 1) throw new Error(`Unsupported data version: ${data.v}`);
+    if (data.v !== 1 && data.v !== 2) throw new Error(`Unsupported data version: ${data.v}`);
     if (!data.f || !Array.isArray(data.f)) {
       throw new Error("Invalid data format");
     }
+    const precision = data.p || 5;
 
     const features = [];
+    const hidden = [];
 
     data.f.forEach((item) => {
       try {
@@ -1344,17 +2406,26 @@ function importMapStateFromUrl(compressed) {
           geometry: null,
         };
 
-        // Add stravaId if present
+        // Add description, stravaId and folder if present
+        if (item.d) {
+          feature.properties.description = item.d;
+        }
         if (item.sid) {
           feature.properties.stravaId = item.sid;
         }
+        if (item.fd) {
+          feature.properties.folder = item.fd;
+        }
+        Object.entries(item.y || {}).forEach(([shortKey, value]) => {
+          if (SHARE_STYLE_KEYS[shortKey]) feature.properties[SHARE_STYLE_KEYS[shortKey]] = value;
+        });
 
         if (item.t === "m") {
           const coords = [...item.c];
           if (typeof item.e === "number") coords.push(item.e);
           feature.geometry = { type: "Point", coordinates: coords };
         } else if (item.t === "p") {
-          const decoded = L.PolylineUtil.decode(item.c, 5);
+          const decoded = L.PolylineUtil.decode(item.c, precision);
           feature.geometry = {
             type: "LineString",
             coordinates: decoded.map(([lat, lng], idx) => {
@@ -1364,7 +2435,7 @@ function importMapStateFromUrl(compressed) {
             }),
           };
         } else if (item.t === "a") {
-          const decoded = L.PolylineUtil.decode(item.c, 5);
+          const decoded = L.PolylineUtil.decode(item.c, precision);
           feature.geometry = {
             type: "Polygon",
             coordinates: [
@@ -1377,7 +2448,10 @@ function importMapStateFromUrl(compressed) {
           };
         }
 
-        if (feature.geometry) features.push(feature);
+        if (feature.geometry) {
+          features.push(feature);
+          hidden.push(item.h === 1);
+        }
       } catch (e) {
         console.warn("Could not decode feature:", e);
       }
@@ -1385,7 +2459,12 @@ function importMapStateFromUrl(compressed) {
 
     if (features.length === 0) throw new Error("No valid features");
 
-    importGeoJsonToMap({ type: "FeatureCollection", features }, "geojson");
+    const layerGroup = importGeoJsonToMap({ type: "FeatureCollection", features }, "geojson");
+    layerGroup.getLayers().forEach((layer, i) => {
+      if (hidden[i]) setLayerVisibility(layer, false);
+    });
+    if (hidden.some(Boolean)) updateOverviewList();
+    pendingSharedViewState = data.vw || null;
     return true;
   } catch (error) {
     console.error("Error importing map state from URL:", error);
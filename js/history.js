@@ -0,0 +1,361 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * UNDO / REDO HISTORY
+ *
+ * Records map edits (create, edit, delete, rename, recolor, import) per layer. Each history
+ * entry holds the layers an operation changed, keyed by their L.stamp id, with their features
+ * from before and after it (null where the layer didn't exist), using the same serialization
+ * as autosave. Undo and redo only touch these layers: changed layers are updated in place, so
+ * other layers and references to them stay as they are.
+ * The stacks are persisted to IndexedDB next to the autosave of each project, so a reload or
+ * switching back to a project keeps its history.
+ */
+
+const HISTORY_KEY = "mapHistory"; // Single history of versions without projects (see loadProjects)
+const HISTORY_KEY_PREFIX = "mapHistory:";
+const HISTORY_LIMIT = 30;
+const HISTORY_SAVE_DELAY_MS = 1000;
+
+let _historyUndoStack = []; // Entries: { label, changes: [{ id, before, after }] }
+let _historyRedoStack = [];
+let _historyLayerStates = null; // Layer id -> feature JSON; null until initializeHistory() has run
+let _historyBatchDepth = 0;
+let _historySaveTimeoutId = null;
+
+/**
+ * Gets the IndexedDB key of a project's undo history.
+ * @param {string} projectId - The project
+ * @returns {string} The key
+ */
+function getHistoryKey(projectId) {
+  return `${HISTORY_KEY_PREFIX}${projectId}`;
+}
+
+/**
+ * Gets the layers covered by the history (drawn and imported items), in autosave order.
+ * Strava activities and the active route are managed elsewhere and are not part of it.
+ * @returns {L.Layer[]} The layers
+ */
+function _getHistoryLayers() {
+  return getAllExportableLayers().filter(
+    (layer) => layer !== currentRoutePath && !stravaActivitiesLayer.hasLayer(layer),
+  );
+}
+
+/**
+ * Gets the id under which the history keeps a layer. Layers restored by undo or redo keep the
+ * id of the layer they replace.
+ * @param {L.Layer} layer - The layer
+ * @returns {number} The id
+ */
+function _getHistoryLayerId(layer) {
+  return layer._historyLayerId ?? L.stamp(layer);
+}
+
+/**
+ * Serializes a layer for the history.
+ * @param {L.Layer} layer - The layer
+ * @returns {string|null} GeoJSON Feature as JSON string, or null if the layer can't be saved
+ */
+function _serializeHistoryLayer(layer) {
+  try {
+    const feature = serializeLayerForAutosave(layer);
+    return feature ? JSON.stringify(feature) : null;
+  } catch (e) {
+    console.warn("History: skipping layer", e);
+    return null;
+  }
+}
+
+/**
+ * Serializes all layers covered by the history.
+ * @returns {Map<number, string>} Layer id -> feature JSON
+ */
+function _readHistoryLayerStates() {
+  const states = new Map();
+  _getHistoryLayers().forEach((layer) => {
+    const state = _serializeHistoryLayer(layer);
+    if (state) states.set(_getHistoryLayerId(layer), state);
+  });
+  return states;
+}
+
+/**
+ * Compares layers with their recorded state and takes over their current state.
+ * @param {L.Layer[]} [layers] - The layers to compare; all layers if omitted, which also
+ *   finds the layers that were removed
+ * @returns {Array<{id: number, before: string|null, after: string|null}>} The changed layers
+ */
+function _collectHistoryChanges(layers) {
+  const changes = [];
+  const addChange = (id, after) => {
+    const before = _historyLayerStates.get(id) ?? null;
+    if (before === after) return;
+    changes.push({ id, before, after });
+    if (after === null) {
+      _historyLayerStates.delete(id);
+    } else {
+      _historyLayerStates.set(id, after);
+    }
+  };
+
+  if (layers) {
+    const onMap = new Set(_getHistoryLayers());
+    layers.forEach((layer) => {
+      addChange(_getHistoryLayerId(layer), onMap.has(layer) ? _serializeHistoryLayer(layer) : null);
+    });
+  } else {
+    const states = _readHistoryLayerStates();
+    [..._historyLayerStates.keys()].forEach((id) => {
+      if (!states.has(id)) addChange(id, null);
+    });
+    states.forEach((state, id) => addChange(id, state));
+  }
+  return changes;
+}
+
+/**
+ * Brings the changed layers of a history entry to the state before or after it: removes,
+ * recreates or updates them in place. The selected item stays selected if it is still there.
+ * @param {Array} changes - The changes of the entry
+ * @param {string} side - "before" to undo or "after" to redo
+ */
+function _applyHistoryChanges(changes, side) {
+  const selectedLayer = globallySelectedItem;
+  deselectCurrentItem();
+
+  const layersById = new Map(
+    _getHistoryLayers().map((layer) => [_getHistoryLayerId(layer), layer]),
+  );
+  changes.forEach((change) => {
+    const state = change[side];
+    const layer = layersById.get(change.id);
+    if (state === null) {
+      if (layer) {
+        [drawnItems, editableLayers, importedItems].forEach((group) => group.removeLayer(layer));
+      }
+      _historyLayerStates.delete(change.id);
+      return;
+    }
+
+    const feature = JSON.parse(state);
+    if (layer) {
+      updateLayerFromAutosaveFeature(layer, feature);
+    } else {
+      const restoredLayer = createLayerFromAutosaveFeature(feature);
+      if (!restoredLayer) return;
+      restoredLayer._historyLayerId = change.id;
+      addRestoredLayerToGroup(restoredLayer);
+    }
+    _historyLayerStates.set(change.id, state);
+  });
+
+  updateElevationToggleIconColor();
+  updateDrawControlStates();
+  updateOverviewList();
+  if (selectedLayer && getAllExportableLayers().includes(selectedLayer)) selectItem(selectedLayer);
+}
+
+/**
+ * Persists the history stacks of the active project to IndexedDB and flushes the autosave,
+ * so both describe the same map state after a reload. The ids of the layers on the map are
+ * saved in autosave order, so they can be matched with the restored layers.
+ */
+function _saveHistory() {
+  const project = getActiveProject();
+  if (!project) return; // The project was deleted
+  flushAutosave();
+  const layerIds = _getHistoryLayers()
+    .map(_getHistoryLayerId)
+    .filter((id) => _historyLayerStates.has(id));
+  idbKeyval
+    .set(getHistoryKey(project.id), { undo: _historyUndoStack, redo: _historyRedoStack, layerIds })
+    .catch((e) => console.warn("History: IndexedDB write failed", e));
+}
+
+/**
+ * Saves the history after a short delay, so quick successive edits are written once.
+ */
+function _scheduleHistorySave() {
+  clearTimeout(_historySaveTimeoutId);
+  _historySaveTimeoutId = setTimeout(() => {
+    _historySaveTimeoutId = null;
+    _saveHistory();
+  }, HISTORY_SAVE_DELAY_MS);
+}
+
+/**
+ * Writes a pending history save immediately. Must be called while the project the history
+ * belongs to is still on the map, i.e. before another project is opened.
+ */
+function flushHistorySave() {
+  if (_historySaveTimeoutId === null) return;
+  clearTimeout(_historySaveTimeoutId);
+  _historySaveTimeoutId = null;
+  _saveHistory();
+}
+
+/**
+ * Takes over history stacks saved by _scheduleHistorySave(). The saved layer ids are replaced
+ * by the ids of the restored layers, and those of layers no longer on the map by new ids.
+ * @param {Object} saved - The saved stacks
+ * @returns {boolean} Whether the stacks match the layers on the map and were taken over
+ */
+function _restoreHistoryStacks(saved) {
+  if (!Array.isArray(saved?.undo) || !Array.isArray(saved.redo)) return false;
+  const layerIds = _getHistoryLayers()
+    .map(_getHistoryLayerId)
+    .filter((id) => _historyLayerStates.has(id));
+  if (!Array.isArray(saved.layerIds) || saved.layerIds.length !== layerIds.length) return false;
+
+  const idMap = new Map(saved.layerIds.map((savedId, i) => [savedId, layerIds[i]]));
+  const mapId = (savedId) => {
+    if (!idMap.has(savedId)) idMap.set(savedId, L.stamp({}));
+    return idMap.get(savedId);
+  };
+  const mapEntry = (entry) => ({
+    label: entry.label,
+    changes: entry.changes.map((change) => ({ ...change, id: mapId(change.id) })),
+  });
+  _historyUndoStack = saved.undo.map(mapEntry);
+  _historyRedoStack = saved.redo.map(mapEntry);
+  return true;
+}
+
+/**
+ * Checks whether undo/redo may run right now. Edits are blocked while Leaflet.draw
+ * is in draw, edit or delete mode, since it holds references to the current layers.
+ * @returns {boolean} True if the history can be changed
+ */
+function _canChangeHistory() {
+  return (
+    _historyLayerStates !== null &&
+    !isEditMode &&
+    !isDeleteMode &&
+    !L.DomUtil.hasClass(document.body, "leaflet-is-drawing")
+  );
+}
+
+/**
+ * Records an operation in the history. Call this after the map has been changed;
+ * nothing is recorded if the drawn and imported layers are unchanged.
+ * @param {string} label - Short description shown when undoing (e.g. "Delete Item")
+ * @param {L.Layer[]} [layers] - The layers the operation created, changed or removed, if
+ *   known; otherwise all layers are compared
+ */
+function recordHistory(label, layers) {
+  if (_historyLayerStates === null || _historyBatchDepth > 0) return;
+
+  const changes = _collectHistoryChanges(layers);
+  if (changes.length === 0) return;
+
+  _historyUndoStack.push({ label, changes });
+  if (_historyUndoStack.length > HISTORY_LIMIT) _historyUndoStack.shift();
+  _historyRedoStack = [];
+
+  _scheduleHistorySave();
+  updateHistoryControlStates();
+}
+
+/**
+ * Runs several changes as a single history entry (e.g. deleting many items at once).
+ * @param {string} label - Short description of the whole operation
+ * @param {function} fn - Function performing the changes
+ */
+function runHistoryBatch(label, fn) {
+  _historyBatchDepth++;
+  try {
+    fn();
+  } finally {
+    _historyBatchDepth--;
+  }
+  recordHistory(label);
+}
+
+/**
+ * Moves one entry from one history stack to the other and applies its changes.
+ * @param {Array} fromStack - Stack to take the entry from
+ * @param {Array} toStack - Stack receiving the entry
+ * @param {string} verb - "Undo" or "Redo", used for the toast
+ */
+function _stepHistory(fromStack, toStack, verb) {
+  if (!_canChangeHistory() || fromStack.length === 0) return;
+
+  const entry = fromStack.pop();
+  _applyHistoryChanges(entry.changes, verb === "Undo" ? "before" : "after");
+  toStack.push(entry);
+
+  _scheduleHistorySave();
+  updateHistoryControlStates();
+
+  Swal.fire({
+    toast: true,
+    icon: "info",
+    title: `${verb}: ${entry.label}`,
+    showConfirmButton: false,
+    timer: 1500,
+  });
+}
+
+/**
+ * Reverts the most recent recorded operation.
+ */
+function undoHistory() {
+  _stepHistory(_historyUndoStack, _historyRedoStack, "Undo");
+}
+
+/**
+ * Re-applies the most recently undone operation.
+ */
+function redoHistory() {
+  _stepHistory(_historyRedoStack, _historyUndoStack, "Redo");
+}
+
+/**
+ * Enables or disables the undo/redo toolbar buttons based on the stack contents.
+ */
+function updateHistoryControlStates() {
+  const buttons = [
+    ["undo-button", _historyUndoStack, "Undo"],
+    ["redo-button", _historyRedoStack, "Redo"],
+  ];
+
+  buttons.forEach(([id, stack, verb]) => {
+    const container = document.getElementById(id);
+    if (!container) return;
+    if (stack.length > 0) {
+      L.DomUtil.removeClass(container, "disabled");
+      container.title = `${verb}: ${stack[stack.length - 1].label}`;
+    } else {
+      L.DomUtil.addClass(container, "disabled");
+      container.title = `Nothing to ${verb.toLowerCase()}`;
+    }
+  });
+}
+
+/**
+ * Initializes the history of the active project with the current map state.
+ * Must be called after the project or share URL data has been loaded.
+ * @param {boolean} restoreFromStorage - Whether to restore the project's saved stacks,
+ *   otherwise they start empty (e.g. for a shared map)
+ */
+async function initializeHistory(restoreFromStorage) {
+  _historyLayerStates = _readHistoryLayerStates();
+  _historyUndoStack = [];
+  _historyRedoStack = [];
+
+  const project = getActiveProject();
+  if (project && restoreFromStorage) {
+    try {
+      _restoreHistoryStacks(await idbKeyval.get(getHistoryKey(project.id)));
+    } catch (e) {
+      console.warn("History: restore failed", e);
+    }
+  } else if (project) {
+    // The map was loaded from a share URL, so an earlier history of the project doesn't apply
+    idbKeyval.del(getHistoryKey(project.id)).catch(() => {});
+  }
+
+  updateHistoryControlStates();
+}
@@ -0,0 +1,712 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * LOCAL DEM
+ *
+ * Elevation from digital elevation model tiles the user adds in the settings, so the
+ * elevation profile works offline and anywhere in the world. Supported are SRTM .hgt
+ * tiles (1 and 3 arc second) and GeoTIFF files in geographic coordinates (uncompressed,
+ * Deflate or LZW), also inside .zip archives.
+ *
+ * Each tile is stored in IndexedDB as a raster of samples plus its grid definition, and a
+ * small index of all tiles lets us find the tiles a path crosses without loading them.
+ * Elevations are sampled with bilinear interpolation between the four nearest samples.
+ */
+
+const LOCAL_DEM_INDEX_KEY = "localDemTiles";
+const LOCAL_DEM_TILE_KEY_PREFIX = "localDemTile:";
+const LOCAL_DEM_MAX_LOADED_TILES = 6; // Tiles kept in memory (an SRTM1 tile is ~26 MB)
+const LOCAL_DEM_FILE_EXTENSIONS = [".hgt", ".tif", ".tiff"];
+const HGT_NO_DATA = -32768;
+
+let localDemIndex = null; // Cached index of the stored tiles
+const loadedDemTiles = new Map(); // Tile id -> tile with raster, oldest first
+
+// --- Storage ---
+
+/**
+ * Gets the index of the stored DEM tiles.
+ * @returns {Promise<Array<object>>} Tiles as { id, name, west, south, east, north, width, height }
+ */
+async function getLocalDemTiles() {
+  if (!localDemIndex) {
+    localDemIndex = (await idbKeyval.get(LOCAL_DEM_INDEX_KEY)) || [];
+  }
+  return localDemIndex;
+}
+
+/**
+ * Stores a parsed DEM tile. A tile with the same name replaces the existing one.
+ * @param {object} tile - Tile as returned by the parsers
+ */
+async function storeLocalDemTile(tile) {
+  const tiles = await getLocalDemTiles();
+  const existing = tiles.find((entry) => entry.name === tile.name);
+  const id = existing ? existing.id : `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const entry = {
+    id,
+    name: tile.name,
+    west: tile.originLng,
+    north: tile.originLat,
+    east: tile.originLng + (tile.width - 1) * tile.pixelWidth,
+    south: tile.originLat - (tile.height - 1) * tile.pixelHeight,
+    width: tile.width,
+    height: tile.height,
+  };
+
+  await idbKeyval.set(LOCAL_DEM_TILE_KEY_PREFIX + id, { ...tile, id });
+  localDemIndex = [...tiles.filter((t) => t.id !== id), entry];
+  await idbKeyval.set(LOCAL_DEM_INDEX_KEY, localDemIndex);
+  loadedDemTiles.delete(id);
+}
+
+/**
+ * Removes a stored DEM tile.
+ * @param {string} id - Id of the tile
+ */
+async function deleteLocalDemTile(id) {
+  const tiles = await getLocalDemTiles();
+  localDemIndex = tiles.filter((tile) => tile.id !== id);
+  await idbKeyval.set(LOCAL_DEM_INDEX_KEY, localDemIndex);
+  await idbKeyval.del(LOCAL_DEM_TILE_KEY_PREFIX + id);
+  loadedDemTiles.delete(id);
+}
+
+/**
+ * Loads the raster of a tile, keeping the most recently used tiles in memory.
+ * @param {string} id - Id of the tile
+ * @returns {Promise<object|null>} The tile, or null if it's missing from the storage
+ */
+async function loadLocalDemTile(id) {
+  if (loadedDemTiles.has(id)) {
+    const tile = loadedDemTiles.get(id);
+    loadedDemTiles.delete(id);
+    loadedDemTiles.set(id, tile);
+    return tile;
+  }
+  const tile = await idbKeyval.get(LOCAL_DEM_TILE_KEY_PREFIX + id);
+  if (!tile) return null;
+  loadedDemTiles.set(id, tile);
+  if (loadedDemTiles.size > LOCAL_DEM_MAX_LOADED_TILES) {
+    loadedDemTiles.delete(loadedDemTiles.keys().next().value);
+  }
+  return tile;
+}
+
+// --- Sampling ---
+
+/**
+ * Samples the elevation of a tile at a location with bilinear interpolation. Missing
+ * samples (voids) are left out of the interpolation.
+ * @param {object} tile - The tile
+ * @param {L.LatLng} latlng - The location
+ * @returns {number|null} Elevation in meters, or null if the tile has no data there
+ */
+function sampleLocalDemTile(tile, latlng) {
+  const col = (latlng.lng - tile.originLng) / tile.pixelWidth;
+  const row = (tile.originLat - latlng.lat) / tile.pixelHeight;
+  if (col < 0 || row < 0 || col > tile.width - 1 || row > tile.height - 1) return null;
+
+  const col0 = Math.floor(col);
+  const row0 = Math.floor(row);
+  const col1 = Math.min(col0 + 1, tile.width - 1);
+  const row1 = Math.min(row0 + 1, tile.height - 1);
+  const fx = col - col0;
+  const fy = row - row0;
+  const samples = [
+    [row0, col0, (1 - fx) * (1 - fy)],
+    [row0, col1, fx * (1 - fy)],
+    [row1, col0, (1 - fx) * fy],
+    [row1, col1, fx * fy],
+  ];
+
+  let sum = 0;
+  let weightSum = 0;
+  samples.forEach(([r, c, weight]) => {
+    const value = tile.data[r * tile.width + c];
+    if (value === tile.noData || !isFinite(value)) return;
+    sum += value * weight;
+    weightSum += weight;
+  });
+  return weightSum > 0 ? sum / weightSum : null;
+}
+
+/**
+ * Samples the stored DEM tiles at a list of locations.
+ * @param {L.LatLng[]} latlngs - The locations
+ * @returns {Promise<Array<number|null>>} Elevation per location, null where no tile has data
+ */
+async function sampleLocalDemElevations(latlngs) {
+  const tiles = await getLocalDemTiles();
+  const elevations = new Array(latlngs.length).fill(null);
+
+  for (const entry of tiles) {
+    const pending = [];
+    latlngs.forEach((latlng, i) => {
+      if (
+        elevations[i] === null &&
+        latlng.lat >= entry.south &&
+        latlng.lat <= entry.north &&
+        latlng.lng >= entry.west &&
+        latlng.lng <= entry.east
+      ) {
+        pending.push(i);
+      }
+    });
+    if (pending.length === 0) continue;
+
+    const tile = await loadLocalDemTile(entry.id);
+    if (!tile) continue;
+    pending.forEach((i) => {
+      elevations[i] = sampleLocalDemTile(tile, latlngs[i]);
+    });
+  }
+  return elevations;
+}
+
+// --- SRTM HGT ---
+
+/**
+ * Parses an SRTM .hgt tile. The tile's south-west corner comes from the file name (e.g.
+ * N46E007.hgt), the samples are big-endian 16-bit integers in rows from north to south.
+ * @param {string} name - File name
+ * @param {ArrayBuffer} buffer - File content
+ * @returns {object} The tile
+ */
+function parseHgtTile(name, buffer) {
+  const match = name.match(/([NS])(\d{1,2})([EW])(\d{1,3})/i);
+  if (!match) {
+    throw new Error("The file name doesn't contain the tile position (e.g. N46E007.hgt).");
+  }
+  const size = Math.sqrt(buffer.byteLength / 2);
+  if (!Number.isInteger(size) || size < 2) {
+    throw new Error("The file size doesn't match an SRTM tile.");
+  }
+
+  const south = Number(match[2]) * (match[1].toUpperCase() === "S" ? -1 : 1);
+  const west = Number(match[4]) * (match[3].toUpperCase() === "W" ? -1 : 1);
+  const view = new DataView(buffer);
+  const data = new Int16Array(size * size);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = view.getInt16(i * 2, false);
+  }
+
+  return {
+    name,
+    width: size,
+    height: size,
+    originLng: west,
+    originLat: south + 1,
+    pixelWidth: 1 / (size - 1),
+    pixelHeight: 1 / (size - 1),
+    noData: HGT_NO_DATA,
+    data,
+  };
+}
+
+// --- GeoTIFF ---
+
+const TIFF_TYPE_SIZES = {
+  1: 1,
+  2: 1,
+  3: 2,
+  4: 4,
+  5: 8,
+  6: 1,
+  7: 1,
+  8: 2,
+  9: 4,
+  10: 8,
+  11: 4,
+  12: 8,
+};
+
+const TIFF_TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  planarConfiguration: 284,
+  predictor: 317,
+  tileWidth: 322,
+  tileHeight: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  modelPixelScale: 33550,
+  modelTiepoint: 33922,
+  modelTransformation: 34264,
+  geoKeyDirectory: 34735,
+  gdalNoData: 42113,
+};
+
+const GEOKEY_MODEL_TYPE = 1024;
+const GEOKEY_RASTER_TYPE = 1025;
+const GEOKEY_MODEL_TYPE_PROJECTED = 1;
+const GEOKEY_RASTER_PIXEL_IS_POINT = 2;
+
+/**
+ * Reads the first image file directory of a TIFF file.
+ * @param {DataView} view - The file
+ * @param {boolean} littleEndian - Byte order of the file
+ * @returns {Map<number, Array<number>|string>} Values by tag
+ */
+function readTiffDirectory(view, littleEndian) {
+  const offset = view.getUint32(4, littleEndian);
+  const entryCount = view.getUint16(offset, littleEndian);
+  const tags = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    const entryOffset = offset + 2 + i * 12;
+    const tag = view.getUint16(entryOffset, littleEndian);
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const count = view.getUint32(entryOffset + 4, littleEndian);
+    const size = TIFF_TYPE_SIZES[type];
+    if (!size) continue;
+    const valueOffset =
+      size * count <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, littleEndian);
+
+    const values = [];
+    for (let j = 0; j < count; j++) {
+      const pos = valueOffset + j * size;
+      switch (type) {
+        case 3:
+          values.push(view.getUint16(pos, littleEndian));
+          break;
+        case 4:
+          values.push(view.getUint32(pos, littleEndian));
+          break;
+        case 5:
+          values.push(view.getUint32(pos, littleEndian) / view.getUint32(pos + 4, littleEndian));
+          break;
+        case 6:
+          values.push(view.getInt8(pos));
+          break;
+        case 8:
+          values.push(view.getInt16(pos, littleEndian));
+          break;
+        case 9:
+          values.push(view.getInt32(pos, littleEndian));
+          break;
+        case 10:
+          values.push(view.getInt32(pos, littleEndian) / view.getInt32(pos + 4, littleEndian));
+          break;
+        case 11:
+          values.push(view.getFloat32(pos, littleEndian));
+          break;
+        case 12:
+          values.push(view.getFloat64(pos, littleEndian));
+          break;
+        default:
+          values.push(view.getUint8(pos));
+      }
+    }
+    tags.set(tag, type === 2 ? String.fromCharCode(...values).replace(/\0+$/, "") : values);
+  }
+  return tags;
+}
+
+/**
+ * Reads the GeoTIFF keys into a map of key id to value.
+ * @param {Map} tags - TIFF tags
+ * @returns {Map<number, number>} The keys that are stored directly in the directory
+ */
+function readGeoKeys(tags) {
+  const directory = tags.get(TIFF_TAGS.geoKeyDirectory);
+  const keys = new Map();
+  if (!directory) return keys;
+  for (let i = 4; i + 3 < directory.length; i += 4) {
+    // Keys with a tag location point to other tags (e.g. citations), which we don't need
+    if (directory[i + 1] === 0) keys.set(directory[i], directory[i + 3]);
+  }
+  return keys;
+}
+
+/**
+ * Decompresses TIFF LZW data (MSB-first codes with "early change").
+ * @param {Uint8Array} input - Compressed data
+ * @param {number} expectedLength - Size of the uncompressed data
+ * @returns {Uint8Array} Uncompressed data
+ */
+function decodeTiffLzw(input, expectedLength) {
+  const CLEAR_CODE = 256;
+  const END_CODE = 257;
+  const prefixes = new Int32Array(4096);
+  const suffixes = new Uint8Array(4096);
+  const firstBytes = new Uint8Array(4096);
+  const lengths = new Int32Array(4096);
+  for (let i = 0; i < 256; i++) {
+    prefixes[i] = -1;
+    suffixes[i] = i;
+    firstBytes[i] = i;
+    lengths[i] = 1;
+  }
+
+  const output = new Uint8Array(expectedLength);
+  let outputPos = 0;
+  let bitPos = 0;
+  let codeWidth = 9;
+  let nextCode = 258;
+  let oldCode = -1;
+
+  const readCode = () => {
+    const byteIndex = bitPos >>> 3;
+    const chunk = (input[byteIndex] << 16) | (input[byteIndex + 1] << 8) | input[byteIndex + 2];
+    const shift = 24 - (bitPos & 7) - codeWidth;
+    bitPos += codeWidth;
+    return (chunk >>> shift) & ((1 << codeWidth) - 1);
+  };
+  const writeCode = (code) => {
+    const length = lengths[code];
+    for (let i = length - 1, c = code; i >= 0; i--, c = prefixes[c]) {
+      if (outputPos + i < expectedLength) output[outputPos + i] = suffixes[c];
+    }
+    outputPos += length;
+  };
+  const addCode = (prefix, byte) => {
+    if (nextCode >= 4096) return;
+    prefixes[nextCode] = prefix;
+    suffixes[nextCode] = byte;
+    firstBytes[nextCode] = firstBytes[prefix];
+    lengths[nextCode] = lengths[prefix] + 1;
+    nextCode++;
+  };
+
+  while (bitPos + codeWidth <= input.length * 8 && outputPos < expectedLength) {
+    const code = readCode();
+    if (code === END_CODE) break;
+    if (code === CLEAR_CODE) {
+      codeWidth = 9;
+      nextCode = 258;
+      oldCode = -1;
+      continue;
+    }
+    if (oldCode === -1) {
+      writeCode(code);
+    } else if (code < nextCode) {
+      writeCode(code);
+      addCode(oldCode, firstBytes[code]);
+    } else {
+      addCode(oldCode, firstBytes[oldCode]);
+      writeCode(nextCode - 1);
+    }
+    oldCode = code;
+    if (nextCode + 1 >= 1 << codeWidth && codeWidth < 12) codeWidth++;
+  }
+  return output;
+}
+
+/**
+ * Decompresses a strip or tile of a TIFF file.
+ * @param {Uint8Array} bytes - Compressed data
+ * @param {number} compression - TIFF compression code
+ * @param {number} expectedLength - Size of the uncompressed data
+ * @returns {Promise<Uint8Array>} Uncompressed data
+ */
+async function decompressTiffChunk(bytes, compression, expectedLength) {
+  if (compression === 1) return bytes;
+  if (compression === 5) return decodeTiffLzw(bytes, expectedLength);
+  if (compression === 8 || compression === 32946) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  throw new Error(`Unsupported GeoTIFF compression (${compression}).`);
+}
+
+/**
+ * Parses a single-band GeoTIFF in geographic coordinates (e.g. SRTM, Copernicus DEM).
+ * Only the first band of the first image is read.
+ * @param {string} name - File name
+ * @param {ArrayBuffer} buffer - File content
+ * @returns {Promise<object>} The tile
+ */
+async function parseGeoTiffTile(name, buffer) {
+  const view = new DataView(buffer);
+  const byteOrder = view.getUint16(0, false);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    throw new Error("This is not a TIFF file.");
+  }
+  const littleEndian = byteOrder === 0x4949;
+  if (view.getUint16(2, littleEndian) !== 42) {
+    throw new Error("BigTIFF files are not supported.");
+  }
+
+  const tags = readTiffDirectory(view, littleEndian);
+  const tag = (id, fallback) => (tags.has(id) ? tags.get(id)[0] : fallback);
+  const width = tag(TIFF_TAGS.width);
+  const height = tag(TIFF_TAGS.height);
+  const bitsPerSample = tag(TIFF_TAGS.bitsPerSample, 1);
+  const sampleFormat = tag(TIFF_TAGS.sampleFormat, 1);
+  const compression = tag(TIFF_TAGS.compression, 1);
+  const predictor = tag(TIFF_TAGS.predictor, 1);
+  const isPlanar = tag(TIFF_TAGS.planarConfiguration, 1) === 2;
+  const samplesPerPixel = isPlanar ? 1 : tag(TIFF_TAGS.samplesPerPixel, 1);
+  const bytesPerSample = bitsPerSample / 8;
+
+  if (![8, 16, 32, 64].includes(bitsPerSample) || (sampleFormat === 3 && bitsPerSample < 32)) {
+    throw new Error(`Unsupported GeoTIFF sample size (${bitsPerSample} bit).`);
+  }
+  if (predictor !== 1 && (predictor !== 2 || sampleFormat === 3)) {
+    throw new Error(`Unsupported GeoTIFF predictor (${predictor}).`);
+  }
+
+  // Georeferencing: pixel scale and tiepoint, or a transformation without rotation
+  let scaleX, scaleY, originX, originY;
+  const transformation = tags.get(TIFF_TAGS.modelTransformation);
+  if (tags.has(TIFF_TAGS.modelPixelScale) && tags.has(TIFF_TAGS.modelTiepoint)) {
+    const [scaleXValue, scaleYValue] = tags.get(TIFF_TAGS.modelPixelScale);
+    const [i, j, , x, y] = tags.get(TIFF_TAGS.modelTiepoint);
+    scaleX = scaleXValue;
+    scaleY = scaleYValue;
+    originX = x - i * scaleX;
+    originY = y + j * scaleY;
+  } else if (transformation && transformation[1] === 0 && transformation[4] === 0) {
+    scaleX = transformation[0];
+    scaleY = -transformation[5];
+    originX = transformation[3];
+    originY = transformation[7];
+  } else {
+    throw new Error("The GeoTIFF has no supported georeferencing.");
+  }
+
+  const geoKeys = readGeoKeys(tags);
+  if (
+    geoKeys.get(GEOKEY_MODEL_TYPE) === GEOKEY_MODEL_TYPE_PROJECTED ||
+    Math.abs(originX) > 180 ||
+    Math.abs(originY) > 90
+  ) {
+    throw new Error("Only GeoTIFFs in geographic coordinates (EPSG:4326) are supported.");
+  }
+  // Area rasters are georeferenced by the pixel corner, we sample at pixel centers
+  if (geoKeys.get(GEOKEY_RASTER_TYPE) !== GEOKEY_RASTER_PIXEL_IS_POINT) {
+    originX += scaleX / 2;
+    originY -= scaleY / 2;
+  }
+
+  // Strips are tiles spanning the full width
+  const isTiled = tags.has(TIFF_TAGS.tileOffsets);
+  const chunkWidth = isTiled ? tag(TIFF_TAGS.tileWidth) : width;
+  const chunkHeight = isTiled ? tag(TIFF_TAGS.tileHeight) : tag(TIFF_TAGS.rowsPerStrip, height);
+  const offsets = tags.get(isTiled ? TIFF_TAGS.tileOffsets : TIFF_TAGS.stripOffsets);
+  const byteCounts = tags.get(isTiled ? TIFF_TAGS.tileByteCounts : TIFF_TAGS.stripByteCounts);
+  const chunksAcross = Math.ceil(width / chunkWidth);
+  const chunksDown = Math.ceil(height / chunkHeight);
+
+  const readSample = (chunkView, pos) => {
+    if (sampleFormat === 3) {
+      return bitsPerSample === 32
+        ? chunkView.getFloat32(pos, littleEndian)
+        : chunkView.getFloat64(pos, littleEndian);
+    }
+    if (bitsPerSample === 8) return chunkView.getUint8(pos);
+    if (bitsPerSample === 16) return chunkView.getUint16(pos, littleEndian);
+    return chunkView.getUint32(pos, littleEndian);
+  };
+  const toSigned = (value) =>
+    value >= 2 ** (bitsPerSample - 1) ? value - 2 ** bitsPerSample : value;
+  const integerRange = 2 ** bitsPerSample;
+
+  const data = new Float32Array(width * height).fill(NaN);
+  for (let chunk = 0; chunk < chunksAcross * chunksDown; chunk++) {
+    const x0 = (chunk % chunksAcross) * chunkWidth;
+    const y0 = Math.floor(chunk / chunksAcross) * chunkHeight;
+    const rows = isTiled ? chunkHeight : Math.min(chunkHeight, height - y0);
+    const expectedLength = chunkWidth * rows * samplesPerPixel * bytesPerSample;
+    const bytes = await decompressTiffChunk(
+      new Uint8Array(buffer, offsets[chunk], byteCounts[chunk]),
+      compression,
+      expectedLength,
+    );
+    const chunkView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    for (let r = 0; r < rows && y0 + r < height; r++) {
+      let previous = 0;
+      for (let c = 0; c < chunkWidth; c++) {
+        const pos = (r * chunkWidth + c) * samplesPerPixel * bytesPerSample;
+        if (pos + bytesPerSample > bytes.byteLength) break;
+        let value = readSample(chunkView, pos);
+        if (predictor === 2) {
+          value = (value + previous) % integerRange;
+          previous = value;
+        }
+        if (x0 + c < width) {
+          data[(y0 + r) * width + x0 + c] = sampleFormat === 2 ? toSigned(value) : value;
+        }
+      }
+    }
+  }
+
+  const noData = parseFloat(tags.get(TIFF_TAGS.gdalNoData));
+  return {
+    name,
+    width,
+    height,
+    originLng: originX,
+    originLat: originY,
+    pixelWidth: scaleX,
+    pixelHeight: scaleY,
+    noData: isFinite(noData) ? noData : null,
+    data,
+  };
+}
+
+// --- Import ---
+
+/**
+ * Checks whether a file name belongs to a DEM tile.
+ * @param {string} name - File name
+ * @returns {boolean} True for .hgt and GeoTIFF files
+ */
+function isLocalDemFileName(name) {
+  const lowerName = name.toLowerCase();
+  return LOCAL_DEM_FILE_EXTENSIONS.some((extension) => lowerName.endsWith(extension));
+}
+
+/**
+ * Parses and stores DEM tiles. Zip archives are searched for tiles.
+ * @param {File[]} files - .hgt, .tif/.tiff or .zip files
+ * @returns {Promise<{imported: string[], errors: string[]}>} Names of the stored tiles and
+ *   error messages of the files that failed
+ */
+async function importLocalDemFiles(files) {
+  const imported = [];
+  const errors = [];
+
+  const importTile = async (name, buffer) => {
+    try {
+      const tile = name.toLowerCase().endsWith(".hgt")
+        ? parseHgtTile(name, buffer)
+        : await parseGeoTiffTile(name, buffer);
+      await storeLocalDemTile(tile);
+      imported.push(name);
+    } catch (error) {
+      console.error(`Error importing DEM tile ${name}:`, error);
+      errors.push(`${name}: ${error.message}`);
+    }
+  };
+
+  for (const file of files) {
+    if (file.name.toLowerCase().endsWith(".zip")) {
+      try {
+        const zip = await JSZip.loadAsync(file);
+        const entries = Object.values(zip.files).filter(
+          (entry) => !entry.dir && isLocalDemFileName(entry.name),
+        );
+        if (entries.length === 0) errors.push(`${file.name}: No DEM tiles found in the archive.`);
+        for (const entry of entries) {
+          await importTile(entry.name.split("/").pop(), await entry.async("arraybuffer"));
+        }
+      } catch (error) {
+        console.error(`Error reading ${file.name}:`, error);
+        errors.push(`${file.name}: ${error.message}`);
+      }
+    } else if (isLocalDemFileName(file.name)) {
+      await importTile(file.name, await file.arrayBuffer());
+    } else {
+      errors.push(`${file.name}: Unsupported file type.`);
+    }
+  }
+
+  if (imported.length > 0) clearElevationCache();
+  return { imported, errors };
+}
+
+// --- Dialog ---
+
+/**
+ * Formats the extent of a tile, e.g. "46.0°N 7.0°E – 47.0°N 8.0°E".
+ * @param {object} entry - Tile index entry
+ * @returns {string} The extent
+ */
+function formatLocalDemExtent(entry) {
+  const lat = (value) => `${Math.abs(value).toFixed(1)}°${value < 0 ? "S" : "N"}`;
+  const lng = (value) => `${Math.abs(value).toFixed(1)}°${value < 0 ? "W" : "E"}`;
+  return `${lat(entry.south)} ${lng(entry.west)} – ${lat(entry.north)} ${lng(entry.east)}`;
+}
+
+/**
+ * Shows the dialog to add and remove the local DEM tiles. Files can be dropped onto the
+ * dialog or chosen with the file picker.
+ */
+async function showLocalDemDialog() {
+  await Swal.fire({
+    title: "Local DEM Files",
+    html: `
+      <div class="local-dem-dialog">
+        <label class="local-dem-dropzone">
+          <span class="material-symbols">upload_file</span>
+          <span class="local-dem-dropzone-text">Drop SRTM .hgt or GeoTIFF files here, or click to choose</span>
+          <input type="file" multiple accept=".hgt,.tif,.tiff,.zip" hidden />
+        </label>
+        <div class="local-dem-errors"></div>
+        <div class="local-dem-list"></div>
+      </div>
+    `,
+    confirmButtonText: "Close",
+    didOpen: (popup) => {
+      const dropzone = popup.querySelector(".local-dem-dropzone");
+      const dropzoneText = popup.querySelector(".local-dem-dropzone-text");
+      const input = dropzone.querySelector("input");
+      const errorsDiv = popup.querySelector(".local-dem-errors");
+      const list = popup.querySelector(".local-dem-list");
+
+      const renderList = async () => {
+        const tiles = await getLocalDemTiles();
+        list.innerHTML =
+          tiles.length === 0
+            ? `<p class="local-dem-empty">No DEM files added yet.</p>`
+            : tiles
+                .map(
+                  (entry) => `
+                  <div class="local-dem-item">
+                    <div>
+                      <div class="local-dem-name">${escapeXml(entry.name)}</div>
+                      <div class="local-dem-extent">${formatLocalDemExtent(entry)} · ${entry.width}×${entry.height}</div>
+                    </div>
+                    <span class="material-symbols local-dem-delete" data-id="${entry.id}" title="Remove">delete</span>
+                  </div>`,
+                )
+                .join("");
+        list.querySelectorAll(".local-dem-delete").forEach((button) => {
+          button.addEventListener("click", async () => {
+            await deleteLocalDemTile(button.dataset.id);
+            clearElevationCache();
+            renderList();
+          });
+        });
+      };
+
+      const handleFiles = async (files) => {
+        if (files.length === 0) return;
+        const defaultText = dropzoneText.textContent;
+        dropzoneText.textContent = "Importing...";
+        errorsDiv.innerHTML = "";
+        const { errors } = await importLocalDemFiles(files);
+        errorsDiv.innerHTML = errors.map((error) => `<p>${escapeXml(error)}</p>`).join("");
+        dropzoneText.textContent = defaultText;
+        renderList();
+      };
+
+      input.addEventListener("change", () => {
+        handleFiles([...input.files]);
+        input.value = "";
+      });
+      dropzone.addEventListener("dragover", (e) => {
+        e.preventDefault();
+        dropzone.classList.add("dragover");
+      });
+      dropzone.addEventListener("dragleave", () => dropzone.classList.remove("dragover"));
+      dropzone.addEventListener("drop", (e) => {
+        e.preventDefault();
+        dropzone.classList.remove("dragover");
+        handleFiles([...e.dataTransfer.files]);
+      });
+
+      renderList();
+    },
+  });
+}
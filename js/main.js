@@ -210,6 +210,17 @@ async function initializeMap() {
     colorPicker.style.display = isPickerVisible ? "none" : "grid";
   });
 
+  document.getElementById("info-panel-style-button").addEventListener("click", () => {
+    colorPicker.style.display = "none";
+    showStyleEditor();
+  });
+
+  document.getElementById("project-bar").addEventListener("click", showProjectManager);
+  document.getElementById("project-bar-history").addEventListener("click", (e) => {
+    e.stopPropagation();
+    showSnapshotHistory();
+  });
+
   populateColorPicker();
 
   const tabButtons = document.querySelectorAll(".tab-button");
@@ -297,28 +308,33 @@ async function initializeMap() {
     FoundPlaces: '<span class="material-symbols layer-icon">location_on</span> Found Places',
   };
 
+  // The OpenStreetMap tile usage policy doesn't allow downloading tiles for offline use, the
+  // other layers can be saved for offline use (see offline-tiles.js)
   const osmLayer = L.tileLayer("https://tile.openstreetmap.org/{z}/{x}/{y}.png", {
     maxZoom: 19,
   });
 
   const baseMaps = {
     OpenStreetMap: osmLayer,
-    EsriWorldImagery: L.tileLayer(
+    EsriWorldImagery: L.tileLayer.offline(
       "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
       { maxZoom: 19 },
     ),
-    CyclOSM: L.tileLayer("https://{s}.tile-cyclosm.openstreetmap.fr/cyclosm/{z}/{x}/{y}.png", {
-      maxZoom: 19,
-    }),
-    TracestrackTopo: L.tileLayer(
+    CyclOSM: L.tileLayer.offline(
+      "https://{s}.tile-cyclosm.openstreetmap.fr/cyclosm/{z}/{x}/{y}.png",
+      {
+        maxZoom: 19,
+      },
+    ),
+    TracestrackTopo: L.tileLayer.offline(
       `https://tile.tracestrack.com/topo__/{z}/{x}/{y}.webp?key=${tracestrackApiKey}`,
       { maxZoom: 19 },
     ),
-    TopPlusOpen: L.tileLayer(
+    TopPlusOpen: L.tileLayer.offline(
       "https://sgx.geodatenzentrum.de/wmts_topplus_open/tile/1.0.0/web/default/WEBMERCATOR/{z}/{y}/{x}.png",
       { maxZoom: 18 },
     ),
-    Swisstopo: L.tileLayer.wms("https://wms.geo.admin.ch/", {
+    Swisstopo: L.tileLayer.wms.offline("https://wms.geo.admin.ch/", {
       layers: "ch.swisstopo.pixelkarte-farbe",
       format: "image/jpeg",
       maxZoom: 18,
@@ -327,7 +343,7 @@ async function initializeMap() {
   };
 
   const staticOverlayMaps = {
-    SwissHikingTrails: L.tileLayer.wms("https://wms.geo.admin.ch/", {
+    SwissHikingTrails: L.tileLayer.wms.offline("https://wms.geo.admin.ch/", {
       layers: "ch.swisstopo.swisstlm3d-wanderwege",
       format: "image/png",
       transparent: true,
@@ -342,8 +358,13 @@ async function initializeMap() {
     attributionControl: false,
     doubleClickZoom: false,
     worldCopyJump: true,
+    boxZoom: false,
   });
 
+  // Shift+drag selects the items inside the box instead of zooming to it
+  map.addHandler("boxSelect", L.Map.BoxSelect);
+  map.boxSelect.enable();
+
   // Create a dedicated pane for WMS layers
   map.createPane("wmsPane");
   map.getPane("wmsPane").style.zIndex = 250;
@@ -379,7 +400,8 @@ async function initializeMap() {
         return response.json();
       })
       .then((data) => {
-        if (data && data.location) {
+        // The restored project's view takes precedence over the user's location
+        if (data && data.location && !autosaveViewRestored) {
           console.log(`Centering map on user location via Google Geolocation API.`);
           map.setView([data.location.lat, data.location.lng], 5);
         }
@@ -437,12 +459,17 @@ async function initializeMap() {
   initPoiFinder();
 
   // Import shared data from URL if present (now that layer groups are ready)
-  if (window._pendingShareData) {
+  const hasShareData = !!window._pendingShareData;
+  let isSharedMapOpened = false;
+  if (hasShareData) {
     const { data, zoom, lat, lon } = window._pendingShareData;
     const success = importMapStateFromUrl(data);
 
     if (success) {
       console.log("Successfully loaded shared map data from URL");
+      isSharedMapOpened = true;
+      // Keep the shared items in a project of their own, so they don't replace the user's map
+      await startSharedMapProject();
       // Clear data from URL on successful import (keep map view only)
       const newHash = `#map=${zoom}/${lat}/${lon}`;
       window.history.replaceState(null, "", newHash);
@@ -465,14 +492,19 @@ async function initializeMap() {
       });
     }
     delete window._pendingShareData;
-  } else {
-    // No share URL — restore previous session from IndexedDB
-    await restoreAutosave();
+  }
+  if (!isSharedMapOpened) {
+    // No (working) share URL — restore the last active project from IndexedDB, at its saved
+    // view unless the URL has one
+    await restoreAutosave({ restoreView: !initialView });
   }
 
   // Start periodic autosave (every 5s, writes only on change)
   startAutosave();
 
+  // Undo/redo history starts from the loaded state; keep last session's history unless shared
+  await initializeHistory(!isSharedMapOpened);
+
   const allOverlayMaps = {
     ...staticOverlayMaps,
     DrawnItems: drawnItems,
@@ -573,9 +605,10 @@ async function initializeMap() {
   }
   formContent += "</div>";
 
-  // Custom WMS layers will be dynamically added to the sortable list above
+  // Custom WMS, WMTS and XYZ overlays will be dynamically added to the sortable list above,
+  // custom basemaps to the basemap list
 
-  // Add Import Maps button for custom WMS layers
+  // Add Import Maps button for custom layers
   formContent += '<div class="leaflet-control-layers-separator"></div>';
   formContent += `
     <div style="padding: 8px 10px;">
@@ -584,7 +617,14 @@ async function initializeMap() {
         class="wms-import-button"
         style="width: 100%; padding: 8px 12px; cursor: pointer; background-color: var(--text-color); color: var(--background-color); border: none; border-radius: var(--border-radius); font-size: var(--font-size-14); font-weight: bold; white-space: nowrap;"
       >
-        Import WMS Layers
+        Import Map Layers
+      </button>
+      <button
+        id="offline-maps-btn"
+        class="wms-import-button"
+        style="width: 100%; margin-top: 6px; padding: 8px 12px; cursor: pointer; background-color: var(--background-color); color: var(--text-color); border: 1px solid var(--text-color); border-radius: var(--border-radius); font-size: var(--font-size-14); font-weight: bold; white-space: nowrap;"
+      >
+        Offline Maps
       </button>
     </div>
   `;
@@ -593,7 +633,7 @@ async function initializeMap() {
 
   customPanel.innerHTML = formContent;
 
-  // Add event listener for Import WMS Layers button
+  // Add event listener for Import Map Layers button
   const wmsImportBtn = document.getElementById("wms-import-btn");
   if (wmsImportBtn) {
     wmsImportBtn.addEventListener("click", (e) => {
@@ -605,11 +645,23 @@ async function initializeMap() {
     });
   }
 
+  document.getElementById("offline-maps-btn").addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    showOfflineAreasDialog(map);
+  });
+
   // Load saved WMS layers from localStorage
   if (typeof WmsImport !== "undefined" && WmsImport.loadLayersFromStorage) {
     WmsImport.loadLayersFromStorage(map);
+    WmsImport.initializeFeatureInfo(map);
   }
 
+  // Cached tiles of downloaded areas replace the network tiles from now on
+  initializeOfflineTiles(map).catch((error) => {
+    console.warn("Failed to load offline areas:", error);
+  });
+
   // Function to restore saved overlay order from localStorage
   function restoreOverlayOrder() {
     const savedOrder = localStorage.getItem("overlayLayerOrder");
@@ -654,6 +706,8 @@ async function initializeMap() {
       delay: 150, // Long press delay for touch devices to distinguish from click
       touchStartThreshold: 10, // Increased tolerance for touch movement
       forceFallback: false, // Use native HTML5 drag when possible
+      filter: ".wms-time-control", // Keep the time sliders of WMS layers usable
+      preventOnFilter: false,
       onEnd: function () {
         // After reordering, update z-index by calling bringToFront in order
         reapplyOverlayZIndex();
@@ -807,6 +861,10 @@ async function initializeMap() {
             map.addLayer(baseMaps[name]);
           }
         }
+        // Imported basemaps are managed by WmsImport
+        if (typeof WmsImport !== "undefined") {
+          WmsImport.selectCustomBasemap(e.target.dataset.layerId, map);
+        }
         // Reapply overlay layer z-index after base layer change
         reapplyOverlayZIndex();
       } else {
@@ -834,6 +892,14 @@ async function initializeMap() {
     }
   });
 
+  // Show the imported basemap that was selected last session, now that selecting works
+  customPanel
+    .querySelector('.leaflet-control-layers-base input[data-layer-type="wms-custom"]:checked')
+    ?.click();
+
+  // Basemap and overlays of a shared link that was opened
+  applySharedViewState();
+
   document.addEventListener(
     "click",
     function (event) {
@@ -896,6 +962,33 @@ async function initializeMap() {
     },
   });
 
+  /**
+   * Creates a toolbar button class for undo or redo.
+   * @param {string} id - The container element ID
+   * @param {function} action - Function called on click
+   * @returns {L.Control} The control class
+   */
+  const createHistoryControl = (id, action) =>
+    L.Control.extend({
+      options: { position: "topleft" },
+      onAdd: function (map) {
+        const container = L.DomUtil.create(
+          "div",
+          "leaflet-bar leaflet-control leaflet-control-custom disabled",
+        );
+        container.id = id;
+        container.innerHTML = '<a href="#" role="button"></a>';
+        L.DomEvent.on(container, "click", (ev) => {
+          L.DomEvent.stop(ev);
+          if (L.DomUtil.hasClass(container, "disabled")) return;
+          action();
+        });
+        return container;
+      },
+    });
+  const UndoControl = createHistoryControl("undo-button", undoHistory);
+  const RedoControl = createHistoryControl("redo-button", redoHistory);
+
   const DownloadControl = L.Control.extend({
     options: { position: "topleft" },
     onAdd: function (map) {
@@ -911,8 +1004,10 @@ async function initializeMap() {
         '<div class="download-submenu">' +
         '<button id="download-gpx-single" disabled title="Download selected item as GPX">GPX (Selected Item)</button>' +
         '<button id="download-geojson-single" disabled title="Download selected item as GeoJSON">GeoJSON (Selected Item)</button>' +
+        '<button id="download-tcx-single" disabled title="Select a path to download as TCX course">TCX Course (Selected Path)</button>' +
         '<button id="download-geojson" title="Download everything as GeoJSON">GeoJSON (Everything)</button>' +
         '<button id="download-kml" title="Download everything as KML">KML (Everything)</button>' +
+        '<button id="download-kmz" title="Download everything as KMZ with icons and images">KMZ (Everything)</button>' +
         '<button id="share-link" title="Copy share link for everything">Copy Share Link (Everything)</button>' +
         "</div>";
       const subMenu = container.querySelector(".download-submenu");
@@ -929,6 +1024,15 @@ async function initializeMap() {
 
       L.DomEvent.on(container.querySelector("#download-gpx-single"), "click", (e) => {
         L.DomEvent.stop(e);
+        const selectedItems = getSelectedItems();
+        if (selectedItems.length > 1) {
+          downloadFile(
+            generateTimestampedFilename("Selected_Items", "gpx"),
+            convertLayerToGpx(selectedItems),
+          );
+          subMenu.style.display = "none";
+          return;
+        }
         // Only download from Strava for live Strava activities; imported items with 'stravaId' use internal GPX export.
         if (globallySelectedItem && globallySelectedItem.pathType === "strava") {
           const { stravaId, name } = globallySelectedItem.feature.properties;
@@ -947,7 +1051,14 @@ async function initializeMap() {
       L.DomEvent.on(container.querySelector("#download-geojson-single"), "click", (e) => {
         L.DomEvent.stop(e);
         if (!globallySelectedItem) return;
-        exportGeoJson({ mode: "single", layer: globallySelectedItem });
+        exportGeoJson({ mode: "single", layers: getSelectedItems() });
+        subMenu.style.display = "none";
+      });
+      L.DomEvent.on(container.querySelector("#download-tcx-single"), "click", (e) => {
+        L.DomEvent.stop(e);
+        if (!globallySelectedItem) return;
+        const name = globallySelectedItem.feature?.properties?.name || `Course_${Date.now()}`;
+        downloadFile(`${name}.tcx`, convertLayerToTcx(globallySelectedItem));
         subMenu.style.display = "none";
       });
       L.DomEvent.on(container.querySelector("#download-kml"), "click", (e) => {
@@ -955,45 +1066,19 @@ async function initializeMap() {
         exportKml();
         subMenu.style.display = "none";
       });
+      L.DomEvent.on(container.querySelector("#download-kmz"), "click", (e) => {
+        L.DomEvent.stop(e);
+        exportKmz();
+        subMenu.style.display = "none";
+      });
       L.DomEvent.on(container.querySelector("#download-geojson"), "click", (e) => {
         L.DomEvent.stop(e);
         exportGeoJson();
         subMenu.style.display = "none";
       });
-      L.DomEvent.on(container.querySelector("#share-link"), "click", async (e) => {
+      L.DomEvent.on(container.querySelector("#share-link"), "click", (e) => {
         L.DomEvent.stop(e);
-        const shareUrl = buildShareableUrl();
-        if (!shareUrl) {
-          Swal.fire({
-            toast: true,
-            icon: "info",
-            title: "Nothing to share",
-            position: "top",
-            showConfirmButton: false,
-            timer: 2000,
-          });
-        } else {
-          await copyToClipboard(shareUrl);
-
-          // Warn users about URL length limits
-          if (shareUrl.length > 2000) {
-            Swal.fire({
-              icon: "warning",
-              title: "Large Share Link Copied!",
-              html: `This link is <strong>${shareUrl.length}</strong> characters and may not work in all browsers or messaging apps.`,
-              confirmButtonText: "OK",
-            });
-          } else {
-            Swal.fire({
-              toast: true,
-              icon: "success",
-              title: `Share Link Copied!<br>(${shareUrl.length} characters)`,
-              position: "top",
-              showConfirmButton: false,
-              timer: 2000,
-            });
-          }
-        }
+        shareMapLink();
         subMenu.style.display = "none";
       });
       return container;
@@ -1146,13 +1231,30 @@ async function initializeMap() {
 
   document.addEventListener("keydown", (e) => {
     if (e.target.matches("input, textarea")) return;
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "z") {
+      e.preventDefault();
+      if (e.shiftKey) {
+        redoHistory();
+      } else {
+        undoHistory();
+      }
+      return;
+    }
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "y") {
+      e.preventDefault();
+      redoHistory();
+      return;
+    }
     if (e.key.toLowerCase() === "f") {
       e.preventDefault();
       toggleFullscreen();
     }
     if ((e.key === "Delete" || e.key === "Backspace") && globallySelectedItem) {
       e.preventDefault();
-      deleteLayerImmediately(globallySelectedItem);
+      deleteSelectedItems();
+    }
+    if (e.key === "Escape" && globallySelectedItem) {
+      deselectCurrentItem();
     }
   });
 
@@ -1269,6 +1371,9 @@ async function initializeMap() {
         feet: false,
         showLength: false,
       },
+      routedpolyline: {
+        shapeOptions: { ...STYLE_CONFIG.path.default, color: DEFAULT_COLOR },
+      },
       polygon: {
         shapeOptions: { ...STYLE_CONFIG.path.default, color: DEFAULT_COLOR },
         showArea: true,
@@ -1292,14 +1397,15 @@ async function initializeMap() {
         "leaflet-bar leaflet-control leaflet-control-custom",
       );
       container.id = "import-button";
-      container.title = "Import GeoJSON/GPX/KML/KMZ file";
+      container.title =
+        "Import GeoJSON/GPX/KML/KMZ, TCX/FIT, zipped Shapefile, CSV or FlatGeobuf file or DEM tile";
       const link = L.DomUtil.create("a", "", container);
       link.href = "#";
       link.role = "button";
       link.innerHTML = "";
       const input = L.DomUtil.create("input", "hidden", container);
       input.type = "file";
-      input.accept = ".geojson,.json,.gpx,.kml,.kmz";
+      input.accept = ".geojson,.json,.gpx,.kml,.kmz,.tcx,.fit,.zip,.csv,.fgb,.hgt,.tif,.tiff";
       input.style.display = "none";
 
       L.DomEvent.on(link, "click", (e) => {
@@ -1320,6 +1426,34 @@ async function initializeMap() {
           importKmlFile(file);
         } else if (fileNameLower.endsWith(".kmz")) {
           importKmzFile(file);
+        } else if (fileNameLower.endsWith(".tcx")) {
+          importTcxFile(file);
+        } else if (fileNameLower.endsWith(".fit")) {
+          importFitFile(file);
+        } else if (fileNameLower.endsWith(".zip")) {
+          importShapefileZip(file);
+        } else if (fileNameLower.endsWith(".csv")) {
+          importCsvFile(file);
+        } else if (fileNameLower.endsWith(".fgb")) {
+          importFlatGeobufFile(file);
+        } else if (isLocalDemFileName(fileNameLower)) {
+          importLocalDemFiles([file]).then(({ imported, errors }) => {
+            if (imported.length > 0) {
+              Swal.fire({
+                toast: true,
+                icon: "success",
+                title: "DEM File Added",
+                text: 'Select "Local DEM files" as elevation provider in the settings to use it.',
+                showConfirmButton: false,
+                timer: 3000,
+              });
+            } else {
+              Swal.fire({
+                title: "DEM Import Error",
+                text: errors.join(" "),
+              });
+            }
+          });
         }
         e.target.value = "";
       });
@@ -1330,6 +1464,9 @@ async function initializeMap() {
   downloadControl = new DownloadControl({ position: "topleft" }).addTo(map);
   elevationToggleControl = new ElevationToggleControl({ position: "topleft" }).addTo(map);
   L.DomUtil.addClass(elevationToggleControl.getContainer(), "disabled");
+  new UndoControl().addTo(map);
+  new RedoControl().addTo(map);
+  updateHistoryControlStates();
   updateElevationToggleIconColor();
   updateOverviewList();
 
@@ -1341,10 +1478,7 @@ async function initializeMap() {
     layer.feature.properties.color = DEFAULT_COLOR;
     drawnItems.addLayer(layer);
     editableLayers.addLayer(layer);
-    layer.on("click", (ev) => {
-      L.DomEvent.stopPropagation(ev);
-      selectItem(layer);
-    });
+    layer.on("click", (ev) => handleLayerClick(ev, layer));
     if (e.layerType === "polyline" || e.layerType === "polygon") {
     }
     selectItem(layer);
@@ -1353,6 +1487,13 @@ async function initializeMap() {
     }
     updateDrawControlStates();
     updateOverviewList();
+    const createdLabels = {
+      polyline: "Draw Path",
+      routedpolyline: "Draw Path",
+      polygon: "Draw Area",
+      marker: "Place Marker",
+    };
+    recordHistory(createdLabels[e.layerType] || "Draw Item", [layer]);
   });
 
   map.on("draw:edited", (e) => {
@@ -1361,17 +1502,21 @@ async function initializeMap() {
         const newDistance = calculatePathDistance(layer);
         if (layer.feature && layer.feature.properties) {
           layer.feature.properties.totalDistance = newDistance;
+          clearRoutedPathData(layer.feature.properties);
         }
         if (globallySelectedItem === layer) selectItem(layer);
       }
     });
     updateDrawControlStates();
+    recordHistory("Edit Geometry", e.layers.getLayers());
   });
 
   map.on(L.Draw.Event.DELETED, (e) => {
-    e.layers.eachLayer((layer) => {
-      deleteLayerImmediately(layer);
-      layer.isDeletedFromToolbar = false;
+    runHistoryBatch("Delete Items", () => {
+      e.layers.eachLayer((layer) => {
+        deleteLayerImmediately(layer);
+        layer.isDeletedFromToolbar = false;
+      });
     });
   });
 
@@ -1418,6 +1563,9 @@ async function initializeMap() {
   });
 
   map.on("click", (e) => {
+    // The click that ends a box selection must not clear it again
+    if (map.boxSelect.moved()) return;
+    if (handlePathSplitClick(e.latlng)) return;
     if (
       e.originalEvent.target.id === "map" ||
       e.originalEvent.target.classList.contains("leaflet-container")
@@ -1487,6 +1635,7 @@ async function initializeMap() {
   initializeRouting();
   initializeStrava();
   initializeContextMenu(map);
+  initializePathTools();
   const settingsPanel = document.getElementById("settings-panel");
   if (settingsPanel) {
     const simplificationContainer = L.DomUtil.create("div", "settings-control-item", settingsPanel);
@@ -1633,20 +1782,60 @@ async function initializeMap() {
     routingProviderLabel.innerText = "Routing Provider";
     const routingProviderSelect = L.DomUtil.create("select", "", routingProviderContainer);
     routingProviderSelect.id = "routing-provider-select";
-    routingProviderSelect.innerHTML = `<option value="mapbox">Mapbox</option><option value="osrm">OSRM (Demo)</option>`;
-    routingProviderSelect.value = localStorage.getItem("routingProvider") || "mapbox";
-    L.DomEvent.on(routingProviderSelect, "change", (e) => {
-      const newProvider = e.target.value;
-      localStorage.setItem("routingProvider", newProvider);
+    const routingProviderEditButton = L.DomUtil.create(
+      "span",
+      "material-symbols settings-icon-button",
+      routingProviderContainer,
+    );
+    routingProviderEditButton.textContent = "edit";
+    routingProviderEditButton.title = "Edit custom routing provider";
+    routingProviderContainer.insertBefore(routingProviderEditButton, routingProviderSelect);
+
+    const refreshRoutingProviderSelect = () => {
+      populateRoutingProviderSelect(routingProviderSelect);
+      routingProviderEditButton.style.display = getCustomRoutingProvider(
+        routingProviderSelect.value,
+      )
+        ? ""
+        : "none";
+    };
+    const applyRoutingProvider = (providerId) => {
+      localStorage.setItem("routingProvider", providerId);
+      refreshRoutingProviderSelect();
       window.app.clearRouting();
-      window.app.setupRoutingControl(newProvider);
+      window.app.setupRoutingControl(providerId);
       Swal.fire({
         toast: true,
         icon: "info",
-        title: `Routing provider set to ${e.target.options[e.target.selectedIndex].text}`,
+        title: `Routing provider set to ${getRoutingProviderName(providerId)}`,
         showConfirmButton: false,
         timer: 1500,
       });
+    };
+    refreshRoutingProviderSelect();
+
+    L.DomEvent.on(routingProviderSelect, "change", async (e) => {
+      const newProvider = e.target.value;
+      if (newProvider !== ADD_ROUTING_PROVIDER_OPTION) {
+        applyRoutingProvider(newProvider);
+        return;
+      }
+      const result = await showCustomRoutingProviderDialog();
+      if (result) {
+        applyRoutingProvider(result.provider.id);
+      } else {
+        refreshRoutingProviderSelect();
+      }
+    });
+    L.DomEvent.on(routingProviderEditButton, "click", async () => {
+      const provider = getCustomRoutingProvider(routingProviderSelect.value);
+      if (!provider) return;
+      const result = await showCustomRoutingProviderDialog(provider);
+      if (result?.action === "saved") {
+        applyRoutingProvider(result.provider.id);
+      } else if (result?.action === "deleted") {
+        applyRoutingProvider("mapbox");
+      }
     });
     L.DomEvent.on(routingProviderContainer, "dblclick mousedown wheel", L.DomEvent.stopPropagation);
 
@@ -1660,12 +1849,30 @@ async function initializeMap() {
     elevationProviderLabel.innerText = "Elevation Provider";
     const elevationProviderSelect = L.DomUtil.create("select", "", elevationProviderContainer);
     elevationProviderSelect.id = "elevation-provider-select";
-    elevationProviderSelect.innerHTML = `<option value="google">Google</option><option value="geoadmin">GeoAdmin (Switzerland)</option>`;
+    elevationProviderSelect.innerHTML = `<option value="google">Google</option><option value="geoadmin">GeoAdmin (Switzerland)</option><option value="local">Local DEM files</option>`;
     elevationProviderSelect.value = localStorage.getItem("elevationProvider") || "google";
-    L.DomEvent.on(elevationProviderSelect, "change", (e) => {
+    const localDemButton = L.DomUtil.create(
+      "span",
+      "material-symbols settings-icon-button",
+      elevationProviderContainer,
+    );
+    localDemButton.textContent = "folder_open";
+    localDemButton.title = "Manage local DEM files";
+    elevationProviderContainer.insertBefore(localDemButton, elevationProviderSelect);
+    const updateLocalDemButton = () => {
+      localDemButton.style.display = elevationProviderSelect.value === "local" ? "" : "none";
+    };
+    updateLocalDemButton();
+    L.DomEvent.on(localDemButton, "click", showLocalDemDialog);
+    L.DomEvent.on(elevationProviderSelect, "change", async (e) => {
       const newProvider = e.target.value;
       localStorage.setItem("elevationProvider", newProvider);
+      updateLocalDemButton();
       clearElevationCache();
+      if (newProvider === "local" && (await getLocalDemTiles()).length === 0) {
+        showLocalDemDialog();
+        return;
+      }
       Swal.fire({
         toast: true,
         icon: "info",
@@ -3,6 +3,10 @@
 let elevationHoverMarker = null;
 window.mapInteractions = {};
 
+// Layers selected in addition to globallySelectedItem (Shift/Ctrl-click, box selection),
+// mapped to their selection outline layers
+const multiSelectedItems = new Map();
+
 /**
  * Displays or moves a temporary circle marker on the map when hovering over the elevation profile.
  * @param {L.LatLng} latlng - The geographical coordinate to show the marker at
@@ -43,6 +47,8 @@ window.mapInteractions.hideElevationMarker = function () {
  * @param {number} [size] - Icon size in pixels
  * @param {number} [anchorOffsetY] - Vertical anchor offset for outline effect
  * @param {boolean} [isOutline] - Whether to render as outline style
+ * @param {string} [symbol] - Name of the symbol, one of MARKER_SYMBOLS (default: pin)
+ * @param {string} [label] - Text shown below the icon
  * @returns {L.DivIcon} Configured marker icon
  */
 function createMarkerIcon(
@@ -51,17 +57,113 @@ function createMarkerIcon(
   size = STYLE_CONFIG.marker.baseSize,
   anchorOffsetY = 0,
   isOutline = false,
+  symbol = MARKER_SYMBOLS[0].name,
+  label = "",
 ) {
   const fillClass = isOutline ? "material-symbols-map-marker-outline" : "material-symbols-fill";
+  const {
+    name,
+    anchorX = 0.5,
+    anchorY = 0.5,
+  } = MARKER_SYMBOLS.find((s) => s.name === symbol) || MARKER_SYMBOLS[0];
+  const labelHtml = label ? `<span class="marker-label">${escapeXml(label)}</span>` : "";
 
   return L.divIcon({
-    html: `<span class="material-symbols ${fillClass} material-symbols-map-marker" style="font-size: ${size}px; color: ${color}; opacity: ${opacity}; line-height: 1;">location_on</span>`,
+    // The size overrides the fixed font size of .material-symbols-map-marker
+    html: `<span class="material-symbols ${fillClass} material-symbols-map-marker" style="font-size: ${size}px !important; color: ${color}; opacity: ${opacity}; line-height: 1;">${name}</span>${labelHtml}`,
     className: "svg-marker-icon",
     iconSize: [size, size],
-    iconAnchor: [size / 2, size * 0.9 + anchorOffsetY],
+    iconAnchor: [size * anchorX, size * anchorY + anchorOffsetY],
   });
 }
 
+/**
+ * Builds the Leaflet path options of a path or area from STYLE_CONFIG and the style
+ * properties of its feature (see FEATURE_STYLE_PROPERTIES).
+ * @param {object} [properties] - The feature properties
+ * @param {boolean} [isPolygon] - Whether the layer is an area (only areas are filled)
+ * @param {boolean} [isHighlighted] - Whether to return the selected style
+ * @returns {object} Options for L.polyline(), L.polygon() or setStyle()
+ */
+function getPathStyle(properties = {}, isPolygon = false, isHighlighted = false) {
+  const base = isHighlighted ? STYLE_CONFIG.path.highlight : STYLE_CONFIG.path.default;
+  const color = properties.color || DEFAULT_COLOR;
+  const weight = properties.weight ?? base.weight;
+  const dashes = LINE_DASH_PATTERNS[properties.dashPattern]?.dashes;
+  const fillOpacity = isPolygon ? (properties.fillOpacity ?? 0) : 0;
+
+  return {
+    ...base,
+    color,
+    weight,
+    opacity: properties.opacity ?? base.opacity,
+    dashArray: dashes ? dashes.map((dash) => dash * weight).join(" ") : null,
+    fill: fillOpacity > 0,
+    fillColor: properties.fillColor || color,
+    fillOpacity,
+  };
+}
+
+/**
+ * Creates the marker icon of a feature from its color, symbol, size and label.
+ * @param {object} [properties] - The feature properties
+ * @param {boolean} [isHighlighted] - Whether to return the selected icon
+ * @returns {L.DivIcon} The marker icon
+ */
+function createFeatureMarkerIcon(properties = {}, isHighlighted = false) {
+  const { opacity } = isHighlighted ? STYLE_CONFIG.marker.highlight : STYLE_CONFIG.marker.default;
+  return createMarkerIcon(
+    properties.color || DEFAULT_COLOR,
+    opacity,
+    properties.markerSize ?? STYLE_CONFIG.marker.baseSize,
+    0,
+    false,
+    properties.markerSymbol,
+    properties.markerLabel,
+  );
+}
+
+/**
+ * Lists the style properties that apply to a geometry type.
+ * @param {string} geometryType - "Point", "LineString" or "Polygon"
+ * @returns {string[]} Keys from FEATURE_STYLE_PROPERTIES
+ */
+function getFeatureStyleKeys(geometryType) {
+  if (geometryType === "Point") return ["markerSymbol", "markerSize", "markerLabel"];
+  const lineKeys = ["weight", "opacity", "dashPattern"];
+  return geometryType === "Polygon" ? [...lineKeys, "fillColor", "fillOpacity"] : lineKeys;
+}
+
+/**
+ * Sets a style property of a feature. Values equal to the default are removed, so features
+ * only store what differs from STYLE_CONFIG.
+ * @param {object} properties - The feature properties
+ * @param {string} key - One of FEATURE_STYLE_PROPERTIES
+ * @param {*} value - The new value, or undefined to remove it
+ */
+function setFeatureStyleProperty(properties, key, value) {
+  const defaultValue = key === "fillColor" ? properties.color : FEATURE_STYLE_DEFAULTS[key];
+  if (value === undefined || value === null || value === defaultValue) {
+    delete properties[key];
+  } else {
+    properties[key] = value;
+  }
+}
+
+/**
+ * Applies the style of a layer's feature to the layer.
+ * @param {L.Layer} layer - The path, area or marker
+ * @param {boolean} [isHighlighted] - Whether to apply the selected style
+ */
+function applyFeatureStyle(layer, isHighlighted = false) {
+  const properties = layer.feature?.properties || {};
+  if (layer instanceof L.Marker) {
+    layer.setIcon(createFeatureMarkerIcon(properties, isHighlighted));
+  } else if (layer instanceof L.Polyline) {
+    layer.setStyle(getPathStyle(properties, layer instanceof L.Polygon, isHighlighted));
+  }
+}
+
 /**
  * Keeps the marker outline synchronized with its parent marker during drag operations.
  */
@@ -77,6 +179,8 @@ function updateMarkerOutlinePosition() {
  */
 function deselectCurrentItem() {
   if (window.mapInteractions) window.mapInteractions.hideElevationMarker();
+  clearMultiSelection();
+  cancelPathSplit();
 
   if (temporarySearchMarker) {
     map.removeLayer(temporarySearchMarker);
@@ -111,14 +215,7 @@ function deselectCurrentItem() {
     listItem.classList.remove("selected");
   }
 
-  const item = globallySelectedItem;
-  const color = item.feature?.properties?.color || DEFAULT_COLOR;
-  if (item instanceof L.Polyline || item instanceof L.Polygon) {
-    item.setStyle({ ...STYLE_CONFIG.path.default, color: color });
-  } else if (item instanceof L.Marker) {
-    item.setIcon(createMarkerIcon(color, STYLE_CONFIG.marker.default.opacity));
-    item.setZIndexOffset(0);
-  }
+  resetItemStyle(globallySelectedItem);
 
   globallySelectedItem = null;
   selectedElevationPath = null;
@@ -129,19 +226,136 @@ function deselectCurrentItem() {
   elevationToggleControl.getContainer().title = "No path selected";
   L.DomUtil.addClass(elevationToggleControl.getContainer(), "disabled");
 
-  const downloadContainer = downloadControl.getContainer();
-  const gpxButton = downloadContainer.querySelector("#download-gpx-single");
-  const geojsonButton = downloadContainer.querySelector("#download-geojson-single");
+  updateSelectionDownloadButtons();
+  resetInfoPanel();
+  updateSelectionBar();
+}
 
-  gpxButton.disabled = true;
-  gpxButton.textContent = "GPX (Selected Item)";
-  gpxButton.title = "Select an item to download as GPX";
+/**
+ * Restores the default (unselected) style of a layer.
+ * @param {L.Layer} layer - The layer to reset
+ */
+function resetItemStyle(layer) {
+  applyFeatureStyle(layer);
+  if (layer instanceof L.Marker) {
+    layer.setZIndexOffset(0);
+  }
+}
 
-  geojsonButton.disabled = true;
-  geojsonButton.textContent = "GeoJSON (Selected Item)";
-  geojsonButton.title = "Select an item to download as GeoJSON";
+/**
+ * Creates the black highlight outline drawn behind a selected layer.
+ * The outline is not added to the map.
+ * @param {L.Layer} layer - The selected layer
+ * @returns {L.Layer|null} The outline layer, or null if outlines are disabled
+ */
+function createSelectionOutline(layer) {
+  const highlightColor = layer.feature?.properties?.color || DEFAULT_COLOR;
 
-  resetInfoPanel();
+  if (layer instanceof L.Polyline || layer instanceof L.Polygon) {
+    const { outline } = STYLE_CONFIG.path.highlight;
+    if (!outline.enabled) return null;
+    const weight =
+      (layer.feature?.properties?.weight ?? STYLE_CONFIG.path.highlight.weight) +
+      outline.weightOffset;
+    // Use L.polygon for polygons to ensure the closing line has an outline
+    if (layer instanceof L.Polygon) {
+      return L.polygon(layer.getLatLngs()[0], {
+        color: outline.color,
+        weight,
+        opacity: STYLE_CONFIG.path.highlight.opacity,
+        interactive: false,
+        fill: true,
+        fillColor: highlightColor,
+        fillOpacity: outline.fillOpacity,
+      });
+    }
+    return L.polyline(layer.getLatLngs(), {
+      color: outline.color,
+      weight,
+      opacity: STYLE_CONFIG.path.highlight.opacity,
+      interactive: false,
+    });
+  }
+
+  if (layer instanceof L.Marker) {
+    const { outline } = STYLE_CONFIG.marker.highlight;
+    if (!outline.enabled) return null;
+    return L.marker(layer.getLatLng(), {
+      icon: createMarkerIcon(
+        outline.color,
+        1,
+        layer.feature?.properties?.markerSize ?? STYLE_CONFIG.marker.baseSize,
+        0,
+        true,
+        layer.feature?.properties?.markerSymbol,
+      ),
+      zIndexOffset: 1001,
+      interactive: false,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Updates the "Selected Item" download buttons to match the current selection.
+ */
+function updateSelectionDownloadButtons() {
+  if (!downloadControl) return;
+  const gpxButton = downloadControl.getContainer().querySelector("#download-gpx-single");
+  const geojsonButton = downloadControl.getContainer().querySelector("#download-geojson-single");
+  const tcxButton = downloadControl.getContainer().querySelector("#download-tcx-single");
+  const selectedItems = getSelectedItems();
+
+  // TCX courses hold a single path
+  const isSinglePath =
+    selectedItems.length === 1 &&
+    selectedItems[0] instanceof L.Polyline &&
+    !(selectedItems[0] instanceof L.Polygon);
+  tcxButton.disabled = !isSinglePath;
+  tcxButton.title = isSinglePath
+    ? "Download selected path as TCX course"
+    : "Select a path to download as TCX course";
+
+  if (selectedItems.length === 0) {
+    gpxButton.disabled = true;
+    gpxButton.textContent = "GPX (Selected Item)";
+    gpxButton.title = "Select an item to download as GPX";
+
+    geojsonButton.disabled = true;
+    geojsonButton.textContent = "GeoJSON (Selected Item)";
+    geojsonButton.title = "Select an item to download as GeoJSON";
+    return;
+  }
+
+  gpxButton.disabled = false;
+  geojsonButton.disabled = false;
+
+  if (selectedItems.length > 1) {
+    const count = selectedItems.length;
+    gpxButton.textContent = `GPX (${count} Selected Items)`;
+    gpxButton.title = `Download ${count} selected items as one GPX file`;
+    geojsonButton.textContent = `GeoJSON (${count} Selected Items)`;
+    geojsonButton.title = `Download ${count} selected items as one GeoJSON file`;
+    return;
+  }
+
+  const layer = selectedItems[0];
+  const itemType =
+    layer instanceof L.Marker ? "Marker" : layer instanceof L.Polygon ? "Area" : "Path";
+
+  // Only show 'Original' label for live Strava activities; imported items are labeled as regular paths/markers.
+  if (layer.pathType === "strava") {
+    gpxButton.textContent = `GPX (Original from Strava)`;
+    gpxButton.title = `Download original GPX from Strava`;
+  } else {
+    gpxButton.textContent = `GPX (Selected ${itemType})`;
+    gpxButton.title = `Download selected ${itemType.toLowerCase()} as GPX`;
+  }
+
+  // GeoJSON button label
+  geojsonButton.textContent = `GeoJSON (Selected ${itemType})`;
+  geojsonButton.title = `Download selected ${itemType.toLowerCase()} as GeoJSON`;
 }
 
 /**
@@ -171,32 +385,9 @@ function selectItem(layer) {
     }
   }
 
-  const highlightColor = layer.feature?.properties?.color || DEFAULT_COLOR;
-
   showInfoPanel(layer);
 
-  if (downloadControl) {
-    const gpxButton = downloadControl.getContainer().querySelector("#download-gpx-single");
-    const geojsonButton = downloadControl.getContainer().querySelector("#download-geojson-single");
-    gpxButton.disabled = false;
-    geojsonButton.disabled = false;
-
-    const itemType =
-      layer instanceof L.Marker ? "Marker" : layer instanceof L.Polygon ? "Area" : "Path";
-
-    // Only show 'Original' label for live Strava activities; imported items are labeled as regular paths/markers.
-    if (layer.pathType === "strava") {
-      gpxButton.textContent = `GPX (Original from Strava)`;
-      gpxButton.title = `Download original GPX from Strava`;
-    } else {
-      gpxButton.textContent = `GPX (Selected ${itemType})`;
-      gpxButton.title = `Download selected ${itemType.toLowerCase()} as GPX`;
-    }
-
-    // GeoJSON button label
-    geojsonButton.textContent = `GeoJSON (Selected ${itemType})`;
-    geojsonButton.title = `Download selected ${itemType.toLowerCase()} as GeoJSON`;
-  }
+  updateSelectionDownloadButtons();
 
   if (layer instanceof L.Polyline || layer instanceof L.Polygon) {
     if (layer.pathType !== "route") {
@@ -206,36 +397,15 @@ function selectItem(layer) {
       }
     }
 
-    const { outline } = STYLE_CONFIG.path.highlight;
-    if (outline.enabled) {
-      if (selectedPathOutline) {
-        map.removeLayer(selectedPathOutline);
-      }
-      // Use L.polygon for polygons to ensure the closing line has an outline
-      if (layer instanceof L.Polygon) {
-        selectedPathOutline = L.polygon(layer.getLatLngs()[0], {
-          color: outline.color,
-          weight: STYLE_CONFIG.path.highlight.weight + outline.weightOffset,
-          opacity: STYLE_CONFIG.path.highlight.opacity,
-          interactive: false,
-          fill: true,
-          fillColor: highlightColor,
-          fillOpacity: outline.fillOpacity,
-        });
-      } else {
-        selectedPathOutline = L.polyline(layer.getLatLngs(), {
-          color: outline.color,
-          weight: STYLE_CONFIG.path.highlight.weight + outline.weightOffset,
-          opacity: STYLE_CONFIG.path.highlight.opacity,
-          interactive: false,
-        });
-      }
-      if (map.hasLayer(layer) && !isEditMode) {
-        selectedPathOutline.addTo(map).bringToFront();
-      }
+    if (selectedPathOutline) {
+      map.removeLayer(selectedPathOutline);
+    }
+    selectedPathOutline = createSelectionOutline(layer);
+    if (selectedPathOutline && map.hasLayer(layer) && !isEditMode) {
+      selectedPathOutline.addTo(map).bringToFront();
     }
 
-    layer.setStyle({ ...STYLE_CONFIG.path.highlight, color: highlightColor });
+    applyFeatureStyle(layer, true);
     layer.bringToFront();
 
     // Only enable elevation for polylines, not polygons
@@ -254,32 +424,286 @@ function selectItem(layer) {
       }
     }
   } else if (layer instanceof L.Marker) {
-    const { outline } = STYLE_CONFIG.marker.highlight;
-    if (outline.enabled) {
-      if (selectedMarkerOutline) {
-        map.removeLayer(selectedMarkerOutline);
-      }
-
-      const outlineSize = STYLE_CONFIG.marker.baseSize;
-
-      selectedMarkerOutline = L.marker(layer.getLatLng(), {
-        icon: createMarkerIcon(outline.color, 1, outlineSize, 0, true),
-        zIndexOffset: 1001,
-        interactive: false,
-      });
-
-      if (map.hasLayer(layer) && !isEditMode) {
-        selectedMarkerOutline.addTo(map);
-      }
+    if (selectedMarkerOutline) {
+      map.removeLayer(selectedMarkerOutline);
+    }
+    selectedMarkerOutline = createSelectionOutline(layer);
+    if (selectedMarkerOutline && map.hasLayer(layer) && !isEditMode) {
+      selectedMarkerOutline.addTo(map);
     }
 
-    layer.setIcon(createMarkerIcon(highlightColor, STYLE_CONFIG.marker.highlight.opacity));
+    applyFeatureStyle(layer, true);
     layer.setZIndexOffset(1000);
 
     layer.on("drag", updateMarkerOutlinePosition);
   }
 
   updateElevationToggleIconColor();
+  updateSelectionBar();
+}
+
+/**
+ * Returns all selected layers, starting with the primary selection (globallySelectedItem).
+ * @returns {L.Layer[]} The selected layers
+ */
+function getSelectedItems() {
+  if (!globallySelectedItem) return [];
+  return [globallySelectedItem, ...multiSelectedItems.keys()];
+}
+
+/**
+ * Checks whether a layer is part of the current selection.
+ * @param {L.Layer} layer - The layer to check
+ * @returns {boolean} True if the layer is selected
+ */
+function isItemSelected(layer) {
+  return layer === globallySelectedItem || multiSelectedItems.has(layer);
+}
+
+/**
+ * Sets the "selected" class on a layer's row in the overview list.
+ * @param {L.Layer} layer - The layer whose row to update
+ * @param {boolean} selected - Whether the row is selected
+ */
+function _setOverviewItemSelected(layer, selected) {
+  const listItem = document.querySelector(
+    `#overview-panel-list .overview-list-item[data-layer-id='${L.Util.stamp(layer)}']`,
+  );
+  if (!listItem) return;
+  listItem.classList.toggle("selected", selected);
+  const checkbox = listItem.querySelector(".overview-select-checkbox");
+  if (checkbox) checkbox.checked = selected;
+}
+
+/**
+ * Adds a layer to the selection. If nothing is selected yet, it becomes the primary selection
+ * shown in the info panel; otherwise it is highlighted alongside it.
+ * The active route can only be selected on its own.
+ * @param {L.Layer} layer - The layer to add
+ */
+function addItemToSelection(layer) {
+  if (isDeleteMode || isEditMode || isItemSelected(layer)) return;
+  if (!globallySelectedItem) {
+    selectItem(layer);
+    return;
+  }
+  if (layer === currentRoutePath || globallySelectedItem === currentRoutePath) return;
+
+  const outline = createSelectionOutline(layer);
+  if (outline && map.hasLayer(layer)) {
+    outline.addTo(map);
+    if (!(layer instanceof L.Marker)) outline.bringToFront();
+  }
+  applyFeatureStyle(layer, true);
+  if (layer instanceof L.Marker) {
+    layer.setZIndexOffset(1000);
+  } else {
+    layer.bringToFront();
+  }
+
+  multiSelectedItems.set(layer, outline);
+  _setOverviewItemSelected(layer, true);
+  updateSelectionDownloadButtons();
+  updateSelectionBar();
+}
+
+/**
+ * Removes a layer from the selection. If the primary selection is removed,
+ * the next selected layer takes its place.
+ * @param {L.Layer} layer - The layer to remove
+ */
+function removeItemFromSelection(layer) {
+  if (layer === globallySelectedItem) {
+    const remaining = [...multiSelectedItems.keys()];
+    deselectCurrentItem();
+    if (remaining.length > 0) {
+      selectItem(remaining[0]);
+      remaining.slice(1).forEach(addItemToSelection);
+    }
+    return;
+  }
+  if (!multiSelectedItems.has(layer)) return;
+
+  const outline = multiSelectedItems.get(layer);
+  if (outline) map.removeLayer(outline);
+  multiSelectedItems.delete(layer);
+  resetItemStyle(layer);
+  _setOverviewItemSelected(layer, false);
+  updateSelectionDownloadButtons();
+  updateSelectionBar();
+}
+
+/**
+ * Adds a layer to the selection or removes it if it is already selected.
+ * @param {L.Layer} layer - The layer to toggle
+ */
+function toggleItemInSelection(layer) {
+  if (isItemSelected(layer)) {
+    removeItemFromSelection(layer);
+  } else {
+    addItemToSelection(layer);
+  }
+}
+
+/**
+ * Removes all additional selections, keeping only the primary selected item.
+ */
+function clearMultiSelection() {
+  if (multiSelectedItems.size === 0) return;
+  multiSelectedItems.forEach((outline, layer) => {
+    if (outline) map.removeLayer(outline);
+    resetItemStyle(layer);
+    _setOverviewItemSelected(layer, false);
+  });
+  multiSelectedItems.clear();
+  updateSelectionDownloadButtons();
+  updateSelectionBar();
+}
+
+/**
+ * Recreates the selection outlines of all selected layers, e.g. after their line weight or
+ * marker symbol changed.
+ */
+function refreshSelectionOutlines() {
+  const showOutline = (layer, outline) => {
+    if (!outline || !map.hasLayer(layer) || isEditMode) return;
+    outline.addTo(map);
+    if (!(layer instanceof L.Marker)) {
+      outline.bringToFront();
+      layer.bringToFront();
+    }
+  };
+
+  if (globallySelectedItem instanceof L.Marker) {
+    if (selectedMarkerOutline) map.removeLayer(selectedMarkerOutline);
+    selectedMarkerOutline = createSelectionOutline(globallySelectedItem);
+    showOutline(globallySelectedItem, selectedMarkerOutline);
+  } else if (globallySelectedItem) {
+    if (selectedPathOutline) map.removeLayer(selectedPathOutline);
+    selectedPathOutline = createSelectionOutline(globallySelectedItem);
+    showOutline(globallySelectedItem, selectedPathOutline);
+  }
+
+  multiSelectedItems.forEach((outline, layer) => {
+    if (outline) map.removeLayer(outline);
+    const newOutline = createSelectionOutline(layer);
+    showOutline(layer, newOutline);
+    multiSelectedItems.set(layer, newOutline);
+  });
+}
+
+/**
+ * Shows or hides the selection outline of an additionally selected layer,
+ * e.g. when the layer's visibility is toggled.
+ * @param {L.Layer} layer - The selected layer
+ * @param {boolean} visible - Whether the outline should be shown
+ */
+function setMultiSelectionOutlineVisible(layer, visible) {
+  const outline = multiSelectedItems.get(layer);
+  if (!outline) return;
+  if (visible) {
+    outline.addTo(map);
+  } else {
+    map.removeLayer(outline);
+  }
+}
+
+/**
+ * Click handler for map features. A plain click selects only the clicked layer,
+ * Shift/Ctrl/Cmd-click adds it to or removes it from the selection.
+ * @param {L.LeafletMouseEvent} e - The click event
+ * @param {L.Layer} layer - The clicked layer
+ */
+function handleLayerClick(e, layer) {
+  L.DomEvent.stopPropagation(e);
+  if (handlePathSplitClick(e.latlng)) return;
+  const original = e.originalEvent;
+  if (original && (original.shiftKey || original.ctrlKey || original.metaKey)) {
+    toggleItemInSelection(layer);
+  } else {
+    clearMultiSelection();
+    selectItem(layer);
+  }
+}
+
+/**
+ * Selects all visible drawn, imported and Strava items that lie completely inside the bounds.
+ * @param {L.LatLngBounds} bounds - The selection box
+ */
+function selectItemsInBounds(bounds) {
+  if (isDeleteMode || isEditMode || L.DomUtil.hasClass(document.body, "leaflet-is-drawing")) return;
+  const candidates = [
+    ...editableLayers.getLayers(),
+    ...importedItems.getLayers(),
+    ...stravaActivitiesLayer.getLayers(),
+  ];
+  candidates.forEach((layer) => {
+    if (!map.hasLayer(layer)) return;
+    const inside =
+      layer instanceof L.Marker
+        ? bounds.contains(layer.getLatLng())
+        : bounds.contains(layer.getBounds());
+    if (inside) addItemToSelection(layer);
+  });
+}
+
+/**
+ * Box selection handler: Shift+drag draws a box like Leaflet's box zoom,
+ * but selects the items inside it instead of zooming.
+ */
+L.Map.BoxSelect = L.Map.BoxZoom.extend({
+  _onMouseUp: function (e) {
+    if (e.which !== 1 && e.button !== 1) return;
+
+    this._finish();
+
+    if (!this._moved) return;
+    // Postpone to next JS tick so internal click event handling still sees it as "moved"
+    this._clearDeferredResetState();
+    this._resetStateTimeout = setTimeout(L.Util.bind(this._resetState, this), 0);
+
+    const bounds = L.latLngBounds(
+      this._map.containerPointToLatLng(this._startPoint),
+      this._map.containerPointToLatLng(this._point),
+    );
+    selectItemsInBounds(bounds);
+  },
+});
+
+/**
+ * Deletes all selected items as a single undoable operation. Several items, and Strava
+ * activities, which the undo history doesn't cover, are only deleted after confirmation.
+ */
+async function deleteSelectedItems() {
+  const items = getSelectedItems();
+  if (items.length === 0) return;
+
+  const stravaCount = items.filter((item) => item.pathType === "strava").length;
+  if (items.length > 1 || stravaCount > 0) {
+    let text = "You can undo this with Ctrl+Z.";
+    if (stravaCount === items.length) {
+      text = "Strava activities can't be restored with undo.";
+    } else if (stravaCount > 0) {
+      text =
+        stravaCount > 1
+          ? `${stravaCount} of them are Strava activities, which can't be restored with undo.`
+          : "One of them is a Strava activity, which can't be restored with undo.";
+    }
+    const result = await Swal.fire({
+      title:
+        items.length > 1 ? `Delete ${items.length} selected items?` : "Delete Strava activity?",
+      text,
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonColor: "var(--color-red)",
+      confirmButtonText: "Delete",
+    });
+    if (!result.isConfirmed) return;
+  }
+
+  runHistoryBatch(items.length > 1 ? "Delete Items" : "Delete Item", () => {
+    items.forEach(deleteLayerImmediately);
+  });
 }
 
 /**
@@ -357,6 +781,8 @@ function deleteLayerImmediately(layer) {
 
   if (globallySelectedItem === layer) {
     deselectCurrentItem();
+  } else {
+    removeItemFromSelection(layer);
   }
 
   [drawnItems, importedItems, stravaActivitiesLayer].forEach((group) => {
@@ -382,6 +808,7 @@ function deleteLayerImmediately(layer) {
 
   updateDrawControlStates();
   updateOverviewList();
+  recordHistory("Delete Item", [layer]);
 }
 
 /**
@@ -0,0 +1,657 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * OFFLINE TILES
+ *
+ * Downloads the tiles of the visible tile layers for an area, so the map works in the field
+ * without a connection. The area is either the current map view or a corridor around a path,
+ * for a range of zoom levels.
+ *
+ * Tiles are stored in the Cache Storage under their URL. Each downloaded area is stored in
+ * IndexedDB with the list of its tile URLs and sizes, so areas can share tiles and deleting
+ * an area only removes the tiles no other area needs. Tile layers created with
+ * L.tileLayer.offline or L.tileLayer.wms.offline load the cached tiles first and only go to
+ * the network for the others.
+ */
+
+const OFFLINE_TILE_CACHE_NAME = "offline-tiles";
+const OFFLINE_AREAS_INDEX_KEY = "offlineTileAreas";
+const OFFLINE_AREA_TILES_KEY_PREFIX = "offlineTileArea:";
+const OFFLINE_MAX_TILES = 10000; // Per download, to go easy on the tile servers
+const OFFLINE_ESTIMATED_TILE_BYTES = 25 * 1024; // Typical size of a raster tile
+const OFFLINE_DOWNLOAD_CONCURRENCY = 2; // Parallel requests
+const OFFLINE_DEFAULT_BUFFER_METERS = 1000;
+const EARTH_CIRCUMFERENCE = 40075016.686; // At the equator (m)
+
+let offlineAreasIndex = null; // Cached index of the downloaded areas
+const offlineTileSizes = new Map(); // URL -> size in bytes of every cached tile
+
+// --- Cache-first tile layers ---
+
+const OfflineTileLayerMixin = {
+  offlineCapable: true,
+
+  /**
+   * Creates a tile like L.TileLayer does, but loads it from the offline cache if it's there.
+   * @param {object} coords - Tile coordinates
+   * @param {function} done - Called when the tile has loaded
+   * @returns {HTMLImageElement} The tile
+   */
+  createTile(coords, done) {
+    const url = this.getTileUrl(coords);
+    if (!offlineTileSizes.has(url)) {
+      return L.TileLayer.prototype.createTile.call(this, coords, done);
+    }
+
+    const tile = document.createElement("img");
+    L.DomEvent.on(tile, "load", L.Util.bind(this._tileOnLoad, this, done, tile));
+    L.DomEvent.on(tile, "error", L.Util.bind(this._tileOnError, this, done, tile));
+    tile.alt = "";
+    getCachedOfflineTile(url).then((blob) => {
+      if (!blob) {
+        tile.src = url;
+        return;
+      }
+      const objectUrl = URL.createObjectURL(blob);
+      tile.addEventListener("load", () => URL.revokeObjectURL(objectUrl), { once: true });
+      tile.src = objectUrl;
+    });
+    return tile;
+  },
+};
+
+L.TileLayer.Offline = L.TileLayer.extend(OfflineTileLayerMixin);
+L.TileLayer.WMS.Offline = L.TileLayer.WMS.extend(OfflineTileLayerMixin);
+
+L.tileLayer.offline = function (url, options) {
+  return new L.TileLayer.Offline(url, options);
+};
+L.tileLayer.wms.offline = function (url, options) {
+  return new L.TileLayer.WMS.Offline(url, options);
+};
+
+/**
+ * Reads a tile from the offline cache.
+ * @param {string} url - URL of the tile
+ * @returns {Promise<Blob|null>} The tile image, or null if it's not cached
+ */
+async function getCachedOfflineTile(url) {
+  try {
+    const cache = await caches.open(OFFLINE_TILE_CACHE_NAME);
+    const response = await cache.match(url);
+    return response ? await response.blob() : null;
+  } catch (error) {
+    console.warn("Could not read offline tile:", error);
+    return null;
+  }
+}
+
+// --- Storage ---
+
+/**
+ * Gets the index of the downloaded areas.
+ * @returns {Promise<Array<object>>} Areas as { id, name, bounds, minZoom, maxZoom, layerNames,
+ *   tileCount, expectedTileCount, bytes, createdAt }
+ */
+async function getOfflineAreas() {
+  if (!offlineAreasIndex) {
+    offlineAreasIndex = (await idbKeyval.get(OFFLINE_AREAS_INDEX_KEY)) || [];
+  }
+  return offlineAreasIndex;
+}
+
+/**
+ * Loads the list of cached tiles, so the offline tile layers know which tiles to take from
+ * the cache. Visible offline tile layers are redrawn to pick up the cached tiles.
+ * @param {L.Map} map - The map
+ */
+async function initializeOfflineTiles(map) {
+  const areas = await getOfflineAreas();
+  for (const area of areas) {
+    const tiles = (await idbKeyval.get(OFFLINE_AREA_TILES_KEY_PREFIX + area.id)) || [];
+    tiles.forEach(([url, size]) => offlineTileSizes.set(url, size));
+  }
+  if (offlineTileSizes.size > 0) {
+    map.eachLayer((layer) => {
+      if (layer.offlineCapable) layer.redraw();
+    });
+  }
+}
+
+/**
+ * Stores a downloaded area.
+ * @param {object} area - Area as listed in the index
+ * @param {Array<Array>} tiles - The area's tiles as [url, size]
+ */
+async function storeOfflineArea(area, tiles) {
+  const areas = await getOfflineAreas();
+  await idbKeyval.set(OFFLINE_AREA_TILES_KEY_PREFIX + area.id, tiles);
+  offlineAreasIndex = [...areas, area];
+  await idbKeyval.set(OFFLINE_AREAS_INDEX_KEY, offlineAreasIndex);
+}
+
+/**
+ * Removes a downloaded area and the cached tiles that no other area needs.
+ * @param {string} id - Id of the area
+ */
+async function deleteOfflineArea(id) {
+  const areas = await getOfflineAreas();
+  const tiles = (await idbKeyval.get(OFFLINE_AREA_TILES_KEY_PREFIX + id)) || [];
+  const remainingUrls = new Set();
+  for (const area of areas.filter((entry) => entry.id !== id)) {
+    const areaTiles = (await idbKeyval.get(OFFLINE_AREA_TILES_KEY_PREFIX + area.id)) || [];
+    areaTiles.forEach(([url]) => remainingUrls.add(url));
+  }
+
+  const cache = await caches.open(OFFLINE_TILE_CACHE_NAME);
+  for (const [url] of tiles) {
+    if (remainingUrls.has(url)) continue;
+    await cache.delete(url);
+    offlineTileSizes.delete(url);
+  }
+
+  offlineAreasIndex = areas.filter((area) => area.id !== id);
+  await idbKeyval.set(OFFLINE_AREAS_INDEX_KEY, offlineAreasIndex);
+  await idbKeyval.del(OFFLINE_AREA_TILES_KEY_PREFIX + id);
+}
+
+/**
+ * Gets how much storage the browser lets the app use.
+ * @returns {Promise<{usage: number, quota: number}|null>} Bytes used and available in total,
+ *   or null if the browser doesn't tell
+ */
+async function getOfflineStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    return null;
+  }
+}
+
+// --- Tile selection ---
+
+/**
+ * Gets the URL of a tile at any zoom level. Leaflet builds tile URLs for the zoom level the
+ * layer currently shows, so that zoom level is swapped for the tile's while building it.
+ * @param {L.TileLayer} layer - Tile layer on the map
+ * @param {object} coords - Tile coordinates with x, y and z
+ * @returns {string} The URL
+ */
+function getOfflineTileUrl(layer, coords) {
+  const point = L.point(coords.x, coords.y);
+  point.z = coords.z;
+  const tileZoom = layer._tileZoom;
+  layer._tileZoom = coords.z;
+  try {
+    return layer.getTileUrl(point);
+  } finally {
+    layer._tileZoom = tileZoom;
+  }
+}
+
+/**
+ * Gets the zoom levels of a layer's own tiles within a range. Zoom levels beyond the layer's
+ * native maximum show scaled tiles of the maximum.
+ * @param {L.TileLayer} layer - Tile layer
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {number[]} The zoom levels
+ */
+function getOfflineTileZooms(layer, minZoom, maxZoom) {
+  const nativeMaxZoom = layer.options.maxNativeZoom ?? layer.options.maxZoom;
+  const nativeMinZoom = layer.options.minNativeZoom ?? layer.options.minZoom;
+  const zooms = [];
+  const lowestZoom = Math.min(Math.max(minZoom, nativeMinZoom), nativeMaxZoom);
+  for (let z = lowestZoom; z <= Math.min(maxZoom, nativeMaxZoom); z++) {
+    zooms.push(z);
+  }
+  return zooms;
+}
+
+/**
+ * Finds the tiles of a zoom level that cover an area.
+ * @param {object} area - { bounds } for a rectangle or { latlngs, bufferMeters } for a corridor
+ * @param {number} z - Zoom level
+ * @param {number} tileSize - Tile size in pixels
+ * @returns {Array<{x: number, y: number, z: number}>} The tiles
+ */
+function getOfflineAreaTiles(area, z, tileSize) {
+  const tileCount = Math.ceil((256 * Math.pow(2, z)) / tileSize);
+  const clamp = (value) => Math.min(tileCount - 1, Math.max(0, value));
+  const tiles = new Map();
+  const addTileRange = (min, max) => {
+    for (
+      let x = clamp(Math.floor(min.x / tileSize));
+      x <= clamp(Math.floor(max.x / tileSize));
+      x++
+    ) {
+      for (
+        let y = clamp(Math.floor(min.y / tileSize));
+        y <= clamp(Math.floor(max.y / tileSize));
+        y++
+      ) {
+        tiles.set(`${x}/${y}`, { x, y, z });
+      }
+    }
+  };
+
+  if (area.bounds) {
+    const bounds = L.latLngBounds(area.bounds);
+    addTileRange(
+      L.CRS.EPSG3857.latLngToPoint(bounds.getNorthWest(), z),
+      L.CRS.EPSG3857.latLngToPoint(bounds.getSouthEast(), z),
+    );
+    return [...tiles.values()];
+  }
+
+  // The corridor is covered by squares around points along the path, close enough to overlap
+  const points = area.latlngs.map((latlng) => ({
+    point: L.CRS.EPSG3857.latLngToPoint(latlng, z),
+    lat: latlng.lat,
+  }));
+  const metersPerPixel = (lat) =>
+    (EARTH_CIRCUMFERENCE * Math.cos((lat * Math.PI) / 180)) / (256 * Math.pow(2, z));
+  const addSquare = (point, lat) => {
+    const buffer = L.point(1, 1).multiplyBy(area.bufferMeters / metersPerPixel(lat));
+    addTileRange(point.subtract(buffer), point.add(buffer));
+  };
+  points.forEach(({ point, lat }, i) => {
+    addSquare(point, lat);
+    const next = points[i + 1];
+    if (!next) return;
+    const bufferPixels = area.bufferMeters / metersPerPixel(lat);
+    const step = Math.max(1, Math.min(tileSize, 2 * bufferPixels));
+    const steps = Math.ceil(point.distanceTo(next.point) / step);
+    for (let s = 1; s < steps; s++) {
+      const t = s / steps;
+      addSquare(point.add(next.point.subtract(point).multiplyBy(t)), lat + (next.lat - lat) * t);
+    }
+  });
+  return [...tiles.values()];
+}
+
+/**
+ * Collects the tile URLs of layers for an area.
+ * @param {Array<L.TileLayer>} layers - Tile layers on the map
+ * @param {object} area - { bounds } or { latlngs, bufferMeters }
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @param {number} [limit] - Stops collecting after this many URLs
+ * @returns {string[]} The URLs, without duplicates
+ */
+function getOfflineTileUrls(layers, area, minZoom, maxZoom, limit = Infinity) {
+  const urls = new Set();
+  for (const layer of layers) {
+    const tileSize = layer.getTileSize().x;
+    for (const z of getOfflineTileZooms(layer, minZoom, maxZoom)) {
+      for (const coords of getOfflineAreaTiles(area, z, tileSize)) {
+        urls.add(getOfflineTileUrl(layer, coords));
+        if (urls.size > limit) return [...urls];
+      }
+    }
+  }
+  return [...urls];
+}
+
+// --- Download ---
+
+/**
+ * Downloads a tile into the offline cache.
+ * @param {Cache} cache - The offline tile cache
+ * @param {string} url - URL of the tile
+ * @returns {Promise<number>} Size of the tile in bytes
+ */
+async function downloadOfflineTile(cache, url) {
+  const response = await fetch(url, { mode: "cors" });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const blob = await response.blob();
+  await cache.put(url, new Response(blob, { headers: { "Content-Type": blob.type } }));
+  return blob.size;
+}
+
+/**
+ * Downloads the tiles of an area that aren't cached yet, showing the progress with a cancel
+ * button. The area is stored with the tiles that could be downloaded, even if the download
+ * was cancelled or the storage ran full.
+ * @param {object} area - Area as listed in the index, without the tile counts
+ * @param {string[]} urls - URLs of the area's tiles
+ */
+async function downloadOfflineArea(area, urls) {
+  const cache = await caches.open(OFFLINE_TILE_CACHE_NAME);
+  // Asks the browser not to evict the tiles when storage gets low
+  navigator.storage?.persist?.().catch(() => {});
+
+  const tiles = [];
+  let nextIndex = 0;
+  let failedCount = 0;
+  let isCancelled = false;
+  let stopReason = "";
+
+  Swal.fire({
+    title: "Downloading Tiles",
+    html: `
+      <progress class="offline-progress" max="${urls.length}" value="0"></progress>
+      <p class="offline-progress-text">0 / ${urls.length} tiles</p>
+    `,
+    showConfirmButton: false,
+    showCancelButton: true,
+    cancelButtonText: "Cancel",
+    allowOutsideClick: false,
+  }).then((result) => {
+    if (result.isDismissed) isCancelled = true;
+  });
+  const showProgress = (doneCount) => {
+    const progress = Swal.getPopup()?.querySelector(".offline-progress");
+    if (!progress) return;
+    progress.value = doneCount;
+    Swal.getPopup().querySelector(".offline-progress-text").textContent =
+      `${doneCount} / ${urls.length} tiles`;
+  };
+
+  const downloadNext = async () => {
+    while (nextIndex < urls.length && !isCancelled && !stopReason) {
+      const url = urls[nextIndex++];
+      try {
+        const size = offlineTileSizes.has(url)
+          ? offlineTileSizes.get(url)
+          : await downloadOfflineTile(cache, url);
+        offlineTileSizes.set(url, size);
+        tiles.push([url, size]);
+      } catch (error) {
+        if (error.name === "QuotaExceededError") {
+          stopReason = "The browser's storage for this site is full.";
+        } else {
+          failedCount++;
+        }
+      }
+      showProgress(tiles.length + failedCount);
+    }
+  };
+  await Promise.all(Array.from({ length: OFFLINE_DOWNLOAD_CONCURRENCY }, downloadNext));
+
+  if (tiles.length > 0) {
+    await storeOfflineArea(
+      {
+        ...area,
+        tileCount: tiles.length,
+        expectedTileCount: urls.length,
+        bytes: tiles.reduce((sum, [, size]) => sum + size, 0),
+      },
+      tiles,
+    );
+  }
+
+  const messages = [`Downloaded ${tiles.length} of ${urls.length} tiles.`];
+  if (failedCount > 0) {
+    messages.push(`${failedCount} tiles could not be loaded (the server may not allow it).`);
+  }
+  if (stopReason) messages.push(stopReason);
+  if (isCancelled) messages.push("The download was cancelled.");
+  Swal.fire({
+    icon: tiles.length === urls.length ? "success" : "warning",
+    title: tiles.length === urls.length ? "Area Available Offline" : "Download Incomplete",
+    text: messages.join(" "),
+  });
+}
+
+// --- Dialogs ---
+
+/**
+ * Formats a number of bytes for display.
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "12.3 MB"
+ */
+function formatOfflineBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+/**
+ * Gets the visible tile layers that can be used offline, with their names in the layers panel.
+ * @param {L.Map} map - The map
+ * @returns {Array<{layer: L.TileLayer, name: string}>} The layers
+ */
+function getOfflineCapableLayers(map) {
+  const customLayers = Object.values(WmsImport.getCustomWmsLayers());
+  const layers = [];
+  map.eachLayer((layer) => {
+    if (!layer.offlineCapable) return;
+    const customLayer = customLayers.find((layerData) => layerData.layer === layer);
+    const label = document
+      .querySelector(`#custom-layers-panel input[data-layer-id="${L.stamp(layer)}"]`)
+      ?.closest("label")
+      .cloneNode(true);
+    label?.querySelectorAll(".material-symbols").forEach((icon) => icon.remove());
+    layers.push({ layer, name: customLayer?.name || label?.textContent.trim() || "Map layer" });
+  });
+  return layers;
+}
+
+/**
+ * Shows the dialog to download an area for offline use: the current map view or a corridor
+ * around a path, with a size estimate before the download starts.
+ * @param {L.Map} map - The map
+ * @param {L.Polyline} [path] - Path to offer a corridor around
+ */
+async function showOfflineDownloadDialog(map, path) {
+  if (typeof caches === "undefined") {
+    Swal.fire({
+      title: "Offline Maps",
+      text: "This browser can't store map tiles (offline storage needs a secure HTTPS connection).",
+    });
+    return;
+  }
+
+  const layers = getOfflineCapableLayers(map);
+  if (layers.length === 0) {
+    Swal.fire({
+      title: "Offline Maps",
+      text: "None of the visible map layers can be saved for offline use (OpenStreetMap's tile servers don't allow it). Choose another basemap in the Layers panel.",
+    });
+    return;
+  }
+
+  const zoom = map.getZoom();
+  const pathName = path?.feature?.properties?.name || "Path";
+  const storage = await getOfflineStorageEstimate();
+  let urls = [];
+
+  const result = await Swal.fire({
+    title: "Download for Offline Use",
+    html: `
+      <div class="offline-dialog">
+        <input id="offline-name" class="swal2-input swal-input-field" placeholder="Name"
+          value="${escapeXml(path ? pathName : `Area ${new Date().toLocaleDateString()}`)}" />
+        <select id="offline-area-type" class="swal2-select">
+          <option value="view">Current map view</option>
+          ${path ? `<option value="path" selected>Corridor around ${escapeXml(pathName)}</option>` : ""}
+        </select>
+        <label id="offline-buffer-row" class="offline-row">
+          Corridor width on each side (m)
+          <input id="offline-buffer" type="number" min="50" step="50" value="${OFFLINE_DEFAULT_BUFFER_METERS}" />
+        </label>
+        <div class="offline-row">
+          Zoom levels
+          <span>
+            <input id="offline-min-zoom" type="number" min="0" max="19" value="${Math.max(0, zoom - 2)}" />
+            –
+            <input id="offline-max-zoom" type="number" min="0" max="19" value="${Math.min(19, zoom + 3)}" />
+          </span>
+        </div>
+        <div class="offline-layers">
+          ${layers
+            .map(
+              ({ name }, i) =>
+                `<label><input type="checkbox" data-index="${i}" checked /> ${escapeXml(name)}</label>`,
+            )
+            .join("")}
+        </div>
+        <p id="offline-estimate" class="offline-estimate"></p>
+      </div>
+    `,
+    showCancelButton: true,
+    confirmButtonText: "Download",
+    customClass: { confirmButton: "swal-confirm-button" },
+    didOpen: (popup) => {
+      const areaType = popup.querySelector("#offline-area-type");
+      const bufferRow = popup.querySelector("#offline-buffer-row");
+      const estimate = popup.querySelector("#offline-estimate");
+
+      const update = () => {
+        bufferRow.style.display = areaType.value === "path" ? "" : "none";
+        const area = getOfflineDialogArea(popup, map, path);
+        const selectedLayers = layers
+          .filter((_, i) => popup.querySelector(`.offline-layers input[data-index="${i}"]`).checked)
+          .map(({ layer }) => layer);
+        const minZoom = Number(popup.querySelector("#offline-min-zoom").value);
+        const maxZoom = Number(popup.querySelector("#offline-max-zoom").value);
+        urls = getOfflineTileUrls(selectedLayers, area, minZoom, maxZoom, OFFLINE_MAX_TILES);
+
+        const newCount = urls.filter((url) => !offlineTileSizes.has(url)).length;
+        const estimatedBytes = newCount * OFFLINE_ESTIMATED_TILE_BYTES;
+        const available = storage ? storage.quota - storage.usage : Infinity;
+        let warning = "";
+        if (urls.length > OFFLINE_MAX_TILES) {
+          warning = `That's more than ${OFFLINE_MAX_TILES} tiles. Choose a smaller area or fewer zoom levels.`;
+        } else if (estimatedBytes > available) {
+          warning = "There's not enough storage left. Delete other offline areas or download less.";
+        }
+        const countText =
+          urls.length > OFFLINE_MAX_TILES ? `Over ${OFFLINE_MAX_TILES}` : `${urls.length}`;
+        estimate.innerHTML = `
+          ${countText} tiles (${newCount} new), about ${formatOfflineBytes(estimatedBytes)}
+          ${storage ? `<br />Available storage: ${formatOfflineBytes(available)}` : ""}
+          ${warning ? `<br /><span class="offline-warning">${warning}</span>` : ""}
+        `;
+        Swal.getConfirmButton().disabled = Boolean(warning) || urls.length === 0;
+      };
+
+      popup.querySelectorAll("input, select").forEach((input) => {
+        input.addEventListener("change", update);
+      });
+      update();
+    },
+    preConfirm: () => {
+      const popup = Swal.getPopup();
+      const minZoom = Number(popup.querySelector("#offline-min-zoom").value);
+      const maxZoom = Number(popup.querySelector("#offline-max-zoom").value);
+      const area = getOfflineDialogArea(popup, map, path);
+      const bounds = area.bounds || L.latLngBounds(area.latlngs).pad(0.05);
+      return {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: popup.querySelector("#offline-name").value.trim() || "Offline area",
+        bounds: [
+          [bounds.getSouth(), bounds.getWest()],
+          [bounds.getNorth(), bounds.getEast()],
+        ],
+        minZoom,
+        maxZoom,
+        layerNames: layers
+          .filter((_, i) => popup.querySelector(`.offline-layers input[data-index="${i}"]`).checked)
+          .map(({ name }) => name),
+        createdAt: Date.now(),
+      };
+    },
+  });
+
+  if (result.isConfirmed) {
+    await downloadOfflineArea(result.value, urls);
+  }
+}
+
+/**
+ * Reads the area chosen in the download dialog.
+ * @param {HTMLElement} popup - The dialog
+ * @param {L.Map} map - The map
+ * @param {L.Polyline} [path] - The path of the corridor option
+ * @returns {object} { bounds } or { latlngs, bufferMeters }
+ */
+function getOfflineDialogArea(popup, map, path) {
+  if (path && popup.querySelector("#offline-area-type").value === "path") {
+    const bufferMeters = Math.max(0, Number(popup.querySelector("#offline-buffer").value) || 0);
+    return { latlngs: getFlatLatLngs(path), bufferMeters };
+  }
+  return { bounds: map.getBounds() };
+}
+
+/**
+ * Shows the downloaded areas with their size and the storage used, and lets the user delete
+ * areas, show them on the map or download a new one.
+ * @param {L.Map} map - The map
+ */
+async function showOfflineAreasDialog(map) {
+  if (typeof caches === "undefined") {
+    showOfflineDownloadDialog(map);
+    return;
+  }
+
+  const result = await Swal.fire({
+    title: "Offline Maps",
+    html: `
+      <div class="offline-dialog">
+        <div class="offline-storage"></div>
+        <div class="offline-list"></div>
+      </div>
+    `,
+    showCancelButton: true,
+    confirmButtonText: "Download Current View",
+    cancelButtonText: "Close",
+    didOpen: (popup) => {
+      const storageDiv = popup.querySelector(".offline-storage");
+      const list = popup.querySelector(".offline-list");
+
+      const renderList = async () => {
+        const areas = await getOfflineAreas();
+        const storage = await getOfflineStorageEstimate();
+        storageDiv.textContent = storage
+          ? `Storage used: ${formatOfflineBytes(storage.usage)} of ${formatOfflineBytes(storage.quota)}`
+          : "";
+        list.innerHTML =
+          areas.length === 0
+            ? `<p class="offline-empty">No areas downloaded yet.</p>`
+            : areas
+                .map(
+                  (area) => `
+                  <div class="offline-item">
+                    <div class="offline-item-info" data-id="${area.id}" title="Show on map">
+                      <div class="offline-name">${escapeXml(area.name)}</div>
+                      <div class="offline-details">
+                        Zoom ${area.minZoom}–${area.maxZoom} · ${area.tileCount} tiles${
+                          area.tileCount < area.expectedTileCount ? " (incomplete)" : ""
+                        } · ${formatOfflineBytes(area.bytes)}
+                        <br />${escapeXml(area.layerNames.join(", "))}
+                      </div>
+                    </div>
+                    <span class="material-symbols offline-delete" data-id="${area.id}" title="Delete">delete</span>
+                  </div>`,
+                )
+                .join("");
+
+        list.querySelectorAll(".offline-item-info").forEach((info) => {
+          info.addEventListener("click", () => {
+            const area = areas.find((entry) => entry.id === info.dataset.id);
+            Swal.close();
+            map.fitBounds(area.bounds);
+          });
+        });
+        list.querySelectorAll(".offline-delete").forEach((button) => {
+          button.addEventListener("click", async () => {
+            await deleteOfflineArea(button.dataset.id);
+            renderList();
+          });
+        });
+      };
+
+      renderList();
+    },
+  });
+
+  if (result.isConfirmed) {
+    await showOfflineDownloadDialog(map);
+  }
+}
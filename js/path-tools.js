@@ -0,0 +1,367 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * PATH TOOLS
+ *
+ * Split, join and reverse operations for polylines. Elevation and per-point data
+ * (timestamps, heart rate, ...) live on the LatLng objects of a path, so the tools copy
+ * whole LatLngs and everything stays attached to its vertex.
+ */
+
+window.pathTools = {};
+
+const SPLIT_CLICK_TOLERANCE_PX = 15;
+const JOIN_SNAP_DISTANCE_METERS = 1;
+
+let pathSplitTarget = null; // Path waiting for the split point to be picked
+
+/**
+ * Checks whether the path tools can be used on a layer. The active route and Strava
+ * activities are managed by their own modules and are left alone.
+ * @param {L.Layer} layer - The layer to check
+ * @returns {boolean} True for drawn and imported polylines
+ */
+function canUsePathTools(layer) {
+  return (
+    layer instanceof L.Polyline &&
+    !(layer instanceof L.Polygon) &&
+    layer !== currentRoutePath &&
+    layer.pathType !== "route" &&
+    layer.pathType !== "strava"
+  );
+}
+
+/**
+ * Checks whether Leaflet.draw is busy, in which case layers must not be replaced.
+ * @returns {boolean} True while drawing, editing or deleting
+ */
+function _isDrawToolActive() {
+  return isEditMode || isDeleteMode || L.DomUtil.hasClass(document.body, "leaflet-is-drawing");
+}
+
+/**
+ * Copies a vertex including its elevation and per-point data.
+ * @param {L.LatLng} latlng - The vertex to copy
+ * @returns {L.LatLng} The copy
+ */
+function clonePathLatLng(latlng) {
+  const copy = L.latLng(latlng.lat, latlng.lng, latlng.alt);
+  Object.values(POINT_DATA_FIELDS).forEach((field) => {
+    if (latlng[field] !== undefined) copy[field] = latlng[field];
+  });
+  return copy;
+}
+
+/**
+ * Creates a new polyline that inherits the properties (name, color, folder, metadata)
+ * of a source path. The layer is not added to the map.
+ * @param {L.Polyline} source - The path to inherit from
+ * @param {L.LatLng[]} latlngs - The vertices of the new path
+ * @param {object} overrides - Properties to replace (e.g. the name)
+ * @param {string} [pathType] - pathType of the new layer, defaults to the source's
+ * @returns {L.Polyline} The new layer
+ */
+function createDerivedPath(source, latlngs, overrides, pathType = source.pathType) {
+  const properties = {
+    ...JSON.parse(JSON.stringify(source.feature?.properties || {})),
+    ...overrides,
+  };
+  // Per-point arrays and the distance are regenerated from the new geometry
+  Object.keys(POINT_DATA_FIELDS).forEach((property) => delete properties[property]);
+  delete properties.totalDistance;
+  clearRoutedPathData(properties);
+
+  const layer = L.polyline(latlngs, getPathStyle(properties));
+  layer.feature = { type: "Feature", properties };
+  layer.pathType = pathType;
+  layer.on("click", (e) => handleLayerClick(e, layer));
+  return layer;
+}
+
+/**
+ * Finds the vertex of a path closest to a location.
+ * @param {L.Polyline} layer - The path
+ * @param {L.LatLng} latlng - The location
+ * @returns {number} Index of the closest vertex
+ */
+function findNearestPathVertex(layer, latlng) {
+  let index = -1;
+  let minDistance = Infinity;
+  getFlatLatLngs(layer).forEach((vertex, i) => {
+    const distance = vertex.distanceTo(latlng);
+    if (distance < minDistance) {
+      index = i;
+      minDistance = distance;
+    }
+  });
+  return index;
+}
+
+/**
+ * Shows a short warning toast.
+ * @param {string} title - The message
+ */
+function _showPathToolWarning(title) {
+  Swal.fire({ toast: true, icon: "warning", title, showConfirmButton: false, timer: 2500 });
+}
+
+/**
+ * Updates the path tool buttons in the info panel for the selected layer.
+ * @param {L.Layer|null} layer - The selected layer, or null to hide the buttons
+ */
+function updatePathToolButtons(layer) {
+  const container = document.getElementById("info-panel-path-tools");
+  if (!container) return;
+  // Every path can be downloaded for offline use, the other tools need an editable path
+  const isPath = layer instanceof L.Polyline && !(layer instanceof L.Polygon);
+  const canEdit = isPath && canUsePathTools(layer);
+  container.style.display = isPath ? "flex" : "none";
+  document.getElementById("path-tool-split").style.display = canEdit ? "" : "none";
+  document.getElementById("path-tool-reverse").style.display = canEdit ? "" : "none";
+
+  const editRouteButton = document.getElementById("path-tool-edit-route");
+  editRouteButton.style.display =
+    layer && layer.pathType === "drawn" && getRoutedPathData(layer) ? "" : "none";
+
+  const directionsButton = document.getElementById("path-tool-directions");
+  directionsButton.style.display = layer && getRouteInstructions(layer) ? "" : "none";
+
+  const splitButton = document.getElementById("path-tool-split");
+  splitButton.classList.toggle("active", !!layer && layer === pathSplitTarget);
+}
+
+/**
+ * Starts split mode for a path. The next click on the path (on the map or in its
+ * elevation profile) splits it at the nearest vertex.
+ * @param {L.Polyline} layer - The path to split
+ */
+function startPathSplit(layer) {
+  if (!canUsePathTools(layer) || _isDrawToolActive()) return;
+  if (getFlatLatLngs(layer).length < 3) {
+    _showPathToolWarning("Path is too short to split");
+    return;
+  }
+
+  pathSplitTarget = layer;
+  L.DomUtil.addClass(map.getContainer(), "map-is-splitting");
+  updatePathToolButtons(layer);
+
+  Swal.fire({
+    toast: true,
+    icon: "info",
+    title: "Split Path",
+    text: "Click a point on the path or in the elevation profile. Press Esc to cancel.",
+    showConfirmButton: false,
+    timer: 4000,
+  });
+}
+
+/**
+ * Leaves split mode without changing the path.
+ */
+function cancelPathSplit() {
+  if (!pathSplitTarget) return;
+  const layer = pathSplitTarget;
+  pathSplitTarget = null;
+  L.DomUtil.removeClass(map.getContainer(), "map-is-splitting");
+  if (globallySelectedItem === layer) updatePathToolButtons(layer);
+}
+
+/**
+ * Handles a map click while split mode is active.
+ * @param {L.LatLng} latlng - The clicked location
+ * @returns {boolean} True if the click was used by split mode
+ */
+function handlePathSplitClick(latlng) {
+  if (!pathSplitTarget) return false;
+
+  const index = findNearestPathVertex(pathSplitTarget, latlng);
+  const vertex = getFlatLatLngs(pathSplitTarget)[index];
+  const pixelDistance = map.latLngToLayerPoint(vertex).distanceTo(map.latLngToLayerPoint(latlng));
+  if (pixelDistance > SPLIT_CLICK_TOLERANCE_PX) {
+    _showPathToolWarning("Click closer to the path to split it");
+    return true;
+  }
+  splitPathAtVertex(pathSplitTarget, index);
+  return true;
+}
+
+/**
+ * Handles a click on the elevation profile, which splits the path at the hovered point
+ * while split mode is active for the path shown in the profile.
+ * @param {L.LatLng} latlng - The location of the hovered point
+ */
+window.pathTools.handleElevationProfileClick = function (latlng) {
+  if (!pathSplitTarget || !latlng || selectedElevationPath !== pathSplitTarget) return;
+  splitPathAtVertex(pathSplitTarget, findNearestPathVertex(pathSplitTarget, latlng));
+};
+
+/**
+ * Splits a path into two paths at a vertex. The vertex ends the first part and
+ * starts the second, and both parts keep the properties of the original.
+ * @param {L.Polyline} layer - The path to split
+ * @param {number} index - Index of the vertex to split at
+ */
+function splitPathAtVertex(layer, index) {
+  const latlngs = getFlatLatLngs(layer);
+  if (index <= 0 || index >= latlngs.length - 1) {
+    _showPathToolWarning("Pick a point between the start and end of the path");
+    return;
+  }
+
+  const name = layer.feature?.properties?.name || "Path";
+  const first = createDerivedPath(layer, latlngs.slice(0, index + 1).map(clonePathLatLng), {
+    name: `${name} (1)`,
+  });
+  const second = createDerivedPath(layer, latlngs.slice(index).map(clonePathLatLng), {
+    name: `${name} (2)`,
+  });
+  if (layer.folderPosition !== undefined) {
+    first.folderPosition = layer.folderPosition;
+    second.folderPosition = layer.folderPosition + 0.5;
+  }
+  const [firstInstructions, secondInstructions] = splitRouteInstructions(layer, index);
+  setRouteInstructions(first, firstInstructions);
+  setRouteInstructions(second, secondInstructions);
+
+  cancelPathSplit();
+  runHistoryBatch("Split Path", () => {
+    deleteLayerImmediately(layer);
+    addRestoredLayerToGroup(first);
+    addRestoredLayerToGroup(second);
+  });
+
+  updateDrawControlStates();
+  updateOverviewList();
+  selectItem(first);
+}
+
+/**
+ * Mirrors the timestamps of reversed vertices, so they increase along the new direction:
+ * the path keeps its start and end time, and each segment keeps its duration.
+ * @param {L.LatLng[]} latlngs - The vertices in their new order
+ */
+function _mirrorPointTimes(latlngs) {
+  const times = latlngs.map((latlng) => (latlng.time ? Date.parse(latlng.time) : NaN));
+  const validTimes = times.filter((time) => !isNaN(time));
+  if (validTimes.length === 0) return;
+
+  const timeSum = Math.min(...validTimes) + Math.max(...validTimes);
+  latlngs.forEach((latlng, i) => {
+    if (!isNaN(times[i])) latlng.time = new Date(timeSum - times[i]).toISOString();
+  });
+}
+
+/**
+ * Reverses the direction of a path. Timestamps are mirrored, so a recorded track still
+ * runs forward in time.
+ * @param {L.Polyline} layer - The path to reverse
+ */
+function reversePath(layer) {
+  if (!canUsePathTools(layer) || _isDrawToolActive()) return;
+
+  cancelPathSplit();
+  const latlngs = getFlatLatLngs(layer).slice().reverse();
+  _mirrorPointTimes(latlngs);
+  layer.setLatLngs(latlngs);
+  clearRoutedPathData(layer.feature?.properties);
+  // Turn instructions only make sense in the original direction
+  setRouteInstructions(layer, null);
+  recordHistory("Reverse Path", [layer]);
+
+  // Refresh the info panel, outline and elevation profile of the selected path
+  if (globallySelectedItem === layer) selectItem(layer);
+}
+
+/**
+ * Joins the selected paths into one, connecting the end of each path to the start of
+ * the next in selection order. If the paths don't touch, the user chooses between
+ * snapping the ends together and bridging the gap with a straight segment.
+ */
+async function joinSelectedPaths() {
+  if (_isDrawToolActive()) return;
+  const paths = getSelectedItems().filter(canUsePathTools);
+  if (paths.length < 2) {
+    _showPathToolWarning("Select at least two paths to join");
+    return;
+  }
+
+  const gaps = paths.slice(1).map((path, i) => {
+    const previous = getFlatLatLngs(paths[i]);
+    return previous[previous.length - 1].distanceTo(getFlatLatLngs(path)[0]);
+  });
+  const largestGap = Math.max(...gaps);
+
+  let snapGaps = true;
+  if (largestGap > JOIN_SNAP_DISTANCE_METERS) {
+    const result = await Swal.fire({
+      title: "Join Paths",
+      text: `The ends of the paths are up to ${formatDistance(largestGap)} apart.`,
+      icon: "question",
+      showDenyButton: true,
+      showCancelButton: true,
+      confirmButtonText: "Snap Ends Together",
+      denyButtonText: "Connect with Line",
+    });
+    if (result.isDismissed) return;
+    snapGaps = result.isConfirmed;
+  }
+
+  // Snapping drops the first vertex of the following path, so its start moves onto
+  // the end of the previous one
+  const latlngs = [];
+  paths.forEach((path, i) => {
+    const vertices = getFlatLatLngs(path).map(clonePathLatLng);
+    if (i > 0 && (snapGaps || gaps[i - 1] <= JOIN_SNAP_DISTANCE_METERS)) vertices.shift();
+    latlngs.push(...vertices);
+  });
+
+  const samePathType = paths.every((path) => path.pathType === paths[0].pathType);
+  const joined = createDerivedPath(
+    paths[0],
+    latlngs,
+    {},
+    samePathType ? paths[0].pathType : "drawn",
+  );
+  if (paths[0].folderPosition !== undefined) joined.folderPosition = paths[0].folderPosition;
+  setRouteInstructions(
+    joined,
+    paths.flatMap((path) => getRouteInstructions(path) || []),
+  );
+
+  cancelPathSplit();
+  runHistoryBatch("Join Paths", () => {
+    paths.forEach(deleteLayerImmediately);
+    addRestoredLayerToGroup(joined);
+  });
+
+  updateDrawControlStates();
+  updateOverviewList();
+  selectItem(joined);
+}
+
+/**
+ * Sets up the path tool buttons in the info panel.
+ */
+function initializePathTools() {
+  document.getElementById("path-tool-split").addEventListener("click", () => {
+    if (!globallySelectedItem) return;
+    if (pathSplitTarget === globallySelectedItem) {
+      cancelPathSplit();
+    } else {
+      startPathSplit(globallySelectedItem);
+    }
+  });
+  document.getElementById("path-tool-edit-route").addEventListener("click", () => {
+    if (globallySelectedItem) editRoutedPath(globallySelectedItem);
+  });
+  document.getElementById("path-tool-directions").addEventListener("click", () => {
+    if (globallySelectedItem) showCueSheet(globallySelectedItem);
+  });
+  document.getElementById("path-tool-reverse").addEventListener("click", () => {
+    if (globallySelectedItem) reversePath(globallySelectedItem);
+  });
+  document.getElementById("path-tool-offline").addEventListener("click", () => {
+    if (globallySelectedItem) showOfflineDownloadDialog(map, globallySelectedItem);
+  });
+}
@@ -17,7 +17,7 @@ const POI_STYLE = {
   clusterMaxSize: 50,
 };
 
-// POI Categories with OSM tags and material symbols
+// POI Categories with OSM tags and material symbols (saved POIs use them as marker symbols)
 const POI_CATEGORIES = [
   // Outdoor Activities (Priority)
   {
@@ -128,6 +128,7 @@ const POI_CATEGORIES = [
 // Global POI layer group and abort controller
 let poiSearchResults = null;
 let currentAbortController = null;
+let poiSearchState = null; // { categoryId, results } of the shown search, saved by autosave
 
 /**
  * Initialize POI finder
@@ -410,6 +411,19 @@ async function queryOverpass(osmQuery, bounds, signal, limit = 1000) {
  * Display POI results on map
  */
 function displayPOIResults(results, category) {
+  // Only the fields used below are kept, to keep the autosave small
+  poiSearchState = {
+    categoryId: category.id,
+    results: results.map(({ type, id, lat, lon, center, tags }) => ({
+      type,
+      id,
+      lat,
+      lon,
+      center,
+      tags,
+    })),
+  };
+
   results.forEach((element) => {
     let lat, lon;
 
@@ -475,7 +489,7 @@ function displayPOIResults(results, category) {
       const saveButton = document.getElementById(`save-poi-marker-${element.id}`);
       if (saveButton) {
         saveButton.addEventListener("click", () => {
-          createAndSaveMarker(lat, lon, name);
+          createAndSaveMarker(lat, lon, name, category.icon);
           marker.closePopup();
         });
       }
@@ -498,6 +512,7 @@ function clearPOIResults() {
     }
 
     poiSearchResults.clearLayers();
+    poiSearchState = null;
 
     // Remove from map again if it wasn't on the map before
     if (!wasOnMap) {
@@ -508,8 +523,21 @@ function clearPOIResults() {
   updatePOIFinderButton();
 }
 
+/**
+ * Shows the results of a search saved by autosave again, without querying Overpass.
+ * @param {{categoryId: string, results: Object[]}} state - The saved poiSearchState
+ */
+function restorePOIResults(state) {
+  const category = POI_CATEGORIES.find((c) => c.id === state.categoryId);
+  if (!category || !Array.isArray(state.results)) return;
+  clearPOIResults();
+  displayPOIResults(state.results, category);
+  updatePOIFinderButton();
+}
+
 // Make functions globally available
 window.initPoiFinder = initPoiFinder;
 window.showPoiFinder = showPoiFinder;
 window.clearPOIResults = clearPOIResults;
 window.updatePOIFinderButton = updatePOIFinderButton;
+window.restorePOIResults = restorePOIResults;
@@ -0,0 +1,374 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * PROJECTS
+ *
+ * Keeps several named maps ("projects") in IndexedDB, each with its own layers, folders, view
+ * and overlays. Only the active project is on the map; autosave writes it under its own key
+ * (see getProjectDataKey), and the index of all projects remembers which one was active last.
+ * Each project also keeps its own undo history (see getHistoryKey).
+ */
+
+const PROJECTS_INDEX_KEY = "mapProjects";
+const PROJECT_DATA_KEY_PREFIX = "mapProject:";
+const PROJECT_DEFAULT_NAME = "My Map";
+
+let projectsIndex = null; // { activeId, projects: [{ id, name, createdAt, updatedAt, itemCount }] }
+let _projectsLoadPromise = null;
+
+/**
+ * Gets the IndexedDB key of a project's map state.
+ * @param {string} projectId - The project
+ * @returns {string} The key
+ */
+function getProjectDataKey(projectId) {
+  return `${PROJECT_DATA_KEY_PREFIX}${projectId}`;
+}
+
+/**
+ * Gets the project that is on the map.
+ * @returns {object|null} The index entry, or null while the projects are loading
+ */
+function getActiveProject() {
+  return projectsIndex?.projects.find((project) => project.id === projectsIndex.activeId) || null;
+}
+
+/**
+ * Creates the index entry of a new project (not yet added to the index).
+ * @param {string} name - The project name
+ * @returns {object} The index entry
+ */
+function _createProjectEntry(name) {
+  const now = Date.now();
+  return {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    createdAt: now,
+    updatedAt: now,
+    itemCount: 0,
+  };
+}
+
+/**
+ * Writes the project index to IndexedDB.
+ */
+function _saveProjectsIndex() {
+  idbKeyval
+    .set(PROJECTS_INDEX_KEY, projectsIndex)
+    .catch((e) => console.warn("Projects: IndexedDB write failed", e));
+}
+
+/**
+ * Loads the project index. On the first start with projects, the single autosave of earlier
+ * versions becomes the first project.
+ * @returns {Promise<object>} The active project
+ */
+function loadProjects() {
+  if (!_projectsLoadPromise) {
+    _projectsLoadPromise = (async () => {
+      let index = null;
+      try {
+        index = await idbKeyval.get(PROJECTS_INDEX_KEY);
+        if (!index?.projects?.length) {
+          const project = _createProjectEntry(PROJECT_DEFAULT_NAME);
+          const legacyJson = await idbKeyval.get(AUTOSAVE_KEY);
+          if (legacyJson) {
+            project.itemCount = JSON.parse(legacyJson).features?.length || 0;
+            await idbKeyval.set(getProjectDataKey(project.id), legacyJson);
+            await idbKeyval.del(AUTOSAVE_KEY);
+          }
+          const legacyHistory = await idbKeyval.get(HISTORY_KEY);
+          if (legacyHistory) {
+            if (legacyJson) await idbKeyval.set(getHistoryKey(project.id), legacyHistory);
+            await idbKeyval.del(HISTORY_KEY);
+          }
+          index = { activeId: project.id, projects: [project] };
+        }
+      } catch (e) {
+        // Without storage, the map still works as a single project that isn't saved
+        console.warn("Projects: loading failed", e);
+        index = index?.projects?.length ? index : null;
+      }
+      projectsIndex = index || {
+        activeId: null,
+        projects: [_createProjectEntry(PROJECT_DEFAULT_NAME)],
+      };
+      if (!getActiveProject()) projectsIndex.activeId = projectsIndex.projects[0].id;
+      _saveProjectsIndex();
+      updateProjectBar();
+      return getActiveProject();
+    })();
+  }
+  return _projectsLoadPromise;
+}
+
+/**
+ * Updates the index entry of a project, e.g. after autosave wrote it.
+ * @param {string} projectId - The project
+ * @param {object} changes - Entry fields to change
+ */
+function updateProjectEntry(projectId, changes) {
+  const project = projectsIndex?.projects.find((entry) => entry.id === projectId);
+  if (!project) return;
+  Object.assign(project, changes);
+  _saveProjectsIndex();
+  updateProjectBar();
+}
+
+/**
+ * Removes all items, the route and the found places of the active project from the map,
+ * before another project is loaded.
+ */
+function clearProjectLayers() {
+  deselectCurrentItem();
+  if (window.app?.clearRouting) window.app.clearRouting();
+  clearPOIResults();
+  [drawnItems, editableLayers, importedItems, stravaActivitiesLayer].forEach((group) =>
+    group.clearLayers(),
+  );
+  userFolders = [];
+}
+
+/**
+ * Makes a project the active one and loads it onto the map, with its view, overlays and undo
+ * history. The current project is saved first.
+ * @param {string} projectId - The project to open
+ * @param {boolean} [restoreView] - Whether to move the map to the project's saved view
+ */
+async function openProject(projectId, restoreView = true) {
+  flushHistorySave();
+  flushAutosave();
+  clearProjectLayers();
+  projectsIndex.activeId = projectId;
+  _saveProjectsIndex();
+
+  await loadProjectState(projectId, restoreView);
+  updateElevationToggleIconColor();
+  updateDrawControlStates();
+  updateOverviewList();
+  applySharedViewState();
+  await initializeHistory(true);
+  updateProjectBar();
+}
+
+/**
+ * Asks the user for a project name.
+ * @param {string} title - Dialog title
+ * @param {string} [initialValue=""] - Prefilled name
+ * @param {string} [currentName] - Name of the renamed project, which may be kept
+ * @returns {Promise<string|null>} The trimmed name, or null if cancelled
+ */
+async function promptProjectName(title, initialValue = "", currentName = null) {
+  const result = await Swal.fire({
+    title,
+    input: "text",
+    inputValue: initialValue,
+    inputPlaceholder: "Project name",
+    showCancelButton: true,
+    confirmButtonText: "Save",
+    inputValidator: (value) => {
+      const name = value.trim();
+      if (!name) return "Please enter a name.";
+      if (name !== currentName && projectsIndex.projects.some((p) => p.name === name)) {
+        return "A project with this name already exists.";
+      }
+    },
+  });
+  return result.isConfirmed ? result.value.trim() : null;
+}
+
+/**
+ * Finds a name that no project uses yet, by numbering the given name.
+ * @param {string} name - The preferred name
+ * @returns {string} The name, or e.g. "name (2)"
+ */
+function _getUniqueProjectName(name) {
+  const names = new Set(projectsIndex.projects.map((project) => project.name));
+  let uniqueName = name;
+  for (let i = 2; names.has(uniqueName); i++) uniqueName = `${name} (${i})`;
+  return uniqueName;
+}
+
+/**
+ * Adds a new, empty project to the index.
+ * @param {string} name - The project name
+ * @returns {object} The index entry
+ */
+function _addProject(name) {
+  const project = _createProjectEntry(name);
+  projectsIndex.projects.push(project);
+  _saveProjectsIndex();
+  return project;
+}
+
+/**
+ * Prompts for a name and opens a new, empty project. The map keeps its view.
+ */
+async function createProject() {
+  await loadProjects();
+  const name = await promptProjectName("New Project", _getUniqueProjectName("Untitled Project"));
+  if (!name) return;
+  await openProject(_addProject(name).id, false);
+  flushAutosave();
+}
+
+/**
+ * Opens the items of a shared link in a new project, so they don't replace the user's map.
+ * Must be called before the shared items are added to the map.
+ */
+async function startSharedMapProject() {
+  await loadProjects();
+  const project = _addProject(_getUniqueProjectName("Shared Map"));
+  projectsIndex.activeId = project.id;
+  _saveProjectsIndex();
+  updateProjectBar();
+}
+
+/**
+ * Prompts for a new name and renames a project.
+ * @param {string} projectId - The project
+ */
+async function renameProject(projectId) {
+  const project = projectsIndex.projects.find((entry) => entry.id === projectId);
+  const name = await promptProjectName("Rename Project", project.name, project.name);
+  if (name) updateProjectEntry(projectId, { name });
+}
+
+/**
+ * Copies a project, including its map state, under a new name.
+ * @param {string} projectId - The project
+ */
+async function duplicateProject(projectId) {
+  const project = projectsIndex.projects.find((entry) => entry.id === projectId);
+  const json =
+    projectId === projectsIndex.activeId
+      ? _serializeLayersForAutosave()
+      : await idbKeyval.get(getProjectDataKey(projectId));
+
+  const copy = _createProjectEntry(_getUniqueProjectName(`${project.name} (copy)`));
+  copy.itemCount = project.itemCount;
+  if (json) await idbKeyval.set(getProjectDataKey(copy.id), json);
+  projectsIndex.projects.push(copy);
+  _saveProjectsIndex();
+}
+
+/**
+ * Deletes a project after confirmation. Deleting the active project opens the most recently
+ * edited other one, or a new, empty project if it was the last.
+ * @param {string} projectId - The project
+ * @returns {Promise<boolean>} Whether the project was deleted
+ */
+async function deleteProject(projectId) {
+  const project = projectsIndex.projects.find((entry) => entry.id === projectId);
+  const result = await Swal.fire({
+    title: `Delete project "${project.name}"?`,
+    text: `Its ${project.itemCount} item${project.itemCount !== 1 ? "s" : ""} and version history will be deleted. This can't be undone.`,
+    icon: "warning",
+    showCancelButton: true,
+    confirmButtonColor: "var(--color-red)",
+    confirmButtonText: "Delete",
+  });
+  if (!result.isConfirmed) return false;
+
+  projectsIndex.projects = projectsIndex.projects.filter((entry) => entry.id !== projectId);
+  idbKeyval.del(getProjectDataKey(projectId)).catch(() => {});
+  idbKeyval.del(getHistoryKey(projectId)).catch(() => {});
+  deleteSnapshots(projectId);
+
+  if (projectId === projectsIndex.activeId) {
+    const next =
+      [...projectsIndex.projects].sort((a, b) => b.updatedAt - a.updatedAt)[0] ||
+      _addProject(PROJECT_DEFAULT_NAME);
+    // Nothing of the deleted project may be saved again
+    projectsIndex.activeId = null;
+    await openProject(next.id);
+  } else {
+    _saveProjectsIndex();
+  }
+  return true;
+}
+
+/**
+ * Shows the name of the active project in the project bar of the overview panel.
+ */
+function updateProjectBar() {
+  const nameSpan = document.getElementById("project-bar-name");
+  if (!nameSpan) return;
+  const project = getActiveProject();
+  nameSpan.textContent = project ? project.name : "";
+}
+
+/**
+ * Shows the project manager: the list of projects, most recently edited first, with actions
+ * to open, rename, duplicate and delete them, and a button for a new project.
+ */
+async function showProjectManager() {
+  await loadProjects();
+  let action = null; // Actions that need their own dialog run after the manager is closed
+
+  const result = await Swal.fire({
+    title: "Projects",
+    html: `<div class="project-list"></div>`,
+    showCancelButton: true,
+    confirmButtonText: "New Project",
+    cancelButtonText: "Close",
+    didOpen: (popup) => {
+      const list = popup.querySelector(".project-list");
+
+      const renderList = () => {
+        const projects = [...projectsIndex.projects].sort((a, b) => b.updatedAt - a.updatedAt);
+        list.innerHTML = projects
+          .map(
+            (project) => `
+            <div class="project-item ${project.id === projectsIndex.activeId ? "active" : ""}">
+              <div class="project-item-info" data-id="${project.id}" title="Open project">
+                <div class="project-name">${escapeXml(project.name)}</div>
+                <div class="project-details">
+                  ${project.itemCount} item${project.itemCount !== 1 ? "s" : ""} ·
+                  edited ${new Date(project.updatedAt).toLocaleString()}
+                </div>
+              </div>
+              <span class="material-symbols project-action" data-action="rename" data-id="${project.id}" title="Rename">edit</span>
+              <span class="material-symbols project-action" data-action="duplicate" data-id="${project.id}" title="Duplicate">content_copy</span>
+              <span class="material-symbols project-action" data-action="delete" data-id="${project.id}" title="Delete">delete</span>
+            </div>`,
+          )
+          .join("");
+
+        list.querySelectorAll(".project-item-info").forEach((info) => {
+          info.addEventListener("click", () => {
+            action = { type: "open", id: info.dataset.id };
+            Swal.close();
+          });
+        });
+        list.querySelectorAll(".project-action").forEach((button) => {
+          button.addEventListener("click", async () => {
+            if (button.dataset.action === "duplicate") {
+              await duplicateProject(button.dataset.id);
+              renderList();
+              return;
+            }
+            action = { type: button.dataset.action, id: button.dataset.id };
+            Swal.close();
+          });
+        });
+      };
+
+      renderList();
+    },
+  });
+
+  if (result.isConfirmed) {
+    await createProject();
+    return;
+  }
+  if (!action) return;
+
+  if (action.type === "open") {
+    if (action.id !== projectsIndex.activeId) await openProject(action.id);
+    return;
+  }
+  if (action.type === "rename") await renameProject(action.id);
+  if (action.type === "delete") await deleteProject(action.id);
+  showProjectManager();
+}
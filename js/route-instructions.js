@@ -0,0 +1,246 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * ROUTE INSTRUCTIONS
+ *
+ * Turn-by-turn instructions of generated routes. Each instruction is stored with the
+ * location of its maneuver in the route's feature properties, so the instructions stay
+ * with the route when it's saved as a path (even if it's simplified) and in the autosave.
+ * Saved routes show them as a cue sheet that can be printed, and the GPX and TCX exports
+ * write them as route points and course points for bike computers.
+ *
+ * Stored format: [{ text, distance, time, type, location: [lng, lat] }], where distance
+ * (meters) and time (seconds) belong to the step that starts at the maneuver and type is
+ * a Leaflet Routing Machine instruction type (e.g. "Left", "SlightRight", "Roundabout").
+ */
+
+const ROUTE_INSTRUCTIONS_PROPERTY = "routeInstructions";
+const INSTRUCTION_HIGHLIGHT_DURATION_MS = 4000;
+const INSTRUCTION_ZOOM = 17;
+
+let instructionHighlight = null; // Circle marking the last clicked maneuver
+let instructionHighlightTimeoutId = null;
+
+/**
+ * Creates the stored instructions of a route returned by a router. Instructions without
+ * a position on the route are left out.
+ * @param {object} route - Route in Leaflet Routing Machine format
+ * @returns {Array<object>} The instructions
+ */
+function createRouteInstructions(route) {
+  return (route.instructions || [])
+    .filter((instruction) => route.coordinates[instruction.index])
+    .map((instruction) => {
+      const latlng = route.coordinates[instruction.index];
+      return {
+        text: instruction.text || "",
+        distance: instruction.distance || 0,
+        time: instruction.time || 0,
+        type: instruction.type || "",
+        location: [latlng.lng, latlng.lat],
+      };
+    });
+}
+
+/**
+ * Reads the instructions stored on a path.
+ * @param {L.Layer} layer - The layer to read
+ * @returns {Array<object>|null} The instructions, or null if the layer has none
+ */
+function getRouteInstructions(layer) {
+  if (!(layer instanceof L.Polyline) || layer instanceof L.Polygon) return null;
+  const instructions = layer.feature?.properties?.[ROUTE_INSTRUCTIONS_PROPERTY];
+  if (!Array.isArray(instructions) || instructions.length === 0) return null;
+  const isValid = instructions.every(
+    (instruction) =>
+      Array.isArray(instruction?.location) &&
+      typeof instruction.location[0] === "number" &&
+      typeof instruction.location[1] === "number",
+  );
+  return isValid ? instructions : null;
+}
+
+/**
+ * Stores instructions on a path, or removes them if the list is empty.
+ * @param {L.Layer} layer - The layer
+ * @param {Array<object>} instructions - The instructions
+ */
+function setRouteInstructions(layer, instructions) {
+  const properties = layer.feature?.properties;
+  if (!properties) return;
+  if (instructions && instructions.length > 0) {
+    properties[ROUTE_INSTRUCTIONS_PROPERTY] = instructions;
+  } else {
+    delete properties[ROUTE_INSTRUCTIONS_PROPERTY];
+  }
+}
+
+/**
+ * Gets the location of an instruction's maneuver.
+ * @param {object} instruction - The instruction
+ * @returns {L.LatLng} The location
+ */
+function getInstructionLatLng(instruction) {
+  return L.latLng(instruction.location[1], instruction.location[0]);
+}
+
+/**
+ * Divides the instructions of a path that is split at a vertex between its two parts.
+ * @param {L.Polyline} layer - The path being split
+ * @param {number} index - Index of the vertex the path is split at
+ * @returns {Array<object>[]} The instructions of the first and the second part
+ */
+function splitRouteInstructions(layer, index) {
+  const instructions = getRouteInstructions(layer) || [];
+  const first = [];
+  const second = [];
+  instructions.forEach((instruction) => {
+    const vertexIndex = findNearestPathVertex(layer, getInstructionLatLng(instruction));
+    (vertexIndex < index ? first : second).push(instruction);
+  });
+  return [first, second];
+}
+
+/**
+ * Zooms to the maneuver of an instruction and briefly highlights it on the map.
+ * @param {object} instruction - The instruction
+ */
+function showRouteInstruction(instruction) {
+  const latlng = getInstructionLatLng(instruction);
+  map.setView(latlng, Math.max(map.getZoom(), INSTRUCTION_ZOOM));
+
+  clearTimeout(instructionHighlightTimeoutId);
+  if (instructionHighlight) map.removeLayer(instructionHighlight);
+  instructionHighlight = L.circleMarker(latlng, {
+    radius: 14,
+    color: COLOR_BLACK,
+    weight: 3,
+    fillColor: COLOR_WHITE,
+    fillOpacity: 0.6,
+    interactive: false,
+  }).addTo(map);
+  instructionHighlightTimeoutId = setTimeout(() => {
+    map.removeLayer(instructionHighlight);
+    instructionHighlight = null;
+  }, INSTRUCTION_HIGHLIGHT_DURATION_MS);
+}
+
+/**
+ * Fills a list with clickable instructions, which zoom to their maneuver.
+ * @param {HTMLElement} container - The list element
+ * @param {Array<object>} instructions - The instructions
+ * @param {function} [onClick] - Called after an instruction was shown
+ */
+function renderRouteInstructionList(container, instructions, onClick) {
+  container.innerHTML = "";
+  instructions.forEach((instruction) => {
+    const item = document.createElement("div");
+    item.className = "direction-item";
+    item.title = "Show on map";
+    const distanceStr = instruction.distance > 0 ? `(${formatDistance(instruction.distance)})` : "";
+    item.textContent = `${instruction.text} ${distanceStr}`;
+    item.addEventListener("click", () => {
+      container
+        .querySelectorAll(".direction-item.active")
+        .forEach((el) => el.classList.remove("active"));
+      item.classList.add("active");
+      showRouteInstruction(instruction);
+      if (onClick) onClick(instruction);
+    });
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Builds the cue sheet table of a route: each maneuver with the distance from the start
+ * and the distance to the next maneuver.
+ * @param {Array<object>} instructions - The instructions
+ * @returns {string} HTML table
+ */
+function buildCueSheetTable(instructions) {
+  let distanceFromStart = 0;
+  const rows = instructions
+    .map((instruction, i) => {
+      const row = `
+        <tr data-index="${i}">
+          <td>${i + 1}</td>
+          <td>${formatDistance(distanceFromStart)}</td>
+          <td>${escapeXml(instruction.text)}</td>
+          <td>${instruction.distance > 0 ? formatDistance(instruction.distance) : ""}</td>
+        </tr>`;
+      distanceFromStart += instruction.distance;
+      return row;
+    })
+    .join("");
+  return `
+    <table class="cue-sheet-table">
+      <thead><tr><th>#</th><th>At</th><th>Instruction</th><th>Then</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/**
+ * Opens the cue sheet in a new window and shows the browser's print dialog.
+ * @param {string} name - Name of the route
+ * @param {Array<object>} instructions - The instructions
+ */
+function printCueSheet(name, instructions) {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) {
+    Swal.fire({
+      title: "Print Cue Sheet",
+      text: "The print window was blocked. Please allow pop-ups for this site.",
+    });
+    return;
+  }
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeXml(name)}</title>
+    <style>
+      body { font-family: sans-serif; font-size: 12pt; margin: 1.5cm; }
+      h1 { font-size: 16pt; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { border-bottom: 1px solid #999; padding: 4px 8px; text-align: left; vertical-align: top; }
+      td:first-child, td:nth-child(2), td:last-child { white-space: nowrap; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeXml(name)}</h1>
+    ${buildCueSheetTable(instructions)}
+  </body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+}
+
+/**
+ * Shows the cue sheet of a saved route. Clicking a row zooms to its maneuver.
+ * @param {L.Polyline} layer - The path with instructions
+ */
+function showCueSheet(layer) {
+  const instructions = getRouteInstructions(layer);
+  if (!instructions) return;
+  const name = layer.feature.properties.name || "Route";
+
+  Swal.fire({
+    title: escapeXml(name),
+    html: `<div class="cue-sheet">${buildCueSheetTable(instructions)}</div>`,
+    width: 600,
+    showCancelButton: true,
+    confirmButtonText: "Print",
+    cancelButtonText: "Close",
+    didOpen: (popup) => {
+      popup.querySelectorAll(".cue-sheet-table tbody tr").forEach((row) => {
+        row.addEventListener("click", () => {
+          Swal.close();
+          showRouteInstruction(instructions[Number(row.dataset.index)]);
+        });
+      });
+    },
+  }).then((result) => {
+    if (result.isConfirmed) printCueSheet(name, instructions);
+  });
+}
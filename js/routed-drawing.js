@@ -0,0 +1,371 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * ROUTED DRAWING
+ *
+ * A Leaflet.draw mode that draws paths along roads and trails. Each clicked point is a
+ * route point, and the segment to the previous point is fetched from the routing provider
+ * and profile selected in the Routing tab. Route points can be dragged, which re-routes
+ * only the two segments next to them.
+ *
+ * The route points are stored in the path's properties, so a finished path can be
+ * reopened later with "Edit route points".
+ */
+
+// Properties holding the route points and the vertex index of each route point in the path
+const ROUTED_PATH_PROPERTIES = ["routeWaypoints", "routeWaypointIndices"];
+
+let routedPolylineHandler = null; // Handler instance created for the draw toolbar
+
+/**
+ * Removes the route points from a path's properties. Called when the geometry changes
+ * outside of the routed drawing mode, since the stored points no longer match it.
+ * @param {object} properties - The feature properties
+ */
+function clearRoutedPathData(properties) {
+  if (!properties) return;
+  ROUTED_PATH_PROPERTIES.forEach((key) => delete properties[key]);
+}
+
+/**
+ * Reads the route points and routed segments stored on a path.
+ * @param {L.Layer} layer - The layer to read
+ * @returns {{waypoints: L.LatLng[], segments: L.LatLng[][]}|null} Null if the layer has no
+ *   route points or they don't match its geometry
+ */
+function getRoutedPathData(layer) {
+  if (!(layer instanceof L.Polyline) || layer instanceof L.Polygon) return null;
+  const { routeWaypoints, routeWaypointIndices } = layer.feature?.properties || {};
+  if (!Array.isArray(routeWaypoints) || !Array.isArray(routeWaypointIndices)) return null;
+
+  const latlngs = getFlatLatLngs(layer);
+  const isValid =
+    routeWaypoints.length >= 2 &&
+    routeWaypointIndices.length === routeWaypoints.length &&
+    routeWaypointIndices[0] === 0 &&
+    routeWaypointIndices[routeWaypointIndices.length - 1] === latlngs.length - 1 &&
+    routeWaypointIndices.every((index, i) => i === 0 || index > routeWaypointIndices[i - 1]);
+  if (!isValid) return null;
+
+  return {
+    waypoints: routeWaypoints.map(([lng, lat]) => L.latLng(lat, lng)),
+    segments: routeWaypointIndices
+      .slice(1)
+      .map((end, i) => latlngs.slice(routeWaypointIndices[i], end + 1)),
+  };
+}
+
+/**
+ * Draw handler for paths following roads and trails.
+ */
+L.Draw.RoutedPolyline = L.Draw.Feature.extend({
+  statics: {
+    TYPE: "routedpolyline",
+  },
+
+  options: {
+    icon: new L.DivIcon({
+      iconSize: new L.Point(10, 10),
+      className: "leaflet-div-icon leaflet-editing-icon",
+    }),
+    touchIcon: new L.DivIcon({
+      iconSize: new L.Point(20, 20),
+      className: "leaflet-div-icon leaflet-editing-icon leaflet-touch-icon",
+    }),
+    shapeOptions: { ...STYLE_CONFIG.path.default, color: DEFAULT_COLOR },
+    zIndexOffset: 2000,
+  },
+
+  initialize: function (map, options) {
+    if (L.Browser.touch) {
+      this.options.icon = this.options.touchIcon;
+    }
+    this.type = L.Draw.RoutedPolyline.TYPE;
+    this._session = 0;
+    L.Draw.Feature.prototype.initialize.call(this, map, options);
+  },
+
+  /**
+   * Enables the handler for reshaping an existing routed path instead of drawing a new one.
+   * @param {L.Polyline} layer - A path with route points (see getRoutedPathData)
+   */
+  editLayer: function (layer) {
+    if (this._enabled || !getRoutedPathData(layer)) return;
+    this._editedLayer = layer;
+    this.enable();
+    // Hidden after enabling, since starting to draw deselects and restyles the layer
+    layer.setStyle({ opacity: 0 });
+  },
+
+  addHooks: function () {
+    L.Draw.Feature.prototype.addHooks.call(this);
+    if (!this._map) return;
+
+    this._session++;
+    this._waypoints = [];
+    this._segments = [];
+    this._pendingRequests = 0;
+    this._finishWhenRouted = false;
+    this._hasShownRoutingError = false;
+
+    this._markerGroup = L.layerGroup().addTo(this._map);
+    this._poly = L.polyline([], this.options.shapeOptions).addTo(this._map);
+
+    // A transparent marker under the cursor catches clicks, so route points can be
+    // placed on top of other layers without selecting them (same as L.Draw.Polyline)
+    this._mouseMarker = L.marker(this._map.getCenter(), {
+      icon: L.divIcon({
+        className: "leaflet-mouse-marker",
+        iconAnchor: [20, 20],
+        iconSize: [40, 40],
+      }),
+      opacity: 0,
+      zIndexOffset: this.options.zIndexOffset,
+    })
+      .on("click", this._onClick, this)
+      .addTo(this._map);
+
+    this._map.on("mousemove", this._onMouseMove, this).on("click", this._onClick, this);
+    this._map.doubleClickZoom.disable();
+
+    if (this._editedLayer) {
+      const { waypoints, segments } = getRoutedPathData(this._editedLayer);
+      waypoints.forEach((latlng) => this._addWaypointMarker(latlng));
+      this._segments = segments;
+      this._updateShape();
+    }
+
+    this._updateTooltip();
+  },
+
+  removeHooks: function () {
+    L.Draw.Feature.prototype.removeHooks.call(this);
+
+    this._map.off("mousemove", this._onMouseMove, this).off("click", this._onClick, this);
+    this._map.doubleClickZoom.enable();
+
+    this._map.removeLayer(this._mouseMarker);
+    this._map.removeLayer(this._markerGroup);
+    this._map.removeLayer(this._poly);
+    delete this._mouseMarker;
+    delete this._markerGroup;
+    delete this._poly;
+
+    if (this._editedLayer) {
+      resetItemStyle(this._editedLayer);
+      delete this._editedLayer;
+    }
+    this._waypoints = [];
+    this._segments = [];
+  },
+
+  /**
+   * Removes the last route point and its segment.
+   */
+  deleteLastVertex: function () {
+    if (this._waypoints.length === 0) return;
+    this._markerGroup.removeLayer(this._waypoints.pop());
+    this._segments.splice(Math.max(0, this._waypoints.length - 1));
+    this._updateShape();
+    this._updateTooltip();
+  },
+
+  /**
+   * Finishes the path. If segments are still being routed, it finishes once they arrive.
+   */
+  completeShape: function () {
+    if (this._waypoints.length < 2) return;
+    if (this._pendingRequests > 0) {
+      this._finishWhenRouted = true;
+      this._updateTooltip();
+      return;
+    }
+
+    const { latlngs, indices } = this._buildPath();
+    const routeWaypoints = this._waypoints.map((marker) => {
+      const latlng = marker.getLatLng();
+      return [latlng.lng, latlng.lat];
+    });
+
+    const layer = this._editedLayer;
+    if (layer) {
+      layer.setLatLngs(latlngs);
+      layer.feature.properties.routeWaypoints = routeWaypoints;
+      layer.feature.properties.routeWaypointIndices = indices;
+      layer.feature.properties.totalDistance = calculatePathDistance(layer);
+      this.disable();
+      updateOverviewList();
+      recordHistory("Edit Route Points", [layer]);
+      selectItem(layer);
+    } else {
+      const newLayer = L.polyline(latlngs, this.options.shapeOptions);
+      newLayer.feature = {
+        type: "Feature",
+        properties: { routeWaypoints, routeWaypointIndices: indices },
+      };
+      this._fireCreatedEvent(newLayer);
+      this.disable();
+    }
+  },
+
+  _onMouseMove: function (e) {
+    this._mouseMarker.setLatLng(e.latlng);
+    this._tooltip.updatePosition(e.latlng);
+  },
+
+  _onClick: function (e) {
+    // The mouse marker only follows mouse movements, so taps are located from the event
+    const latlng = e.originalEvent ? this._map.mouseEventToLatLng(e.originalEvent) : e.latlng;
+    this._addWaypointMarker(latlng);
+    const count = this._waypoints.length;
+    if (count > 1) this._routeSegment(count - 2);
+    this._updateTooltip();
+  },
+
+  /**
+   * Adds a draggable route point marker. Clicking the last point finishes the path.
+   * @param {L.LatLng} latlng - Position of the route point
+   */
+  _addWaypointMarker: function (latlng) {
+    const marker = L.marker(latlng, {
+      icon: this.options.icon,
+      draggable: true,
+      zIndexOffset: this.options.zIndexOffset * 2,
+    });
+    marker.on("click", (e) => {
+      L.DomEvent.stopPropagation(e);
+      if (marker === this._waypoints[this._waypoints.length - 1]) this.completeShape();
+    });
+    marker.on("dragend", () => {
+      const index = this._waypoints.indexOf(marker);
+      if (index > 0) this._routeSegment(index - 1);
+      if (index < this._waypoints.length - 1) this._routeSegment(index);
+    });
+    this._markerGroup.addLayer(marker);
+    this._waypoints.push(marker);
+  },
+
+  /**
+   * Fetches the route for the segment between two consecutive route points. Until it
+   * arrives, or if routing fails, the segment is shown as a straight line.
+   * @param {number} index - Index of the segment (and of its first route point)
+   */
+  _routeSegment: function (index) {
+    const fromMarker = this._waypoints[index];
+    const toMarker = this._waypoints[index + 1];
+    const from = fromMarker.getLatLng();
+    const to = toMarker.getLatLng();
+    const session = this._session;
+
+    this._segments[index] = [from, to];
+    this._updateShape();
+
+    if (!window.app || typeof window.app.routeBetween !== "function") return;
+
+    this._pendingRequests++;
+    window.app
+      .routeBetween(from, to)
+      .then((coordinates) => {
+        if (session !== this._session || !this._enabled) return;
+        // Ignore the result if the route points were moved or removed in the meantime
+        const current = this._waypoints.indexOf(fromMarker);
+        if (
+          current === -1 ||
+          this._waypoints[current + 1] !== toMarker ||
+          !fromMarker.getLatLng().equals(from) ||
+          !toMarker.getLatLng().equals(to)
+        ) {
+          return;
+        }
+        this._segments[current] = coordinates;
+      })
+      .catch((err) => {
+        console.warn("Routed drawing: segment could not be routed", err);
+        if (session === this._session && !this._hasShownRoutingError) {
+          this._hasShownRoutingError = true;
+          Swal.fire({
+            toast: true,
+            icon: "warning",
+            title: "Routing Unavailable",
+            text: "Segments that can't be routed are drawn as straight lines.",
+            showConfirmButton: false,
+            timer: 3000,
+          });
+        }
+      })
+      .finally(() => {
+        if (session !== this._session || !this._enabled) return;
+        this._pendingRequests--;
+        this._updateShape();
+        if (this._pendingRequests === 0 && this._finishWhenRouted) {
+          this._finishWhenRouted = false;
+          this.completeShape();
+        }
+      });
+  },
+
+  /**
+   * Joins the segments into one path.
+   * @returns {{latlngs: L.LatLng[], indices: number[]}} The vertices and the vertex index
+   *   of each route point
+   */
+  _buildPath: function () {
+    const latlngs = [];
+    const indices = [0];
+    this._segments.forEach((segment) => {
+      const start = latlngs.length > 0 && segment[0].equals(latlngs[latlngs.length - 1]) ? 1 : 0;
+      latlngs.push(...segment.slice(start));
+      indices.push(latlngs.length - 1);
+    });
+    if (latlngs.length === 0 && this._waypoints.length > 0) {
+      latlngs.push(this._waypoints[0].getLatLng());
+    }
+    return { latlngs, indices };
+  },
+
+  _updateShape: function () {
+    this._poly.setLatLngs(this._buildPath().latlngs);
+  },
+
+  _updateTooltip: function () {
+    let content;
+    if (this._finishWhenRouted) {
+      content = { text: "Waiting for the route..." };
+    } else if (this._waypoints.length === 0) {
+      content = { text: "Click to start the path." };
+    } else if (this._waypoints.length === 1) {
+      content = { text: "Click to add the next route point." };
+    } else {
+      content = {
+        text: "Click the last point to finish the path.",
+        subtext: "Drag route points to re-route.",
+      };
+    }
+    this._tooltip.updateContent(content);
+  },
+});
+
+// Adds the routed drawing mode to the draw toolbar, right after the regular path tool
+const _getDrawModeHandlers = L.DrawToolbar.prototype.getModeHandlers;
+L.DrawToolbar.include({
+  getModeHandlers: function (map) {
+    const handlers = _getDrawModeHandlers.call(this, map);
+    routedPolylineHandler = new L.Draw.RoutedPolyline(map, this.options.routedpolyline);
+    handlers.splice(1, 0, {
+      enabled: this.options.routedpolyline,
+      handler: routedPolylineHandler,
+      title: "Draw path along roads and trails",
+    });
+    return handlers;
+  },
+});
+
+/**
+ * Reopens a routed path in the routed drawing mode, so its route points can be moved.
+ * @param {L.Polyline} layer - A path with route points
+ */
+function editRoutedPath(layer) {
+  if (!routedPolylineHandler || layer.pathType !== "drawn") return;
+  if (isEditMode || isDeleteMode) return;
+  routedPolylineHandler.editLayer(layer);
+}
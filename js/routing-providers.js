@@ -0,0 +1,488 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * CUSTOM ROUTING PROVIDERS
+ *
+ * Lets users add their own routing engines (e.g. a self-hosted server) next to the
+ * built-in Mapbox and OSRM demo providers. Supported engines are OSRM, GraphHopper,
+ * Valhalla and BRouter. Each custom provider maps the routing panel's profiles
+ * (driving, bike, foot) to the engine's own profile names and is stored in localStorage.
+ *
+ * The routers implement the Leaflet Routing Machine router interface used by routing.js:
+ * route(waypoints, callback, context) with routes of the form
+ * { name, coordinates, instructions: [{ text, distance, time, type, index }], summary },
+ * where index is the position of the maneuver in the coordinates.
+ * Engines with an isochrone API (GraphHopper, Valhalla) also provide reachable areas.
+ */
+
+const CUSTOM_ROUTING_PROVIDERS_KEY = "customRoutingProviders";
+const CUSTOM_ROUTING_PROVIDER_PREFIX = "custom-";
+const ADD_ROUTING_PROVIDER_OPTION = "add-custom-provider";
+
+// Providers configured in routing.js (PROVIDER_CONFIG), with their display names
+const BUILT_IN_ROUTING_PROVIDERS = {
+  mapbox: "Mapbox",
+  osrm: "OSRM (Demo)",
+};
+
+/**
+ * Fetches JSON from a routing engine. Error responses are turned into an error with the
+ * engine's message, so they can be shown to the user.
+ * @param {string} url - The request URL
+ * @returns {Promise<object>} The parsed response
+ */
+async function _fetchRoutingJson(url) {
+  const response = await fetch(url);
+  const text = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    // BRouter reports errors as plain text
+  }
+
+  if (!response.ok || !data) {
+    const message =
+      data?.message || data?.error || text.trim() || `HTTP ${response.status} from routing service`;
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+// Leaflet Routing Machine instruction types of the engines' turn directions
+const GRAPHHOPPER_SIGN_TYPES = {
+  "-98": "TurnAround",
+  "-8": "TurnAround",
+  "-7": "SlightLeft",
+  "-3": "SharpLeft",
+  "-2": "Left",
+  "-1": "SlightLeft",
+  0: "Straight",
+  1: "SlightRight",
+  2: "Right",
+  3: "SharpRight",
+  4: "DestinationReached",
+  5: "WaypointReached",
+  6: "Roundabout",
+  7: "SlightRight",
+  8: "TurnAround",
+};
+const VALHALLA_MANEUVER_TYPES = {
+  1: "Head",
+  2: "Head",
+  3: "Head",
+  4: "DestinationReached",
+  5: "DestinationReached",
+  6: "DestinationReached",
+  9: "SlightRight",
+  10: "Right",
+  11: "SharpRight",
+  12: "TurnAround",
+  13: "TurnAround",
+  14: "SharpLeft",
+  15: "Left",
+  16: "SlightLeft",
+  18: "SlightRight",
+  19: "SlightLeft",
+  20: "SlightRight",
+  21: "SlightLeft",
+  23: "SlightRight",
+  24: "SlightLeft",
+  26: "Roundabout",
+};
+
+/**
+ * Gets the outer ring of the largest polygon in an isochrone response. Map areas have a
+ * single ring, so holes and smaller islands of the reachable area are dropped.
+ * @param {object} data - GeoJSON FeatureCollection, Feature or geometry
+ * @returns {L.LatLng[]} The ring, without the closing point
+ */
+function getIsochroneOuterRing(data) {
+  const features = data.features || (data.geometry ? [data] : [{ geometry: data }]);
+  const rings = features.flatMap(({ geometry }) => {
+    if (geometry?.type === "Polygon") return [geometry.coordinates[0]];
+    if (geometry?.type === "MultiPolygon") return geometry.coordinates.map((p) => p[0]);
+    return [];
+  });
+  if (rings.length === 0) throw { status: "NoRoute" };
+
+  const ring = rings.reduce((largest, r) => (r.length > largest.length ? r : largest));
+  const latlngs = ring.map(([lng, lat]) => L.latLng(lat, lng));
+  if (latlngs.length > 1 && latlngs[0].equals(latlngs[latlngs.length - 1])) latlngs.pop();
+  return latlngs;
+}
+
+/**
+ * Supported routing engines. `fetchRoute` requests a route through the given points and
+ * resolves to a route in Leaflet Routing Machine format. `fetchIsochrone`, where the
+ * engine supports it, resolves to the area reachable from a point within some minutes.
+ */
+const ROUTING_ENGINE_TYPES = {
+  osrm: {
+    label: "OSRM",
+    urlPlaceholder: "http://localhost:5000",
+    defaultProfiles: { driving: "driving", bike: "bike", foot: "foot" },
+    // Leaflet Routing Machine's own OSRM router, as used by the built-in provider, writes
+    // the instruction texts (e.g. "Turn right onto Main Street")
+    fetchRoute: ({ url, profile }, latlngs) =>
+      new Promise((resolve, reject) => {
+        const router = L.Routing.osrmv1({ serviceUrl: `${url}/route/v1`, profile });
+        router.route(
+          latlngs.map((latlng) => L.Routing.waypoint(latlng)),
+          (error, routes) => (error ? reject(error) : resolve(routes[0])),
+        );
+      }),
+  },
+  graphhopper: {
+    label: "GraphHopper",
+    urlPlaceholder: "http://localhost:8989",
+    defaultProfiles: { driving: "car", bike: "bike", foot: "foot" },
+    fetchRoute: async ({ url, profile, apiKey }, latlngs) => {
+      const params = new URLSearchParams({
+        profile,
+        points_encoded: "false",
+        instructions: "true",
+        locale: "en",
+      });
+      latlngs.forEach((ll) => params.append("point", `${ll.lat},${ll.lng}`));
+      if (apiKey) params.set("key", apiKey);
+
+      const data = await _fetchRoutingJson(`${url}/route?${params}`);
+      const path = data.paths?.[0];
+      if (!path) throw { status: "NoRoute", message: data.message };
+      return {
+        coordinates: path.points.coordinates.map(([lng, lat]) => L.latLng(lat, lng)),
+        instructions: (path.instructions || []).map((instruction) => ({
+          text: instruction.text,
+          distance: instruction.distance,
+          time: instruction.time / 1000,
+          type: GRAPHHOPPER_SIGN_TYPES[instruction.sign] || "Straight",
+          index: instruction.interval?.[0],
+        })),
+        summary: { totalDistance: path.distance, totalTime: path.time / 1000 },
+      };
+    },
+    fetchIsochrone: async ({ url, profile, apiKey }, latlng, minutes) => {
+      const params = new URLSearchParams({
+        point: `${latlng.lat},${latlng.lng}`,
+        profile,
+        time_limit: String(minutes * 60),
+      });
+      if (apiKey) params.set("key", apiKey);
+      const data = await _fetchRoutingJson(`${url}/isochrone?${params}`);
+      return getIsochroneOuterRing({ type: "FeatureCollection", features: data.polygons || [] });
+    },
+  },
+  valhalla: {
+    label: "Valhalla",
+    urlPlaceholder: "http://localhost:8002",
+    defaultProfiles: { driving: "auto", bike: "bicycle", foot: "pedestrian" },
+    fetchRoute: async ({ url, profile, apiKey }, latlngs) => {
+      const request = {
+        locations: latlngs.map((ll) => ({ lat: ll.lat, lon: ll.lng })),
+        costing: profile,
+        directions_options: { units: "kilometers" },
+      };
+      const params = new URLSearchParams({ json: JSON.stringify(request) });
+      if (apiKey) params.set("api_key", apiKey);
+
+      const data = await _fetchRoutingJson(`${url}/route?${params}`);
+      const trip = data.trip;
+      if (!trip?.legs?.length) throw { status: "NoRoute", message: data.error };
+      // Maneuver shape indices count from the start of their leg
+      const coordinates = [];
+      const instructions = [];
+      trip.legs.forEach((leg) => {
+        const legStart = coordinates.length;
+        (leg.maneuvers || []).forEach((maneuver) => {
+          instructions.push({
+            text: maneuver.instruction,
+            distance: maneuver.length * 1000,
+            time: maneuver.time,
+            type: VALHALLA_MANEUVER_TYPES[maneuver.type] || "Straight",
+            index: legStart + (maneuver.begin_shape_index || 0),
+          });
+        });
+        L.PolylineUtil.decode(leg.shape, 6).forEach(([lat, lng]) =>
+          coordinates.push(L.latLng(lat, lng)),
+        );
+      });
+      return {
+        coordinates,
+        instructions,
+        summary: { totalDistance: trip.summary.length * 1000, totalTime: trip.summary.time },
+      };
+    },
+    fetchIsochrone: async ({ url, profile, apiKey }, latlng, minutes) => {
+      const request = {
+        locations: [{ lat: latlng.lat, lon: latlng.lng }],
+        costing: profile,
+        contours: [{ time: minutes }],
+        polygons: true,
+      };
+      const params = new URLSearchParams({ json: JSON.stringify(request) });
+      if (apiKey) params.set("api_key", apiKey);
+      return getIsochroneOuterRing(await _fetchRoutingJson(`${url}/isochrone?${params}`));
+    },
+  },
+  brouter: {
+    label: "BRouter",
+    urlPlaceholder: "http://localhost:17777",
+    defaultProfiles: { driving: "car-fast", bike: "trekking", foot: "hiking-mountain" },
+    fetchRoute: async ({ url, profile }, latlngs) => {
+      const lonlats = latlngs.map((ll) => `${ll.lng},${ll.lat}`).join("|");
+      const params = new URLSearchParams({
+        lonlats,
+        profile,
+        alternativeidx: "0",
+        format: "geojson",
+      });
+
+      const data = await _fetchRoutingJson(`${url}/brouter?${params}`);
+      const feature = data.features?.[0];
+      if (!feature) throw { status: "NoRoute" };
+      // BRouter has no turn instructions; its coordinates include the elevation
+      return {
+        coordinates: feature.geometry.coordinates.map(([lng, lat, ele]) => L.latLng(lat, lng, ele)),
+        instructions: [],
+        summary: {
+          totalDistance: Number(feature.properties["track-length"]) || 0,
+          totalTime: Number(feature.properties["total-time"]) || 0,
+        },
+      };
+    },
+  },
+};
+
+/**
+ * Router for a custom provider, compatible with the Leaflet Routing Machine routers.
+ * routing.js sets `options.profile` before each request.
+ */
+const CustomRouter = L.Class.extend({
+  options: {
+    profile: "",
+  },
+
+  initialize: function (provider) {
+    this._provider = provider;
+    L.setOptions(this, { profile: provider.profiles.driving });
+  },
+
+  route: function (waypoints, callback, context) {
+    const engine = ROUTING_ENGINE_TYPES[this._provider.type];
+    const latlngs = waypoints.map((wp) => wp.latLng);
+    const request = {
+      url: this._provider.url,
+      apiKey: this._provider.apiKey,
+      profile: this.options.profile,
+    };
+
+    engine
+      .fetchRoute(request, latlngs)
+      .then((route) => {
+        callback.call(context, null, [
+          { name: "", ...route, inputWaypoints: waypoints, waypoints },
+        ]);
+      })
+      .catch((error) => callback.call(context, error));
+    return this;
+  },
+});
+
+/**
+ * Gets the custom routing providers saved by the user.
+ * @returns {Array<{id: string, name: string, type: string, url: string, apiKey: string,
+ *   profiles: {driving: string, bike: string, foot: string}}>} The providers
+ */
+function getCustomRoutingProviders() {
+  try {
+    const providers = JSON.parse(localStorage.getItem(CUSTOM_ROUTING_PROVIDERS_KEY) || "[]");
+    return Array.isArray(providers)
+      ? providers.filter((provider) => ROUTING_ENGINE_TYPES[provider?.type])
+      : [];
+  } catch (e) {
+    console.warn("Could not read custom routing providers:", e);
+    return [];
+  }
+}
+
+/**
+ * Finds a custom routing provider by its ID.
+ * @param {string} id - The provider ID (as stored in the "routingProvider" setting)
+ * @returns {object|undefined} The provider
+ */
+function getCustomRoutingProvider(id) {
+  return getCustomRoutingProviders().find((provider) => provider.id === id);
+}
+
+/**
+ * Adds or replaces a custom routing provider.
+ * @param {object} provider - The provider; an ID is assigned if it has none
+ * @returns {object} The saved provider
+ */
+function saveCustomRoutingProvider(provider) {
+  const providers = getCustomRoutingProviders();
+  let id = provider.id;
+  for (let n = Date.now(); !id || (!provider.id && providers.some((p) => p.id === id)); n++) {
+    id = `${CUSTOM_ROUTING_PROVIDER_PREFIX}${n}`;
+  }
+  const saved = { ...provider, id };
+  const index = providers.findIndex((p) => p.id === saved.id);
+  if (index === -1) {
+    providers.push(saved);
+  } else {
+    providers[index] = saved;
+  }
+  localStorage.setItem(CUSTOM_ROUTING_PROVIDERS_KEY, JSON.stringify(providers));
+  return saved;
+}
+
+/**
+ * Removes a custom routing provider.
+ * @param {string} id - The provider ID
+ */
+function deleteCustomRoutingProvider(id) {
+  const providers = getCustomRoutingProviders().filter((provider) => provider.id !== id);
+  localStorage.setItem(CUSTOM_ROUTING_PROVIDERS_KEY, JSON.stringify(providers));
+}
+
+/**
+ * Shows the dialog for adding or editing a custom routing provider.
+ * @param {object} [provider] - The provider to edit; omitted to add a new one
+ * @returns {Promise<{action: "saved"|"deleted", provider: object}|null>} The result, or null
+ *   if the dialog was cancelled
+ */
+async function showCustomRoutingProviderDialog(provider) {
+  const isNew = !provider;
+  const initial = provider || {
+    name: "",
+    type: "osrm",
+    url: "",
+    apiKey: "",
+    profiles: { ...ROUTING_ENGINE_TYPES.osrm.defaultProfiles },
+  };
+  const typeOptions = Object.entries(ROUTING_ENGINE_TYPES)
+    .map(([type, engine]) => `<option value="${type}">${engine.label}</option>`)
+    .join("");
+  const profileInput = (profile, label) => `
+    <label class="routing-provider-profile">
+      <span>${label}</span>
+      <input type="text" id="routing-provider-profile-${profile}" class="swal2-input swal-input-field" />
+    </label>`;
+
+  const result = await Swal.fire({
+    title: isNew ? "Add Routing Provider" : "Edit Routing Provider",
+    html: `
+      <div class="routing-provider-form">
+        <input type="text" id="routing-provider-name" class="swal2-input swal-input-field" placeholder="Name" />
+        <select id="routing-provider-type" class="swal2-select">${typeOptions}</select>
+        <input type="text" id="routing-provider-url" class="swal2-input swal-input-field" placeholder="Server URL" />
+        <input type="text" id="routing-provider-key" class="swal2-input swal-input-field" placeholder="API key (optional)" />
+        <p>Profile names used by the server:</p>
+        ${profileInput("driving", "Driving")}
+        ${profileInput("bike", "Bike")}
+        ${profileInput("foot", "Foot")}
+      </div>
+    `,
+    showCancelButton: true,
+    showDenyButton: !isNew,
+    confirmButtonText: "Save",
+    denyButtonText: "Delete",
+    cancelButtonText: "Cancel",
+    didOpen: () => {
+      const typeSelect = document.getElementById("routing-provider-type");
+      const urlInput = document.getElementById("routing-provider-url");
+      document.getElementById("routing-provider-name").value = initial.name;
+      document.getElementById("routing-provider-key").value = initial.apiKey || "";
+      typeSelect.value = initial.type;
+      urlInput.value = initial.url;
+      urlInput.placeholder = ROUTING_ENGINE_TYPES[initial.type].urlPlaceholder;
+      Object.entries(initial.profiles).forEach(([profile, value]) => {
+        document.getElementById(`routing-provider-profile-${profile}`).value = value;
+      });
+
+      // Switching the engine fills in its usual profile names
+      typeSelect.addEventListener("change", () => {
+        const engine = ROUTING_ENGINE_TYPES[typeSelect.value];
+        urlInput.placeholder = engine.urlPlaceholder;
+        Object.entries(engine.defaultProfiles).forEach(([profile, value]) => {
+          document.getElementById(`routing-provider-profile-${profile}`).value = value;
+        });
+      });
+    },
+    preConfirm: () => {
+      const type = document.getElementById("routing-provider-type").value;
+      const url = document.getElementById("routing-provider-url").value.trim().replace(/\/+$/, "");
+      if (!/^https?:\/\//i.test(url)) {
+        Swal.showValidationMessage(
+          "Please enter the server URL, starting with http:// or https://",
+        );
+        return false;
+      }
+      const profiles = {};
+      Object.entries(ROUTING_ENGINE_TYPES[type].defaultProfiles).forEach(([profile, fallback]) => {
+        const value = document.getElementById(`routing-provider-profile-${profile}`).value.trim();
+        profiles[profile] = value || fallback;
+      });
+      return {
+        ...(provider && { id: provider.id }),
+        name:
+          document.getElementById("routing-provider-name").value.trim() ||
+          `${ROUTING_ENGINE_TYPES[type].label} (${new URL(url).host})`,
+        type,
+        url,
+        apiKey: document.getElementById("routing-provider-key").value.trim(),
+        profiles,
+      };
+    },
+  });
+
+  if (result.isConfirmed) {
+    return { action: "saved", provider: saveCustomRoutingProvider(result.value) };
+  }
+  if (result.isDenied) {
+    deleteCustomRoutingProvider(provider.id);
+    return { action: "deleted", provider };
+  }
+  return null;
+}
+
+/**
+ * Gets the ID of the selected routing provider, falling back to Mapbox if the saved
+ * provider no longer exists (e.g. a deleted custom provider).
+ * @returns {string} The provider ID
+ */
+function getSelectedRoutingProviderId() {
+  const id = localStorage.getItem("routingProvider") || "mapbox";
+  return BUILT_IN_ROUTING_PROVIDERS[id] || getCustomRoutingProvider(id) ? id : "mapbox";
+}
+
+/**
+ * Gets the display name of a routing provider.
+ * @param {string} id - The provider ID
+ * @returns {string} The name
+ */
+function getRoutingProviderName(id) {
+  return BUILT_IN_ROUTING_PROVIDERS[id] || getCustomRoutingProvider(id)?.name || id;
+}
+
+/**
+ * Fills the routing provider select in the settings with the built-in and custom
+ * providers, followed by an option for adding a new provider.
+ * @param {HTMLSelectElement} select - The select element
+ */
+function populateRoutingProviderSelect(select) {
+  select.innerHTML = "";
+  const addOption = (value, text) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  };
+  Object.entries(BUILT_IN_ROUTING_PROVIDERS).forEach(([id, name]) => addOption(id, name));
+  getCustomRoutingProviders().forEach((provider) => addOption(provider.id, provider.name));
+  addOption(ADD_ROUTING_PROVIDER_OPTION, "Add custom provider...");
+  select.value = getSelectedRoutingProviderId();
+}
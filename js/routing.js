@@ -20,11 +20,19 @@ function initializeRouting() {
 
   let intermediateViaMarkers = [];
   let shouldFitBounds = true;
+  let routingMode = "route"; // "route" (start to end), "loop" or "reachability"
+  let routingRequestToken = 0; // Discards loop and area responses that arrive too late
   let isUnitRefreshInProgress = false;
   let wasRouteSelectedOnUnitRefresh = false;
 
   const geocoder = new GeoSearch.OpenStreetMapProvider();
 
+  // Round trips are generated as a triangle through the start point. Roads are longer
+  // than the straight legs, and duration targets are converted with a rough speed.
+  const LOOP_DETOUR_FACTOR = 1.3;
+  const LOOP_TARGET_TOLERANCE = 0.15;
+  const LOOP_AVERAGE_SPEEDS = { driving: 13.9, bike: 4.5, foot: 1.4 }; // m/s
+
   const mapboxRouter = L.Routing.mapbox(mapboxAccessToken);
   const osrmRouter = L.Routing.osrmv1({
     serviceUrl: "https://router.project-osrm.org/route/v1",
@@ -40,6 +48,12 @@ function initializeRouting() {
         foot: "walking",
       },
       profileFormatter: (profile) => `mapbox/${profile}`,
+      isochrone: async (profile, latlng, minutes) =>
+        getIsochroneOuterRing(
+          await _fetchRoutingJson(
+            `https://api.mapbox.com/isochrone/v1/${profile}/${latlng.lng},${latlng.lat}?contours_minutes=${minutes}&polygons=true&access_token=${mapboxAccessToken}`,
+          ),
+        ),
     },
     osrm: {
       router: osrmRouter,
@@ -52,17 +66,49 @@ function initializeRouting() {
     },
   };
 
-  const clearRouteLine = () => {
-    if (currentRoutePath) {
-      if (globallySelectedItem === currentRoutePath) {
-        deselectCurrentItem();
-      }
-      editableLayers.removeLayer(currentRoutePath);
-      drawnItems.removeLayer(currentRoutePath);
-      map.removeLayer(currentRoutePath);
-      currentRoutePath = null;
-      updateOverviewList();
+  /**
+   * Gets the configuration of a built-in or custom routing provider.
+   * @param {string} providerId - The provider ID
+   * @returns {object|null} The configuration, or null if the provider doesn't exist
+   */
+  const getProviderConfig = (providerId) => {
+    if (PROVIDER_CONFIG[providerId]) return PROVIDER_CONFIG[providerId];
+    const custom = getCustomRoutingProvider(providerId);
+    if (!custom) return null;
+    const engine = ROUTING_ENGINE_TYPES[custom.type];
+    return {
+      router: new CustomRouter(custom),
+      profiles: custom.profiles,
+      profileFormatter: (profile) => profile,
+      isochrone:
+        engine.fetchIsochrone &&
+        ((profile, latlng, minutes) =>
+          engine.fetchIsochrone(
+            { url: custom.url, apiKey: custom.apiKey, profile },
+            latlng,
+            minutes,
+          )),
+    };
+  };
+
+  /**
+   * Removes the active route (or reachable area) from the map.
+   */
+  const removeCurrentRoutePath = () => {
+    if (!currentRoutePath) return;
+    if (globallySelectedItem === currentRoutePath) {
+      deselectCurrentItem();
     }
+    editableLayers.removeLayer(currentRoutePath);
+    drawnItems.removeLayer(currentRoutePath);
+    map.removeLayer(currentRoutePath);
+    currentRoutePath = null;
+    updateOverviewList();
+  };
+
+  const clearRouteLine = () => {
+    routingRequestToken++;
+    removeCurrentRoutePath();
 
     intermediateViaMarkers.forEach((marker) => map.removeLayer(marker));
     intermediateViaMarkers = [];
@@ -74,6 +120,14 @@ function initializeRouting() {
   };
 
   const calculateNewRoute = () => {
+    if (routingMode === "loop") {
+      generateLoopRoute();
+      return;
+    }
+    if (routingMode === "reachability") {
+      generateReachabilityArea();
+      return;
+    }
     if (!currentStartLatLng || !currentEndLatLng) {
       return;
     }
@@ -83,19 +137,7 @@ function initializeRouting() {
     intermediateViaMarkers = [];
     saveRouteBtn.disabled = true;
 
-    const selectedProfile = document.querySelector("#routing-profile-selector .profile-btn.active")
-      .dataset.profile;
-    const currentProvider = localStorage.getItem("routingProvider") || "mapbox";
-
-    const config = PROVIDER_CONFIG[currentProvider];
-    if (!config) {
-      console.error(`No configuration found for provider: ${currentProvider}`);
-      return;
-    }
-
-    const apiProfile = config.profiles[selectedProfile] || config.profiles["driving"];
-    const finalProfile = config.profileFormatter(apiProfile);
-    routingControl.getRouter().options.profile = finalProfile;
+    if (!applySelectedProfile()) return;
 
     const waypoints = [L.latLng(currentStartLatLng)];
     if (currentViaLatLng) {
@@ -106,38 +148,119 @@ function initializeRouting() {
     setWaypointsAndLog(waypoints);
   };
 
+  /**
+   * Sets the profile selected in the routing panel (driving, bike, foot) on the router
+   * of the current provider.
+   * @returns {boolean} False if the current provider has no configuration
+   */
+  const applySelectedProfile = () => {
+    const currentProvider = getSelectedRoutingProviderId();
+    const config = getProviderConfig(currentProvider);
+    if (!config) {
+      console.error(`No configuration found for provider: ${currentProvider}`);
+      return false;
+    }
+
+    routingControl.getRouter().options.profile = getProviderProfile(config);
+    return true;
+  };
+
+  /**
+   * Gets the profile selected in the routing panel (driving, bike, foot).
+   * @returns {string} The profile
+   */
+  const getSelectedProfile = () =>
+    document.querySelector("#routing-profile-selector .profile-btn.active").dataset.profile;
+
+  /**
+   * Gets a provider's API name for the selected profile.
+   * @param {object} config - The provider configuration
+   * @returns {string} The formatted profile name
+   */
+  const getProviderProfile = (config) => {
+    const apiProfile = config.profiles[getSelectedProfile()] || config.profiles["driving"];
+    return config.profileFormatter(apiProfile);
+  };
+
+  /**
+   * Routes through points with the current provider and profile, without touching the
+   * routing panel or the active route.
+   * @param {L.LatLng[]} latlngs - The points in order
+   * @returns {Promise<object>} The route in Leaflet Routing Machine format
+   */
+  const routeThrough = (latlngs) =>
+    new Promise((resolve, reject) => {
+      if (!applySelectedProfile()) {
+        reject(new Error("No routing provider configured"));
+        return;
+      }
+      const waypoints = latlngs.map((latlng) => L.Routing.waypoint(L.latLng(latlng)));
+      routingControl.getRouter().route(waypoints, (err, routes) => {
+        if (err || !routes || routes.length === 0) {
+          reject(err || { status: "NoRoute" });
+        } else {
+          resolve(routes[0]);
+        }
+      });
+    });
+
+  /**
+   * Routes between two points, used for drawing paths along roads.
+   * @param {L.LatLng} from - Start point
+   * @param {L.LatLng} to - End point
+   * @returns {Promise<L.LatLng[]>} The coordinates of the route
+   */
+  const routeBetween = (from, to) => routeThrough([from, to]).then((route) => route.coordinates);
+
   /**
    * Sets waypoints on the routing control and logs the provider being used.
    */
   const setWaypointsAndLog = (waypoints) => {
-    const providerMap = { mapbox: "Mapbox", osrm: "OSRM" };
-    const currentProvider = localStorage.getItem("routingProvider") || "mapbox";
-    const providerDisplayName = providerMap[currentProvider] || currentProvider;
-    console.log(`Fetching route from: ${providerDisplayName}`);
+    console.log(`Fetching route from: ${getRoutingProviderName(getSelectedRoutingProviderId())}`);
     routingControl.setWaypoints(waypoints);
   };
 
   /**
    * Recalculates the route including all intermediate via markers without changing map bounds.
+   * Round trips end at their start point and don't use the via input.
    */
   const updateRouteWithIntermediateVias = () => {
-    if (!currentStartLatLng || !currentEndLatLng) return;
+    const isLoop = routingMode === "loop";
+    const endLatLng = isLoop ? currentStartLatLng : currentEndLatLng;
+    if (!currentStartLatLng || !endLatLng) return;
     shouldFitBounds = false;
     const waypoints = [L.latLng(currentStartLatLng)];
     intermediateViaMarkers.forEach((marker) => {
       waypoints.push(marker.getLatLng());
     });
-    if (currentViaLatLng) {
+    if (currentViaLatLng && !isLoop) {
       waypoints.push(L.latLng(currentViaLatLng));
     }
-    waypoints.push(L.latLng(currentEndLatLng));
+    waypoints.push(L.latLng(endLatLng));
     setWaypointsAndLog(waypoints);
   };
 
+  /**
+   * Updates the route after the start or end marker was moved. Vias placed by the user
+   * are kept, while reachable areas and round trips without vias are generated again.
+   */
+  const updateRouteAfterMarkerMove = () => {
+    if (
+      routingMode === "reachability" ||
+      (routingMode === "loop" && intermediateViaMarkers.length === 0)
+    ) {
+      calculateNewRoute();
+    } else if (startMarker && (endMarker || routingMode === "loop")) {
+      updateRouteWithIntermediateVias();
+    }
+  };
+
   /**
    * Adds an intermediate via point marker to the route at the specified location.
+   * @param {L.LatLng} latlng - The location
+   * @param {boolean} [reroute=true] - Whether to recalculate the route right away
    */
-  const addIntermediateViaPoint = (latlng) => {
+  const addIntermediateViaPoint = (latlng, reroute = true) => {
     const newViaMarker = L.marker(latlng, {
       icon: createMarkerIcon(ROUTING_COLOR_VIA, 1),
       draggable: true,
@@ -173,7 +296,182 @@ function initializeRouting() {
 
     newViaMarker.on("dragend", updateRouteWithIntermediateVias);
     intermediateViaMarkers.push(newViaMarker);
-    updateRouteWithIntermediateVias();
+    if (reroute) updateRouteWithIntermediateVias();
+  };
+
+  /**
+   * Gets a point at a distance and bearing from another point.
+   * @param {L.LatLng} latlng - The origin
+   * @param {number} distance - Distance in meters
+   * @param {number} bearing - Bearing in degrees clockwise from north
+   * @returns {L.LatLng} The destination
+   */
+  const getDestinationPoint = (latlng, distance, bearing) => {
+    const angularDistance = distance / 6371000;
+    const theta = (bearing * Math.PI) / 180;
+    const lat1 = (latlng.lat * Math.PI) / 180;
+    const lng1 = (latlng.lng * Math.PI) / 180;
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(angularDistance) +
+        Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(theta),
+    );
+    const lng2 =
+      lng1 +
+      Math.atan2(
+        Math.sin(theta) * Math.sin(angularDistance) * Math.cos(lat1),
+        Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2),
+      );
+    return L.latLng((lat2 * 180) / Math.PI, (((lng2 * 180) / Math.PI + 540) % 360) - 180);
+  };
+
+  /**
+   * Gets the two via points of a round trip: with the start point they form an
+   * equilateral triangle on a circle of the given radius.
+   * @param {number} radius - Radius of the circle in meters
+   * @param {number} bearing - Direction of the circle's center from the start point
+   * @returns {L.LatLng[]} The via points
+   */
+  const getLoopViaPoints = (radius, bearing) => {
+    const center = getDestinationPoint(currentStartLatLng, radius, bearing);
+    return [bearing + 60, bearing - 60].map((angle) => getDestinationPoint(center, radius, angle));
+  };
+
+  /**
+   * Reads the target of a round trip from the routing panel.
+   * @returns {{meters: number, seconds: number}|null} The target distance, or duration,
+   *   in the units the router reports; null if the input is invalid
+   */
+  const getLoopTarget = () => {
+    const value = parseFloat(document.getElementById("route-loop-target").value);
+    if (!(value > 0)) return null;
+    if (document.getElementById("route-loop-unit").value === "minutes") {
+      return { seconds: value * 60 };
+    }
+    return { meters: value * (useImperialUnits ? 1609.344 : 1000) };
+  };
+
+  /**
+   * Generates a round trip from the start point with the length or duration entered in
+   * the routing panel. The trip is routed through two via points in a random direction,
+   * whose distance is corrected once if the first route misses the target. The via points
+   * become regular intermediate via markers, so the loop can be adjusted by dragging them.
+   */
+  const generateLoopRoute = async () => {
+    if (!currentStartLatLng) return;
+    const target = getLoopTarget();
+    if (!target) {
+      Swal.fire({ title: "Round Trip", text: "Please enter a target greater than zero." });
+      return;
+    }
+
+    const token = ++routingRequestToken;
+    saveRouteBtn.disabled = true;
+    const wanted = target.meters ?? target.seconds;
+    const targetMeters =
+      target.meters ?? target.seconds * LOOP_AVERAGE_SPEEDS[getSelectedProfile()];
+    // An equilateral triangle on a circle of radius r has a perimeter of 3√3·r
+    let radius = targetMeters / (3 * Math.sqrt(3) * LOOP_DETOUR_FACTOR);
+    const bearing = Math.random() * 360;
+    let vias = getLoopViaPoints(radius, bearing);
+
+    try {
+      const route = await routeThrough([currentStartLatLng, ...vias, currentStartLatLng]);
+      const achieved = target.meters ? route.summary.totalDistance : route.summary.totalTime;
+      if (achieved > 0 && Math.abs(achieved - wanted) / wanted > LOOP_TARGET_TOLERANCE) {
+        radius *= wanted / achieved;
+        vias = getLoopViaPoints(radius, bearing);
+      }
+    } catch (error) {
+      if (token === routingRequestToken) routingControl._handleRoutingError(error);
+      return;
+    }
+    if (token !== routingRequestToken) return;
+
+    intermediateViaMarkers.forEach((marker) => map.removeLayer(marker));
+    intermediateViaMarkers = [];
+    vias.forEach((via) => addIntermediateViaPoint(via, false));
+    shouldFitBounds = true;
+    setWaypointsAndLog([currentStartLatLng, ...vias, currentStartLatLng]);
+  };
+
+  /**
+   * Shows the summary of the reachable area in the routing panel.
+   */
+  const showReachabilitySummary = () => {
+    const summaryContainer = document.getElementById("routing-summary-container");
+    if (!currentRoutePath) return;
+    summaryContainer.innerHTML = `<b>Within:</b> ${currentRoutePath.reachabilityMinutes} min &nbsp;&nbsp; <b>Area:</b> ${formatArea(calculatePolygonArea(currentRoutePath))}`;
+    summaryContainer.style.display = "block";
+  };
+
+  /**
+   * Requests the area reachable from the start point within the minutes entered in the
+   * routing panel and shows it as the active route, so it can be saved like a route.
+   * Only providers with an isochrone API (Mapbox, GraphHopper, Valhalla) support this.
+   */
+  const generateReachabilityArea = async () => {
+    if (!currentStartLatLng) return;
+    const minutes = Math.round(
+      parseFloat(document.getElementById("route-reachability-minutes").value),
+    );
+    if (!(minutes >= 1 && minutes <= 60)) {
+      Swal.fire({
+        title: "Reachable Area",
+        text: "Please enter a travel time between 1 and 60 minutes.",
+      });
+      return;
+    }
+
+    const providerId = getSelectedRoutingProviderId();
+    const config = getProviderConfig(providerId);
+    if (!config?.isochrone) {
+      Swal.fire({
+        title: "Reachable Area Unavailable",
+        text: `${getRoutingProviderName(providerId)} can't calculate reachable areas. Please use Mapbox or a custom GraphHopper or Valhalla provider.`,
+      });
+      return;
+    }
+
+    const token = ++routingRequestToken;
+    saveRouteBtn.disabled = true;
+    let ring;
+    try {
+      ring = await config.isochrone(getProviderProfile(config), currentStartLatLng, minutes);
+    } catch (error) {
+      if (token === routingRequestToken) routingControl._handleRoutingError(error);
+      return;
+    }
+    if (token !== routingRequestToken) return;
+
+    removeCurrentRoutePath();
+    const startName = document.getElementById("route-start").value.trim() || "Start";
+    const area = L.polygon(ring, { ...STYLE_CONFIG.path.default, color: ROUTE_COLOR });
+    area.feature = {
+      properties: {
+        name: `Reachable within ${minutes} min from ${startName}`,
+        color: ROUTE_COLOR,
+      },
+    };
+    area.pathType = "route";
+    area.reachabilityMinutes = minutes;
+    area.on("click", (e) => {
+      L.DomEvent.stop(e);
+      selectItem(area);
+    });
+    drawnItems.addLayer(area);
+    area.addTo(map);
+    currentRoutePath = area;
+
+    if (!map.hasLayer(drawnItems)) {
+      map.addLayer(drawnItems);
+    }
+    map.fitBounds(area.getBounds(), { padding: [50, 50] });
+    document.getElementById("directions-panel").style.display = "none";
+    showReachabilitySummary();
+    updateOverviewList();
+    updateDrawControlStates();
+    selectItem(area);
+    saveRouteBtn.disabled = false;
   };
 
   /**
@@ -184,7 +482,7 @@ function initializeRouting() {
     if (routingControl) {
       routingControl = null;
     }
-    const router = PROVIDER_CONFIG[provider]?.router || PROVIDER_CONFIG["mapbox"].router;
+    const router = getProviderConfig(provider)?.router || PROVIDER_CONFIG["mapbox"].router;
 
     // Create a simple routing wrapper that uses the router directly
     routingControl = {
@@ -209,8 +507,11 @@ function initializeRouting() {
           return;
         }
 
-        // Call the router directly
+        // Call the router directly. Only the latest request is shown, in case the
+        // waypoints changed while it was running.
+        const token = ++routingRequestToken;
         this._router.route(this._waypoints, (err, routes) => {
+          if (token !== routingRequestToken) return;
           if (err) {
             this._handleRoutingError(err);
           } else {
@@ -232,7 +533,10 @@ function initializeRouting() {
           const endInput = document.getElementById("route-end");
           const startName = startInput.value.trim() || "Start";
           const endName = endInput.value.trim() || "End";
-          const newRouteName = `Route: ${startName} to ${endName}`;
+          const newRouteName =
+            routingMode === "loop"
+              ? `Round Trip: ${startName}`
+              : `Route: ${startName} to ${endName}`;
 
           const summaryContainer = document.getElementById("routing-summary-container");
           if (route.summary && summaryContainer) {
@@ -257,18 +561,10 @@ function initializeRouting() {
           directionsList.innerHTML = "";
           directionsPanel.style.display = "block";
 
-          if (route.instructions && route.instructions.length > 0) {
-            route.instructions.forEach((instr) => {
-              const item = document.createElement("div");
-              item.className = "direction-item";
-              const distanceM = instr.distance;
-              let distanceStr = "";
-              if (distanceM > 0) {
-                distanceStr = `(${formatDistance(distanceM)})`;
-              }
-              item.textContent = `${instr.text} ${distanceStr}`;
-              directionsList.appendChild(item);
-            });
+          // Instructions are kept with the route, so they're saved along with it
+          const instructions = createRouteInstructions(route);
+          if (instructions.length > 0) {
+            renderRouteInstructionList(directionsList, instructions);
           } else {
             directionsList.innerHTML =
               '<div class="direction-item">No turn-by-turn directions available.</div>';
@@ -282,6 +578,7 @@ function initializeRouting() {
             currentRoutePath.setLatLngs(processedCoordinates);
             currentRoutePath.feature.properties.name = newRouteName;
             currentRoutePath.feature.properties.totalDistance = route.summary.totalDistance;
+            setRouteInstructions(currentRoutePath, instructions);
           } else {
             const newRoutePath = L.polyline(processedCoordinates, {
               ...STYLE_CONFIG.path.default,
@@ -296,6 +593,7 @@ function initializeRouting() {
               },
             };
             newRoutePath.pathType = "route";
+            setRouteInstructions(newRoutePath, instructions);
 
             let pressTimer = null;
             let wasLongPress = false;
@@ -366,6 +664,14 @@ function initializeRouting() {
             console.warn("Could not parse API error response:", err);
           }
         }
+        // Custom providers report server and network errors with the engine's message
+        if (error instanceof Error && error.message) {
+          Swal.fire({
+            title: "Routing Service Error",
+            text: error.message,
+          });
+          return;
+        }
         if (error && error.status === "NoRoute") {
           Swal.fire({
             title: "No Route Found",
@@ -381,8 +687,7 @@ function initializeRouting() {
     };
   }
 
-  const savedProvider = localStorage.getItem("routingProvider") || "mapbox";
-  setupRoutingControl(savedProvider);
+  setupRoutingControl(getSelectedRoutingProviderId());
 
   const routingPanelContainer = document.getElementById("routing-panel");
   L.DomEvent.disableClickPropagation(routingPanelContainer);
@@ -417,12 +722,67 @@ function initializeRouting() {
       profileButtons.forEach((btn) => btn.classList.remove("active"));
       button.classList.add("active");
 
-      if (startMarker && endMarker) {
+      if (startMarker && (endMarker || routingMode !== "route")) {
         calculateNewRoute();
       }
     });
   });
 
+  const modeButtons = document.querySelectorAll("#routing-mode-selector .profile-btn");
+  const loopUnitSelect = document.getElementById("route-loop-unit");
+
+  /**
+   * Shows the distance unit of the current unit setting in the round trip target.
+   */
+  const updateLoopUnitLabel = () => {
+    loopUnitSelect.querySelector('option[value="distance"]').textContent = useImperialUnits
+      ? "mi"
+      : "km";
+  };
+  updateLoopUnitLabel();
+
+  /**
+   * Switches between routing from start to end, round trips and reachable areas.
+   * The start point is kept, everything else of the previous mode is cleared.
+   * @param {string} mode - "route", "loop" or "reachability"
+   */
+  const setRoutingMode = (mode) => {
+    if (mode === routingMode) return;
+    routingMode = mode;
+    modeButtons.forEach((btn) => btn.classList.toggle("active", btn.dataset.mode === mode));
+
+    exitRoutePointSelectionMode();
+    if (mode !== "route") {
+      clearRoutingPoint("end");
+      clearRoutingPoint("via");
+    }
+    clearRouteLine();
+
+    // Clearing the inline style lets the stylesheet hide the via group on mobile
+    document.getElementById("routing-via-group").style.display = mode === "route" ? "" : "none";
+    document.getElementById("routing-end-group").style.display = mode === "route" ? "" : "none";
+    document.getElementById("routing-loop-group").style.display = mode === "loop" ? "" : "none";
+    document.getElementById("routing-reachability-group").style.display =
+      mode === "reachability" ? "" : "none";
+
+    calculateNewRoute();
+  };
+
+  modeButtons.forEach((button) => {
+    button.addEventListener("click", (e) => {
+      L.DomEvent.stop(e);
+      setRoutingMode(button.dataset.mode);
+    });
+  });
+
+  ["route-loop-target", "route-loop-unit", "route-reachability-minutes"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => calculateNewRoute());
+  });
+  document.getElementById("regenerate-loop-btn").addEventListener("click", (e) => {
+    L.DomEvent.stop(e);
+    calculateNewRoute();
+  });
+
   const directionsHeader = document.getElementById("directions-panel-header");
   const directionsPanel = document.getElementById("directions-panel");
   directionsHeader.addEventListener("click", () => {
@@ -513,9 +873,7 @@ function initializeRouting() {
       else currentEndLatLng = newLatLng;
       input.value = `${newLatLng.lat.toFixed(5)}, ${newLatLng.lng.toFixed(5)}`;
       input.style.color = "var(--color-black)";
-      if (startMarker && endMarker) {
-        updateRouteWithIntermediateVias();
-      }
+      updateRouteAfterMarkerMove();
     });
 
     marker.on("mousedown", (e) => {
@@ -542,6 +900,7 @@ function initializeRouting() {
    * Clears all routing markers, inputs, and route path from the map.
    */
   const clearRouting = () => {
+    routingRequestToken++;
     if (routingControl) {
       routingControl.setWaypoints([]);
     }
@@ -576,14 +935,7 @@ function initializeRouting() {
     }
 
     if (currentRoutePath) {
-      if (globallySelectedItem === currentRoutePath) {
-        deselectCurrentItem();
-      }
-      editableLayers.removeLayer(currentRoutePath);
-      drawnItems.removeLayer(currentRoutePath);
-      map.removeLayer(currentRoutePath);
-      currentRoutePath = null;
-      updateOverviewList();
+      removeCurrentRoutePath();
       updateDrawControlStates();
     }
     if (saveRouteBtn) saveRouteBtn.disabled = true;
@@ -596,11 +948,13 @@ function initializeRouting() {
   });
 
   /**
-   * Updates a routing point (start/via/end) with a new location and optional label.
+   * Sets the location of a routing point (start/via/end) and places its marker, without
+   * calculating the route.
+   * @param {L.LatLng} latlng - The location
+   * @param {string} type - "start", "via" or "end"
+   * @param {string} locationString - Text shown in the point's input
    */
-  const updateRoutingPoint = (latlng, type, label) => {
-    const locationString = label || `${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)}`;
-
+  const setRoutingPointMarker = (latlng, type, locationString) => {
     if (type === "start") {
       currentStartLatLng = latlng;
       startInput.value = locationString;
@@ -641,6 +995,14 @@ function initializeRouting() {
         addDragHandlersToRoutingMarker(endMarker, "end");
       }
     }
+  };
+
+  /**
+   * Updates a routing point (start/via/end) with a new location and optional label.
+   */
+  const updateRoutingPoint = (latlng, type, label) => {
+    const locationString = label || `${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)}`;
+    setRoutingPointMarker(latlng, type, locationString);
     updateClearButtonState();
 
     if (type === "via") {
@@ -901,14 +1263,16 @@ function initializeRouting() {
       return;
     }
 
-    let coordsToUse = currentRoutePath.getLatLngs();
+    // Reachable areas are saved as areas, routes and round trips as paths
+    const isArea = currentRoutePath instanceof L.Polygon;
+    let coordsToUse = isArea ? currentRoutePath.getLatLngs()[0] : currentRoutePath.getLatLngs();
     let simplificationHappened = false;
 
     if (enablePathSimplification) {
       const originalCoords = coordsToUse.map((latlng) => [latlng.lng, latlng.lat]);
       const simplifiedResult = simplifyPath(
         originalCoords,
-        "LineString",
+        isArea ? "Polygon" : "LineString",
         routeSimplificationConfig,
       );
 
@@ -918,36 +1282,35 @@ function initializeRouting() {
       }
     }
 
-    const newPath = L.polyline(coordsToUse, {
+    const newPath = (isArea ? L.polygon : L.polyline)(coordsToUse, {
       ...STYLE_CONFIG.path.default,
       color: currentRoutePath.options.color,
     });
     newPath.feature = JSON.parse(JSON.stringify(currentRoutePath.feature));
     newPath.pathType = "drawn";
     newPath.feature.properties.name = newPath.feature.properties.name || "Saved Route";
-    newPath.on("click", (ev) => {
-      L.DomEvent.stopPropagation(ev);
-      selectItem(newPath);
-    });
+    newPath.on("click", (ev) => handleLayerClick(ev, newPath));
     drawnItems.addLayer(newPath);
     editableLayers.addLayer(newPath);
     clearRouting();
     updateOverviewList();
     updateDrawControlStates();
+    recordHistory("Save Route", [newPath]);
 
+    const savedType = isArea ? "Area" : "Route";
     if (simplificationHappened) {
       Swal.fire({
         icon: "success",
-        title: "Route Saved & Optimized!",
-        text: 'The route was simplified and added to the "Drawn Items" layer.',
+        title: `${savedType} Saved & Optimized!`,
+        text: `The ${savedType.toLowerCase()} was simplified and added to the "Drawn Items" layer.`,
         timer: 2500,
         showConfirmButton: false,
       });
     } else {
       Swal.fire({
         icon: "success",
-        title: "Route Saved!",
-        text: 'The route has been added to the "Drawn Items" layer.',
+        title: `${savedType} Saved!`,
+        text: `The ${savedType.toLowerCase()} has been added to the "Drawn Items" layer.`,
         timer: 2500,
         showConfirmButton: false,
       });
@@ -961,6 +1324,11 @@ function initializeRouting() {
    * Called from main.js when the user toggles between metric and imperial units.
    */
   const redisplayCurrentRoute = () => {
+    updateLoopUnitLabel();
+    if (routingMode === "reachability") {
+      showReachabilitySummary();
+      return;
+    }
     if (currentRoutePath && routingControl) {
       wasRouteSelectedOnUnitRefresh = globallySelectedItem === currentRoutePath;
       const waypoints = routingControl.getWaypoints();
@@ -973,10 +1341,78 @@ function initializeRouting() {
     }
   };
 
+  /**
+   * Gets the route being planned, so autosave can restore it: the mode, profile, points
+   * and the settings of round trips and reachable areas. The route itself is calculated again.
+   * @returns {object|null} The routing state, or null if no point is set
+   */
+  const getRoutingState = () => {
+    if (!currentStartLatLng && !currentEndLatLng && !currentViaLatLng) return null;
+    const toPoint = (latlng, input) =>
+      latlng ? { lat: latlng.lat, lng: latlng.lng, label: input.value } : null;
+    return {
+      mode: routingMode,
+      profile: getSelectedProfile(),
+      start: toPoint(currentStartLatLng, startInput),
+      via: toPoint(currentViaLatLng, viaInput),
+      end: toPoint(currentEndLatLng, endInput),
+      vias: intermediateViaMarkers.map((marker) => {
+        const { lat, lng } = marker.getLatLng();
+        return [lat, lng];
+      }),
+      loopTarget: document.getElementById("route-loop-target").value,
+      loopUnit: loopUnitSelect.value,
+      reachabilityMinutes: document.getElementById("route-reachability-minutes").value,
+    };
+  };
+
+  /**
+   * Restores a route written by getRoutingState() and calculates it. Round trips keep their
+   * via points instead of being generated again.
+   * @param {object} state - The routing state
+   */
+  const restoreRoutingState = (state) => {
+    clearRouting();
+    setRoutingMode(state.mode || "route");
+    profileButtons.forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.profile === state.profile);
+    });
+    if (!document.querySelector("#routing-profile-selector .profile-btn.active")) {
+      profileButtons[0].classList.add("active");
+    }
+    if (state.loopTarget) document.getElementById("route-loop-target").value = state.loopTarget;
+    if (state.loopUnit) loopUnitSelect.value = state.loopUnit;
+    if (state.reachabilityMinutes) {
+      document.getElementById("route-reachability-minutes").value = state.reachabilityMinutes;
+    }
+
+    ["start", "via", "end"].forEach((type) => {
+      const point = state[type];
+      if (point) setRoutingPointMarker(L.latLng(point.lat, point.lng), type, point.label);
+    });
+    (state.vias || []).forEach((latlng) => addIntermediateViaPoint(L.latLng(latlng), false));
+    updateClearButtonState();
+
+    if (routingMode === "reachability") {
+      calculateNewRoute();
+    } else {
+      updateRouteWithIntermediateVias();
+    }
+  };
+
   window.app = window.app || {};
   window.app.setupRoutingControl = setupRoutingControl;
   window.app.clearRouting = clearRouting;
   window.app.saveRoute = saveRoute;
   window.app.redisplayCurrentRoute = redisplayCurrentRoute;
   window.app.updateRoutingPoint = updateRoutingPoint;
+  window.app.routeBetween = routeBetween;
+  window.app.getRoutingState = getRoutingState;
+  window.app.restoreRoutingState = restoreRoutingState;
+
+  // Route of the project that autosave restored before routing was ready
+  if (pendingRoutingState) {
+    restoreRoutingState(pendingRoutingState);
+    pendingRoutingState = null;
+  }
 }
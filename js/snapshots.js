@@ -0,0 +1,359 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * AUTOSAVE SNAPSHOTS
+ *
+ * Autosave overwrites the saved state of a project every few seconds, so a mistake like
+ * deleting everything would be saved for good. Snapshots keep earlier states of each project
+ * in IndexedDB:
+ * - "session": the state a project was opened with (page load or switching projects)
+ * - "hourly": the state autosave is about to overwrite, at most once an hour
+ * - "restore": the state before a snapshot was restored, so restoring can be reverted
+ * Only the newest snapshots of each kind are kept (see SNAPSHOT_LIMITS). The history dialog
+ * compares a snapshot with the current map on a preview map, and restores or exports it.
+ */
+
+const SNAPSHOTS_KEY_PREFIX = "mapSnapshots:";
+const SNAPSHOT_HOURLY_INTERVAL_MS = 60 * 60 * 1000;
+const SNAPSHOT_LIMITS = { session: 5, hourly: 24, restore: 5 };
+const SNAPSHOT_KIND_LABELS = {
+  session: "Session start",
+  hourly: "Hourly",
+  restore: "Before restore",
+};
+// Preview styles of the features of a snapshot, by how they differ from the current map
+const SNAPSHOT_DIFF_STYLES = {
+  removed: { color: "#228B22", label: "Deleted since" },
+  added: { color: "#DC143C", label: "Added since" },
+  changed: { color: "#FF8C00", label: "Changed since" },
+  unchanged: { color: "#708090", label: "Unchanged" },
+};
+
+const _lastSnapshotTimes = new Map(); // Project ID -> time of its last session or hourly snapshot
+let _snapshotWriteQueue = Promise.resolve(); // Serializes the read-modify-write of snapshot lists
+
+/**
+ * Gets the IndexedDB key of a project's snapshots.
+ * @param {string} projectId - The project
+ * @returns {string} The key
+ */
+function getSnapshotsKey(projectId) {
+  return `${SNAPSHOTS_KEY_PREFIX}${projectId}`;
+}
+
+/**
+ * Reads the snapshots of a project.
+ * @param {string} projectId - The project
+ * @returns {Promise<Array<{id: string, kind: string, time: number, itemCount: number, json: string}>>}
+ *   The snapshots, oldest first
+ */
+async function getSnapshots(projectId) {
+  try {
+    return (await idbKeyval.get(getSnapshotsKey(projectId))) || [];
+  } catch (e) {
+    console.warn("Snapshots: reading failed", e);
+    return [];
+  }
+}
+
+/**
+ * Gets the part of a saved state that snapshots compare: the items and folders, not the view.
+ * @param {Object} geojsonData - FeatureCollection written by _serializeLayersForAutosave()
+ * @returns {string} JSON of the content
+ */
+function _getSnapshotContent(geojsonData) {
+  return JSON.stringify([geojsonData.folders || [], geojsonData.features || []]);
+}
+
+/**
+ * Adds a snapshot to a project, unless the map is empty or the newest snapshot has the same
+ * items and folders, and drops the oldest snapshots of its kind beyond SNAPSHOT_LIMITS.
+ * @param {string} projectId - The project
+ * @param {string} kind - "session", "hourly" or "restore"
+ * @param {string} json - The state, as written by _serializeLayersForAutosave()
+ * @returns {Promise<boolean>} Whether the snapshot was added
+ */
+function addSnapshot(projectId, kind, json) {
+  const write = _snapshotWriteQueue.then(async () => {
+    const geojsonData = JSON.parse(json);
+    if (!geojsonData.features?.length) return false;
+    const snapshots = await getSnapshots(projectId);
+    const newest = snapshots[snapshots.length - 1];
+    const content = _getSnapshotContent(geojsonData);
+    if (newest && _getSnapshotContent(JSON.parse(newest.json)) === content) return false;
+
+    const now = Date.now();
+    snapshots.push({
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      kind,
+      time: now,
+      itemCount: geojsonData.features?.length || 0,
+      json,
+    });
+    const ofKind = snapshots.filter((snapshot) => snapshot.kind === kind);
+    const dropped = new Set(ofKind.slice(0, Math.max(0, ofKind.length - SNAPSHOT_LIMITS[kind])));
+    await idbKeyval.set(
+      getSnapshotsKey(projectId),
+      snapshots.filter((snapshot) => !dropped.has(snapshot)),
+    );
+    return true;
+  });
+  _snapshotWriteQueue = write.catch((e) => console.warn("Snapshots: writing failed", e));
+  return write;
+}
+
+/**
+ * Records the state a project was opened with. The first hourly snapshot follows an hour later.
+ * @param {string} projectId - The project
+ * @param {string} json - The loaded state
+ */
+function recordSessionSnapshot(projectId, json) {
+  _lastSnapshotTimes.set(projectId, Date.now());
+  addSnapshot(projectId, "session", json).catch(() => {});
+}
+
+/**
+ * Records the state autosave is about to overwrite, if the last snapshot of the project is
+ * at least an hour old. Projects that were opened empty count from their first save.
+ * @param {string} projectId - The project
+ * @param {string} json - The state that is about to be overwritten
+ */
+function recordHourlySnapshot(projectId, json) {
+  const lastTime = _lastSnapshotTimes.get(projectId);
+  if (lastTime === undefined) {
+    _lastSnapshotTimes.set(projectId, Date.now());
+    return;
+  }
+  if (Date.now() - lastTime < SNAPSHOT_HOURLY_INTERVAL_MS) return;
+  _lastSnapshotTimes.set(projectId, Date.now());
+  addSnapshot(projectId, "hourly", json).catch(() => {});
+}
+
+/**
+ * Deletes all snapshots of a project.
+ * @param {string} projectId - The project
+ */
+function deleteSnapshots(projectId) {
+  _lastSnapshotTimes.delete(projectId);
+  idbKeyval.del(getSnapshotsKey(projectId)).catch(() => {});
+}
+
+/**
+ * Compares the features of a snapshot with the current ones. Identical features are
+ * unchanged; of the others, features with the same geometry, or else with the same name and
+ * geometry type, count as changed.
+ * @param {Object[]} snapshotFeatures - Features of the snapshot
+ * @param {Object[]} currentFeatures - Features on the map
+ * @returns {{removed: Object[], added: Object[], changed: Object[], unchanged: Object[]}}
+ *   Snapshot features that were deleted since, current features that were added since, and
+ *   snapshot features that were changed or are unchanged
+ */
+function diffSnapshotFeatures(snapshotFeatures, currentFeatures) {
+  const diff = { removed: [], added: [], changed: [], unchanged: [] };
+  let unmatched = [...currentFeatures];
+
+  // Pairs each snapshot feature with the first unmatched current feature of the same key
+  const match = (features, getKey, onMatch) =>
+    features.filter((feature) => {
+      const key = getKey(feature);
+      const index = unmatched.findIndex((current) => getKey(current) === key);
+      if (index === -1) return true;
+      unmatched.splice(index, 1);
+      onMatch.push(feature);
+      return false;
+    });
+
+  let remaining = match(snapshotFeatures, (feature) => JSON.stringify(feature), diff.unchanged);
+  remaining = match(remaining, (feature) => JSON.stringify(feature.geometry), diff.changed);
+  remaining = match(
+    remaining,
+    (feature) => `${feature.geometry?.type}|${feature.properties?.name || ""}`,
+    diff.changed,
+  );
+  diff.removed = remaining;
+  diff.added = unmatched;
+  return diff;
+}
+
+/**
+ * Describes how a snapshot differs from the current map.
+ * @param {Object} diff - Result of diffSnapshotFeatures()
+ * @returns {string} E.g. "2 deleted since · 1 changed", or "Same items as now"
+ */
+function _describeSnapshotDiff(diff) {
+  const parts = [
+    diff.removed.length && `${diff.removed.length} deleted since`,
+    diff.added.length && `${diff.added.length} added since`,
+    diff.changed.length && `${diff.changed.length} changed`,
+  ].filter(Boolean);
+  return parts.length ? parts.join(" · ") : "Same items as now";
+}
+
+/**
+ * Draws a snapshot on the preview map, colored by how its features differ from the current
+ * map. Items added since the snapshot are drawn dashed.
+ * @param {L.Map} previewMap - The preview map
+ * @param {L.LayerGroup} previewLayers - Group holding the drawn features
+ * @param {Object} diff - Result of diffSnapshotFeatures()
+ */
+function _drawSnapshotPreview(previewMap, previewLayers, diff) {
+  previewLayers.clearLayers();
+  Object.entries(SNAPSHOT_DIFF_STYLES).forEach(([status, { color }]) => {
+    L.geoJSON(
+      { type: "FeatureCollection", features: diff[status] },
+      {
+        style: () => ({
+          color,
+          weight: 4,
+          opacity: 0.9,
+          dashArray: status === "added" ? "6 6" : null,
+        }),
+        pointToLayer: (feature, latlng) =>
+          L.circleMarker(latlng, { radius: 6, color, weight: 2, fillOpacity: 0.6 }),
+      },
+    ).addTo(previewLayers);
+  });
+
+  const bounds = L.featureGroup(previewLayers.getLayers()).getBounds();
+  if (bounds.isValid()) {
+    previewMap.fitBounds(bounds, { padding: [10, 10], maxZoom: 15 });
+  } else {
+    previewMap.setView(map.getCenter(), map.getZoom());
+  }
+}
+
+/**
+ * Replaces the items on the map, the route and the found places with those of a snapshot.
+ * The current state is kept as a "restore" snapshot first, and the restore of the items can
+ * be undone like other edits.
+ * @param {string} projectId - The project
+ * @param {Object} snapshot - The snapshot to restore
+ */
+async function restoreSnapshot(projectId, snapshot) {
+  await addSnapshot(projectId, "restore", _serializeLayersForAutosave());
+  clearProjectLayers();
+  const restoredCount = addAutosaveLayersToMap(JSON.parse(snapshot.json));
+  recordHistory("Restore Snapshot");
+  flushAutosave();
+
+  Swal.fire({
+    toast: true,
+    icon: "success",
+    title: `Restored ${restoredCount} item${restoredCount !== 1 ? "s" : ""} from ${new Date(snapshot.time).toLocaleString()}`,
+    position: "top",
+    showConfirmButton: false,
+    timer: 3000,
+  });
+}
+
+/**
+ * Exports the items of a snapshot as a GeoJSON file, like the GeoJSON export of the map.
+ * @param {Object} snapshot - The snapshot to export
+ */
+function exportSnapshot(snapshot) {
+  const layers = JSON.parse(snapshot.json)
+    .features.map((feature) => createLayerFromAutosaveFeature(feature))
+    .filter(Boolean);
+  exportGeoJson({
+    mode: "single",
+    layers,
+    filePrefix: "Snapshot",
+    successText: "The snapshot has been exported as GeoJSON.",
+  });
+}
+
+/**
+ * Shows the snapshots of the active project, newest first, with how they differ from the
+ * current map. Selecting a snapshot shows it on the preview map.
+ */
+async function showSnapshotHistory() {
+  const project = await loadProjects();
+  flushAutosave();
+  // Writes of snapshots that are still running should show up in the list
+  await _snapshotWriteQueue;
+  const snapshots = (await getSnapshots(project.id)).reverse();
+
+  if (snapshots.length === 0) {
+    return Swal.fire({
+      title: "No Snapshots Yet",
+      text: "Snapshots of this project are saved when it's opened and every hour while you edit it.",
+    });
+  }
+
+  const currentFeatures = JSON.parse(_serializeLayersForAutosave()).features;
+  const diffs = snapshots.map((snapshot) =>
+    diffSnapshotFeatures(JSON.parse(snapshot.json).features || [], currentFeatures),
+  );
+  let action = null; // Restoring and exporting run after the dialog is closed
+  let previewMap = null;
+
+  await Swal.fire({
+    title: `History of "${escapeXml(project.name)}"`,
+    html: `
+      <div class="snapshot-dialog">
+        <div class="snapshot-preview"></div>
+        <div class="snapshot-legend">
+          ${Object.values(SNAPSHOT_DIFF_STYLES)
+            .map(
+              ({ color, label }) =>
+                `<span><span class="snapshot-legend-swatch" style="background-color: ${color}"></span>${label}</span>`,
+            )
+            .join("")}
+        </div>
+        <div class="snapshot-list">
+          ${snapshots
+            .map(
+              (snapshot, i) => `
+              <div class="snapshot-item" data-index="${i}">
+                <div class="snapshot-item-info">
+                  <div class="snapshot-time">${new Date(snapshot.time).toLocaleString()}</div>
+                  <div class="snapshot-details">
+                    ${SNAPSHOT_KIND_LABELS[snapshot.kind] || snapshot.kind} ·
+                    ${snapshot.itemCount} item${snapshot.itemCount !== 1 ? "s" : ""} ·
+                    ${_describeSnapshotDiff(diffs[i])}
+                  </div>
+                </div>
+                <span class="material-symbols snapshot-action" data-action="restore" data-index="${i}" title="Restore">settings_backup_restore</span>
+                <span class="material-symbols snapshot-action" data-action="export" data-index="${i}" title="Export as GeoJSON">download</span>
+              </div>`,
+            )
+            .join("")}
+        </div>
+      </div>`,
+    confirmButtonText: "Close",
+    didOpen: (popup) => {
+      previewMap = L.map(popup.querySelector(".snapshot-preview"), {
+        zoomControl: false,
+        attributionControl: false,
+      });
+      L.tileLayer("https://tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom: 19 }).addTo(
+        previewMap,
+      );
+      const previewLayers = L.layerGroup().addTo(previewMap);
+
+      const select = (index) => {
+        popup.querySelectorAll(".snapshot-item").forEach((item) => {
+          item.classList.toggle("selected", Number(item.dataset.index) === index);
+        });
+        previewMap.invalidateSize();
+        _drawSnapshotPreview(previewMap, previewLayers, diffs[index]);
+      };
+
+      popup.querySelectorAll(".snapshot-item").forEach((item) => {
+        item.addEventListener("click", () => select(Number(item.dataset.index)));
+      });
+      popup.querySelectorAll(".snapshot-action").forEach((button) => {
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          action = { type: button.dataset.action, snapshot: snapshots[button.dataset.index] };
+          Swal.close();
+        });
+      });
+      select(0);
+    },
+    willClose: () => previewMap?.remove(),
+  });
+
+  if (action?.type === "restore") await restoreSnapshot(project.id, action.snapshot);
+  if (action?.type === "export") exportSnapshot(action.snapshot);
+}
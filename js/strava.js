@@ -472,10 +472,7 @@ function displayActivitiesOnMap(activities) {
           },
         };
         polyline.pathType = "strava";
-        polyline.on("click", (e) => {
-          L.DomEvent.stopPropagation(e);
-          selectItem(polyline);
-        });
+        polyline.on("click", (e) => handleLayerClick(e, polyline));
         stravaActivitiesLayer.addLayer(polyline);
         processedCount++;
       } catch (e) {
@@ -0,0 +1,205 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * STYLE EDITOR
+ *
+ * Edits the line weight, dash pattern and opacity of paths, the fill of areas and the icon, size
+ * and label of markers (see FEATURE_STYLE_PROPERTIES). The dialog shows the style of the first selected item
+ * of each kind; only the values the user changes are applied to all selected items, and they
+ * are previewed on the map while the dialog is open.
+ */
+
+/**
+ * Builds a labeled range input with a live value readout.
+ * @param {string} id - Input id, "style-" followed by the style property
+ * @param {string} label - Row label
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @param {number} step - Step size
+ * @param {number} value - Initial value
+ * @returns {string} HTML of the row
+ */
+function _styleEditorRange(id, label, min, max, step, value) {
+  return `
+    <label class="style-editor-row">
+      ${label}
+      <span class="style-editor-control">
+        <input id="${id}" type="range" min="${min}" max="${max}" step="${step}" value="${value}" />
+        <output for="${id}"></output>
+      </span>
+    </label>`;
+}
+
+/**
+ * Reads a style value from the editor.
+ * @param {HTMLElement} popup - The dialog
+ * @param {string} key - The style property
+ * @returns {string|number} The value
+ */
+function _readStyleEditorValue(popup, key) {
+  if (key === "markerSymbol") {
+    return popup.querySelector(".style-editor-symbol.selected").dataset.symbol;
+  }
+  const input = popup.querySelector(`#style-${key}`);
+  if (key === "opacity" || key === "fillOpacity") return Number(input.value) / 100;
+  if (key === "weight" || key === "markerSize") return Number(input.value);
+  if (key === "markerLabel") return input.value.trim();
+  if (key === "fillColor") return input.value.toUpperCase();
+  return input.value;
+}
+
+/**
+ * Applies style values to the selected items and redraws their highlight.
+ * Values only apply to the items they belong to (e.g. the fill only to areas).
+ * @param {L.Layer[]} items - The selected items
+ * @param {object} values - Values by style property
+ */
+function _applyStyleEditorValues(items, values) {
+  items.forEach((item) => {
+    const geometryType =
+      item instanceof L.Marker ? "Point" : item instanceof L.Polygon ? "Polygon" : "LineString";
+    getFeatureStyleKeys(geometryType).forEach((key) => {
+      if (key in values) setFeatureStyleProperty(item.feature.properties, key, values[key]);
+    });
+    applyFeatureStyle(item, true);
+  });
+  refreshSelectionOutlines();
+}
+
+/**
+ * Opens the style editor for the selected items.
+ */
+async function showStyleEditor() {
+  const items = getSelectedItems();
+  if (items.length === 0) return;
+
+  const path = items.find((item) => !(item instanceof L.Marker));
+  const area = items.find((item) => item instanceof L.Polygon);
+  const marker = items.find((item) => item instanceof L.Marker);
+
+  // Keep the current style, so cancelling can restore it
+  const originalStyles = items.map((item) => {
+    const style = {};
+    FEATURE_STYLE_PROPERTIES.forEach((key) => {
+      if (item.feature.properties[key] !== undefined) style[key] = item.feature.properties[key];
+    });
+    return style;
+  });
+
+  let html = "";
+  if (path) {
+    const style = getPathStyle(path.feature.properties);
+    const dashPattern = path.feature.properties.dashPattern || FEATURE_STYLE_DEFAULTS.dashPattern;
+    html += `
+      <div class="style-editor-section">
+        ${_styleEditorRange("style-weight", "Line width", 1, 30, 1, style.weight)}
+        <label class="style-editor-row">
+          Line style
+          <select id="style-dashPattern" class="swal2-select">
+            ${Object.entries(LINE_DASH_PATTERNS)
+              .map(
+                ([key, { label }]) =>
+                  `<option value="${key}" ${key === dashPattern ? "selected" : ""}>${label}</option>`,
+              )
+              .join("")}
+          </select>
+        </label>
+        ${_styleEditorRange("style-opacity", "Opacity", 10, 100, 5, Math.round(style.opacity * 100))}
+      </div>`;
+  }
+  if (area) {
+    const style = getPathStyle(area.feature.properties, true);
+    html += `
+      <div class="style-editor-section">
+        <label class="style-editor-row">
+          Fill color
+          <input id="style-fillColor" type="color" value="${parseColor(style.fillColor) || DEFAULT_COLOR}" />
+        </label>
+        ${_styleEditorRange("style-fillOpacity", "Fill opacity", 0, 100, 5, Math.round(style.fillOpacity * 100))}
+      </div>`;
+  }
+  if (marker) {
+    const { markerSymbol, markerSize, markerLabel } = marker.feature.properties;
+    const currentSymbol = markerSymbol || FEATURE_STYLE_DEFAULTS.markerSymbol;
+    html += `
+      <div class="style-editor-section">
+        ${_styleEditorRange("style-markerSize", "Marker size", MARKER_SIZE_MIN, MARKER_SIZE_MAX, 5, markerSize ?? FEATURE_STYLE_DEFAULTS.markerSize)}
+        <label class="style-editor-row">
+          Label
+          <input id="style-markerLabel" class="swal2-input style-editor-text" type="text" maxlength="${MARKER_LABEL_MAX_LENGTH}"
+            placeholder="None" value="${escapeXml(markerLabel)}" />
+        </label>
+        <span class="style-editor-row">
+          Marker icon
+          <input class="swal2-input style-editor-text style-editor-symbol-search" type="search"
+            placeholder="Search icons" />
+        </span>
+        <div class="style-editor-symbols">
+          ${MARKER_SYMBOLS.map(
+            ({ name, label }) =>
+              `<span class="style-editor-symbol material-symbols material-symbols-fill ${name === currentSymbol ? "selected" : ""}"
+                data-symbol="${name}" title="${label}">${name}</span>`,
+          ).join("")}
+        </div>
+      </div>`;
+  }
+
+  const result = await Swal.fire({
+    title: items.length > 1 ? `Edit Style of ${items.length} Items` : "Edit Style",
+    html: `<div class="style-editor">${html}</div>`,
+    showCancelButton: true,
+    confirmButtonText: "Apply",
+    customClass: { confirmButton: "swal-confirm-button" },
+    didOpen: (popup) => {
+      const updateReadouts = () => {
+        popup.querySelectorAll('input[type="range"]').forEach((input) => {
+          const unit =
+            input.id === "style-weight" || input.id === "style-markerSize" ? " px" : " %";
+          input.nextElementSibling.textContent = `${input.value}${unit}`;
+        });
+      };
+      const changedKeys = new Set();
+      const update = (key) => {
+        updateReadouts();
+        changedKeys.add(key);
+        const values = {};
+        changedKeys.forEach((changedKey) => {
+          values[changedKey] = _readStyleEditorValue(popup, changedKey);
+        });
+        _applyStyleEditorValues(items, values);
+      };
+
+      popup.querySelectorAll("input[id], select").forEach((input) => {
+        input.addEventListener("input", () => update(input.id.replace("style-", "")));
+      });
+      popup.querySelectorAll(".style-editor-symbol").forEach((symbol) => {
+        symbol.addEventListener("click", () => {
+          popup.querySelector(".style-editor-symbol.selected")?.classList.remove("selected");
+          symbol.classList.add("selected");
+          update("markerSymbol");
+        });
+      });
+      popup.querySelector(".style-editor-symbol-search")?.addEventListener("input", (e) => {
+        const query = e.target.value.trim().toLowerCase();
+        popup.querySelectorAll(".style-editor-symbol").forEach((symbol) => {
+          const text = `${symbol.title} ${symbol.dataset.symbol.replace(/_/g, " ")}`;
+          symbol.hidden = !text.toLowerCase().includes(query);
+        });
+      });
+      updateReadouts();
+    },
+  });
+
+  if (result.isConfirmed) {
+    recordHistory("Change Style", items);
+    return;
+  }
+
+  // Cancelled: restore the previous style of the items
+  items.forEach((item, i) => {
+    FEATURE_STYLE_PROPERTIES.forEach((key) => delete item.feature.properties[key]);
+    Object.assign(item.feature.properties, originalStyles[i]);
+    applyFeatureStyle(item, isItemSelected(item));
+  });
+  refreshSelectionOutlines();
+}
@@ -7,6 +7,469 @@
 // Persistent state for collapsed categories in the overview list
 const collapsedCategories = new Set();
 
+// User-created folders in display order. Items reference their folder by name via
+// feature.properties.folder, so empty folders are only kept in this list.
+let userFolders = [];
+
+// SortableJS instance for dragging items between folders and categories
+let overviewSortable = null;
+
+/**
+ * Shows a toast telling the user that a duplicated path or area was simplified.
+ * @param {string} itemLabel - "Path", "Area" or "Items"
+ */
+function _showDuplicateSimplifiedToast(itemLabel) {
+  Swal.fire({
+    toast: true,
+    icon: "info",
+    title: `${itemLabel} Optimized`,
+    text:
+      itemLabel === "Items"
+        ? "The duplicated items were simplified for better performance."
+        : `The duplicated ${itemLabel.toLowerCase()} was simplified for better performance.`,
+    showConfirmButton: false,
+    timer: 3000,
+    timerProgressBar: true,
+  });
+}
+
+/**
+ * Creates an independent drawn copy of a layer and adds it to the drawn items.
+ * Paths and areas are simplified if simplification is enabled.
+ * @param {L.Layer} layerToDuplicate - The layer to copy
+ * @param {boolean} [notify=true] - Whether to show a toast if the copy was simplified
+ * @returns {{layer: L.Layer, simplified: boolean}|null} The new layer and whether it was
+ *   simplified, or null if the layer type can't be duplicated
+ */
+function duplicateLayer(layerToDuplicate, notify = true) {
+  let newLayer;
+  let simplificationHappened = false;
+  const newFeature = JSON.parse(JSON.stringify(layerToDuplicate.feature || { properties: {} }));
+  newFeature.properties.name =
+    (newFeature.properties.name || (layerToDuplicate instanceof L.Marker ? "Marker" : "Path")) +
+    " (Copy)";
+  const style = newFeature.properties;
+
+  // Create the appropriate layer type (marker, polygon, or polyline)
+  if (layerToDuplicate instanceof L.Marker) {
+    newLayer = L.marker(layerToDuplicate.getLatLng(), {
+      icon: createFeatureMarkerIcon(style),
+    });
+  } else if (layerToDuplicate instanceof L.Polygon) {
+    // Handle polygon (must check before Polyline since Polygon extends Polyline)
+    const originalCoords = layerToDuplicate
+      .getLatLngs()[0]
+      .map((latlng) =>
+        latlng.alt !== undefined ? [latlng.lng, latlng.lat, latlng.alt] : [latlng.lng, latlng.lat],
+      );
+
+    let coordsToUse = originalCoords;
+
+    // Apply simplification if enabled
+    if (enablePathSimplification) {
+      const simplifiedResult = simplifyPath(originalCoords, "Polygon", pathSimplificationConfig);
+
+      // Check if the polygon was actually simplified
+      if (simplifiedResult.simplified) {
+        coordsToUse = simplifiedResult.coords;
+        simplificationHappened = true;
+      }
+    }
+
+    if (simplificationHappened && notify) {
+      _showDuplicateSimplifiedToast("Area");
+    }
+
+    newLayer = L.polygon(
+      coordsToUse.map((c) => (c.length === 3 ? [c[1], c[0], c[2]] : [c[1], c[0]])),
+      getPathStyle(style, true),
+    );
+  } else if (layerToDuplicate instanceof L.Polyline) {
+    const originalCoords = layerToDuplicate
+      .getLatLngs()
+      .map((latlng) =>
+        latlng.alt !== undefined ? [latlng.lng, latlng.lat, latlng.alt] : [latlng.lng, latlng.lat],
+      );
+
+    let coordsToUse = originalCoords;
+
+    if (enablePathSimplification) {
+      const simplifiedResult = simplifyPath(originalCoords, "LineString", pathSimplificationConfig);
+
+      // Check if the path was actually simplified
+      if (simplifiedResult.simplified) {
+        coordsToUse = simplifiedResult.coords;
+        simplificationHappened = true;
+      }
+    }
+
+    if (simplificationHappened && notify) {
+      _showDuplicateSimplifiedToast("Path");
+    }
+
+    newLayer = L.polyline(
+      coordsToUse.map((c) => (c.length === 3 ? [c[1], c[0], c[2]] : [c[1], c[0]])),
+      getPathStyle(style),
+    );
+    newFeature.properties.totalDistance = calculatePathDistance(newLayer);
+  }
+
+  if (!newLayer) return null;
+
+  // Keep only essential properties (name, color, style) - discard all source-specific metadata
+  // This removes stravaId, imported file metadata, etc., making duplicates independent drawn paths
+  const cleanProperties = {
+    name: newFeature.properties.name,
+    color: newFeature.properties.color || DEFAULT_COLOR,
+  };
+  FEATURE_STYLE_PROPERTIES.forEach((key) => {
+    if (newFeature.properties[key] !== undefined) cleanProperties[key] = newFeature.properties[key];
+  });
+  if (newFeature.properties.folder) cleanProperties.folder = newFeature.properties.folder;
+  newLayer.feature = { properties: cleanProperties };
+  newLayer.pathType = "drawn";
+  newLayer.on("click", (ev) => handleLayerClick(ev, newLayer));
+  drawnItems.addLayer(newLayer);
+  editableLayers.addLayer(newLayer);
+  return { layer: newLayer, simplified: simplificationHappened };
+}
+
+/**
+ * Gets the name of the user folder a layer belongs to.
+ * @param {L.Layer} layer - The layer to check
+ * @returns {string|null} The folder name, or null if the layer isn't in a folder
+ */
+function getLayerFolder(layer) {
+  const folder = layer.feature?.properties?.folder;
+  return typeof folder === "string" && folder.trim() ? folder : null;
+}
+
+/**
+ * Sorts layers so that folder members come first, grouped by folder in display order
+ * and ordered by their position within the folder. Other layers keep their order.
+ * @param {L.Layer[]} layers - The layers to sort
+ * @returns {L.Layer[]} A new, sorted array
+ */
+function sortLayersByFolder(layers) {
+  const folderIndex = (layer) => {
+    const index = userFolders.indexOf(getLayerFolder(layer));
+    return index === -1 ? Infinity : index;
+  };
+  const position = (layer) => layer.folderPosition ?? L.Util.stamp(layer);
+
+  return layers
+    .map((layer, index) => ({ layer, index, folder: folderIndex(layer) }))
+    .sort((a, b) => {
+      if (a.folder !== b.folder) return a.folder - b.folder;
+      if (a.folder === Infinity) return a.index - b.index;
+      return position(a.layer) - position(b.layer) || a.index - b.index;
+    })
+    .map((entry) => entry.layer);
+}
+
+/**
+ * Adds folder names referenced by layers (e.g. from an import or a share link)
+ * to the list of user folders.
+ * @param {L.Layer[]} layers - The layers to scan
+ */
+function syncUserFolders(layers) {
+  layers.forEach((layer) => {
+    const folder = getLayerFolder(layer);
+    if (folder && !userFolders.includes(folder)) userFolders.push(folder);
+  });
+}
+
+/**
+ * Gets all listed items that belong to a folder, in folder order.
+ * @param {string} folderName - The folder name
+ * @returns {L.Layer[]} The layers in the folder
+ */
+function getLayersInFolder(folderName) {
+  const layers = [
+    ...editableLayers.getLayers(),
+    ...stravaActivitiesLayer.getLayers(),
+    ...importedItems.getLayers(),
+  ].filter((layer) => getLayerFolder(layer) === folderName);
+  return sortLayersByFolder(layers);
+}
+
+/**
+ * Moves a layer into a folder (appended at the end) or out of its folder.
+ * @param {L.Layer} layer - The layer to move
+ * @param {string|null} folderName - Target folder, or null to remove it from its folder
+ */
+function setLayerFolder(layer, folderName) {
+  if (layer === currentRoutePath) return;
+  if (!layer.feature) layer.feature = { type: "Feature", properties: {} };
+  if (!layer.feature.properties) layer.feature.properties = {};
+
+  if (!folderName) {
+    delete layer.feature.properties.folder;
+    delete layer.folderPosition;
+    return;
+  }
+  if (getLayerFolder(layer) === folderName) return;
+
+  const members = getLayersInFolder(folderName);
+  members.forEach((member, index) => (member.folderPosition = index));
+  layer.feature.properties.folder = folderName;
+  layer.folderPosition = members.length;
+  if (!userFolders.includes(folderName)) userFolders.push(folderName);
+}
+
+/**
+ * Asks the user for a folder name.
+ * @param {string} title - Dialog title
+ * @param {string} [initialValue=""] - Prefilled name
+ * @returns {Promise<string|null>} The trimmed name, or null if cancelled
+ */
+async function promptFolderName(title, initialValue = "") {
+  const result = await Swal.fire({
+    title,
+    input: "text",
+    inputValue: initialValue,
+    inputPlaceholder: "Folder name",
+    showCancelButton: true,
+    confirmButtonText: "Save",
+    inputValidator: (value) => {
+      const name = value.trim();
+      if (!name) return "Please enter a name.";
+      if (name !== initialValue && userFolders.includes(name)) {
+        return "A folder with this name already exists.";
+      }
+    },
+  });
+  return result.isConfirmed ? result.value.trim() : null;
+}
+
+/**
+ * Prompts for a name and creates a new, empty folder.
+ * @returns {Promise<string|null>} The new folder name, or null if cancelled
+ */
+async function createFolder() {
+  const name = await promptFolderName("New Folder");
+  if (!name) return null;
+  userFolders.push(name);
+  collapsedCategories.delete(`folder:${name}`);
+  updateOverviewList();
+  flushAutosave();
+  return name;
+}
+
+/**
+ * Prompts for a new name and renames a folder, keeping its items.
+ * @param {string} folderName - The folder to rename
+ */
+async function renameFolder(folderName) {
+  const newName = await promptFolderName("Rename Folder", folderName);
+  if (!newName || newName === folderName) return;
+
+  getLayersInFolder(folderName).forEach((layer) => {
+    layer.feature.properties.folder = newName;
+  });
+  userFolders[userFolders.indexOf(folderName)] = newName;
+  if (collapsedCategories.delete(`folder:${folderName}`)) {
+    collapsedCategories.add(`folder:${newName}`);
+  }
+  updateOverviewList();
+  recordHistory("Rename Folder");
+  flushAutosave();
+}
+
+/**
+ * Deletes a folder after asking whether its items should be deleted as well
+ * or moved back to their categories.
+ * @param {string} folderName - The folder to delete
+ */
+function deleteFolder(folderName) {
+  const items = getLayersInFolder(folderName);
+  const removeFolder = () => {
+    userFolders = userFolders.filter((name) => name !== folderName);
+    collapsedCategories.delete(`folder:${folderName}`);
+  };
+
+  if (items.length === 0) {
+    removeFolder();
+    updateOverviewList();
+    flushAutosave();
+    return;
+  }
+
+  Swal.fire({
+    title: `Delete folder "${folderName}"?`,
+    text: "You can keep the items or delete them with the folder. You can undo this with Ctrl+Z.",
+    icon: "warning",
+    showCancelButton: true,
+    showDenyButton: true,
+    confirmButtonColor: "var(--color-red)",
+    confirmButtonText: "Delete items",
+    denyButtonText: "Keep items",
+  }).then((result) => {
+    if (result.isConfirmed) {
+      runHistoryBatch("Delete Folder", () => {
+        items.forEach((layer) => deleteLayerImmediately(layer));
+        removeFolder();
+      });
+    } else if (result.isDenied) {
+      runHistoryBatch("Delete Folder", () => {
+        items.forEach((layer) => setLayerFolder(layer, null));
+        removeFolder();
+      });
+    } else {
+      return;
+    }
+    updateOverviewList();
+    flushAutosave();
+  });
+}
+
+/**
+ * Asks for a target folder and moves all selected items into it.
+ * Offers creating a new folder or removing the items from their folder.
+ */
+async function moveSelectedItemsToFolder() {
+  const items = getSelectedItems().filter((layer) => layer !== currentRoutePath);
+  if (items.length === 0) return;
+
+  const NEW_FOLDER = "\u0000new";
+  const NO_FOLDER = "\u0000none";
+  const inputOptions = {};
+  userFolders.forEach((name) => (inputOptions[name] = name));
+  inputOptions[NEW_FOLDER] = "New Folder...";
+  inputOptions[NO_FOLDER] = "No Folder";
+
+  const result = await Swal.fire({
+    title: items.length > 1 ? `Move ${items.length} Items to Folder` : "Move to Folder",
+    input: "select",
+    inputOptions,
+    inputValue: getLayerFolder(items[0]) || (userFolders.length ? userFolders[0] : NEW_FOLDER),
+    showCancelButton: true,
+    confirmButtonText: "Move",
+  });
+  if (!result.isConfirmed) return;
+
+  let target = result.value;
+  if (target === NEW_FOLDER) {
+    target = await promptFolderName("New Folder");
+    if (!target) return;
+    userFolders.push(target);
+  }
+
+  items.forEach((layer) => setLayerFolder(layer, target === NO_FOLDER ? null : target));
+  if (target !== NO_FOLDER) collapsedCategories.delete(`folder:${target}`);
+  updateOverviewList();
+  recordHistory("Move to Folder");
+}
+
+/**
+ * Exports all items of a folder as one GPX file named after the folder.
+ * @param {string} folderName - The folder to export
+ */
+function exportFolderAsGpx(folderName) {
+  const items = getLayersInFolder(folderName);
+  if (items.length === 0) return;
+  const gpxData = convertLayerToGpx(items);
+  const fileName = `${folderName.replace(/[^a-z0-9_\-]/gi, "_")}.gpx`;
+  downloadFile(fileName, gpxData);
+}
+
+/**
+ * Shows or hides a single item on the map. Hidden items stay hidden even if their
+ * category is toggled, until they are shown again.
+ * @param {L.Layer} layer - The layer to show or hide
+ * @param {boolean} visible - Whether the layer should be visible
+ */
+function setLayerVisibility(layer, visible) {
+  layer.isManuallyHidden = !visible;
+
+  if (!visible) {
+    // Hide the layer and its potential outline
+    map.removeLayer(layer);
+    if (layer === globallySelectedItem) {
+      if (selectedPathOutline) map.removeLayer(selectedPathOutline);
+      if (selectedMarkerOutline) map.removeLayer(selectedMarkerOutline);
+    }
+    setMultiSelectionOutlineVisible(layer, false);
+    return;
+  }
+
+  // Show the layer (if its parent group is on the map)
+  // Check if any of its parent groups are on the map
+  let isParentVisible = false;
+  [drawnItems, stravaActivitiesLayer, importedItems].forEach((group) => {
+    if (group.hasLayer(layer) && map.hasLayer(group)) {
+      isParentVisible = true;
+    } else {
+      // Also check inside GeoJSON groups for imported items
+      group.eachLayer((child) => {
+        if (child instanceof L.GeoJSON && child.hasLayer(layer) && map.hasLayer(group)) {
+          isParentVisible = true;
+        }
+      });
+    }
+  });
+
+  // Special case for route (it's not in a group)
+  // But it's now visually part of "Drawn Items" (layerGroup DrawnItems)
+  if (layer === currentRoutePath) {
+    isParentVisible = map.hasLayer(drawnItems);
+  }
+
+  if (isParentVisible) {
+    map.addLayer(layer);
+    if (layer === globallySelectedItem) {
+      if (selectedPathOutline) selectedPathOutline.addTo(map).bringToBack();
+      if (selectedMarkerOutline) selectedMarkerOutline.addTo(map);
+    }
+    setMultiSelectionOutlineVisible(layer, true);
+  }
+}
+
+/**
+ * Handles an item being dropped in the overview list. The nearest header above the
+ * drop position decides the item's folder: a folder header moves it into that folder,
+ * a category header removes it from its folder.
+ * @param {Object} evt - SortableJS onEnd event
+ */
+function _onOverviewItemDropped(evt) {
+  const layerId = parseInt(evt.item.getAttribute("data-layer-id"), 10);
+  const layer =
+    editableLayers.getLayer(layerId) ||
+    stravaActivitiesLayer.getLayer(layerId) ||
+    importedItems.getLayer(layerId);
+  if (!layer || (evt.oldIndex === evt.newIndex && evt.from === evt.to)) {
+    updateOverviewList();
+    return;
+  }
+
+  let header = evt.item.previousElementSibling;
+  while (header && !header.classList.contains("overview-list-header")) {
+    header = header.previousElementSibling;
+  }
+  const targetFolder = header?.dataset.folder || null;
+
+  if (targetFolder) {
+    setLayerFolder(layer, targetFolder);
+
+    // Renumber the folder from the order of its rows in the list
+    const members = new Map(
+      getLayersInFolder(targetFolder).map((member) => [L.Util.stamp(member), member]),
+    );
+    let row = header.nextElementSibling;
+    let position = 0;
+    while (row && !row.classList.contains("overview-list-header")) {
+      const rowLayer = members.get(parseInt(row.getAttribute("data-layer-id"), 10));
+      if (rowLayer) rowLayer.folderPosition = position++;
+      row = row.nextElementSibling;
+    }
+  } else {
+    setLayerFolder(layer, null);
+  }
+
+  updateOverviewList();
+  recordHistory(targetFolder ? "Move to Folder" : "Remove from Folder");
+}
+
 /**
  * Helper function to create a single list item for the overview panel.
  * This encapsulates the logic for creating the item's text, buttons, and event listeners.
@@ -21,8 +484,26 @@ function createOverviewListItem(layer) {
 
   const listItem = document.createElement("div");
   listItem.className = "overview-list-item";
+  if (layer === currentRoutePath) listItem.classList.add("overview-route-item");
   listItem.setAttribute("data-layer-id", layerId);
 
+  // Selection checkbox for bulk operations (the active route can only be selected on its own)
+  const selectSlot = document.createElement("span");
+  selectSlot.className = "overview-select-btn";
+  if (layer !== currentRoutePath) {
+    const selectCheckbox = document.createElement("input");
+    selectCheckbox.type = "checkbox";
+    selectCheckbox.className = "overview-select-checkbox";
+    selectCheckbox.title = "Add to selection";
+    selectCheckbox.checked = isItemSelected(layer);
+    selectCheckbox.addEventListener("click", (e) => {
+      e.stopPropagation();
+      toggleItemInSelection(layer);
+      selectCheckbox.checked = isItemSelected(layer);
+    });
+    selectSlot.appendChild(selectCheckbox);
+  }
+
   // Visibility toggle button
   const visibilityBtn = document.createElement("span");
   visibilityBtn.className = "overview-visibility-btn";
@@ -44,50 +525,9 @@ function createOverviewListItem(layer) {
     if (!layerToToggle) return;
 
     // Toggle the manual hidden state
-    layerToToggle.isManuallyHidden = !layerToToggle.isManuallyHidden;
-
-    if (layerToToggle.isManuallyHidden) {
-      // Hide the layer and its potential outline
-      map.removeLayer(layerToToggle);
-      if (layerToToggle === globallySelectedItem) {
-        if (selectedPathOutline) map.removeLayer(selectedPathOutline);
-        if (selectedMarkerOutline) map.removeLayer(selectedMarkerOutline);
-      }
-    } else {
-      // Show the layer (if its parent group is on the map)
-      // Check if any of its parent groups are on the map
-      let isParentVisible = false;
-      [drawnItems, stravaActivitiesLayer, importedItems].forEach((group) => {
-        if (group.hasLayer(layerToToggle) && map.hasLayer(group)) {
-          isParentVisible = true;
-        } else {
-          // Also check inside GeoJSON groups for imported items
-          group.eachLayer((child) => {
-            if (
-              child instanceof L.GeoJSON &&
-              child.hasLayer(layerToToggle) &&
-              map.hasLayer(group)
-            ) {
-              isParentVisible = true;
-            }
-          });
-        }
-      });
-
-      // Special case for route (it's not in a group)
-      // But it's now visually part of "Drawn Items" (layerGroup DrawnItems)
-      if (layerToToggle === currentRoutePath) {
-        isParentVisible = map.hasLayer(drawnItems);
-      }
-
-      if (isParentVisible) {
-        map.addLayer(layerToToggle);
-        if (layerToToggle === globallySelectedItem) {
-          if (selectedPathOutline) selectedPathOutline.addTo(map).bringToBack();
-          if (selectedMarkerOutline) selectedMarkerOutline.addTo(map);
-        }
-      }
-    }
+    setLayerVisibility(layerToToggle, layerToToggle.isManuallyHidden);
+    // The folder header's eye icon depends on the visibility of its items
+    if (getLayerFolder(layerToToggle)) updateOverviewList();
     // Icon state reflects ONLY the manual override, not effective visibility
     setIcon(!layerToToggle.isManuallyHidden);
   });
@@ -105,127 +545,12 @@ function createOverviewListItem(layer) {
         stravaActivitiesLayer.getLayer(layerId) ||
         importedItems.getLayer(layerId);
       if (!layerToDuplicate) return;
-      let newLayer;
-      const newFeature = JSON.parse(JSON.stringify(layerToDuplicate.feature || { properties: {} }));
-      newFeature.properties.name =
-        (newFeature.properties.name || (layerToDuplicate instanceof L.Marker ? "Marker" : "Path")) +
-        " (Copy)";
-      const color = newFeature.properties.color || DEFAULT_COLOR;
-
-      // Create the appropriate layer type (marker, polygon, or polyline)
-      if (layerToDuplicate instanceof L.Marker) {
-        newLayer = L.marker(layerToDuplicate.getLatLng(), {
-          icon: createMarkerIcon(color, STYLE_CONFIG.marker.default.opacity),
-        });
-      } else if (layerToDuplicate instanceof L.Polygon) {
-        // Handle polygon (must check before Polyline since Polygon extends Polyline)
-        const originalCoords = layerToDuplicate
-          .getLatLngs()[0]
-          .map((latlng) =>
-            latlng.alt !== undefined
-              ? [latlng.lng, latlng.lat, latlng.alt]
-              : [latlng.lng, latlng.lat],
-          );
-
-        let coordsToUse = originalCoords;
-        let simplificationHappened = false;
-
-        // Apply simplification if enabled
-        if (enablePathSimplification) {
-          const simplifiedResult = simplifyPath(
-            originalCoords,
-            "Polygon",
-            pathSimplificationConfig,
-          );
-
-          // Check if the polygon was actually simplified
-          if (simplifiedResult.simplified) {
-            coordsToUse = simplifiedResult.coords;
-            simplificationHappened = true;
-          }
-        }
-
-        // Show a notification if simplification occurred
-        if (simplificationHappened) {
-          Swal.fire({
-            toast: true,
-            icon: "info",
-            title: "Area Optimized",
-            text: "The duplicated area was simplified for better performance.",
-            showConfirmButton: false,
-            timer: 3000,
-            timerProgressBar: true,
-          });
-        }
-
-        newLayer = L.polygon(
-          coordsToUse.map((c) => (c.length === 3 ? [c[1], c[0], c[2]] : [c[1], c[0]])),
-          { ...STYLE_CONFIG.path.default, color: color },
-        );
-      } else if (layerToDuplicate instanceof L.Polyline) {
-        const originalCoords = layerToDuplicate
-          .getLatLngs()
-          .map((latlng) =>
-            latlng.alt !== undefined
-              ? [latlng.lng, latlng.lat, latlng.alt]
-              : [latlng.lng, latlng.lat],
-          );
-
-        let coordsToUse = originalCoords;
-        let simplificationHappened = false;
-
-        if (enablePathSimplification) {
-          const simplifiedResult = simplifyPath(
-            originalCoords,
-            "LineString",
-            pathSimplificationConfig,
-          );
-
-          // Check if the path was actually simplified
-          if (simplifiedResult.simplified) {
-            coordsToUse = simplifiedResult.coords;
-            simplificationHappened = true;
-          }
-        }
-
-        // Show a notification if simplification occurred
-        if (simplificationHappened) {
-          Swal.fire({
-            toast: true,
-            icon: "info",
-            title: "Path Optimized",
-            text: "The duplicated path was simplified for better performance.",
-            showConfirmButton: false,
-            timer: 3000,
-            timerProgressBar: true,
-          });
-        }
-
-        newLayer = L.polyline(
-          coordsToUse.map((c) => (c.length === 3 ? [c[1], c[0], c[2]] : [c[1], c[0]])),
-          { ...STYLE_CONFIG.path.default, color: color },
-        );
-        newFeature.properties.totalDistance = calculatePathDistance(newLayer);
-      }
-
-      if (newLayer) {
-        // Keep only essential properties (name, color) - discard all source-specific metadata
-        // This removes stravaId, imported file metadata, etc., making duplicates independent drawn paths
-        const cleanProperties = {
-          name: newFeature.properties.name,
-          color: newFeature.properties.color || DEFAULT_COLOR,
-        };
-        newLayer.feature = { properties: cleanProperties };
-        newLayer.pathType = "drawn";
-        newLayer.on("click", (ev) => {
-          L.DomEvent.stopPropagation(ev);
-          selectItem(newLayer);
-        });
-        drawnItems.addLayer(newLayer);
-        editableLayers.addLayer(newLayer);
+      const duplicate = duplicateLayer(layerToDuplicate);
+      if (duplicate) {
         updateOverviewList();
         updateDrawControlStates();
-        selectItem(newLayer);
+        selectItem(duplicate.layer);
+        recordHistory("Duplicate Item", [duplicate.layer]);
       }
     });
   }
@@ -253,6 +578,9 @@ function createOverviewListItem(layer) {
   textSpan.textContent = layerName;
   textSpan.title = layerName;
 
+  // Slot 0: Selection checkbox
+  listItem.appendChild(selectSlot);
+
   // Slot 1: Visibility
   listItem.appendChild(visibilityBtn);
 
@@ -279,17 +607,23 @@ function createOverviewListItem(layer) {
   // Slot 4: Name
   listItem.appendChild(textSpan);
 
-  if (globallySelectedItem && L.Util.stamp(globallySelectedItem) === layerId) {
+  if (isItemSelected(layer)) {
     listItem.classList.add("selected");
   }
 
-  listItem.addEventListener("click", () => {
+  listItem.addEventListener("click", (e) => {
     const targetLayer =
       editableLayers.getLayer(layerId) ||
       stravaActivitiesLayer.getLayer(layerId) ||
       importedItems.getLayer(layerId) ||
       (currentRoutePath && L.Util.stamp(currentRoutePath) === layerId ? currentRoutePath : null);
     if (targetLayer) {
+      // Shift/Ctrl/Cmd-click adds to or removes from the selection without moving the map
+      if (e.shiftKey || e.ctrlKey || e.metaKey) {
+        toggleItemInSelection(targetLayer);
+        return;
+      }
+      clearMultiSelection();
       if (targetLayer instanceof L.Polyline || targetLayer instanceof L.Polygon) {
         if (targetLayer.getBounds().isValid()) {
           map.fitBounds(targetLayer.getBounds(), { paddingTopLeft: [50, 50] });
@@ -305,8 +639,123 @@ function createOverviewListItem(layer) {
   return listItem;
 }
 
+/**
+ * Creates the header row of a user folder in the overview list, with buttons to toggle
+ * the visibility of its items, delete, rename and export it.
+ * @param {string} folderName - The folder name
+ * @param {L.Layer[]} itemsInFolder - The items in the folder
+ * @returns {HTMLElement} The header element
+ */
+function createFolderHeader(folderName, itemsInFolder) {
+  const collapseKey = `folder:${folderName}`;
+  const isCollapsed = collapsedCategories.has(collapseKey);
+
+  const header = document.createElement("div");
+  header.className = "overview-list-header overview-folder-header";
+  header.dataset.folder = folderName;
+  if (isCollapsed) header.classList.add("collapsed");
+
+  const createButton = (className, icon, title, onClick) => {
+    const slot = document.createElement("div");
+    slot.className = className;
+    const btn = document.createElement("span");
+    btn.innerHTML = icon;
+    btn.title = title;
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    slot.appendChild(btn);
+    return slot;
+  };
+
+  // 0. Spacer aligned with the item selection checkboxes
+  const selectSpacer = document.createElement("div");
+  selectSpacer.className = "overview-icon-spacer";
+  header.appendChild(selectSpacer);
+
+  // 1. Visibility Button (Eye), toggles the items of the folder
+  const anyVisible = itemsInFolder.some((layer) => !layer.isManuallyHidden);
+  header.appendChild(
+    createButton(
+      "overview-header-visibility-btn",
+      `<span class="material-symbols">${anyVisible ? "visibility" : "visibility_off"}</span>`,
+      anyVisible ? "Hide folder" : "Show folder",
+      () => {
+        itemsInFolder.forEach((layer) => setLayerVisibility(layer, !anyVisible));
+        updateOverviewList();
+      },
+    ),
+  );
+
+  // 2. Delete Button
+  header.appendChild(
+    createButton(
+      "overview-header-delete-btn",
+      '<span class="material-symbols material-symbols-fill">cancel</span>',
+      "Delete folder",
+      () => deleteFolder(folderName),
+    ),
+  );
+
+  // 3. Arrow
+  const arrowContainer = document.createElement("div");
+  arrowContainer.className = "overview-header-arrow";
+  arrowContainer.innerHTML = `<span class="material-symbols">${
+    isCollapsed ? "keyboard_arrow_down" : "keyboard_arrow_up"
+  }</span>`;
+  header.appendChild(arrowContainer);
+
+  // 4. Title
+  const titleSpan = document.createElement("span");
+  titleSpan.className = "overview-header-text";
+  titleSpan.textContent = `${folderName} (${itemsInFolder.length})`;
+  titleSpan.title = folderName;
+  header.appendChild(titleSpan);
+
+  // 5. Folder actions
+  header.appendChild(
+    createButton(
+      "overview-header-action-btn",
+      '<span class="material-symbols">edit</span>',
+      "Rename folder",
+      () => renameFolder(folderName),
+    ),
+  );
+  if (itemsInFolder.length > 0) {
+    header.appendChild(
+      createButton(
+        "overview-header-action-btn",
+        '<span class="material-symbols">table_view</span>',
+        "Show attribute table",
+        () => showAttributeTable(`folder:${folderName}`),
+      ),
+    );
+    header.appendChild(
+      createButton(
+        "overview-header-action-btn",
+        '<span class="material-symbols">download</span>',
+        "Export folder as GPX",
+        () => exportFolderAsGpx(folderName),
+      ),
+    );
+  }
+
+  header.addEventListener("click", () => {
+    if (isCollapsed) {
+      collapsedCategories.delete(collapseKey);
+    } else {
+      collapsedCategories.add(collapseKey);
+    }
+    updateOverviewList();
+  });
+
+  return header;
+}
+
 /**
  * Populates or updates the overview list with all items on the map, grouped by type.
+ * Items in user folders are listed under their folder instead.
  */
 function updateOverviewList() {
   const listContainer = document.getElementById("overview-panel-list");
@@ -334,6 +783,7 @@ function updateOverviewList() {
   // If we get here, the list is not empty, so remove the class and clear the list
   overviewPanel.classList.remove("is-empty");
   listContainer.innerHTML = "";
+  syncUserFolders(allItems);
 
   // 2. Group all items by their type
   const groupedItems = {};
@@ -346,6 +796,11 @@ function updateOverviewList() {
       case "kml":
       case "geojson":
       case "kmz":
+      case "tcx":
+      case "fit":
+      case "shp":
+      case "csv":
+      case "fgb":
         return "Imported Files";
       case "strava":
         return "Strava Activities";
@@ -359,14 +814,17 @@ function updateOverviewList() {
 
   // Helper to expand a category if it's collapsed, ensuring a layer is visible in the list
   window.expandCategoryForItem = (layer) => {
-    const title = getGroupTitle(layer.pathType);
+    const folder = getLayerFolder(layer);
+    const title = folder ? `folder:${folder}` : getGroupTitle(layer.pathType);
     if (collapsedCategories.has(title)) {
       collapsedCategories.delete(title);
       updateOverviewList();
     }
   };
 
+  // Items in a user folder are listed in the folder instead of their category
   allItems.forEach((layer) => {
+    if (getLayerFolder(layer)) return;
     const title = getGroupTitle(layer.pathType);
     if (!groupedItems[title]) {
       groupedItems[title] = [];
@@ -374,13 +832,24 @@ function updateOverviewList() {
     groupedItems[title].push(layer);
   });
 
-  // 3. Render the groups in a specific order
+  // 3. Render the user folders first, then the categories in a specific order
   const fragment = document.createDocumentFragment();
   const groupOrder = ["Drawn Items", "Imported Files", "Strava Activities", "Other"];
 
   // Track which headers we're actually rendering
   const renderedHeaders = [];
 
+  userFolders.forEach((folderName) => {
+    const itemsInFolder = getLayersInFolder(folderName);
+    const header = createFolderHeader(folderName, itemsInFolder);
+    fragment.appendChild(header);
+    renderedHeaders.push(header);
+
+    if (!collapsedCategories.has(`folder:${folderName}`)) {
+      itemsInFolder.forEach((layer) => fragment.appendChild(createOverviewListItem(layer)));
+    }
+  });
+
   groupOrder.forEach((title) => {
     const itemsInGroup = groupedItems[title];
     if (itemsInGroup && itemsInGroup.length > 0) {
@@ -389,6 +858,7 @@ function updateOverviewList() {
       // Create the header element
       const header = document.createElement("div");
       header.className = "overview-list-header";
+      header.dataset.group = title;
       if (isCollapsed) header.classList.add("collapsed");
 
       // Determine the corresponding layer group for this category
@@ -409,6 +879,11 @@ function updateOverviewList() {
       arrow.className = "material-symbols";
       arrow.textContent = isCollapsed ? "keyboard_arrow_down" : "keyboard_arrow_up";
 
+      // 0. Spacer aligned with the item selection checkboxes
+      const selectSpacer = document.createElement("div");
+      selectSpacer.className = "overview-icon-spacer";
+      header.appendChild(selectSpacer);
+
       // 1. Visibility Button (Eye)
       const eyeBtnSlot = document.createElement("div");
       eyeBtnSlot.className = "overview-header-visibility-btn";
@@ -461,7 +936,9 @@ function updateOverviewList() {
             text:
               title === "Drawn Items" && currentRoutePath
                 ? "This will also clear the current route."
-                : "This action cannot be undone.",
+                : layerGroup === stravaActivitiesLayer
+                  ? "This action cannot be undone."
+                  : "You can undo this with Ctrl+Z.",
             icon: "warning",
             showCancelButton: true,
             confirmButtonColor: "var(--color-red)",
@@ -469,8 +946,9 @@ function updateOverviewList() {
           }).then((result) => {
             if (result.isConfirmed) {
               if (title === "Drawn Items" && window.app?.clearRouting) window.app.clearRouting();
-              layerGroup.clearLayers();
+              // Remove the listed items only, items moved into user folders are kept
               itemsInGroup.forEach((item) => {
+                layerGroup.removeLayer(item);
                 if (editableLayers.hasLayer(item)) editableLayers.removeLayer(item);
               });
               if (globallySelectedItem && itemsInGroup.includes(globallySelectedItem))
@@ -481,6 +959,7 @@ function updateOverviewList() {
               }
 
               updateOverviewList();
+              recordHistory(`Clear ${title}`);
             }
           });
         });
@@ -502,6 +981,19 @@ function updateOverviewList() {
       titleSpan.textContent = `${title} (${itemsInGroup.length})`;
       header.appendChild(titleSpan);
 
+      // 5. Attribute table of the category
+      if (layerGroup) {
+        const tableBtnSlot = document.createElement("div");
+        tableBtnSlot.className = "overview-header-action-btn";
+        tableBtnSlot.innerHTML = '<span class="material-symbols">table_view</span>';
+        tableBtnSlot.title = "Show attribute table";
+        tableBtnSlot.addEventListener("click", (e) => {
+          e.stopPropagation();
+          showAttributeTable(`category:${title}`);
+        });
+        header.appendChild(tableBtnSlot);
+      }
+
       header.addEventListener("click", () => {
         if (isCollapsed) {
           collapsedCategories.delete(title);
@@ -530,8 +1022,33 @@ function updateOverviewList() {
     lastHeader.classList.add("last-header");
   }
 
+  // Footer row for creating folders
+  const newFolderRow = document.createElement("div");
+  newFolderRow.className = "overview-new-folder-row";
+  newFolderRow.title = "Create a folder to organize items";
+  newFolderRow.innerHTML =
+    '<span class="material-symbols">create_new_folder</span><span>New Folder</span>';
+  newFolderRow.addEventListener("click", () => createFolder());
+  fragment.appendChild(newFolderRow);
+
   listContainer.appendChild(fragment);
 
+  // Items can be dragged into folders and back into their category
+  if (!overviewSortable && typeof Sortable !== "undefined") {
+    overviewSortable = new Sortable(listContainer, {
+      draggable: ".overview-list-item[data-layer-id]",
+      filter: ".overview-route-item, .overview-select-checkbox",
+      preventOnFilter: false,
+      animation: 150,
+      delayOnTouchOnly: true,
+      delay: 150, // Long press delay for touch devices to distinguish from click
+      touchStartThreshold: 10,
+      forceFallback: false,
+      onMove: (evt) => !evt.related.classList.contains("overview-new-folder-row"),
+      onEnd: _onOverviewItemDropped,
+    });
+  }
+
   // Sync checkboxes in the custom layers panel with the map's current state
   const checkboxMapping = {
     DrawnItems: drawnItems,
@@ -650,6 +1167,11 @@ function showInfoPanel(layer) {
     case "kml":
     case "geojson":
     case "kmz":
+    case "tcx":
+    case "fit":
+    case "shp":
+    case "csv":
+    case "fgb":
       // Check if this is a Strava activity that was imported
       if (layer.feature?.properties?.stravaId) {
         layerTypeName = "Imported Item (Strava Activity)";
@@ -688,6 +1210,8 @@ function showInfoPanel(layer) {
   infoPanelColorSwatch.style.backgroundColor = color;
   updateColorPickerSelection(color);
 
+  updatePathToolButtons(layer);
+
   // Hide the main color picker initially
   colorPicker.style.display = "none";
 }
@@ -717,6 +1241,7 @@ function resetInfoPanel() {
     // Hide color picker and the new style row
     infoPanelStyleRow.style.display = "none";
     colorPicker.style.display = "none";
+    updatePathToolButtons(null);
   }
 }
 
@@ -738,6 +1263,7 @@ function updateLayerName() {
     }
     globallySelectedItem.feature.properties.name = newName;
     updateOverviewList();
+    recordHistory("Rename Item", [globallySelectedItem]);
   }
 }
 
@@ -804,34 +1330,36 @@ function populateColorPicker() {
     customSwatch.dataset.hex = selectedColor;
   });
 
+  // Record a single history entry once the user has settled on a custom color
+  colorInput.addEventListener("change", () => recordHistory("Change Color", getSelectedItems()));
+
   customSwatch.appendChild(colorInput);
   colorPicker.appendChild(customSwatch);
 }
 
 /**
- * Applies a color to the currently selected item.
+ * Applies a color to the currently selected items.
  * @param {string} hex - The hex color to apply
  * @param {boolean} hidePicker - Whether to hide the color picker after (default true)
  */
 function applyColorToSelectedItem(hex, hidePicker = true) {
   if (!globallySelectedItem) return;
 
-  // Store the color on the feature
-  globallySelectedItem.feature.properties.color = hex;
+  getSelectedItems().forEach((item) => {
+    // Store the color on the feature
+    item.feature.properties.color = hex;
 
-  // Update the layer's visual style immediately
-  if (globallySelectedItem instanceof L.Polyline || globallySelectedItem instanceof L.Polygon) {
-    globallySelectedItem.setStyle({
-      ...STYLE_CONFIG.path.highlight,
-      color: hex,
-    });
-    // Update the selection outline's fill color for polygons
-    if (selectedPathOutline && globallySelectedItem instanceof L.Polygon) {
-      selectedPathOutline.setStyle({ fillColor: hex });
-    }
-  } else if (globallySelectedItem instanceof L.Marker) {
-    globallySelectedItem.setIcon(createMarkerIcon(hex, STYLE_CONFIG.marker.highlight.opacity));
+    // Update the layer's visual style immediately
+    applyFeatureStyle(item, true);
+  });
+
+  // Update the selection outline's fill color for polygons
+  if (selectedPathOutline && globallySelectedItem instanceof L.Polygon) {
+    selectedPathOutline.setStyle({ fillColor: hex });
   }
+  multiSelectedItems.forEach((outline, item) => {
+    if (outline && item instanceof L.Polygon) outline.setStyle({ fillColor: hex });
+  });
 
   // Update the selected state in the color picker
   updateColorPickerSelection(hex);
@@ -840,6 +1368,7 @@ function applyColorToSelectedItem(hex, hidePicker = true) {
   infoPanelColorSwatch.style.backgroundColor = hex;
   if (hidePicker) {
     colorPicker.style.display = "none";
+    recordHistory("Change Color", getSelectedItems());
   }
 }
 
@@ -890,6 +1419,91 @@ function updateColorPickerSelection(hex) {
   }
 }
 
+/**
+ * Duplicates all selected items as a single undoable operation and selects the copies.
+ */
+function duplicateSelectedItems() {
+  const items = getSelectedItems().filter((item) => item !== currentRoutePath);
+  if (items.length === 0) return;
+
+  const copies = [];
+  let anySimplified = false;
+  runHistoryBatch(items.length > 1 ? "Duplicate Items" : "Duplicate Item", () => {
+    items.forEach((item) => {
+      const duplicate = duplicateLayer(item, false);
+      if (!duplicate) return;
+      copies.push(duplicate.layer);
+      anySimplified = anySimplified || duplicate.simplified;
+    });
+  });
+
+  updateOverviewList();
+  updateDrawControlStates();
+  deselectCurrentItem();
+  copies.forEach(addItemToSelection);
+
+  if (anySimplified) {
+    _showDuplicateSimplifiedToast("Items");
+  }
+}
+
+/**
+ * Shows the bulk action bar in the overview panel while more than one item is selected.
+ */
+function updateSelectionBar() {
+  const bar = document.getElementById("overview-selection-bar");
+  if (!bar) return;
+
+  const selectedItems = getSelectedItems();
+  const count = selectedItems.length;
+
+  if (infoPanelColorSwatch) {
+    infoPanelColorSwatch.title = count > 1 ? `Change color of ${count} selected items` : "";
+  }
+
+  if (count < 2) {
+    bar.classList.remove("visible");
+    bar.innerHTML = "";
+    return;
+  }
+
+  bar.classList.add("visible");
+  bar.innerHTML = "";
+
+  const createAction = (icon, title, onClick) => {
+    const action = document.createElement("span");
+    action.className = "overview-selection-action";
+    action.title = title;
+    action.innerHTML = `<span class="material-symbols">${icon}</span>`;
+    action.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return action;
+  };
+
+  bar.appendChild(createAction("close", "Clear selection", () => deselectCurrentItem()));
+
+  const countSpan = document.createElement("span");
+  countSpan.id = "overview-selection-count";
+  countSpan.textContent = `${count} items selected`;
+  bar.appendChild(countSpan);
+
+  bar.appendChild(
+    createAction("download", "Export selected items as GeoJSON", () =>
+      exportGeoJson({ mode: "single", layers: getSelectedItems() }),
+    ),
+  );
+  bar.appendChild(
+    createAction("drive_file_move", "Move selected items to folder", moveSelectedItemsToFolder),
+  );
+  bar.appendChild(createAction("content_copy", "Duplicate selected items", duplicateSelectedItems));
+  if (selectedItems.filter(canUsePathTools).length >= 2) {
+    bar.appendChild(createAction("merge", "Join selected paths", joinSelectedPaths));
+  }
+  bar.appendChild(createAction("delete", "Delete selected items", deleteSelectedItems));
+}
+
 /**
  * Replaces default Leaflet icons with Material Symbols.
  */
@@ -919,6 +1533,11 @@ function replaceDefaultIconsWithMaterialSymbols() {
     pathButton.innerHTML = '<span class="material-symbols">diagonal_line</span>';
   }
 
+  const routedPathButton = document.querySelector(".leaflet-draw-draw-routedpolyline");
+  if (routedPathButton) {
+    routedPathButton.innerHTML = '<span class="material-symbols">route</span>';
+  }
+
   const areaButton = document.querySelector(".leaflet-draw-draw-polygon");
   if (areaButton) {
     areaButton.innerHTML = '<span class="material-symbols">hexagon</span>';
@@ -954,4 +1573,14 @@ function replaceDefaultIconsWithMaterialSymbols() {
     elevationButton.querySelector("a").innerHTML =
       '<span class="material-symbols">elevation</span>';
   }
+
+  const undoButton = document.getElementById("undo-button");
+  if (undoButton) {
+    undoButton.querySelector("a").innerHTML = '<span class="material-symbols">undo</span>';
+  }
+
+  const redoButton = document.getElementById("redo-button");
+  if (redoButton) {
+    redoButton.querySelector("a").innerHTML = '<span class="material-symbols">redo</span>';
+  }
 }
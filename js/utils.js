@@ -220,6 +220,7 @@ function downloadFile(filename, text) {
     json: "application/json",
     kml: "application/vnd.google-earth.kml+xml",
     kmz: "application/vnd.google-earth.kmz",
+    tcx: "application/vnd.garmin.tcx+xml",
   };
   const mimeType = mimeTypes[extension] || "text/plain";
 
@@ -578,9 +579,10 @@ function formatDistance(meters, includeSecondary = false) {
  * @param {number|L.LatLng} lat - Latitude or LatLng object
  * @param {number} [lon] - Longitude (optional if lat is a LatLng object)
  * @param {string} [name] - Optional name for the marker
+ * @param {string} [markerSymbol] - Optional symbol of the marker (see MARKER_SYMBOLS)
  * @returns {L.Marker} The created marker
  */
-function createAndSaveMarker(lat, lon, name) {
+function createAndSaveMarker(lat, lon, name, markerSymbol) {
   // Handle both (lat, lon, name) and (latLng, name) calling conventions
   let latLng;
   let markerName;
@@ -593,16 +595,15 @@ function createAndSaveMarker(lat, lon, name) {
     markerName = name;
   }
 
+  const properties = { color: DEFAULT_COLOR };
+  setFeatureStyleProperty(properties, "markerSymbol", markerSymbol);
+
   const newMarker = L.marker(latLng, {
-    icon: createMarkerIcon(DEFAULT_COLOR, STYLE_CONFIG.marker.default.opacity),
+    icon: createFeatureMarkerIcon(properties),
   });
 
   newMarker.pathType = "drawn";
-  newMarker.feature = {
-    properties: {
-      color: DEFAULT_COLOR,
-    },
-  };
+  newMarker.feature = { properties };
 
   // Add name if provided
   if (markerName) {
@@ -612,14 +613,12 @@ function createAndSaveMarker(lat, lon, name) {
   drawnItems.addLayer(newMarker);
   editableLayers.addLayer(newMarker);
 
-  newMarker.on("click", (ev) => {
-    L.DomEvent.stopPropagation(ev);
-    selectItem(newMarker);
-  });
+  newMarker.on("click", (ev) => handleLayerClick(ev, newMarker));
 
   selectItem(newMarker);
   updateDrawControlStates();
   updateOverviewList();
+  recordHistory("Place Marker", [newMarker]);
 
   return newMarker;
 }
@@ -0,0 +1,956 @@
+// Copyright (C) 2026 Aron Sommer. See LICENSE file for full license details.
+
+/**
+ * VECTOR IMPORT
+ *
+ * Imports Shapefiles (zipped, with .dbf attributes and .prj projection), CSV files with
+ * coordinate or WKT columns and FlatGeobuf files. All formats are parsed in the browser into
+ * GeoJSON in WGS84, reprojected with proj4 where needed, and added to the map through
+ * importGeoJsonToMap() like the other imports.
+ *
+ * Specifications:
+ * - Shapefile: https://www.esri.com/content/dam/esrisites/sitecore-archive/Files/Pdfs/library/whitepapers/pdfs/shapefile.pdf
+ * - FlatGeobuf: https://flatgeobuf.org (schema in header.fbs and feature.fbs)
+ */
+
+const NAME_PROPERTY_PATTERN = /^(name|title|label|bezeichnung|nom)$/i;
+// Readable Shapefile shape types, mapped to their 2D type (Point, PolyLine, Polygon or
+// MultiPoint). Z and M variants share the layout of the 2D type; MultiPatch (31) surfaces
+// aren't supported.
+const SHP_BASE_TYPES = {
+  1: 1,
+  3: 3,
+  5: 5,
+  8: 8,
+  11: 1,
+  13: 3,
+  15: 5,
+  18: 8,
+  21: 1,
+  23: 3,
+  25: 5,
+  28: 8,
+};
+
+/**
+ * Finds the property to use as the feature name.
+ * @param {string[]} keys - Property names
+ * @returns {string|undefined} The name property
+ */
+function findNameProperty(keys) {
+  return keys.find((key) => NAME_PROPERTY_PATTERN.test(key));
+}
+
+/**
+ * Adds imported features to the map and zooms to them, or tells the user if there are none.
+ * @param {Array<object>} features - GeoJSON features in WGS84
+ * @param {string} fileType - The file type ('shp', 'csv', 'fgb')
+ * @param {string} formatName - Format name for messages
+ * @param {string} fileName - Name of the imported file
+ */
+function addImportedVectorFeatures(features, fileType, formatName, fileName) {
+  const explodedFeatures = features.flatMap((feature) => explodeMultiGeometries(feature));
+  if (explodedFeatures.length === 0) {
+    Swal.fire({
+      title: "No Supported Geometries",
+      text: `The ${formatName} file contains no Point, LineString, or Polygon features.`,
+    });
+    return;
+  }
+
+  const newLayer = importGeoJsonToMap(
+    { type: "FeatureCollection", features: explodedFeatures },
+    fileType,
+    createImportSource(fileName),
+  );
+  if (newLayer && newLayer.getBounds().isValid()) {
+    map.fitBounds(newLayer.getBounds());
+  }
+}
+
+/**
+ * Applies a coordinate transformation to every position of a GeoJSON geometry.
+ * @param {object} geometry - GeoJSON geometry, changed in place
+ * @param {function} transform - Takes and returns [x, y]
+ */
+function transformGeometry(geometry, transform) {
+  const transformCoordinates = (coordinates) =>
+    typeof coordinates[0] === "number"
+      ? [...transform(coordinates.slice(0, 2)), ...coordinates.slice(2)]
+      : coordinates.map(transformCoordinates);
+  if (geometry.type === "GeometryCollection") {
+    geometry.geometries.forEach((part) => transformGeometry(part, transform));
+  } else {
+    geometry.coordinates = transformCoordinates(geometry.coordinates);
+  }
+}
+
+/**
+ * Checks that the features have geographic coordinates, which they don't if the projection
+ * of the file is missing.
+ * @param {Array<object>} features - GeoJSON features
+ * @returns {boolean} Whether all coordinates are valid longitudes and latitudes
+ */
+function hasGeographicCoordinates(features) {
+  const isGeographic = (coordinates) =>
+    typeof coordinates[0] === "number"
+      ? Math.abs(coordinates[0]) <= 180 && Math.abs(coordinates[1]) <= 90
+      : coordinates.every(isGeographic);
+  return features.every((feature) => {
+    const geometry = feature.geometry;
+    if (!geometry) return true;
+    return geometry.type === "GeometryCollection"
+      ? geometry.geometries.every((part) => isGeographic(part.coordinates))
+      : isGeographic(geometry.coordinates);
+  });
+}
+
+// --- Shapefile ---
+
+/**
+ * Groups the rings of a Shapefile polygon into polygons. The specification says outer rings
+ * are clockwise and holes counterclockwise, but not all writers follow it, so rings are
+ * classified by nesting instead: a ring inside an odd number of other rings is a hole of the
+ * innermost ring around it.
+ * @param {Array<Array<number[]>>} rings - The rings
+ * @returns {Array<Array<Array<number[]>>>} Polygons as lists of rings, outer ring first
+ */
+function groupShapefileRings(rings) {
+  const containsPoint = (ring, [x, y]) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  };
+
+  const containers = rings.map((ring) =>
+    rings.filter((other) => other !== ring && containsPoint(other, ring[0])),
+  );
+  const polygons = new Map();
+  rings.forEach((ring, i) => {
+    if (containers[i].length % 2 === 0) polygons.set(ring, [ring]);
+  });
+  rings.forEach((ring, i) => {
+    if (containers[i].length % 2 === 0) return;
+    const depth = containers[i].length - 1;
+    const outer = containers[i].find((other) => containers[rings.indexOf(other)].length === depth);
+    polygons.get(outer).push(ring);
+  });
+  return [...polygons.values()];
+}
+
+/**
+ * Parses the geometries of a .shp file.
+ * @param {ArrayBuffer} buffer - Contents of the .shp file
+ * @returns {Array<object|null>} GeoJSON geometries in file order, null for null shapes and
+ *   unsupported shape types
+ */
+function parseShpGeometries(buffer) {
+  const view = new DataView(buffer);
+  if (view.getInt32(0, false) !== 9994) {
+    throw new Error("Not a valid .shp file");
+  }
+
+  const geometries = [];
+  const skippedTypes = new Set();
+  let offset = 100;
+  while (offset + 8 <= buffer.byteLength) {
+    const contentLength = view.getInt32(offset + 4, false) * 2;
+    const start = offset + 8;
+    offset = start + contentLength;
+    const shapeType = view.getInt32(start, true);
+    const baseType = SHP_BASE_TYPES[shapeType];
+    const hasZ = shapeType > 10 && shapeType < 20;
+
+    if (!baseType) {
+      if (shapeType !== 0) skippedTypes.add(shapeType); // 0 is a null shape
+      geometries.push(null);
+      continue;
+    }
+    if (baseType === 1) {
+      const point = [view.getFloat64(start + 4, true), view.getFloat64(start + 12, true)];
+      if (hasZ) point.push(view.getFloat64(start + 20, true));
+      geometries.push({ type: "Point", coordinates: point });
+      continue;
+    }
+
+    // PolyLine, Polygon and MultiPoint start with a bounding box, then the counts
+    const isMultiPoint = baseType === 8;
+    const numParts = isMultiPoint ? 1 : view.getInt32(start + 36, true);
+    const numPoints = view.getInt32(start + (isMultiPoint ? 36 : 40), true);
+    const partsStart = start + 44;
+    const pointsStart = isMultiPoint ? start + 40 : partsStart + numParts * 4;
+    const zStart = pointsStart + numPoints * 16 + 16; // After the points and the Z range
+    const points = [];
+    for (let i = 0; i < numPoints; i++) {
+      const point = [
+        view.getFloat64(pointsStart + i * 16, true),
+        view.getFloat64(pointsStart + i * 16 + 8, true),
+      ];
+      if (hasZ) point.push(view.getFloat64(zStart + i * 8, true));
+      points.push(point);
+    }
+
+    if (isMultiPoint) {
+      geometries.push({ type: "MultiPoint", coordinates: points });
+      continue;
+    }
+    const parts = [];
+    for (let i = 0; i < numParts; i++) {
+      const partStart = view.getInt32(partsStart + i * 4, true);
+      const partEnd = i + 1 < numParts ? view.getInt32(partsStart + (i + 1) * 4, true) : numPoints;
+      parts.push(points.slice(partStart, partEnd));
+    }
+    if (baseType === 3) {
+      geometries.push(
+        parts.length === 1
+          ? { type: "LineString", coordinates: parts[0] }
+          : { type: "MultiLineString", coordinates: parts },
+      );
+    } else {
+      const polygons = groupShapefileRings(parts);
+      geometries.push(
+        polygons.length === 1
+          ? { type: "Polygon", coordinates: polygons[0] }
+          : { type: "MultiPolygon", coordinates: polygons },
+      );
+    }
+  }
+
+  if (skippedTypes.size > 0) {
+    console.warn(`Skipped shapes of unsupported types: ${[...skippedTypes].join(", ")}`);
+  }
+  return geometries;
+}
+
+/**
+ * Decodes text of a .dbf file. The encoding comes from the .cpg file; without one, UTF-8 is
+ * tried first and Windows-1252 (the usual encoding of older files) is the fallback.
+ * @param {Uint8Array} bytes - The text bytes
+ * @param {string} [encoding] - Contents of the .cpg file
+ * @returns {function(Uint8Array): string} Decoder for the field values
+ */
+function createDbfDecoder(bytes, encoding) {
+  if (encoding) {
+    try {
+      const decoder = new TextDecoder(encoding.trim().toLowerCase());
+      return (value) => decoder.decode(value);
+    } catch (error) {
+      // Unknown encoding label, fall through to the detection
+    }
+  }
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    const decoder = new TextDecoder("utf-8");
+    return (value) => decoder.decode(value);
+  } catch (error) {
+    const decoder = new TextDecoder("windows-1252");
+    return (value) => decoder.decode(value);
+  }
+}
+
+/**
+ * Parses the attribute table of a .dbf file.
+ * @param {ArrayBuffer} buffer - Contents of the .dbf file
+ * @param {string} [encoding] - Contents of the .cpg file
+ * @returns {Array<object>} Attributes of each record, in file order
+ */
+function parseDbfRecords(buffer, encoding) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const recordCount = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+  const decode = createDbfDecoder(bytes.subarray(headerLength), encoding);
+
+  const fields = [];
+  for (
+    let offset = 32, fieldOffset = 1;
+    bytes[offset] !== 0x0d && offset < headerLength;
+    offset += 32
+  ) {
+    const nameBytes = bytes.subarray(offset, offset + 11);
+    const nameEnd = nameBytes.indexOf(0);
+    fields.push({
+      name: decode(nameBytes.subarray(0, nameEnd === -1 ? 11 : nameEnd)),
+      type: String.fromCharCode(bytes[offset + 11]),
+      offset: fieldOffset,
+      length: bytes[offset + 16],
+    });
+    fieldOffset += bytes[offset + 16];
+  }
+
+  const records = [];
+  for (let i = 0; i < recordCount; i++) {
+    const start = headerLength + i * recordLength;
+    if (start + recordLength > bytes.length) break;
+    const properties = {};
+    fields.forEach((field) => {
+      const text = decode(
+        bytes.subarray(start + field.offset, start + field.offset + field.length),
+      ).trim();
+      if (field.type === "N" || field.type === "F") {
+        properties[field.name] = text === "" || isNaN(text) ? null : Number(text);
+      } else if (field.type === "L") {
+        properties[field.name] = /^[TY]$/i.test(text) ? true : /^[FN]$/i.test(text) ? false : null;
+      } else if (field.type === "D") {
+        properties[field.name] = /^\d{8}$/.test(text)
+          ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`
+          : null;
+      } else {
+        properties[field.name] = text;
+      }
+    });
+    records.push(properties);
+  }
+  return records;
+}
+
+/**
+ * Parses the Shapefiles in a zip archive. Each Shapefile is read from its .shp file plus
+ * the .dbf, .prj and .cpg files with the same name, if they're there.
+ * @param {Blob|ArrayBuffer} data - The zip archive
+ * @returns {Promise<Array<object>>} GeoJSON features in WGS84
+ */
+async function parseShapefileZip(data) {
+  const zip = await JSZip.loadAsync(data);
+  const shpFiles = zip.filter((path, file) => !file.dir && /\.shp$/i.test(path));
+  if (shpFiles.length === 0) {
+    throw new Error("The zip file contains no .shp file");
+  }
+
+  const features = [];
+  for (const shpFile of shpFiles) {
+    const basePath = shpFile.name.slice(0, -4);
+    const baseName = basePath.split("/").pop();
+    const findSidecar = (extension) =>
+      zip.filter((path) => path.toLowerCase() === `${basePath}.${extension}`.toLowerCase())[0];
+
+    const geometries = parseShpGeometries(await shpFile.async("arraybuffer"));
+    const dbfFile = findSidecar("dbf");
+    const cpgFile = findSidecar("cpg");
+    const prjFile = findSidecar("prj");
+    const records = dbfFile
+      ? parseDbfRecords(
+          await dbfFile.async("arraybuffer"),
+          cpgFile && (await cpgFile.async("text")),
+        )
+      : [];
+    const transform = prjFile ? proj4(await prjFile.async("text"), "EPSG:4326").forward : null;
+
+    const nameProperty = findNameProperty(Object.keys(records[0] || {}));
+    const shapefileFeatures = [];
+    geometries.forEach((geometry, i) => {
+      if (!geometry) return;
+      if (transform) transformGeometry(geometry, transform);
+      const properties = { ...records[i] };
+      properties.name = (nameProperty && properties[nameProperty]) || `${baseName} ${i + 1}`;
+      shapefileFeatures.push({ type: "Feature", geometry, properties });
+    });
+
+    if (!transform && !hasGeographicCoordinates(shapefileFeatures)) {
+      throw new Error(`${baseName}.shp has projected coordinates but no .prj file`);
+    }
+    features.push(...shapefileFeatures);
+  }
+  return features;
+}
+
+/**
+ * Imports the zipped Shapefiles in a file.
+ * @param {File} file - The zip archive
+ */
+async function importShapefileZip(file) {
+  try {
+    addImportedVectorFeatures(await parseShapefileZip(file), "shp", "Shapefile", file.name);
+  } catch (error) {
+    console.error("Error reading Shapefile:", error);
+    Swal.fire({
+      title: "Shapefile Read Error",
+      text: `Could not read the file: ${error.message}`,
+    });
+  }
+}
+
+// --- CSV ---
+
+/**
+ * Parses CSV text. The delimiter (comma, semicolon or tab) is detected from the header row.
+ * @param {string} text - The CSV text
+ * @returns {{columns: string[], rows: Array<string[]>}} Header and data rows
+ */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const unquotedHeader = headerLine.replace(/"[^"]*"/g, "");
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    unquotedHeader.split(candidate).length > unquotedHeader.split(best).length ? candidate : best,
+  );
+
+  const rows = [];
+  let row = [];
+  let value = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  if (value !== "" || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  const nonEmptyRows = rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+  const columns = (nonEmptyRows.shift() || []).map((column) => column.trim());
+  return { columns, rows: nonEmptyRows };
+}
+
+/**
+ * Parses a WKT geometry (optionally with an EWKT "SRID=...;" prefix and Z or M values).
+ * @param {string} wkt - The WKT text
+ * @returns {object|null} GeoJSON geometry, or null if the text isn't valid WKT
+ */
+function parseWkt(wkt) {
+  const match = wkt
+    .trim()
+    .replace(/^SRID=\d+;/i, "")
+    .match(
+      /^(POINT|LINESTRING|POLYGON|MULTI(?:POINT|LINESTRING|POLYGON)|GEOMETRYCOLLECTION)\s*(ZM|Z|M)?\s*(\(.*\)|EMPTY)$/is,
+    );
+  if (!match || match[3].toUpperCase() === "EMPTY") return null;
+  const type = match[1].toUpperCase();
+
+  // Turns "(1 2, 3 4)" into nested arrays by rewriting it as JSON
+  let coordinates;
+  try {
+    coordinates = JSON.parse(
+      match[3]
+        .replace(/\(\s*/g, "[")
+        .replace(/\s*\)/g, "]")
+        .replace(/\s*,\s*/g, ",")
+        .replace(
+          /(-?[\d.eE+-]+(?:\s+-?[\d.eE+-]+)+)/g,
+          (point) => `[${point.split(/\s+/).join(",")}]`,
+        ),
+    );
+  } catch (error) {
+    return null;
+  }
+
+  const types = {
+    POINT: "Point",
+    LINESTRING: "LineString",
+    POLYGON: "Polygon",
+    MULTIPOINT: "MultiPoint",
+    MULTILINESTRING: "MultiLineString",
+    MULTIPOLYGON: "MultiPolygon",
+  };
+  if (!types[type]) return null;
+  if (type === "POINT") coordinates = coordinates[0];
+  // MULTIPOINT may be written as "MULTIPOINT ((1 2), (3 4))"
+  if (type === "MULTIPOINT") coordinates = coordinates.map((c) => (Array.isArray(c[0]) ? c[0] : c));
+  // M values are measures, not altitudes, so only x, y and z are kept
+  const dimension = (match[2] || "").toUpperCase();
+  if (dimension === "M" || dimension === "ZM") {
+    const dropMeasures = (c) =>
+      typeof c[0] === "number" ? c.slice(0, dimension === "M" ? 2 : 3) : c.map(dropMeasures);
+    coordinates = dropMeasures(coordinates);
+  }
+  return { type: types[type], coordinates };
+}
+
+/**
+ * Reads a coordinate value of a CSV cell, which may use a decimal comma.
+ * @param {string} value - The cell value
+ * @returns {number} The number, or NaN
+ */
+function parseCsvNumber(value) {
+  const text = (value || "").trim().replace(",", ".");
+  return text === "" ? NaN : Number(text);
+}
+
+/**
+ * Turns CSV rows into GeoJSON features with the chosen columns.
+ * @param {{columns: string[], rows: Array<string[]>}} csv - Parsed CSV
+ * @param {object} mapping - { mode: 'latlon'|'wkt', lat, lon, wkt, name } as column indexes
+ * @returns {Array<object>} The features of the rows with valid coordinates
+ */
+function csvRowsToFeatures(csv, mapping) {
+  const features = [];
+  csv.rows.forEach((row, i) => {
+    let geometry = null;
+    if (mapping.mode === "wkt") {
+      geometry = parseWkt(row[mapping.wkt] || "");
+    } else {
+      const lat = parseCsvNumber(row[mapping.lat]);
+      const lon = parseCsvNumber(row[mapping.lon]);
+      if (Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+        geometry = { type: "Point", coordinates: [lon, lat] };
+      }
+    }
+    if (!geometry) return;
+
+    const properties = {};
+    csv.columns.forEach((column, c) => {
+      const isGeometryColumn =
+        mapping.mode === "wkt" ? c === mapping.wkt : c === mapping.lat || c === mapping.lon;
+      if (!isGeometryColumn && column) properties[column] = row[c] ?? "";
+    });
+    properties.name = (mapping.name >= 0 && row[mapping.name]?.trim()) || `Row ${i + 1}`;
+    features.push({ type: "Feature", geometry, properties });
+  });
+  return features;
+}
+
+/**
+ * Shows the dialog to pick the coordinate and name columns of a CSV file, with the columns
+ * guessed from their names preselected.
+ * @param {{columns: string[], rows: Array<string[]>}} csv - Parsed CSV
+ * @returns {Promise<object|null>} The mapping for csvRowsToFeatures(), or null if cancelled
+ */
+async function showCsvColumnDialog(csv) {
+  const findColumn = (pattern) => csv.columns.findIndex((column) => pattern.test(column));
+  const guess = {
+    lat: findColumn(/^(lat|latitude|y|breite|breitengrad)$/i),
+    lon: findColumn(/^(lon|lng|long|longitude|x|länge|laengengrad|längengrad)$/i),
+    wkt: findColumn(/^(wkt|geometry|geom|the_geom|shape)$/i),
+    name: findColumn(NAME_PROPERTY_PATTERN),
+  };
+  const options = (selected, allowNone) =>
+    (allowNone ? `<option value="-1">(none)</option>` : "") +
+    csv.columns
+      .map(
+        (column, i) =>
+          `<option value="${i}" ${i === selected ? "selected" : ""}>${escapeXml(column || `Column ${i + 1}`)}</option>`,
+      )
+      .join("");
+  const useWkt = guess.wkt >= 0 && (guess.lat < 0 || guess.lon < 0);
+
+  const result = await Swal.fire({
+    title: "Import CSV",
+    html: `
+      <div class="csv-import-dialog">
+        <label class="csv-import-row">
+          Coordinates
+          <select id="csv-mode">
+            <option value="latlon">Latitude and longitude columns</option>
+            <option value="wkt" ${useWkt ? "selected" : ""}>WKT geometry column</option>
+          </select>
+        </label>
+        <label class="csv-import-row" data-mode="latlon">
+          Latitude <select id="csv-lat">${options(guess.lat)}</select>
+        </label>
+        <label class="csv-import-row" data-mode="latlon">
+          Longitude <select id="csv-lon">${options(guess.lon)}</select>
+        </label>
+        <label class="csv-import-row" data-mode="wkt">
+          WKT <select id="csv-wkt">${options(guess.wkt)}</select>
+        </label>
+        <label class="csv-import-row">
+          Name <select id="csv-name">${options(guess.name, true)}</select>
+        </label>
+        <p id="csv-summary" class="csv-import-summary"></p>
+      </div>
+    `,
+    showCancelButton: true,
+    confirmButtonText: "Import",
+    customClass: { confirmButton: "swal-confirm-button" },
+    didOpen: (popup) => {
+      const update = () => {
+        const mapping = readCsvMapping(popup);
+        popup.querySelectorAll("[data-mode]").forEach((row) => {
+          row.style.display = row.dataset.mode === mapping.mode ? "" : "none";
+        });
+        const count = csvRowsToFeatures(csv, mapping).length;
+        popup.querySelector("#csv-summary").textContent =
+          `${count} of ${csv.rows.length} rows have valid coordinates.`;
+        Swal.getConfirmButton().disabled = count === 0;
+      };
+      popup
+        .querySelectorAll("select")
+        .forEach((select) => select.addEventListener("change", update));
+      update();
+    },
+    preConfirm: () => readCsvMapping(Swal.getPopup()),
+  });
+  return result.isConfirmed ? result.value : null;
+}
+
+/**
+ * Reads the column mapping from the CSV dialog.
+ * @param {HTMLElement} popup - The dialog
+ * @returns {object} The mapping for csvRowsToFeatures()
+ */
+function readCsvMapping(popup) {
+  const value = (id) => Number(popup.querySelector(`#${id}`).value);
+  return {
+    mode: popup.querySelector("#csv-mode").value,
+    lat: value("csv-lat"),
+    lon: value("csv-lon"),
+    wkt: value("csv-wkt"),
+    name: value("csv-name"),
+  };
+}
+
+/**
+ * Imports a CSV file after the user picked its coordinate columns.
+ * @param {File} file - The CSV file
+ */
+async function importCsvFile(file) {
+  try {
+    const csv = parseCsv(await file.text());
+    if (csv.columns.length === 0 || csv.rows.length === 0) {
+      throw new Error("The file has no data rows");
+    }
+    const mapping = await showCsvColumnDialog(csv);
+    if (!mapping) return;
+    addImportedVectorFeatures(csvRowsToFeatures(csv, mapping), "csv", "CSV", file.name);
+  } catch (error) {
+    console.error("Error reading CSV file:", error);
+    Swal.fire({
+      title: "CSV Read Error",
+      text: `Could not read the file: ${error.message}`,
+    });
+  }
+}
+
+// --- FlatGeobuf ---
+
+const FGB_MAGIC = [0x66, 0x67, 0x62, 0x03, 0x66, 0x67, 0x62]; // "fgb", version 3, "fgb"
+const FGB_INDEX_NODE_BYTES = 40; // Bounding box and offset of a spatial index node
+const FGB_GEOMETRY_TYPES = [
+  null,
+  "Point",
+  "LineString",
+  "Polygon",
+  "MultiPoint",
+  "MultiLineString",
+  "MultiPolygon",
+  "GeometryCollection",
+];
+
+/**
+ * Minimal reader for the FlatBuffers tables of FlatGeobuf files.
+ * @param {DataView} view - The file
+ * @returns {object} Helpers to read fields of the tables
+ */
+function createFlatBufferReader(view) {
+  const decoder = new TextDecoder();
+  // Position of a field of the table at tablePos, or 0 if it's not set
+  const field = (tablePos, index) => {
+    const vtablePos = tablePos - view.getInt32(tablePos, true);
+    const entry = 4 + index * 2;
+    if (entry >= view.getUint16(vtablePos, true)) return 0;
+    const offset = view.getUint16(vtablePos + entry, true);
+    return offset ? tablePos + offset : 0;
+  };
+  const indirect = (pos) => pos + view.getUint32(pos, true);
+  return {
+    root: (pos) => indirect(pos),
+    uint8: (tablePos, index, fallback = 0) => {
+      const pos = field(tablePos, index);
+      return pos ? view.getUint8(pos) : fallback;
+    },
+    uint16: (tablePos, index, fallback = 0) => {
+      const pos = field(tablePos, index);
+      return pos ? view.getUint16(pos, true) : fallback;
+    },
+    int32: (tablePos, index, fallback = 0) => {
+      const pos = field(tablePos, index);
+      return pos ? view.getInt32(pos, true) : fallback;
+    },
+    uint64: (tablePos, index) => {
+      const pos = field(tablePos, index);
+      return pos ? Number(view.getBigUint64(pos, true)) : 0;
+    },
+    string: (tablePos, index) => {
+      const pos = field(tablePos, index);
+      if (!pos) return "";
+      const start = indirect(pos);
+      const bytes = new Uint8Array(
+        view.buffer,
+        view.byteOffset + start + 4,
+        view.getUint32(start, true),
+      );
+      return decoder.decode(bytes);
+    },
+    table: (tablePos, index) => {
+      const pos = field(tablePos, index);
+      return pos ? indirect(pos) : 0;
+    },
+    // Vector as { start, length } of its elements, or null if it's not set
+    vector: (tablePos, index) => {
+      const pos = field(tablePos, index);
+      if (!pos) return null;
+      const start = indirect(pos);
+      return { start: start + 4, length: view.getUint32(start, true) };
+    },
+    indirect,
+  };
+}
+
+/**
+ * Reads a FlatGeobuf geometry table as GeoJSON.
+ * @param {DataView} view - The file
+ * @param {object} reader - FlatBuffers reader
+ * @param {number} pos - Position of the geometry table
+ * @param {number} headerType - Geometry type of the header, used if the geometry has none
+ * @returns {object|null} The GeoJSON geometry
+ */
+function readFgbGeometry(view, reader, pos, headerType) {
+  const type = FGB_GEOMETRY_TYPES[reader.uint8(pos, 6) || headerType];
+  if (!type) return null;
+
+  const parts = reader.vector(pos, 7);
+  if (parts) {
+    const geometries = [];
+    for (let i = 0; i < parts.length; i++) {
+      const partPos = reader.indirect(parts.start + i * 4);
+      const partType = type === "MultiPolygon" ? 3 : type === "MultiLineString" ? 2 : 0;
+      geometries.push(readFgbGeometry(view, reader, partPos, partType));
+    }
+    if (type === "GeometryCollection") return { type, geometries: geometries.filter(Boolean) };
+    return { type, coordinates: geometries.map((geometry) => geometry.coordinates) };
+  }
+
+  const xy = reader.vector(pos, 1);
+  const z = reader.vector(pos, 2);
+  if (!xy) return null;
+  const points = [];
+  for (let i = 0; i < xy.length / 2; i++) {
+    const point = [
+      view.getFloat64(xy.start + i * 16, true),
+      view.getFloat64(xy.start + i * 16 + 8, true),
+    ];
+    if (z) point.push(view.getFloat64(z.start + i * 8, true));
+    points.push(point);
+  }
+
+  // Ends split the points into the rings of a polygon or the lines of a multi line string
+  const ends = reader.vector(pos, 0);
+  const splitAtEnds = () => {
+    if (!ends) return [points];
+    const groups = [];
+    for (let i = 0, start = 0; i < ends.length; i++) {
+      const end = view.getUint32(ends.start + i * 4, true);
+      groups.push(points.slice(start, end));
+      start = end;
+    }
+    return groups;
+  };
+
+  switch (type) {
+    case "Point":
+      return { type, coordinates: points[0] };
+    case "LineString":
+    case "MultiPoint":
+      return { type, coordinates: points };
+    case "Polygon":
+    case "MultiLineString":
+      return { type, coordinates: splitAtEnds() };
+    case "MultiPolygon":
+      // Polygons should be parts; without them, the rings are grouped by nesting like the
+      // rings of a Shapefile polygon
+      return { type, coordinates: groupShapefileRings(splitAtEnds()) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads the properties of a FlatGeobuf feature: pairs of column index and value.
+ * @param {DataView} view - The file
+ * @param {{start: number, length: number}} bytes - The properties vector
+ * @param {Array<{name: string, type: number}>} columns - The columns
+ * @returns {object} The properties
+ */
+function readFgbProperties(view, bytes, columns) {
+  const decoder = new TextDecoder();
+  const properties = {};
+  let pos = bytes.start;
+  const end = bytes.start + bytes.length;
+  while (pos + 2 <= end) {
+    const column = columns[view.getUint16(pos, true)];
+    pos += 2;
+    if (!column) break;
+    let value;
+    switch (column.type) {
+      case 0: // Byte
+        value = view.getInt8(pos);
+        pos += 1;
+        break;
+      case 1: // UByte
+        value = view.getUint8(pos);
+        pos += 1;
+        break;
+      case 2: // Bool
+        value = view.getUint8(pos) !== 0;
+        pos += 1;
+        break;
+      case 3: // Short
+        value = view.getInt16(pos, true);
+        pos += 2;
+        break;
+      case 4: // UShort
+        value = view.getUint16(pos, true);
+        pos += 2;
+        break;
+      case 5: // Int
+        value = view.getInt32(pos, true);
+        pos += 4;
+        break;
+      case 6: // UInt
+        value = view.getUint32(pos, true);
+        pos += 4;
+        break;
+      case 7: // Long
+        value = Number(view.getBigInt64(pos, true));
+        pos += 8;
+        break;
+      case 8: // ULong
+        value = Number(view.getBigUint64(pos, true));
+        pos += 8;
+        break;
+      case 9: // Float
+        value = view.getFloat32(pos, true);
+        pos += 4;
+        break;
+      case 10: // Double
+        value = view.getFloat64(pos, true);
+        pos += 8;
+        break;
+      default: {
+        // String, Json, DateTime and Binary have their length first
+        const length = view.getUint32(pos, true);
+        const data = new Uint8Array(view.buffer, view.byteOffset + pos + 4, length);
+        value = column.type === 14 ? `(${length} bytes)` : decoder.decode(data);
+        pos += 4 + length;
+      }
+    }
+    properties[column.name] = value;
+  }
+  return properties;
+}
+
+/**
+ * Parses a FlatGeobuf file.
+ * @param {ArrayBuffer} buffer - Contents of the file
+ * @returns {Array<object>} GeoJSON features in WGS84
+ */
+function parseFlatGeobuf(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  if (!FGB_MAGIC.every((byte, i) => bytes[i] === byte)) {
+    throw new Error("Not a valid FlatGeobuf file");
+  }
+
+  // Header
+  const headerSize = view.getUint32(8, true);
+  const headerView = new DataView(buffer, 12, headerSize);
+  const header = createFlatBufferReader(headerView);
+  const headerPos = header.root(0);
+  const geometryType = header.uint8(headerPos, 2);
+  const featureCount = header.uint64(headerPos, 8);
+  const indexNodeSize = header.uint16(headerPos, 9, 16);
+  const columns = [];
+  const columnVector = header.vector(headerPos, 7);
+  for (let i = 0; columnVector && i < columnVector.length; i++) {
+    const columnPos = header.indirect(columnVector.start + i * 4);
+    columns.push({ name: header.string(columnPos, 0), type: header.uint8(columnPos, 1) });
+  }
+
+  // Reprojection from the CRS of the file, if it isn't WGS84
+  let transform = null;
+  const crsPos = header.table(headerPos, 10);
+  if (crsPos) {
+    const code = header.int32(crsPos, 1);
+    const wkt = header.string(crsPos, 4);
+    if (code && code !== 4326 && code !== 4979) {
+      const definition = proj4.defs(`EPSG:${code}`) ? `EPSG:${code}` : wkt;
+      if (!definition) throw new Error(`Unsupported coordinate system EPSG:${code}`);
+      transform = proj4(definition, "EPSG:4326").forward;
+    }
+  }
+
+  // The packed spatial index sits between the header and the features
+  let offset = 12 + headerSize;
+  if (indexNodeSize > 0 && featureCount > 0) {
+    let levelSize = featureCount;
+    let nodeCount = levelSize;
+    do {
+      levelSize = Math.ceil(levelSize / indexNodeSize);
+      nodeCount += levelSize;
+    } while (levelSize > 1);
+    offset += nodeCount * FGB_INDEX_NODE_BYTES;
+  }
+
+  const nameProperty = findNameProperty(columns.map((column) => column.name));
+  const features = [];
+  while (offset + 4 <= buffer.byteLength) {
+    const featureSize = view.getUint32(offset, true);
+    const featureView = new DataView(buffer, offset + 4, featureSize);
+    offset += 4 + featureSize;
+    const reader = createFlatBufferReader(featureView);
+    const featurePos = reader.root(0);
+
+    const geometryPos = reader.table(featurePos, 0);
+    const geometry = geometryPos
+      ? readFgbGeometry(featureView, reader, geometryPos, geometryType)
+      : null;
+    if (!geometry) continue;
+    if (transform) transformGeometry(geometry, transform);
+
+    const propertyBytes = reader.vector(featurePos, 1);
+    const properties = propertyBytes ? readFgbProperties(featureView, propertyBytes, columns) : {};
+    properties.name =
+      (nameProperty && properties[nameProperty]) || `Feature ${features.length + 1}`;
+    features.push({ type: "Feature", geometry, properties });
+  }
+  return features;
+}
+
+/**
+ * Imports a FlatGeobuf file.
+ * @param {File} file - The FlatGeobuf file
+ */
+async function importFlatGeobufFile(file) {
+  try {
+    addImportedVectorFeatures(
+      parseFlatGeobuf(await file.arrayBuffer()),
+      "fgb",
+      "FlatGeobuf",
+      file.name,
+    );
+  } catch (error) {
+    console.error("Error reading FlatGeobuf file:", error);
+    Swal.fire({
+      title: "FlatGeobuf Read Error",
+      text: `Could not read the file: ${error.message}`,
+    });
+  }
+}
@@ -2,7 +2,9 @@
 
 /**
  * WMS Import Module
- * Handles custom WMS layer imports with GetCapabilities parsing and layer selection
+ * Handles custom map layer imports: WMS and WMTS services (GetCapabilities parsing and layer
+ * selection) and XYZ tile URL templates. Each imported layer is added either as an overlay or
+ * as a basemap.
  */
 
 const WmsImport = (function () {
@@ -10,27 +12,80 @@ const WmsImport = (function () {
   let layerIdCounter = 0;
   const STORAGE_KEY = "wmsCustomLayers";
 
+  const SERVICE_TYPE_NAMES = { wms: "WMS", wmts: "WMTS", xyz: "XYZ tiles" };
+
+  const EXAMPLE_URLS = {
+    wms: [
+      "https://wms.geo.admin.ch/",
+      "https://ows.terrestris.de/osm/service?",
+      "https://gibs.earthdata.nasa.gov/wms/epsg4326/best/wms.cgi?",
+    ],
+    wmts: [
+      "https://wmts.geo.admin.ch/EPSG/3857/1.0.0/WMTSCapabilities.xml",
+      "https://sgx.geodatenzentrum.de/wmts_topplus_open/1.0.0/WMTSCapabilities.xml",
+    ],
+    xyz: [
+      "https://tile.opentopomap.org/{z}/{x}/{y}.png",
+      "https://tiles.wmflabs.org/hillshading/{z}/{x}/{y}.png",
+    ],
+  };
+
+  // Web Mercator (EPSG:3857), the only tile grid Leaflet's default CRS can show
+  const WEB_MERCATOR_CRS_PATTERN = /3857|900913|3785|102100|102113|GoogleMapsCompatible/i;
+  const WEB_MERCATOR_EXTENT = 20037508.342789244; // Distance from the origin to the edge (m)
+  const OGC_PIXEL_SIZE = 0.00028; // Standardized rendering pixel size of WMS 1.3 and WMTS (m)
+
+  const MAX_TIME_STEPS = 10000; // Most recent values kept of long time dimensions
+  const XLINK_NAMESPACE = "http://www.w3.org/1999/xlink";
+
+  // GetFeatureInfo formats we can show, most readable first
+  const FEATURE_INFO_FORMATS = [
+    "application/json",
+    "application/geo+json",
+    "application/geojson",
+    "text/html",
+    "application/vnd.ogc.gml",
+    "application/vnd.ogc.gml/3.1.1",
+    "text/xml",
+    "text/plain",
+  ];
+  const FEATURE_INFO_FEATURE_COUNT = 10;
+  const GML_NAMESPACE = "http://www.opengis.net/gml";
+
   /**
-   * Shows the main WMS import dialog
+   * Shows the main import dialog to pick the service type, URL and whether the layers become
+   * overlays or basemaps
    * @param {L.Map} map - Leaflet map instance
    */
   async function showWmsImportDialog(map) {
     const result = await Swal.fire({
-      title: "Import WMS Layers",
+      title: "Import Map Layers",
       html: `
-        <div style="text-align: left;">
+        <div style="text-align: left; display: flex; flex-direction: column; gap: 8px;">
+          <select id="map-layer-type-select" class="swal2-select" style="margin: 0;">
+            <option value="wms">WMS service</option>
+            <option value="wmts">WMTS service</option>
+            <option value="xyz">XYZ tile URL</option>
+          </select>
           <input
             type="text"
             id="wms-url-input"
             class="swal2-input swal-input-field"
             placeholder="https://example.com/wms"
           />
-          <p style="margin-top: 12px;">Examples:</p>
-          <ul style="margin: 4px 0; padding-left: 20px; text-align: left;">
-            <li class="wms-example-url" data-url="https://wms.geo.admin.ch/" style="cursor: pointer;">https://wms.geo.admin.ch/</li>
-            <li class="wms-example-url" data-url="https://ows.terrestris.de/osm/service?" style="cursor: pointer;">https://ows.terrestris.de/osm/service?</li>
-            <li class="wms-example-url" data-url="https://gibs.earthdata.nasa.gov/wms/epsg4326/best/wms.cgi?" style="cursor: pointer;">https://gibs.earthdata.nasa.gov/wms/epsg4326/best/wms.cgi?</li>
-          </ul>
+          <input
+            type="text"
+            id="map-layer-name-input"
+            class="swal2-input swal-input-field"
+            placeholder="Name (optional)"
+            style="display: none;"
+          />
+          <select id="map-layer-role-select" class="swal2-select" style="margin: 0;">
+            <option value="overlay">Add as overlay</option>
+            <option value="basemap">Add as basemap</option>
+          </select>
+          <p style="margin-top: 4px; margin-bottom: 0;">Examples:</p>
+          <ul id="wms-example-list" style="margin: 0; padding-left: 20px; text-align: left; word-break: break-all;"></ul>
         </div>
       `,
       showCancelButton: true,
@@ -41,7 +96,10 @@ const WmsImport = (function () {
       },
       didOpen: () => {
         const confirmButton = Swal.getConfirmButton();
+        const typeSelect = document.getElementById("map-layer-type-select");
         const urlInput = document.getElementById("wms-url-input");
+        const nameInput = document.getElementById("map-layer-name-input");
+        const exampleList = document.getElementById("wms-example-list");
 
         // Disable button initially
         confirmButton.disabled = true;
@@ -51,34 +109,98 @@ const WmsImport = (function () {
           confirmButton.disabled = !urlInput.value.trim();
         });
 
-        // Add click handlers for example URLs
-        document.querySelectorAll(".wms-example-url").forEach((li) => {
-          li.addEventListener("click", () => {
-            urlInput.value = li.dataset.url;
-            confirmButton.disabled = false;
+        // Show the placeholder and examples of the selected service type
+        const updateForType = () => {
+          const type = typeSelect.value;
+          urlInput.placeholder =
+            type === "xyz" ? "https://example.com/{z}/{x}/{y}.png" : `https://example.com/${type}`;
+          nameInput.style.display = type === "xyz" ? "" : "none";
+          confirmButton.textContent = type === "xyz" ? "Add" : "Connect";
+          exampleList.innerHTML = EXAMPLE_URLS[type]
+            .map(
+              (url) =>
+                `<li class="wms-example-url" data-url="${url}" style="cursor: pointer;">${url}</li>`,
+            )
+            .join("");
+
+          // Add click handlers for example URLs
+          exampleList.querySelectorAll(".wms-example-url").forEach((li) => {
+            li.addEventListener("click", () => {
+              urlInput.value = li.dataset.url;
+              confirmButton.disabled = false;
+            });
           });
-        });
+        };
+        typeSelect.addEventListener("change", updateForType);
+        updateForType();
       },
       preConfirm: () => {
+        const type = document.getElementById("map-layer-type-select").value;
         const url = document.getElementById("wms-url-input").value.trim();
-        return url;
+        if (type === "xyz" && !(/\{z\}/.test(url) && /\{x\}/.test(url) && /\{-?y\}/.test(url))) {
+          Swal.showValidationMessage("The URL needs {z}, {x} and {y} placeholders");
+          return false;
+        }
+        return {
+          type,
+          url,
+          name: document.getElementById("map-layer-name-input").value.trim(),
+          role: document.getElementById("map-layer-role-select").value,
+        };
       },
     });
 
-    if (result.isConfirmed && result.value) {
-      await connectToWmsService(result.value, map);
+    if (!result.isConfirmed || !result.value) return;
+
+    const { type, url, name, role } = result.value;
+    if (type === "xyz") {
+      const layerName = name || getXyzDefaultName(url);
+      addCustomLayers([{ name: url, title: layerName }], type, role, url, map);
+      showImportSuccess(1, role);
+    } else {
+      await connectToWmsService(url, map, type, role);
+    }
+  }
+
+  /**
+   * Derives a layer name from an XYZ URL template (its host name)
+   * @param {string} url - XYZ URL template
+   * @returns {string} Layer name
+   */
+  function getXyzDefaultName(url) {
+    try {
+      return new URL(url.replace(/\{s\}\./, "").replace(/\{[^}]*\}/g, "0")).hostname;
+    } catch (e) {
+      return "XYZ Tiles";
     }
   }
 
   /**
-   * Connects to a WMS service and fetches available layers
-   * @param {string} wmsUrl - Base WMS service URL
+   * Shows the confirmation after layers were imported
+   * @param {number} count - Number of imported layers
+   * @param {string} role - "overlay" or "basemap"
+   */
+  function showImportSuccess(count, role) {
+    Swal.fire({
+      title: "Layers Imported",
+      text: `Successfully added ${count} ${role === "basemap" ? "basemap(s)" : "layer(s)"} to the map. Toggle them in the Layers panel.`,
+      timer: 3000,
+      timerProgressBar: true,
+    });
+  }
+
+  /**
+   * Connects to a WMS or WMTS service and fetches available layers
+   * @param {string} serviceUrl - Base service URL
    * @param {L.Map} map - Leaflet map instance
+   * @param {string} type - "wms" or "wmts"
+   * @param {string} role - "overlay" or "basemap"
    */
-  async function connectToWmsService(wmsUrl, map) {
+  async function connectToWmsService(serviceUrl, map, type = "wms", role = "overlay") {
+    const serviceName = SERVICE_TYPE_NAMES[type];
     Swal.fire({
       title: "Connecting...",
-      text: "Fetching available layers from WMS service",
+      text: `Fetching available layers from ${serviceName} service`,
       allowOutsideClick: false,
       didOpen: () => {
         Swal.showLoading();
@@ -86,19 +208,25 @@ const WmsImport = (function () {
     });
 
     try {
-      const layers = await fetchWmsCapabilities(wmsUrl);
+      const layers =
+        type === "wmts"
+          ? await fetchWmtsCapabilities(serviceUrl)
+          : await fetchWmsCapabilities(serviceUrl);
 
       if (!layers || layers.length === 0) {
         Swal.fire({
           title: "No Layers Found",
-          text: "The WMS service did not return any queryable layers.",
+          text:
+            type === "wmts"
+              ? "The WMTS service did not return any layers in Web Mercator (EPSG:3857)."
+              : "The WMS service did not return any queryable layers.",
         });
         return;
       }
 
-      await showLayerSelectionDialog(layers, wmsUrl, map);
+      await showLayerSelectionDialog(layers, serviceUrl, map, type, role);
     } catch (error) {
-      console.error("WMS connection error:", error);
+      console.error(`${serviceName} connection error:`, error);
 
       // Properly clear the loading state and close the dialog
       Swal.hideLoading();
@@ -111,14 +239,14 @@ const WmsImport = (function () {
       const result = await Swal.fire({
         title: "Connection Failed",
         html: `
-          <p>Could not connect to the WMS service.</p>
+          <p>Could not connect to the ${serviceName} service.</p>
           <div style="text-align: center; margin-top: 12px;">
             <p style="margin-bottom: 8px;"><strong>Possible reasons:</strong></p>
             <div style="display: inline-block; text-align: left;">
               <ul style="margin: 0; padding-left: 20px;">
                 <li>The URL is incorrect or the service is unavailable</li>
                 <li>The server doesn't allow cross-origin requests (CORS)</li>
-                <li>The service is not a valid WMS endpoint</li>
+                <li>The service is not a valid ${serviceName} endpoint</li>
               </ul>
             </div>
           </div>
@@ -128,7 +256,7 @@ const WmsImport = (function () {
         allowOutsideClick: true,
       });
 
-      // Re-open the WMS import dialog after user clicks OK
+      // Re-open the import dialog after user clicks OK
       if (result.isConfirmed || result.isDismissed) {
         await showWmsImportDialog(map);
       }
@@ -136,17 +264,12 @@ const WmsImport = (function () {
   }
 
   /**
-   * Fetches and parses WMS GetCapabilities
-   * @param {string} baseUrl - Base WMS service URL
-   * @returns {Promise<Array>} Array of layer objects
+   * Fetches and parses a capabilities XML document
+   * @param {string} url - GetCapabilities URL
+   * @returns {Promise<Document>} Parsed XML document
    */
-  async function fetchWmsCapabilities(baseUrl) {
-    // Construct GetCapabilities URL
-    const url = new URL(baseUrl);
-    url.searchParams.set("SERVICE", "WMS");
-    url.searchParams.set("REQUEST", "GetCapabilities");
-
-    const response = await fetch(url.toString());
+  async function fetchCapabilitiesXml(url) {
+    const response = await fetch(url);
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -159,16 +282,45 @@ const WmsImport = (function () {
     // Check for XML parsing errors
     const parseError = xmlDoc.querySelector("parsererror");
     if (parseError) {
-      throw new Error("Invalid XML response from WMS service");
+      throw new Error("Invalid XML response from service");
     }
 
-    return parseWmsLayers(xmlDoc);
+    return xmlDoc;
+  }
+
+  /**
+   * Fetches and parses WMS GetCapabilities
+   * @param {string} baseUrl - Base WMS service URL
+   * @returns {Promise<Array>} Array of layer objects
+   */
+  async function fetchWmsCapabilities(baseUrl) {
+    // Construct GetCapabilities URL
+    const url = new URL(baseUrl);
+    url.searchParams.set("SERVICE", "WMS");
+    url.searchParams.set("REQUEST", "GetCapabilities");
+
+    const xmlDoc = await fetchCapabilitiesXml(url.toString());
+    const infoFormat = getFeatureInfoFormat(xmlDoc);
+    return parseWmsLayers(xmlDoc).map((layer) => ({ ...layer, infoFormat }));
+  }
+
+  /**
+   * Picks the GetFeatureInfo format to request from the formats the WMS service offers
+   * @param {Document} xmlDoc - Parsed GetCapabilities XML document
+   * @returns {string|null} The format, or null if the service has no usable format
+   */
+  function getFeatureInfoFormat(xmlDoc) {
+    const formats = Array.from(
+      xmlDoc.querySelectorAll("Capability > Request > GetFeatureInfo > Format"),
+    ).map((formatEl) => formatEl.textContent.trim());
+    return FEATURE_INFO_FORMATS.find((format) => formats.includes(format)) || null;
   }
 
   /**
    * Parses WMS GetCapabilities XML to extract layer information
    * @param {Document} xmlDoc - Parsed XML document
-   * @returns {Array} Array of layer objects with name, title, and abstract
+   * @returns {Array} Array of layer objects with name, title, abstract, queryable, styles,
+   *   time dimension, zoom range (from the scale hints) and bounds
    */
   function parseWmsLayers(xmlDoc) {
     const layers = [];
@@ -192,6 +344,11 @@ const WmsImport = (function () {
           name: nameEl.textContent.trim(),
           title: titleEl ? titleEl.textContent.trim() : nameEl.textContent.trim(),
           abstract: abstractEl ? abstractEl.textContent.trim() : "",
+          queryable: layerEl.getAttribute("queryable") === "1",
+          styles: parseWmsStyles(layerEl),
+          ...parseWmsTimeDimension(layerEl),
+          ...parseWmsZoomRange(layerEl),
+          bounds: parseWmsBounds(layerEl),
         });
       }
     });
@@ -199,31 +356,472 @@ const WmsImport = (function () {
     return layers;
   }
 
+  /**
+   * Gets the direct child elements of a WMS layer or, as layers inherit them, of its closest
+   * parent layer that has some
+   * @param {Element} layerEl - Layer element
+   * @param {string} localName - Local name of the children
+   * @returns {Element[]} The children
+   */
+  function getInheritedChildElements(layerEl, localName) {
+    for (let el = layerEl; el?.localName === "Layer"; el = el.parentElement) {
+      const children = getChildElements(el, localName);
+      if (children.length > 0) return children;
+    }
+    return [];
+  }
+
+  /**
+   * Parses the styles of a WMS layer, including the styles it inherits from its parent layers
+   * @param {Element} layerEl - Layer element
+   * @returns {Array<{name: string, title: string, legendUrl: string}>} The styles
+   */
+  function parseWmsStyles(layerEl) {
+    const styles = [];
+    for (let el = layerEl; el?.localName === "Layer"; el = el.parentElement) {
+      getChildElements(el, "Style").forEach((styleEl) => {
+        const name = getChildText(styleEl, "Name");
+        if (!name || styles.some((style) => style.name === name)) return;
+        const onlineResource = getChildElements(
+          getChildElements(styleEl, "LegendURL")[0],
+          "OnlineResource",
+        )[0];
+        styles.push({
+          name,
+          title: getChildText(styleEl, "Title") || name,
+          legendUrl:
+            onlineResource?.getAttributeNS(XLINK_NAMESPACE, "href") ||
+            onlineResource?.getAttribute("xlink:href") ||
+            "",
+        });
+      });
+    }
+    return styles;
+  }
+
+  /**
+   * Parses the time dimension of a WMS layer. WMS 1.3 has the values in the Dimension element,
+   * WMS 1.1.1 in a separate Extent element.
+   * @param {Element} layerEl - Layer element
+   * @returns {{timeExtent: string, timeDefault: string}|{}} The time values (a list of values
+   *   and start/end/period intervals) and default value, or nothing if the layer has none
+   */
+  function parseWmsTimeDimension(layerEl) {
+    const isTime = (el) => el.getAttribute("name")?.toLowerCase() === "time";
+    const timeEl =
+      getInheritedChildElements(layerEl, "Extent").find(isTime) ||
+      getInheritedChildElements(layerEl, "Dimension").find(
+        (el) => isTime(el) && el.textContent.trim(),
+      );
+    if (!timeEl) return {};
+    return {
+      timeExtent: timeEl.textContent.trim(),
+      timeDefault: timeEl.getAttribute("default") || "",
+    };
+  }
+
+  /**
+   * Adds an ISO 8601 duration (e.g. "P1D", "P1M", "PT6H") to a date a number of times
+   * @param {Date} date - Start date
+   * @param {string} period - ISO 8601 duration
+   * @param {number} times - How many times the duration is added
+   * @returns {Date|null} The new date, or null if the duration can't be parsed
+   */
+  function addIsoDuration(date, period, times) {
+    const match = period.match(
+      /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/,
+    );
+    if (!match) return null;
+    const [years, months, weeks, days, hours, minutes, seconds] = match
+      .slice(1)
+      .map((value) => Number(value || 0) * times);
+    // Months are added first and the day is kept within the month (Jan 31 + P1M is Feb 28/29)
+    const month = new Date(Date.UTC(date.getUTCFullYear() + years, date.getUTCMonth() + months, 1));
+    const daysInMonth = new Date(
+      Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0),
+    ).getUTCDate();
+    return new Date(
+      Date.UTC(
+        month.getUTCFullYear(),
+        month.getUTCMonth(),
+        Math.min(date.getUTCDate(), daysInMonth) + weeks * 7 + days,
+        date.getUTCHours() + hours,
+        date.getUTCMinutes() + minutes,
+        date.getUTCSeconds() + seconds,
+      ),
+    );
+  }
+
+  /**
+   * Expands the values of a WMS time dimension into a list. Intervals with a period
+   * (start/end/period) are expanded into their steps; of long lists only the most recent
+   * MAX_TIME_STEPS values are kept.
+   * @param {string} timeExtent - Comma separated values and intervals
+   * @returns {string[]} The time values, in the format the service uses
+   */
+  function expandTimeExtent(timeExtent) {
+    const values = [];
+    timeExtent
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const [start, end, period] = entry.split("/");
+        const startDate = new Date(start);
+        const endTime = Date.parse(end);
+        const stepMs = period && addIsoDuration(startDate, period, 1) - startDate;
+        if (!(stepMs > 0) || isNaN(endTime)) {
+          values.push(...entry.split("/").slice(0, 2));
+          return;
+        }
+
+        // Steps are counted from the start so months don't drift (e.g. from Jan 31), skipping
+        // the steps that wouldn't be kept anyway
+        const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(start);
+        const firstStep = Math.max(0, Math.floor((endTime - startDate) / stepMs) - MAX_TIME_STEPS);
+        for (let i = firstStep; ; i++) {
+          const date = addIsoDuration(startDate, period, i);
+          if (date.getTime() > endTime) break;
+          const iso = date.toISOString();
+          values.push(isDateOnly ? iso.slice(0, 10) : iso.replace(".000Z", "Z"));
+        }
+      });
+    return values.slice(-MAX_TIME_STEPS);
+  }
+
+  /**
+   * Gets the time a time-enabled layer shows by default: the service's default time if it's
+   * one of the values, otherwise the most recent value
+   * @param {string[]} timeValues - The layer's time values
+   * @param {string} timeDefault - The service's default time
+   * @returns {string} The time value
+   */
+  function getDefaultTime(timeValues, timeDefault) {
+    return timeValues.includes(timeDefault) ? timeDefault : timeValues[timeValues.length - 1];
+  }
+
+  /**
+   * Converts a map scale to the Web Mercator zoom level with that scale at the equator
+   * @param {number} scaleDenominator - Scale denominator
+   * @returns {number} Fractional zoom level
+   */
+  function scaleDenominatorToZoom(scaleDenominator) {
+    return Math.log2((2 * WEB_MERCATOR_EXTENT) / (256 * OGC_PIXEL_SIZE * scaleDenominator));
+  }
+
+  /**
+   * Parses the scale hints of a WMS layer (Min/MaxScaleDenominator of WMS 1.3 or the ScaleHint
+   * of WMS 1.1.1, which gives the diagonal size of a pixel in meters) into the zoom levels the
+   * layer is shown at
+   * @param {Element} layerEl - Layer element
+   * @returns {{minZoom?: number, maxZoom?: number}} The zoom range
+   */
+  function parseWmsZoomRange(layerEl) {
+    const getScale = (localName) =>
+      Number(getInheritedChildElements(layerEl, localName)[0]?.textContent);
+    let minScale = getScale("MinScaleDenominator");
+    let maxScale = getScale("MaxScaleDenominator");
+    const scaleHint = getInheritedChildElements(layerEl, "ScaleHint")[0];
+    if (scaleHint) {
+      const toScale = (pixelDiagonal) => pixelDiagonal / Math.SQRT2 / OGC_PIXEL_SIZE;
+      minScale = toScale(Number(scaleHint.getAttribute("min")));
+      maxScale = toScale(Number(scaleHint.getAttribute("max")));
+    }
+
+    const zoomRange = {};
+    if (maxScale > 0 && isFinite(maxScale)) {
+      const minZoom = Math.ceil(scaleDenominatorToZoom(maxScale));
+      if (minZoom > 0) zoomRange.minZoom = minZoom;
+    }
+    if (minScale > 0 && isFinite(minScale)) {
+      zoomRange.maxZoom = Math.max(0, Math.floor(scaleDenominatorToZoom(minScale)));
+    }
+    return zoomRange;
+  }
+
+  /**
+   * Parses the geographic bounding box of a WMS layer (EX_GeographicBoundingBox of WMS 1.3 or
+   * LatLonBoundingBox of WMS 1.1.1)
+   * @param {Element} layerEl - Layer element
+   * @returns {Array|null} Bounds as [[south, west], [north, east]], or null if there are none
+   */
+  function parseWmsBounds(layerEl) {
+    let corners;
+    const box = getInheritedChildElements(layerEl, "EX_GeographicBoundingBox")[0];
+    const latLonBox = getInheritedChildElements(layerEl, "LatLonBoundingBox")[0];
+    if (box) {
+      corners = [
+        [getChildText(box, "southBoundLatitude"), getChildText(box, "westBoundLongitude")],
+        [getChildText(box, "northBoundLatitude"), getChildText(box, "eastBoundLongitude")],
+      ];
+    } else if (latLonBox) {
+      corners = [
+        [latLonBox.getAttribute("miny"), latLonBox.getAttribute("minx")],
+        [latLonBox.getAttribute("maxy"), latLonBox.getAttribute("maxx")],
+      ];
+    } else {
+      return null;
+    }
+    const isValid = corners.flat().every((value) => value && isFinite(value));
+    return isValid ? corners.map((corner) => corner.map(Number)) : null;
+  }
+
+  /**
+   * Fetches and parses WMTS GetCapabilities. URLs of a capabilities document (e.g.
+   * WMTSCapabilities.xml) are used as they are.
+   * @param {string} baseUrl - WMTS service or capabilities URL
+   * @returns {Promise<Array>} Array of layer objects with their tile URL and options
+   */
+  async function fetchWmtsCapabilities(baseUrl) {
+    const url = new URL(baseUrl);
+    if (!/\.xml$/i.test(url.pathname)) {
+      url.searchParams.set("SERVICE", "WMTS");
+      url.searchParams.set("REQUEST", "GetCapabilities");
+    }
+
+    return parseWmtsLayers(await fetchCapabilitiesXml(url.toString()), baseUrl);
+  }
+
+  /**
+   * Gets the direct child elements with a local name, ignoring XML namespaces (ows:, wmts:)
+   * @param {Element} element - Parent element
+   * @param {string} localName - Local name of the children
+   * @returns {Element[]} The children
+   */
+  function getChildElements(element, localName) {
+    return Array.from(element?.children || []).filter((child) => child.localName === localName);
+  }
+
+  /**
+   * Gets the text of the first direct child element with a local name
+   * @param {Element} element - Parent element
+   * @param {string} localName - Local name of the child
+   * @returns {string} Trimmed text, or an empty string
+   */
+  function getChildText(element, localName) {
+    return getChildElements(element, localName)[0]?.textContent.trim() || "";
+  }
+
+  /**
+   * Parses the Web Mercator tile matrix sets of a WMTS service. Each tile matrix is matched to
+   * the Leaflet zoom level with the same number of tiles across the world.
+   * @param {Element} contents - Contents element of the capabilities
+   * @returns {Object} Tile options by tile matrix set identifier
+   */
+  function parseWmtsTileMatrixSets(contents) {
+    const tileMatrixSets = {};
+
+    getChildElements(contents, "TileMatrixSet").forEach((setEl) => {
+      const identifier = getChildText(setEl, "Identifier");
+      const crs = getChildText(setEl, "SupportedCRS");
+      if (!WEB_MERCATOR_CRS_PATTERN.test(crs) && !WEB_MERCATOR_CRS_PATTERN.test(identifier)) return;
+
+      const tileMatrices = {};
+      let tileSize = null;
+      getChildElements(setEl, "TileMatrix").forEach((matrixEl) => {
+        const [left, top] = getChildText(matrixEl, "TopLeftCorner").split(/\s+/).map(Number);
+        const matrixTileSize = Number(getChildText(matrixEl, "TileWidth")) || 256;
+        const scaleDenominator = Number(getChildText(matrixEl, "ScaleDenominator"));
+        const tilesAcross =
+          (2 * WEB_MERCATOR_EXTENT) / (matrixTileSize * scaleDenominator * OGC_PIXEL_SIZE);
+        const zoom = Math.round(Math.log2(tilesAcross));
+
+        // Only levels of the global Web Mercator grid can be shown
+        const isGlobalOrigin =
+          Math.abs(left + WEB_MERCATOR_EXTENT) < 1 && Math.abs(top - WEB_MERCATOR_EXTENT) < 1;
+        if (!isGlobalOrigin || Math.abs(Math.log2(tilesAcross) - zoom) > 0.01) return;
+        if (tileSize && matrixTileSize !== tileSize) return;
+
+        tileSize = matrixTileSize;
+        tileMatrices[zoom] = getChildText(matrixEl, "Identifier");
+      });
+
+      const zooms = Object.keys(tileMatrices).map(Number);
+      if (zooms.length === 0) return;
+
+      // Leaflet requests larger tiles (e.g. 512px) one zoom level lower
+      const zoomOffset = -Math.round(Math.log2(tileSize / 256));
+      tileMatrixSets[identifier] = {
+        tileSize,
+        zoomOffset,
+        minNativeZoom: Math.min(...zooms) - zoomOffset,
+        maxNativeZoom: Math.max(...zooms) - zoomOffset,
+        tileMatrices,
+      };
+    });
+
+    return tileMatrixSets;
+  }
+
+  /**
+   * Parses WMTS GetCapabilities XML to extract the layers that can be shown in Web Mercator.
+   * Each layer lists its styles (the default one first) and the Web Mercator tile matrix sets
+   * it is published in, so the user can choose both before importing.
+   * @param {Document} xmlDoc - Parsed XML document
+   * @param {string} serviceUrl - URL the capabilities were loaded from
+   * @returns {Array} Array of layer objects with name, title, abstract, styles, tileMatrixSets,
+   *   tileTemplate and dimensions
+   */
+  function parseWmtsLayers(xmlDoc, serviceUrl) {
+    const contents = xmlDoc.getElementsByTagNameNS("*", "Contents")[0];
+    if (!contents) throw new Error("Invalid WMTS capabilities (no Contents)");
+    const tileMatrixSets = parseWmtsTileMatrixSets(contents);
+
+    // Endpoint for KVP GetTile requests of layers without a tile template
+    const getTileOperation = Array.from(xmlDoc.getElementsByTagNameNS("*", "Operation")).find(
+      (operation) => operation.getAttribute("name") === "GetTile",
+    );
+    const getTileUrl =
+      getTileOperation
+        ?.getElementsByTagNameNS("*", "Get")[0]
+        ?.getAttributeNS("http://www.w3.org/1999/xlink", "href") || serviceUrl.split("?")[0];
+
+    const layers = [];
+    getChildElements(contents, "Layer").forEach((layerEl) => {
+      const identifier = getChildText(layerEl, "Identifier");
+      const layerTileMatrixSets = [
+        ...new Set(
+          getChildElements(layerEl, "TileMatrixSetLink").map((link) =>
+            getChildText(link, "TileMatrixSet"),
+          ),
+        ),
+      ]
+        .filter((id) => tileMatrixSets[id])
+        .map((id) => ({ id, tileOptions: tileMatrixSets[id] }));
+      if (!identifier || layerTileMatrixSets.length === 0) return;
+
+      const styles = parseWmtsStyles(layerEl);
+      const formats = getChildElements(layerEl, "Format").map((el) => el.textContent.trim());
+      const format = formats.find((f) => f === "image/png") || formats[0] || "image/png";
+
+      const tileResources = getChildElements(layerEl, "ResourceURL").filter(
+        (el) => el.getAttribute("resourceType") === "tile",
+      );
+      const tileResource =
+        tileResources.find((el) => el.getAttribute("format") === format) || tileResources[0];
+      let tileTemplate = tileResource?.getAttribute("template");
+      if (!tileTemplate) {
+        const separator = /[?&]$/.test(getTileUrl) ? "" : getTileUrl.includes("?") ? "&" : "?";
+        tileTemplate =
+          `${getTileUrl}${separator}SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0` +
+          `&LAYER=${encodeURIComponent(identifier)}&STYLE={Style}&FORMAT=${encodeURIComponent(format)}` +
+          "&TILEMATRIXSET={TileMatrixSet}&TILEMATRIX={TileMatrix}&TILEROW={TileRow}&TILECOL={TileCol}";
+      }
+
+      // Dimensions (e.g. Time) use their default
+      const dimensions = {};
+      getChildElements(layerEl, "Dimension").forEach((dimensionEl) => {
+        dimensions[getChildText(dimensionEl, "Identifier").toLowerCase()] =
+          getChildText(dimensionEl, "Default") || getChildText(dimensionEl, "Value");
+      });
+
+      const layer = {
+        name: identifier,
+        title: getChildText(layerEl, "Title") || identifier,
+        abstract: getChildText(layerEl, "Abstract"),
+        styles,
+        tileMatrixSets: layerTileMatrixSets,
+        tileTemplate,
+        dimensions,
+      };
+      // Templates with placeholders we can't fill in can't be shown
+      if (
+        /\{(?!tileMatrix\}|x\}|y\})\w+\}/.test(
+          getWmtsTileUrl(layer, styles[0], layerTileMatrixSets[0]),
+        )
+      ) {
+        return;
+      }
+      layers.push(layer);
+    });
+
+    return layers;
+  }
+
+  /**
+   * Parses the styles of a WMTS layer. The default style comes first, so it is preselected.
+   * @param {Element} layerEl - Layer element
+   * @returns {Array<{name: string, title: string, legendUrl: string}>} The styles
+   */
+  function parseWmtsStyles(layerEl) {
+    const styles = getChildElements(layerEl, "Style")
+      .map((styleEl) => {
+        const name = getChildText(styleEl, "Identifier");
+        const legendEl = getChildElements(styleEl, "LegendURL")[0];
+        return {
+          name,
+          title: getChildText(styleEl, "Title") || name,
+          legendUrl:
+            legendEl?.getAttributeNS(XLINK_NAMESPACE, "href") ||
+            legendEl?.getAttribute("xlink:href") ||
+            "",
+          isDefault: styleEl.getAttribute("isDefault") === "true",
+        };
+      })
+      .filter((style) => style.name);
+    styles.sort((a, b) => b.isDefault - a.isDefault);
+    return styles.map(({ isDefault, ...style }) => style);
+  }
+
+  /**
+   * Fills in the tile template of a WMTS layer for a style and tile matrix set. The tile
+   * position is left to Leaflet, with {tileMatrix} looked up by zoom level.
+   * @param {Object} layer - Layer object from the capabilities
+   * @param {Object} [style] - Chosen style, the "default" style if the layer lists none
+   * @param {Object} tileMatrixSet - Chosen tile matrix set
+   * @returns {string} The tile URL template for Leaflet
+   */
+  function getWmtsTileUrl(layer, style, tileMatrixSet) {
+    const values = {
+      ...layer.dimensions,
+      style: style?.name || "default",
+      tilematrixset: tileMatrixSet.id,
+    };
+    const tilePlaceholders = { tilematrix: "{tileMatrix}", tilerow: "{y}", tilecol: "{x}" };
+    return layer.tileTemplate.replace(/\{(\w+)\}/g, (match, key) => {
+      const lowerKey = key.toLowerCase();
+      if (tilePlaceholders[lowerKey]) return tilePlaceholders[lowerKey];
+      return values[lowerKey] !== undefined ? encodeURIComponent(values[lowerKey]) : match;
+    });
+  }
+
   /**
    * Checks if a layer is already imported
-   * @param {string} wmsUrl - WMS service URL
-   * @param {string} layerName - WMS layer name
+   * @param {string} type - "wms", "wmts" or "xyz"
+   * @param {string} serviceUrl - Service URL
+   * @param {string} layerName - Layer name in the service
    * @returns {boolean} True if layer is already imported
    */
-  function isLayerAlreadyImported(wmsUrl, layerName) {
-    return Object.values(customWmsLayers).some(
-      (layerData) => layerData.wmsUrl === wmsUrl && layerData.wmsLayerName === layerName,
+  function isLayerAlreadyImported(type, serviceUrl, layerName) {
+    return Object.values(customWmsLayers).some((layerData) =>
+      type === "wms"
+        ? layerData.type === "wms" &&
+          layerData.wmsUrl === serviceUrl &&
+          layerData.wmsLayerName === layerName
+        : layerData.type === type &&
+          layerData.serviceUrl === serviceUrl &&
+          layerData.layerName === layerName,
     );
   }
 
   /**
    * Shows layer selection dialog with checkboxes
    * @param {Array} layers - Array of available layers
-   * @param {string} wmsUrl - Base WMS URL
+   * @param {string} serviceUrl - Base service URL
    * @param {L.Map} map - Leaflet map instance
+   * @param {string} type - "wms" or "wmts"
+   * @param {string} role - "overlay" or "basemap"
    */
-  async function showLayerSelectionDialog(layers, wmsUrl, map) {
+  async function showLayerSelectionDialog(layers, serviceUrl, map, type, role) {
     const layersHtml = layers
       .map((layer, index) => {
-        const alreadyImported = isLayerAlreadyImported(wmsUrl, layer.name);
+        const alreadyImported = isLayerAlreadyImported(type, serviceUrl, layer.name);
         const disabledAttr = alreadyImported ? "disabled" : "";
         const cursorStyle = alreadyImported ? "cursor: default;" : "cursor: pointer;";
         const opacityStyle = alreadyImported ? "opacity: 0.6;" : "";
+        const styles = layer.styles || [];
+        const legendUrl = styles[0]?.legendUrl;
+        const details = getLayerDetails(layer);
 
         return `
         <label class="wms-layer-item" data-layer-index="${index}" data-layer-title="${layer.title.toLowerCase()}" data-layer-abstract="${(
@@ -251,7 +849,41 @@ const WmsImport = (function () {
                   ? `<span class="material-symbols wms-layer-info-icon" data-layer-index="${index}" style="font-size: var(--icon-size-20); cursor: pointer; user-select: none;">info</span>`
                   : ""
               }
+              ${
+                styles.some((style) => style.legendUrl)
+                  ? `<span class="material-symbols wms-layer-legend-icon" data-layer-index="${index}" title="Show legend" style="font-size: var(--icon-size-20); cursor: pointer; user-select: none;">legend_toggle</span>`
+                  : ""
+              }
+              ${
+                layer.bounds
+                  ? `<span class="material-symbols wms-layer-zoom-icon" data-layer-index="${index}" title="Zoom to layer extent" style="font-size: var(--icon-size-20); cursor: pointer; user-select: none;">fit_screen</span>`
+                  : ""
+              }
             </div>
+            ${details ? `<div class="wms-layer-details">${escapeXml(details)}</div>` : ""}
+            ${
+              styles.length > 1
+                ? `<select class="wms-layer-style-select" id="wms-style-${index}" data-layer-index="${index}">${styles
+                    .map(
+                      (style) =>
+                        `<option value="${escapeXml(style.name)}">${escapeXml(style.title)}</option>`,
+                    )
+                    .join("")}</select>`
+                : ""
+            }
+            ${
+              layer.tileMatrixSets?.length > 1
+                ? `<select class="wms-layer-style-select" id="wms-matrix-set-${index}" title="Tile matrix set">${layer.tileMatrixSets
+                    .map(
+                      ({ id, tileOptions }) =>
+                        `<option value="${escapeXml(id)}">${escapeXml(id)} (${tileOptions.tileSize} px, zoom ${tileOptions.minNativeZoom}–${tileOptions.maxNativeZoom})</option>`,
+                    )
+                    .join("")}</select>`
+                : ""
+            }
+            <img class="wms-layer-legend-preview" id="wms-legend-${index}" alt="Legend" style="display: none;" ${
+              legendUrl ? `src="${escapeXml(legendUrl)}"` : ""
+            } />
             ${
               layer.abstract
                 ? `<div class="wms-layer-description" id="wms-description-${index}" style="display: none; font-size: var(--font-size-12); color: var(--text-color); margin-top: 4px; line-height: 1.4;">${layer.abstract}</div>`
@@ -343,6 +975,41 @@ const WmsImport = (function () {
           layerCountEl.textContent = visibleCount;
         });
 
+        // Show the legend of the selected style
+        document.querySelectorAll(".wms-layer-style-select[id^='wms-style-']").forEach((select) => {
+          select.addEventListener("change", () => {
+            const layerIndex = select.dataset.layerIndex;
+            const legendUrl = layers[layerIndex].styles[select.selectedIndex].legendUrl;
+            const legend = document.getElementById(`wms-legend-${layerIndex}`);
+            if (legendUrl) {
+              legend.src = legendUrl;
+            } else {
+              legend.removeAttribute("src");
+              legend.style.display = "none";
+            }
+          });
+        });
+
+        document.querySelectorAll(".wms-layer-legend-icon").forEach((icon) => {
+          icon.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const legend = document.getElementById(`wms-legend-${icon.dataset.layerIndex}`);
+            const isHidden = legend.style.display === "none";
+            legend.style.display = isHidden && legend.getAttribute("src") ? "block" : "none";
+            icon.classList.toggle("material-symbols-fill", legend.style.display === "block");
+          });
+        });
+
+        // The map behind the dialog moves to the layer, so it can be checked before importing
+        document.querySelectorAll(".wms-layer-zoom-icon").forEach((icon) => {
+          icon.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            zoomToLayerExtent(layers[icon.dataset.layerIndex], map);
+          });
+        });
+
         // Add click handler for info icons to toggle description visibility
         const infoIcons = document.querySelectorAll(".wms-layer-info-icon");
         infoIcons.forEach((icon) => {
@@ -373,7 +1040,12 @@ const WmsImport = (function () {
         layers.forEach((layer, index) => {
           const checkbox = document.getElementById(`wms-layer-${index}`);
           if (checkbox && checkbox.checked) {
-            selectedLayers.push(layer);
+            const styleSelect = document.getElementById(`wms-style-${index}`);
+            const style = layer.styles?.[styleSelect ? styleSelect.selectedIndex : 0];
+            const matrixSetSelect = document.getElementById(`wms-matrix-set-${index}`);
+            const tileMatrixSet =
+              layer.tileMatrixSets?.[matrixSetSelect ? matrixSetSelect.selectedIndex : 0];
+            selectedLayers.push({ ...layer, style, tileMatrixSet });
           }
         });
 
@@ -382,48 +1054,131 @@ const WmsImport = (function () {
     });
 
     if (result.isConfirmed && result.value) {
-      addWmsOverlays(result.value, wmsUrl, map);
-      Swal.fire({
-        title: "Layers Imported",
-        text: `Successfully added ${result.value.length} layer(s) to the map. Toggle them in the Layers panel.`,
-        timer: 3000,
-        timerProgressBar: true,
-      });
+      addCustomLayers(result.value, type, role, serviceUrl, map);
+      showImportSuccess(result.value.length, role);
     }
   }
 
   /**
-   * Creates and adds WMS overlay layers to the map
-   * @param {Array} selectedLayers - Array of selected layer objects
-   * @param {string} wmsUrl - Base WMS URL
+   * Describes the zoom range and time values of a WMS layer for the layer selection dialog
+   * @param {Object} layer - Layer object from the capabilities
+   * @returns {string} The description, or an empty string if the layer has neither
+   */
+  function getLayerDetails(layer) {
+    const details = [];
+    const { minZoom, maxZoom } = layer;
+    if (minZoom !== undefined && maxZoom !== undefined) {
+      details.push(`Zoom ${minZoom}–${maxZoom}`);
+    } else if (minZoom !== undefined) {
+      details.push(`From zoom ${minZoom}`);
+    } else if (maxZoom !== undefined) {
+      details.push(`Up to zoom ${maxZoom}`);
+    }
+    if (layer.timeExtent) {
+      const timeValues = expandTimeExtent(layer.timeExtent);
+      const first = timeValues[0];
+      const last = timeValues[timeValues.length - 1];
+      if (first) details.push(first === last ? `Time: ${first}` : `Time: ${first} – ${last}`);
+    }
+    return details.join(" · ");
+  }
+
+  /**
+   * Zooms the map to the extent of a WMS layer, within the zoom range the layer is shown at
+   * @param {Object} layer - Layer object from the capabilities or stored layer information
    * @param {L.Map} map - Leaflet map instance
    */
-  function addWmsOverlays(selectedLayers, wmsUrl, map) {
-    selectedLayers.forEach((layer) => {
-      const layerId = `wms-custom-${layerIdCounter++}`;
+  function zoomToLayerExtent(layer, map) {
+    if (!layer.bounds) return;
+    const bounds = L.latLngBounds(layer.bounds);
+    const zoom = Math.min(
+      Math.max(map.getBoundsZoom(bounds), layer.minZoom ?? 0),
+      layer.maxZoom ?? Infinity,
+    );
+    map.setView(bounds.getCenter(), zoom);
+  }
 
+  /**
+   * Creates the Leaflet layer of an imported layer
+   * @param {Object} layerData - Stored layer information
+   * @returns {L.TileLayer} The tile layer
+   */
+  function createCustomLayer(layerData) {
+    const isOverlay = layerData.role !== "basemap";
+    // Basemaps stay in the tile pane, below all overlays
+    const paneOptions = isOverlay ? { pane: "wmsPane" } : {};
+
+    if (layerData.type === "wms") {
       // Create WMS tile layer with gutter support to prevent icon cutoff
-      const wmsLayer = L.tileLayer.wms.gutter(wmsUrl, {
-        layers: layer.name,
+      return L.tileLayer.wms.gutter(layerData.wmsUrl, {
+        layers: layerData.wmsLayerName,
+        styles: layerData.style || "",
+        ...(layerData.time && { time: layerData.time }),
         format: "image/png",
-        transparent: true,
-        pane: "wmsPane",
+        transparent: isOverlay,
+        ...paneOptions,
         tileSize: 512,
         gutter: 64, // Add 64px overlap on each side to prevent icon cutoff
       });
+    }
+
+    // WMTS tile matrices are looked up by zoom level through the {tileMatrix} placeholder
+    const { tileMatrices, ...tileOptions } = layerData.tileOptions || {};
+    return L.tileLayer.offline(layerData.tileUrl, {
+      maxZoom: 19,
+      ...tileOptions,
+      ...paneOptions,
+      ...(tileMatrices && { tileMatrix: (data) => tileMatrices[data.z] ?? data.z }),
+    });
+  }
+
+  /**
+   * Creates imported layers and adds them to the map and the layers control
+   * @param {Array} selectedLayers - Array of selected layer objects
+   * @param {string} type - "wms", "wmts" or "xyz"
+   * @param {string} role - "overlay" or "basemap"
+   * @param {string} serviceUrl - Base service URL (the URL template for XYZ)
+   * @param {L.Map} map - Leaflet map instance
+   */
+  function addCustomLayers(selectedLayers, type, role, serviceUrl, map) {
+    selectedLayers.forEach((layer) => {
+      const layerId = `wms-custom-${layerIdCounter++}`;
 
       // Store layer information
-      customWmsLayers[layerId] = {
+      const layerData = {
         id: layerId,
-        layer: wmsLayer,
+        type,
+        role,
         name: layer.title,
-        wmsUrl: wmsUrl,
-        wmsLayerName: layer.name,
         addedToMap: false,
+        ...(type === "wms" && {
+          wmsUrl: serviceUrl,
+          wmsLayerName: layer.name,
+          queryable: layer.queryable && Boolean(layer.infoFormat),
+          infoFormat: layer.infoFormat,
+          style: layer.style?.name || "",
+          legendUrl: layer.style?.legendUrl || "",
+          bounds: layer.bounds,
+          minZoom: layer.minZoom,
+          maxZoom: layer.maxZoom,
+          ...(layer.timeExtent && {
+            timeExtent: layer.timeExtent,
+            time: getDefaultTime(expandTimeExtent(layer.timeExtent), layer.timeDefault),
+          }),
+        }),
+        ...(type === "wmts" && {
+          serviceUrl,
+          layerName: layer.name,
+          tileUrl: getWmtsTileUrl(layer, layer.style, layer.tileMatrixSet),
+          tileOptions: layer.tileMatrixSet.tileOptions,
+        }),
+        ...(type === "xyz" && { tileUrl: serviceUrl }),
       };
+      layerData.layer = createCustomLayer(layerData);
+      customWmsLayers[layerId] = layerData;
 
       // Add to layers control
-      addToLayersControl(layerId, layer.title, wmsLayer, map);
+      addToLayersControl(layerId, layer.title, layerData.layer, map);
     });
 
     // Save to localStorage
@@ -442,6 +1197,11 @@ const WmsImport = (function () {
     const customPanel = document.getElementById("custom-layers-panel");
     if (!customPanel) return;
 
+    if (customWmsLayers[layerId].role === "basemap") {
+      addBasemapToLayersControl(layerId, displayName, map, autoEnable);
+      return;
+    }
+
     const overlaysSection = customPanel.querySelector(".leaflet-control-layers-overlays");
     if (!overlaysSection) return;
 
@@ -471,6 +1231,7 @@ const WmsImport = (function () {
     `;
 
     overlaysSection.appendChild(label);
+    addLayerTools(label, customWmsLayers[layerId], map);
 
     // Auto-enable the layer on import if requested
     if (autoEnable) {
@@ -514,6 +1275,151 @@ const WmsImport = (function () {
     });
   }
 
+  /**
+   * Adds a custom basemap to the basemap radio buttons of the layers control panel. Selecting
+   * it is handled by the panel's click handler, which calls selectCustomBasemap.
+   * @param {string} layerId - Unique layer ID
+   * @param {string} displayName - Display name for the layer
+   * @param {L.Map} map - Leaflet map instance
+   * @param {boolean} autoEnable - Whether to select the basemap (default: true)
+   */
+  function addBasemapToLayersControl(layerId, displayName, map, autoEnable = true) {
+    const baseSection = document.querySelector("#custom-layers-panel .leaflet-control-layers-base");
+    if (!baseSection) return;
+
+    const label = document.createElement("label");
+    label.className = "wms-custom-layer";
+    label.setAttribute("data-layer-id", layerId);
+    label.innerHTML = `
+      <div>
+        <input
+          type="radio"
+          class="leaflet-control-layers-selector"
+          name="leaflet-base-layers"
+          data-layer-id="${layerId}"
+          data-layer-type="wms-custom"
+        />
+        <span class="layer-name-container">
+          <span class="layer-name-text" title="${displayName}"><span class="material-symbols layer-icon">map</span> ${displayName}</span>
+          <span
+            class="material-symbols material-symbols-fill layer-icon wms-remove-icon"
+            data-layer-id="${layerId}"
+            title="Remove this layer"
+            style="cursor: pointer;"
+          >cancel</span>
+        </span>
+      </div>
+    `;
+
+    // Custom basemaps go above "No Base Layer", which stays last
+    const emptyBaseLabel = baseSection
+      .querySelector('input[data-layer-name="Empty"]')
+      ?.closest("label");
+    baseSection.insertBefore(label, emptyBaseLabel || null);
+    addLayerTools(label, customWmsLayers[layerId], map);
+
+    // Selecting goes through the panel's click handler so the built-in basemap is removed
+    if (autoEnable) {
+      label.querySelector("input").click();
+    }
+
+    const removeIcon = label.querySelector(".wms-remove-icon");
+    removeIcon.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      removeWmsLayer(layerId, map);
+    });
+  }
+
+  /**
+   * Adds the legend, zoom to extent and time slider controls of a WMS layer to its entry in
+   * the layers control panel
+   * @param {HTMLElement} label - The layer's label in the panel
+   * @param {Object} layerData - Stored layer information
+   * @param {L.Map} map - Leaflet map instance
+   */
+  function addLayerTools(label, layerData, map) {
+    const removeIcon = label.querySelector(".wms-remove-icon");
+    const addIcon = (iconName, title, onClick) => {
+      const icon = document.createElement("span");
+      icon.className = "material-symbols layer-icon wms-layer-tool-icon";
+      icon.textContent = iconName;
+      icon.title = title;
+      icon.addEventListener("click", (e) => {
+        // Keep the click from toggling the layer
+        e.preventDefault();
+        e.stopPropagation();
+        onClick(icon);
+      });
+      removeIcon.before(icon);
+    };
+
+    if (layerData.legendUrl) {
+      const legend = document.createElement("span");
+      legend.className = "wms-layer-legend";
+      legend.hidden = true;
+      legend.innerHTML = `<img src="${escapeXml(layerData.legendUrl)}" alt="Legend" />`;
+      legend.addEventListener("click", (e) => e.preventDefault());
+      label.appendChild(legend);
+      addIcon("legend_toggle", "Show legend", (icon) => {
+        legend.hidden = !legend.hidden;
+        icon.classList.toggle("material-symbols-fill", !legend.hidden);
+      });
+    }
+
+    if (layerData.bounds) {
+      addIcon("fit_screen", "Zoom to layer extent", () => zoomToLayerExtent(layerData, map));
+    }
+
+    const timeValues = layerData.timeExtent ? expandTimeExtent(layerData.timeExtent) : [];
+    if (timeValues.length > 1) {
+      const timeControl = document.createElement("span");
+      timeControl.className = "wms-time-control";
+      timeControl.innerHTML = `
+        <input type="range" min="0" max="${timeValues.length - 1}" step="1" title="Time" />
+        <span class="wms-time-value"></span>
+      `;
+      const slider = timeControl.querySelector("input");
+      const valueEl = timeControl.querySelector(".wms-time-value");
+      slider.value = Math.max(0, timeValues.indexOf(layerData.time));
+      valueEl.textContent = timeValues[slider.value];
+      slider.addEventListener("input", () => {
+        valueEl.textContent = timeValues[slider.value];
+      });
+      // New tiles are only requested when the slider is released
+      slider.addEventListener("change", () => {
+        layerData.time = timeValues[slider.value];
+        layerData.layer.setParams({ time: layerData.time });
+        saveLayersToStorage();
+      });
+      timeControl.addEventListener("click", (e) => {
+        if (e.target !== slider) e.preventDefault();
+      });
+      label.appendChild(timeControl);
+    }
+  }
+
+  /**
+   * Shows the selected custom basemap and removes the others. Called when any basemap is
+   * selected in the layers control panel.
+   * @param {string} [layerId] - ID of the selected custom basemap, none for a built-in one
+   * @param {L.Map} map - Leaflet map instance
+   */
+  function selectCustomBasemap(layerId, map) {
+    Object.values(customWmsLayers)
+      .filter((layerData) => layerData.role === "basemap")
+      .forEach((layerData) => {
+        const isSelected = layerData.id === layerId;
+        if (isSelected) {
+          map.addLayer(layerData.layer);
+        } else {
+          map.removeLayer(layerData.layer);
+        }
+        layerData.addedToMap = isSelected;
+      });
+    saveLayersToStorage();
+  }
+
   /**
    * Removes a custom WMS layer
    * @param {string} layerId - Layer ID to remove
@@ -538,6 +1444,11 @@ const WmsImport = (function () {
     // Remove from storage
     delete customWmsLayers[layerId];
 
+    // Fall back to the first built-in basemap when the selected basemap is removed
+    if (layerData.role === "basemap" && layerData.addedToMap) {
+      customPanel?.querySelector('input[name="leaflet-base-layers"]')?.click();
+    }
+
     // Update localStorage
     saveLayersToStorage();
 
@@ -551,13 +1462,7 @@ const WmsImport = (function () {
    * Saves current WMS layers to localStorage
    */
   function saveLayersToStorage() {
-    const layersToSave = Object.values(customWmsLayers).map((layerData) => ({
-      id: layerData.id,
-      name: layerData.name,
-      wmsUrl: layerData.wmsUrl,
-      wmsLayerName: layerData.wmsLayerName,
-      addedToMap: layerData.addedToMap,
-    }));
+    const layersToSave = Object.values(customWmsLayers).map(({ layer, ...layerData }) => layerData);
 
     try {
       localStorage.setItem(STORAGE_KEY, JSON.stringify(layersToSave));
@@ -576,29 +1481,22 @@ const WmsImport = (function () {
       if (!saved) return;
 
       const layersData = JSON.parse(saved);
-      layersData.forEach((layerData) => {
-        // Create WMS tile layer with gutter support to prevent icon cutoff
-        const wmsLayer = L.tileLayer.wms.gutter(layerData.wmsUrl, {
-          layers: layerData.wmsLayerName,
-          format: "image/png",
-          transparent: true,
-          pane: "wmsPane",
-          tileSize: 512,
-          gutter: 64, // Add 64px overlap on each side to prevent icon cutoff
-        });
+      layersData.forEach((savedLayerData) => {
+        // Layers saved before WMTS/XYZ support are WMS overlays
+        const layerData = { type: "wms", role: "overlay", ...savedLayerData };
+        layerData.layer = createCustomLayer(layerData);
 
         // Store layer information
-        customWmsLayers[layerData.id] = {
-          id: layerData.id,
-          layer: wmsLayer,
-          name: layerData.name,
-          wmsUrl: layerData.wmsUrl,
-          wmsLayerName: layerData.wmsLayerName,
-          addedToMap: layerData.addedToMap,
-        };
+        customWmsLayers[layerData.id] = layerData;
 
         // Add to layers control with saved visibility state
-        addToLayersControl(layerData.id, layerData.name, wmsLayer, map, layerData.addedToMap);
+        addToLayersControl(
+          layerData.id,
+          layerData.name,
+          layerData.layer,
+          map,
+          layerData.addedToMap,
+        );
 
         // Update layerIdCounter to avoid ID conflicts
         const idNum = parseInt(layerData.id.replace("wms-custom-", ""), 10);
@@ -611,10 +1509,207 @@ const WmsImport = (function () {
     }
   }
 
+  /**
+   * Builds the GetFeatureInfo URL of a WMS layer for a point in the current map view
+   * @param {Object} layerData - Stored layer information
+   * @param {L.LatLng} latlng - Clicked location
+   * @param {L.Map} map - Leaflet map instance
+   * @returns {string} The request URL
+   */
+  function buildGetFeatureInfoUrl(layerData, latlng, map) {
+    const wmsParams = layerData.layer.wmsParams;
+    const isVersion13 = parseFloat(wmsParams.version) >= 1.3;
+    const crs = map.options.crs;
+    const bounds = map.getBounds();
+    const southWest = crs.project(bounds.getSouthWest());
+    const northEast = crs.project(bounds.getNorthEast());
+    const size = map.getSize();
+    const point = map.latLngToContainerPoint(latlng).round();
+
+    const url = new URL(layerData.wmsUrl);
+    const params = {
+      SERVICE: "WMS",
+      VERSION: wmsParams.version,
+      REQUEST: "GetFeatureInfo",
+      LAYERS: wmsParams.layers,
+      QUERY_LAYERS: wmsParams.layers,
+      STYLES: wmsParams.styles || "",
+      [isVersion13 ? "CRS" : "SRS"]: crs.code,
+      BBOX: [southWest.x, southWest.y, northEast.x, northEast.y].join(","),
+      WIDTH: size.x,
+      HEIGHT: size.y,
+      [isVersion13 ? "I" : "X"]: point.x,
+      [isVersion13 ? "J" : "Y"]: point.y,
+      INFO_FORMAT: layerData.infoFormat,
+      FEATURE_COUNT: FEATURE_INFO_FEATURE_COUNT,
+    };
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /**
+   * Renders a list of features as tables of their properties
+   * @param {Array<{title: string, properties: Object}>} features - Features to render
+   * @returns {string} HTML, or an empty string if there are no features
+   */
+  function renderFeatureTables(features) {
+    return features
+      .map(({ title, properties }) => {
+        const rows = Object.entries(properties)
+          .filter(([, value]) => value !== null && typeof value !== "object")
+          .map(
+            ([key, value]) =>
+              `<tr><th>${escapeXml(key)}</th><td>${escapeXml(String(value))}</td></tr>`,
+          )
+          .join("");
+        const heading = title ? `<div class="feature-info-title">${escapeXml(title)}</div>` : "";
+        return `${heading}<table class="feature-info-table">${rows}</table>`;
+      })
+      .join("");
+  }
+
+  /**
+   * Turns a GetFeatureInfo response into popup content
+   * @param {string} text - Response body
+   * @param {string} infoFormat - Requested format
+   * @returns {HTMLElement|null} The content, or null if nothing was found
+   */
+  function renderFeatureInfo(text, infoFormat) {
+    const container = document.createElement("div");
+
+    if (infoFormat.includes("json")) {
+      const features = JSON.parse(text).features || [];
+      container.innerHTML = renderFeatureTables(
+        features.map((feature) => ({
+          title: feature.id != null ? String(feature.id) : "",
+          properties: feature.properties || {},
+        })),
+      );
+    } else if (infoFormat === "text/html") {
+      // Server HTML is shown in a sandbox, so its scripts and styles can't affect the app
+      const body = new DOMParser().parseFromString(text, "text/html").body;
+      if (!body || !body.textContent.trim()) return null;
+      const frame = document.createElement("iframe");
+      frame.className = "feature-info-frame";
+      frame.setAttribute("sandbox", "");
+      frame.srcdoc = text;
+      container.appendChild(frame);
+    } else if (infoFormat.includes("gml") || infoFormat === "text/xml") {
+      // Each feature member becomes a table of its simple (text-only) child elements
+      const xmlDoc = new DOMParser().parseFromString(text, "text/xml");
+      const members = Array.from(xmlDoc.getElementsByTagName("*")).filter(
+        (el) => el.localName === "featureMember" || el.localName === "member",
+      );
+      container.innerHTML = renderFeatureTables(
+        members.map((member) => {
+          const feature = member.firstElementChild || member;
+          const properties = {};
+          Array.from(feature.getElementsByTagName("*"))
+            .filter(
+              (el) =>
+                el.children.length === 0 &&
+                el.textContent.trim() &&
+                !el.namespaceURI?.startsWith(GML_NAMESPACE), // Skip geometries and bounds
+            )
+            .forEach((el) => {
+              properties[el.localName] = el.textContent.trim();
+            });
+          return { title: feature.localName, properties };
+        }),
+      );
+    } else {
+      if (!text.trim()) return null;
+      const pre = document.createElement("pre");
+      pre.className = "feature-info-text";
+      pre.textContent = text.trim();
+      container.appendChild(pre);
+    }
+
+    return container.childElementCount > 0 ? container : null;
+  }
+
+  /**
+   * Queries a visible WMS layer at a location
+   * @param {Object} layerData - Stored layer information
+   * @param {L.LatLng} latlng - Clicked location
+   * @param {L.Map} map - Leaflet map instance
+   * @returns {Promise<HTMLElement|null>} Popup content, or null if nothing was found
+   */
+  async function fetchFeatureInfo(layerData, latlng, map) {
+    try {
+      const response = await fetch(buildGetFeatureInfoUrl(layerData, latlng, map));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return renderFeatureInfo(await response.text(), layerData.infoFormat);
+    } catch (error) {
+      console.warn(`GetFeatureInfo failed for ${layerData.name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Makes clicks on the empty map query the visible queryable WMS layers with GetFeatureInfo.
+   * The results are shown in a popup at the clicked location, like the context menu.
+   * @param {L.Map} map - Leaflet map instance
+   */
+  function initializeFeatureInfo(map) {
+    let requestCounter = 0;
+
+    map.on("click", async (e) => {
+      // Only plain clicks on the map, not while drawing, picking points or splitting a path
+      const target = e.originalEvent.target;
+      if (target.id !== "map" && !target.classList.contains("leaflet-container")) return;
+      if (
+        isEditMode ||
+        isDeleteMode ||
+        pathSplitTarget ||
+        document.body.classList.contains("leaflet-is-drawing") ||
+        document.body.classList.contains("route-point-select-mode")
+      ) {
+        return;
+      }
+
+      const queryableLayers = Object.values(customWmsLayers).filter(
+        (layerData) =>
+          layerData.type === "wms" &&
+          layerData.queryable &&
+          layerData.addedToMap &&
+          map.hasLayer(layerData.layer),
+      );
+      if (queryableLayers.length === 0) return;
+
+      // Only the results of the latest click are shown
+      const requestId = ++requestCounter;
+      const results = await Promise.all(
+        queryableLayers.map((layerData) => fetchFeatureInfo(layerData, e.latlng, map)),
+      );
+      if (requestId !== requestCounter) return;
+
+      const popupContent = document.createElement("div");
+      popupContent.className = "feature-info-popup";
+      results.forEach((content, index) => {
+        if (!content) return;
+        const heading = document.createElement("div");
+        heading.className = "feature-info-layer";
+        heading.textContent = queryableLayers[index].name;
+        popupContent.append(heading, content);
+      });
+      if (popupContent.childElementCount === 0) return;
+
+      L.popup({ maxWidth: 320, maxHeight: 300 })
+        .setLatLng(e.latlng)
+        .setContent(popupContent)
+        .openOn(map);
+    });
+  }
+
   // Public API
   return {
     showWmsImportDialog,
     loadLayersFromStorage,
+    selectCustomBasemap,
+    initializeFeatureInfo,
     getCustomWmsLayers: () => customWmsLayers, // Expose custom WMS layers for layer management
   };
 })();